@@ -42,7 +42,7 @@ export class restGateway extends apig.RestApi {
                 statusCode: '200',
                 responseParameters: {
                     'method.response.header.Access-Control-Allow-Headers': "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,AuthToken'",
-                    'method.response.header.Access-Control-Allow-Methods': "'OPTIONS,GET,PUT,POST,DELETE'",
+                    'method.response.header.Access-Control-Allow-Methods': "'OPTIONS,GET,PUT,POST,PATCH,DELETE'",
                     'method.response.header.Access-Control-Allow-Credentials': "'false'",
                     'method.response.header.Access-Control-Allow-Origin': "'*'",
                 },
@@ -87,32 +87,19 @@ export class restGateway extends apig.RestApi {
             return this.knownResources[FullPath];
         }
         //Split up the path.
-        //check if the base resources already exist, and then return the last one.
-        const rootPath = this.root;
+        //Walk down from the root, reusing the resources that already exist and creating the rest.
         const parts = FullPath.split("/");
-        let currentResource = this.knownResources[parts[0]];
-        if (this.knownResources[parts[0]] !== undefined) {
-            currentResource = this.knownResources[parts[0]];
-        }
-        else {
-            currentResource = rootPath.addResource(parts[0]);
-            this.knownResources[parts[0]] = currentResource;
-        }
-        if (parts.length > 1) {
-            for (let i = 1; i < parts.length; i++) {
-                let currentPath = parts.slice(0, i).join("/");
-                console.log(currentPath);
-                try {
-                    currentResource = currentResource.addResource(parts[i]);
-                    this.knownResources[currentPath] = currentResource;
-                }
-                catch {
-                    currentResource = this.knownResources[currentPath];
-                }
+        let currentResource: apig.IResource = this.root;
+        for (let i = 0; i < parts.length; i++) {
+            const currentPath = parts.slice(0, i + 1).join("/");
+            if (this.knownResources[currentPath] === undefined) {
+                const newResource = currentResource.addResource(parts[i]);
+                this.addCorsOptions(newResource);
+                this.knownResources[currentPath] = newResource;
             }
+            currentResource = this.knownResources[currentPath];
         }
-        this.addCorsOptions(currentResource);
-        return currentResource;
+        return this.knownResources[FullPath];
     }
 
     AddMethodIntegration(integration: apig.AwsIntegration, route: string = "", methodString: string, auth: apig.Authorizer) {
@@ -6,14 +6,14 @@ export declare class LambdaStack extends cdk.NestedStack {
     lambdaFunction: lambda.Function;
     constructor(scope: Construct, id: string, runTime: lambda.Runtime, codePathString: string, mainFunc: string, timeOut?: cdk.Duration, memory?: number, storage?: number, envs?: {
         [key: string]: string;
-    }, layers?: lambda.LayerVersion[]);
+    }, layers?: lambda.ILayerVersion[]);
     MethodIntegration(): cdk.aws_apigateway.LambdaIntegration;
     getLambdaFunction(): lambda.IFunction;
 }
 export declare class LambdaFunctionConstruct extends lambda.Function {
     constructor(scope: Construct, id: string, runTime: lambda.Runtime, codePathString: string, mainFunc: string, timeOut?: cdk.Duration, memory?: number, storage?: number, envs?: {
         [key: string]: string;
-    }, layers?: lambda.LayerVersion[]);
+    }, layers?: lambda.ILayerVersion[]);
     MethodIntegration(): cdk.aws_apigateway.LambdaIntegration;
 }
 export declare class LambdaCustomResource extends LambdaFunctionConstruct {
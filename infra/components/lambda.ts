@@ -11,7 +11,7 @@ import {CognitoStack} from "./cognito";
 
 export class LambdaStack extends cdk.NestedStack {
     lambdaFunction:lambda.Function
-    constructor(scope: Construct, id: string, runTime: lambda.Runtime, codePathString: string, mainFunc: string, timeOut?: cdk.Duration, memory: number=128, storage: number=512, envs: { [key: string]: string; }={}, layers: lambda.LayerVersion[]=[]) {
+    constructor(scope: Construct, id: string, runTime: lambda.Runtime, codePathString: string, mainFunc: string, timeOut?: cdk.Duration, memory: number=128, storage: number=512, envs: { [key: string]: string; }={}, layers: lambda.ILayerVersion[]=[]) {
         super(scope,id);
         this.lambdaFunction = new LambdaFunctionConstruct(scope,id+"_FUNC",runTime,codePathString,mainFunc,timeOut,memory,storage,envs,layers)
     }
@@ -24,7 +24,7 @@ export class LambdaStack extends cdk.NestedStack {
 }
 
 export class LambdaFunctionConstruct extends lambda.Function {
-    constructor(scope: Construct, id: string, runTime: lambda.Runtime, codePathString: string, mainFunc: string, timeOut?: cdk.Duration, memory: number=128, storage: number=512, envs: { [key: string]: string; }={}, layers: lambda.LayerVersion[]=[]) {
+    constructor(scope: Construct, id: string, runTime: lambda.Runtime, codePathString: string, mainFunc: string, timeOut?: cdk.Duration, memory: number=128, storage: number=512, envs: { [key: string]: string; }={}, layers: lambda.ILayerVersion[]=[]) {
         const pathArray = codePathString.split("/");
         const lambdaHandler = pathArray[pathArray.length - 1] + "." + mainFunc
         const props = {
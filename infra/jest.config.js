@@ -0,0 +1,26 @@
+const path = require('path');
+
+/**
+ * The lambdas are ES modules, so tests run with --experimental-vm-modules (see the test script). Their AWS SDK
+ * and /opt/nodejs imports resolve the same way as in the local backend: to the stand-ins in localBackend/fakeAws
+ * and to the shared layer's source.
+ */
+module.exports = async () => {
+  const { FAKE_MODULES } = await import('./localBackend/awsSdkLoader.js');
+  const fakeModuleMappings = Object.fromEntries(Object.entries(FAKE_MODULES)
+    .map(([specifier, fakePath]) => [`^${specifier}$`, path.join('<rootDir>/localBackend', fakePath)]));
+
+  return {
+    testEnvironment: 'node',
+    roots: ['<rootDir>/test'],
+    testMatch: ['**/*.test.mjs'],
+    // The web client's modules aren't marked as ES modules, so they are compiled to CommonJS.
+    transform: {
+      '^.+/web/src/.+\\.js$': ['ts-jest', { tsconfig: { allowJs: true }, diagnostics: false }]
+    },
+    moduleNameMapper: {
+      ...fakeModuleMappings,
+      '^/opt/nodejs/(.*)$': '<rootDir>/lambdaScripts/sharedLayer/nodejs/$1'
+    }
+  };
+};
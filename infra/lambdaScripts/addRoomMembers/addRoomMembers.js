@@ -0,0 +1,53 @@
+import { DynamoDBClient, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { JsonResponse } from "/opt/nodejs/jsonResponse.js";
+
+const dbClient = new DynamoDBClient({});
+
+const roomTable = process.env.ROOM_TABLE_NAME;
+
+const MAX_MEMBERS_PER_REQUEST = 50;
+
+/**
+ * Adds users to a room, so that annotations visible to room members are listed for them.
+ * Only the owner of the room can add members.
+ */
+export const handler = async (event, context) => {
+    try {
+        const body = JSON.parse(event.body || '{}') || {};
+        const username = event.requestContext.authorizer.claims['cognito:username'];
+        const roomId = event.pathParameters.roomId;
+        const usernames = body.usernames;
+
+        if (!Array.isArray(usernames) || usernames.length === 0 || usernames.length > MAX_MEMBERS_PER_REQUEST ||
+            !usernames.every(member => typeof member === 'string' && /^[^\s,]{1,128}$/.test(member))) {
+            return JsonResponse(400, `usernames must be a list of 1 to ${MAX_MEMBERS_PER_REQUEST} usernames.`);
+        }
+
+        const params = {
+            TableName: roomTable,
+            Key: {
+                roomId: { S: roomId }
+            },
+            ConditionExpression: 'attribute_exists(roomId) AND #owner = :owner',
+            UpdateExpression: 'ADD members :members',
+            ExpressionAttributeNames: { '#owner': 'owner' },
+            ExpressionAttributeValues: {
+                ':owner': { S: username },
+                ':members': { SS: [...new Set(usernames)] }
+            },
+            ReturnValues: 'ALL_NEW'
+        };
+        const response = await dbClient.send(new UpdateItemCommand(params));
+
+        return JsonResponse(200, { roomId: roomId, members: response.Attributes.members.SS });
+    } catch (err) {
+        console.error(err);
+        if (err instanceof SyntaxError) {
+            return JsonResponse(400, "The request body must be JSON.");
+        }
+        if (err.name === 'ConditionalCheckFailedException') {
+            return JsonResponse(403, "Room not found or not owned by the caller.");
+        }
+        return JsonResponse(500, "Error adding room members.");
+    }
+};
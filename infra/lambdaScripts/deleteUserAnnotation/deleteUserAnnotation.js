@@ -0,0 +1,124 @@
+import { DynamoDBClient, DeleteItemCommand, GetItemCommand, QueryCommand } from "@aws-sdk/client-dynamodb";
+import { S3Client, ListObjectVersionsCommand, DeleteObjectsCommand } from "@aws-sdk/client-s3";
+import { JsonResponse } from "/opt/nodejs/jsonResponse.js";
+
+const dbClient = new DynamoDBClient({});
+const s3Client = new S3Client({});
+
+const annotationTable = process.env.TABLE_NAME;
+const bucketName = process.env.BUCKET_NAME;
+
+// Removes every asset stored under `${username}/${annotationId}/`, i.e. the recording and its transcript.
+// The bucket is versioned, so each version and delete marker is deleted; deleting the keys would only hide them.
+const deleteAnnotationAssets = async (username, annotationId) => {
+    let keyMarker = undefined;
+    let versionIdMarker = undefined;
+
+    do {
+        const response = await s3Client.send(new ListObjectVersionsCommand({
+            Bucket: bucketName,
+            Prefix: `${username}/${annotationId}/`,
+            KeyMarker: keyMarker,
+            VersionIdMarker: versionIdMarker
+        }));
+        const objects = [...(response.Versions || []), ...(response.DeleteMarkers || [])]
+            .map(entry => ({ Key: entry.Key, VersionId: entry.VersionId }));
+
+        // A page holds at most 1000 entries, which is as many as one request can delete.
+        if (objects.length > 0) {
+            const result = await s3Client.send(new DeleteObjectsCommand({
+                Bucket: bucketName,
+                Delete: {
+                    Objects: objects,
+                    Quiet: true
+                }
+            }));
+            if (result.Errors && result.Errors.length > 0) {
+                throw new Error(`Could not delete ${result.Errors.length} files of annotation ${annotationId}: ${result.Errors[0].Message}`);
+            }
+        }
+
+        keyMarker = response.IsTruncated ? response.NextKeyMarker : undefined;
+        versionIdMarker = response.IsTruncated ? response.NextVersionIdMarker : undefined;
+    } while (keyMarker);
+};
+
+const getAnnotation = async (username, annotationId) => {
+    const data = await dbClient.send(new GetItemCommand({
+        TableName: annotationTable,
+        Key: {
+            username: { S: username },
+            annotationId: { S: annotationId }
+        }
+    }));
+    return data.Item || null;
+};
+
+// Replies, whoever recorded them, always point at the annotation that started the thread.
+const getReplies = async (annotationId) => {
+    let replies = [];
+    let lastEvaluatedKey = undefined;
+
+    do {
+        const response = await dbClient.send(new QueryCommand({
+            TableName: annotationTable,
+            IndexName: 'threadIndex',
+            KeyConditionExpression: 'parentAnnotationId = :annotationId',
+            ExpressionAttributeValues: {
+                ':annotationId': { S: annotationId }
+            },
+            ExclusiveStartKey: lastEvaluatedKey
+        }));
+        replies = replies.concat(response.Items.map(item => ({ username: item.username.S, annotationId: item.annotationId.S })));
+        lastEvaluatedKey = response.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return replies;
+};
+
+// Files go first, so that a failure leaves the annotation in place to be deleted again rather than orphaned files.
+const deleteAnnotation = async (username, annotationId) => {
+    await deleteAnnotationAssets(username, annotationId);
+
+    const params = {
+        TableName: annotationTable,
+        Key: {
+            username: { S: username },
+            annotationId: { S: annotationId }
+        }
+    };
+    await dbClient.send(new DeleteItemCommand(params));
+};
+
+/**
+ * Deletes one of the caller's annotations with its files. Deleting the annotation a thread started from deletes
+ * the replies as well, which can't be played without it.
+ */
+export const handler = async (event, context) => {
+    try {
+        const username = event.requestContext.authorizer.claims['cognito:username'];
+        const annotationId = event.queryStringParameters ? event.queryStringParameters.annotationId : undefined;
+
+        if (!annotationId) {
+            return JsonResponse(400, "annotationId parameter is required.");
+        }
+
+        // The table is keyed on the caller's username, so only the owner finds the annotation.
+        const item = await getAnnotation(username, annotationId);
+        if (!item) {
+            return JsonResponse(403, "Annotation not found or not owned by the caller.");
+        }
+
+        if (!item.parentAnnotationId) {
+            for (const reply of await getReplies(annotationId)) {
+                await deleteAnnotation(reply.username, reply.annotationId);
+            }
+        }
+        await deleteAnnotation(username, annotationId);
+    } catch (err) {
+        console.error(err);
+        return JsonResponse(500, "Error deleting annotation.");
+    }
+
+    return JsonResponse(200, "Annotation deleted.");
+};
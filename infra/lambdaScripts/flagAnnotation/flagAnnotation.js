@@ -0,0 +1,104 @@
+import { DynamoDBClient, GetItemCommand, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { canView, createRoomMembership, getViewer } from "/opt/nodejs/visibility.js";
+import { JsonResponse } from "/opt/nodejs/jsonResponse.js";
+
+const dbClient = new DynamoDBClient({});
+
+const annotationTable = process.env.TABLE_NAME;
+const roomTable = process.env.ROOM_TABLE_NAME;
+
+const MAX_REASON_LENGTH = 200;
+// A single account can't take an annotation out of listings; it goes to the moderators once this many users flagged it.
+const FLAGS_FOR_REVIEW = 3;
+
+const getAnnotation = async (username, annotationId) => {
+    const data = await dbClient.send(new GetItemCommand({
+        TableName: annotationTable,
+        Key: {
+            username: { S: username },
+            annotationId: { S: annotationId }
+        }
+    }));
+    return data.Item || null;
+};
+
+// Records the flag and its reason. Each user can only flag an annotation once, and removed annotations stay as they are.
+const addFlag = async (username, annotationId, flaggedBy, reason) => {
+    const { Attributes: item } = await dbClient.send(new UpdateItemCommand({
+        TableName: annotationTable,
+        Key: {
+            username: { S: username },
+            annotationId: { S: annotationId }
+        },
+        ConditionExpression: 'attribute_exists(annotationId) AND (attribute_not_exists(moderationStatus) OR moderationStatus <> :hidden) AND NOT contains(flaggedBy, :flaggedByName)',
+        UpdateExpression: 'SET moderationReasons = list_append(if_not_exists(moderationReasons, :noReasons), :reasons) ADD flaggedBy :flaggedBy',
+        ExpressionAttributeValues: {
+            ':hidden': { S: 'hidden' },
+            ':noReasons': { L: [] },
+            ':reasons': { L: [{ S: reason }] },
+            ':flaggedBy': { SS: [flaggedBy] },
+            ':flaggedByName': { S: flaggedBy }
+        },
+        ReturnValues: 'ALL_NEW'
+    }));
+    return item;
+};
+
+// Takes the annotation out of listings until a moderator has looked at it.
+const holdForReview = async (username, annotationId) => {
+    await dbClient.send(new UpdateItemCommand({
+        TableName: annotationTable,
+        Key: {
+            username: { S: username },
+            annotationId: { S: annotationId }
+        },
+        ConditionExpression: 'attribute_exists(annotationId) AND (attribute_not_exists(moderationStatus) OR moderationStatus <> :hidden)',
+        UpdateExpression: 'SET moderationStatus = :underReview',
+        ExpressionAttributeValues: {
+            ':hidden': { S: 'hidden' },
+            ':underReview': { S: 'under-review' }
+        }
+    }));
+};
+
+export const handler = async (event, context) => {
+    try {
+        const body = event.body ? JSON.parse(event.body) : {};
+        const viewer = getViewer(event.requestContext.authorizer.claims);
+        const { username, annotationId } = body || {};
+
+        if (typeof username !== 'string' || typeof annotationId !== 'string') {
+            return JsonResponse(400, "username and annotationId are required.");
+        }
+        if (username === viewer.username) {
+            return JsonResponse(400, "You can't flag your own annotations.");
+        }
+
+        const annotation = await getAnnotation(username, annotationId);
+        if (!annotation) {
+            return JsonResponse(404, "Annotation not found.");
+        }
+        if (!await canView(annotation, viewer, createRoomMembership(dbClient, roomTable))) {
+            return JsonResponse(403, "You can't flag an annotation you can't see.");
+        }
+
+        const reason = `flagged by ${viewer.username}` + (body.reason ? `: ${String(body.reason).slice(0, MAX_REASON_LENGTH)}` : '');
+        const item = await addFlag(username, annotationId, viewer.username, reason);
+
+        const isHeldForReview = item.flaggedBy.SS.length >= FLAGS_FOR_REVIEW;
+        if (isHeldForReview && !(item.moderationStatus && item.moderationStatus.S === 'under-review')) {
+            await holdForReview(username, annotationId);
+        }
+
+        return JsonResponse(200, { message: "Annotation flagged for review.", annotationId: annotationId, heldForReview: isHeldForReview });
+    } catch (err) {
+        console.error(err);
+        if (err instanceof SyntaxError) {
+            return JsonResponse(400, "The request body must be JSON.");
+        }
+        if (err.name === 'ConditionalCheckFailedException') {
+            return JsonResponse(409, "Annotation removed or already flagged by the caller.");
+        }
+        return JsonResponse(500, "Error flagging annotation.");
+    }
+};
@@ -1,50 +1,53 @@
 import { DynamoDBClient, ScanCommand } from '@aws-sdk/client-dynamodb';
+import { canView, createRoomMembership, getViewer } from '/opt/nodejs/visibility.js';
+import { VISIBLE_FILTER, toAnnotation } from '/opt/nodejs/annotations.js';
+import { JsonResponse } from '/opt/nodejs/jsonResponse.js';
 
 const dbClient = new DynamoDBClient({});
 
 const annotationTable = process.env.TABLE_NAME;
+const roomTable = process.env.ROOM_TABLE_NAME;
 
-export const getAllAnnotations = async () => {
+export const getAllAnnotations = async (viewer) => {
+    const username = viewer.username;
+    const isRoomMember = createRoomMembership(dbClient, roomTable);
     let annotations = [];
     let lastEvaluatedKey = undefined;
 
     do {
         const params = {
             TableName: annotationTable,
+            FilterExpression: VISIBLE_FILTER,
+            ExpressionAttributeValues: {
+                ':visible': { S: 'visible' },
+                ':username': { S: username }
+            },
             ExclusiveStartKey: lastEvaluatedKey
         };
         console.log(params);
 
         const response = await dbClient.send(new ScanCommand(params));
         console.log(response);
-        annotations = annotations.concat(response.Items.map(item => {
-            return {
-                username: item.username.S,
-                position: parseVector3(item.position.S),
-                orientation: parseVector4(item.orientation.S),
-                type: item.annotationType.S
-            };
-        }));
+        // Visibility depends on group and room membership, which a filter expression can't check.
+        const visibleItems = [];
+        for (const item of response.Items) {
+            if (await canView(item, viewer, isRoomMember)) {
+                visibleItems.push(item);
+            }
+        }
+        annotations = annotations.concat(visibleItems.map(item => toAnnotation(item, username)));
         lastEvaluatedKey = response.LastEvaluatedKey;
     } while (lastEvaluatedKey);
 
     return annotations;
 };
 
-function parseVector3(vectorStr) {
-    const [x, y, z] = vectorStr.split(',').map(Number);
-    return { x, y, z };
-}
-
-function parseVector4(vectorStr) {
-    const [x, y, z, w] = vectorStr.split(',').map(Number);
-    return { x, y, z, w };
-}
-
 export const handler = async (event, context) => {
     try {
+        const viewer = getViewer(event.requestContext.authorizer.claims);
+
         // Call the function to get all annotations
-        const annotations = await getAllAnnotations();
+        const annotations = await getAllAnnotations(viewer);
 
         // Format the response
         const response = JsonResponse(200, annotations);
@@ -55,30 +58,3 @@ export const handler = async (event, context) => {
         return JsonResponse(500, "Error getting annotation info.");
     }
 };
-
-const JsonResponse = (statusCode, body, mime = 'application/json') => {
-    let response = {};
-    try {
-        response = {
-            'statusCode': statusCode,
-            'headers': {
-                'Content-Type': mime,
-                'Access-Control-Allow-Headers': 'Content-Type',
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Methods': 'OPTIONS,POST,GET, PUT'
-            },
-            'body': JSON.stringify(body)
-        }
-        return response;
-    } catch (error) {
-        console.log(error);
-        response = {
-            'statusCode': 401,
-            'headers': {
-                'Content-Type': 'application/json'
-            },
-            'body': "Check CloudWatch Logs for Response Error"
-        }
-        return response
-    }
-}
\ No newline at end of file
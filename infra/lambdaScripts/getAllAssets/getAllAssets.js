@@ -1,8 +1,16 @@
 import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 import { S3Client, ListObjectsV2Command, GetObjectCommand } from "@aws-sdk/client-s3";
+import { DynamoDBClient, BatchGetItemCommand } from "@aws-sdk/client-dynamodb";
+import { canView, createRoomMembership, getViewer } from "/opt/nodejs/visibility.js";
 
 const client = new S3Client({});
+const dbClient = new DynamoDBClient({});
 const bucketName = process.env.BUCKET_NAME;
+const annotationTable = process.env.TABLE_NAME;
+const roomTable = process.env.ROOM_TABLE_NAME;
+
+// BatchGetItem reads at most this many items per request.
+const MAX_BATCH_KEYS = 100;
 
 const getPresignedUrl = async (key, expires) => {
     try {
@@ -31,20 +39,91 @@ const extractUsername = (key) => {
     return parts.length > 1 ? parts[0] : 'unknown';
 };
 
-const listAndGenerateUrls = async (assetKey, expires) => {
-    try {
+// Keys are laid out as `${username}/${annotationId}/${fileName}`.
+const extractAnnotationId = (key) => {
+    const parts = key.split('/');
+    return parts.length > 2 ? parts[1] : null;
+};
+
+// Matches whole path segments at the end of the key, so 'sound.webm' doesn't match 'sound.webm.bak' or 'other-sound.webm'.
+const matchesAssetKey = (key, assetKey) => {
+    return key === assetKey || key.endsWith(`/${assetKey}`);
+};
+
+const listMatchingKeys = async (assetKey, prefix) => {
+    const keys = [];
+    let continuationToken = undefined;
+
+    do {
         const listParams = {
             Bucket: bucketName,
-            Prefix: ''
+            Prefix: prefix,
+            ContinuationToken: continuationToken
+        };
+        const response = await client.send(new ListObjectsV2Command(listParams));
+        const contents = response.Contents || [];
+
+        keys.push(...contents.map(item => item.Key).filter(key => matchesAssetKey(key, assetKey)));
+        continuationToken = response.NextContinuationToken;
+    } while (continuationToken);
+
+    return keys;
+};
+
+// Gets the annotation items with the given `${username}/${annotationId}` IDs, keyed the same way.
+const getAnnotationItems = async (ids) => {
+    const items = new Map();
+    for (let start = 0; start < ids.length; start += MAX_BATCH_KEYS) {
+        let requestItems = {
+            [annotationTable]: {
+                Keys: ids.slice(start, start + MAX_BATCH_KEYS).map(id => {
+                    const [username, annotationId] = id.split('/');
+                    return { username: { S: username }, annotationId: { S: annotationId } };
+                })
+            }
         };
-        const command = new ListObjectsV2Command(listParams);
-        const { Contents } = await client.send(command);
-
-        const matchingFiles = Contents.filter(item => item.Key.includes(assetKey));
-        const urls = await Promise.all(matchingFiles.map(async (file) => {
-            const url = await getPresignedUrl(file.Key, expires);
-            const username = extractUsername(file.Key);
-            return { username, url };
+
+        // Throttled keys come back unprocessed and are simply asked for again.
+        while (requestItems && Object.keys(requestItems).length > 0) {
+            const response = await dbClient.send(new BatchGetItemCommand({ RequestItems: requestItems }));
+            for (const item of (response.Responses || {})[annotationTable] || []) {
+                items.set(`${item.username.S}/${item.annotationId.S}`, item);
+            }
+            requestItems = response.UnprocessedKeys;
+        }
+    }
+    return items;
+};
+
+// Keeps the keys whose annotation the viewer can see in a listing, plus anything under the viewer's own prefix.
+const filterReadableKeys = async (keys, viewer) => {
+    const annotationKeys = keys.filter(key => key.split('/').length === 3 && extractUsername(key) !== viewer.username);
+    const ids = [...new Set(annotationKeys.map(key => `${extractUsername(key)}/${extractAnnotationId(key)}`))];
+    const items = await getAnnotationItems(ids);
+    const isRoomMember = createRoomMembership(dbClient, roomTable);
+
+    const readable = [];
+    for (const key of keys) {
+        if (extractUsername(key) === viewer.username) {
+            readable.push(key);
+            continue;
+        }
+        const item = key.split('/').length === 3 ? items.get(`${extractUsername(key)}/${extractAnnotationId(key)}`) : null;
+        if (item && (!item.moderationStatus || item.moderationStatus.S === 'visible') && await canView(item, viewer, isRoomMember)) {
+            readable.push(key);
+        }
+    }
+    return readable;
+};
+
+const listAndGenerateUrls = async (assetKey, prefix, expires, viewer) => {
+    try {
+        const matchingKeys = await filterReadableKeys(await listMatchingKeys(assetKey, prefix), viewer);
+        const urls = await Promise.all(matchingKeys.map(async (key) => {
+            const url = await getPresignedUrl(key, expires);
+            const username = extractUsername(key);
+            const annotationId = extractAnnotationId(key);
+            return { username, annotationId, url };
         }));
 
         return urls;
@@ -76,7 +155,11 @@ export const handler = async (event) => {
             return jsonResponse(400, { message: "Asset key parameter is required" });
         }
 
-        const urls = await listAndGenerateUrls(assetKey, expires);
+        // An optional prefix, e.g. a username, narrows the listing down.
+        const prefix = event.queryStringParameters.prefix || '';
+
+        const viewer = getViewer(event.requestContext.authorizer.claims);
+        const urls = await listAndGenerateUrls(assetKey, prefix, expires, viewer);
         return jsonResponse(200, { "pre_signed_urls": urls });
 
     } catch (error) {
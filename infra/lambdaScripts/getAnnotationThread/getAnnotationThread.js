@@ -0,0 +1,94 @@
+import { DynamoDBClient, GetItemCommand, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { canView, createRoomMembership, getViewer } from '/opt/nodejs/visibility.js';
+import { VISIBLE_FILTER, toAnnotation } from '/opt/nodejs/annotations.js';
+import { JsonResponse } from '/opt/nodejs/jsonResponse.js';
+
+const dbClient = new DynamoDBClient({});
+
+const annotationTable = process.env.TABLE_NAME;
+const roomTable = process.env.ROOM_TABLE_NAME;
+
+const isModerationVisible = (item, username) => {
+    return !item.moderationStatus || item.moderationStatus.S === 'visible' || item.username.S === username;
+};
+
+const getAnnotation = async (username, annotationId) => {
+    const data = await dbClient.send(new GetItemCommand({
+        TableName: annotationTable,
+        Key: {
+            username: { S: username },
+            annotationId: { S: annotationId }
+        }
+    }));
+    return data.Item || null;
+};
+
+/**
+ * Lists the replies to an annotation the viewer can see, oldest first.
+ */
+export const getReplies = async (annotationId, viewer) => {
+    const username = viewer.username;
+    const isRoomMember = createRoomMembership(dbClient, roomTable);
+    let replies = [];
+    let lastEvaluatedKey = undefined;
+
+    do {
+        const params = {
+            TableName: annotationTable,
+            IndexName: 'threadIndex',
+            KeyConditionExpression: 'parentAnnotationId = :annotationId',
+            FilterExpression: VISIBLE_FILTER,
+            ExpressionAttributeValues: {
+                ':annotationId': { S: annotationId },
+                ':visible': { S: 'visible' },
+                ':username': { S: username }
+            },
+            ScanIndexForward: true,
+            ExclusiveStartKey: lastEvaluatedKey
+        };
+
+        const response = await dbClient.send(new QueryCommand(params));
+        // Visibility depends on group and room membership, which a filter expression can't check.
+        for (const item of response.Items) {
+            if (await canView(item, viewer, isRoomMember)) {
+                replies.push(toAnnotation(item, username));
+            }
+        }
+        lastEvaluatedKey = response.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return replies;
+};
+
+/**
+ * Gets an annotation with its replies in the order they are played. Asking for a reply gets the
+ * whole thread it belongs to.
+ */
+export const handler = async (event, context) => {
+    try {
+        const viewer = getViewer(event.requestContext.authorizer.claims);
+        const query = event.queryStringParameters || {};
+
+        if (!query.username || !query.annotationId) {
+            return JsonResponse(400, "username and annotationId are required.");
+        }
+
+        let item = await getAnnotation(query.username, query.annotationId);
+        if (item && item.parentAnnotationId) {
+            item = await getAnnotation(item.parentUsername.S, item.parentAnnotationId.S);
+        }
+        if (!item || !isModerationVisible(item, viewer.username)) {
+            return JsonResponse(404, "Annotation not found.");
+        }
+        if (!await canView(item, viewer, createRoomMembership(dbClient, roomTable))) {
+            return JsonResponse(403, "You don't have access to this annotation.");
+        }
+
+        const replies = await getReplies(item.annotationId.S, viewer);
+
+        return JsonResponse(200, { annotation: toAnnotation(item, viewer.username), replies: replies });
+    } catch (err) {
+        console.error(err);
+        return JsonResponse(500, "Error getting annotation thread.");
+    }
+};
@@ -0,0 +1,98 @@
+import { DynamoDBClient, GetItemCommand } from '@aws-sdk/client-dynamodb';
+import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { AUDIO_FILE, TRANSCRIPT_FILE, buildHistory, listFileVersions } from '/opt/nodejs/versions.js';
+import { JsonResponse } from '/opt/nodejs/jsonResponse.js';
+import { parseExpires } from '/opt/nodejs/expires.js';
+
+const dbClient = new DynamoDBClient({});
+const s3Client = new S3Client({});
+
+const annotationTable = process.env.TABLE_NAME;
+const bucketName = process.env.BUCKET_NAME;
+
+const AUDIO_RENDITIONS = ['webm', 'm4a'];
+const DEFAULT_EXPIRES_SECONDS = 3600;
+
+const annotationExists = async (username, annotationId) => {
+    const data = await dbClient.send(new GetItemCommand({
+        TableName: annotationTable,
+        Key: {
+            username: { S: username },
+            annotationId: { S: annotationId }
+        }
+    }));
+    return Boolean(data.Item);
+};
+
+const getText = async (key, versionId) => {
+    const response = await s3Client.send(new GetObjectCommand({ Bucket: bucketName, Key: key, VersionId: versionId }));
+    return response.Body.transformToString();
+};
+
+/**
+ * Lists the takes and transcripts of an annotation, newest first, with what the owner needs to preview them:
+ * a pre-signed URL for each take's audio in the requested rendition and the text of each transcript.
+ */
+const getVersions = async (username, annotationId, rendition, expires) => {
+    const prefix = `${username}/${annotationId}/`;
+    const history = buildHistory(await listFileVersions(s3Client, bucketName, prefix));
+    const audioFile = `sound.${rendition}`;
+
+    const takes = await Promise.all(history.takes.map(async (take) => {
+        const versionId = audioFile === AUDIO_FILE ? take.versionId : take.renditions[audioFile];
+        const audioUrl = versionId
+            ? await getSignedUrl(s3Client, new GetObjectCommand({ Bucket: bucketName, Key: prefix + audioFile, VersionId: versionId }), { expiresIn: expires })
+            : null;
+        return {
+            versionId: take.versionId,
+            recordedAt: take.recordedAt,
+            isCurrent: take.isCurrent,
+            audioUrl: audioUrl,
+            transcriptVersionId: take.transcriptVersionId
+        };
+    }));
+
+    const transcripts = await Promise.all(history.transcripts.map(async (transcript) => {
+        return {
+            versionId: transcript.versionId,
+            updatedAt: transcript.updatedAt,
+            isCurrent: transcript.isCurrent,
+            text: await getText(prefix + TRANSCRIPT_FILE, transcript.versionId),
+            hasCaptions: transcript.captionsVersionId !== null
+        };
+    }));
+
+    return { annotationId, takes, transcripts };
+};
+
+export const handler = async (event, context) => {
+    try {
+        const username = event.requestContext.authorizer.claims['cognito:username'];
+        const query = event.queryStringParameters || {};
+        const annotationId = query.annotationId;
+
+        if (!annotationId) {
+            return JsonResponse(400, "annotationId parameter is required.");
+        }
+
+        const rendition = query.rendition || AUDIO_RENDITIONS[0];
+        if (!AUDIO_RENDITIONS.includes(rendition)) {
+            return JsonResponse(400, `rendition must be one of ${AUDIO_RENDITIONS.join(', ')}.`);
+        }
+        const expires = parseExpires(query.expires, DEFAULT_EXPIRES_SECONDS);
+        if (expires === null) {
+            return JsonResponse(400, "expires must be a whole number of seconds.");
+        }
+
+        // Only the owner gets to see earlier takes, which may have been replaced for a reason.
+        if (!(await annotationExists(username, annotationId))) {
+            return JsonResponse(403, "Annotation not found or not owned by the caller.");
+        }
+
+        return JsonResponse(200, await getVersions(username, annotationId, rendition, expires));
+    } catch (err) {
+        console.error(err);
+        return JsonResponse(500, "Error getting annotation versions.");
+    }
+};
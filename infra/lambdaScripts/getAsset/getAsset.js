@@ -1,13 +1,48 @@
 import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
+import { parseExpires } from "/opt/nodejs/expires.js";
+import { DynamoDBClient, GetItemCommand } from "@aws-sdk/client-dynamodb";
+import { canView, createRoomMembership, getViewer } from "/opt/nodejs/visibility.js";
 
 const client = new S3Client({});
+const dbClient = new DynamoDBClient({});
 const bucketName = process.env.BUCKET_NAME;
+const annotationTable = process.env.TABLE_NAME;
+const roomTable = process.env.ROOM_TABLE_NAME;
+
+/**
+ * Keys are laid out as `${username}/${annotationId}/${fileName}`, and files can be read by whoever can see
+ * their annotation in a listing. Anything else can only be read under the caller's own prefix.
+ */
+const canReadKey = async (key, viewer) => {
+    const parts = key.split('/');
+    if (parts[0] === viewer.username) {
+        return true;
+    }
+    if (parts.length !== 3) {
+        return false;
+    }
+
+    const data = await dbClient.send(new GetItemCommand({
+        TableName: annotationTable,
+        Key: {
+            username: { S: parts[0] },
+            annotationId: { S: parts[1] }
+        }
+    }));
+    const item = data.Item;
+    if (!item || (item.moderationStatus && item.moderationStatus.S !== 'visible')) {
+        return false;
+    }
+    return canView(item, viewer, createRoomMembership(dbClient, roomTable));
+};
+
+const DEFAULT_EXPIRES_SECONDS = 3600;
 
 const getPresignedUrl = async (key, expires) => {
     try {
         let expirationDate = Date.now();
-        expirationDate += expires ? expires * 1000 : 900 * 1000; // default is 15 minutes
+        expirationDate += expires * 1000;
 
         expirationDate = new Date(expirationDate);
         const params = {
@@ -17,10 +52,10 @@ const getPresignedUrl = async (key, expires) => {
         };
 
         console.log('Parameters:', JSON.stringify(params));
-        console.log('Expires In:', expires ? expires : 900);
+        console.log('Expires In:', expires);
 
         const command = new GetObjectCommand(params);
-        const signedUrl = await getSignedUrl(client, command, { expiresIn: expires ? expires : 3600 });
+        const signedUrl = await getSignedUrl(client, command, { expiresIn: expires });
 
         console.log('Signed URL:', signedUrl);
         return signedUrl;
@@ -53,11 +88,18 @@ export const handler = async (event) => {
 
     try {
         const key = event.queryStringParameters.assetKey;
-        const expires = event.queryStringParameters.expires;
+        const expires = parseExpires(event.queryStringParameters.expires, DEFAULT_EXPIRES_SECONDS);
 
         if (!key) {
             return jsonResponse(400, { message: "Key parameter is required" });
         }
+        if (expires === null) {
+            return jsonResponse(400, { message: "expires must be a whole number of seconds" });
+        }
+
+        if (!(await canReadKey(key, getViewer(event.requestContext.authorizer.claims)))) {
+            return jsonResponse(403, { message: "You don't have access to this asset" });
+        }
 
         const psUrl = await getPresignedUrl(key, expires);
         console.log('ps_url:', psUrl);
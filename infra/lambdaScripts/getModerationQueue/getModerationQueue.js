@@ -0,0 +1,77 @@
+import { DynamoDBClient, ScanCommand } from '@aws-sdk/client-dynamodb';
+import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
+import { JsonResponse } from '/opt/nodejs/jsonResponse.js';
+import { isModerator } from '/opt/nodejs/moderation.js';
+import { toAnnotation } from '/opt/nodejs/annotations.js';
+
+const dbClient = new DynamoDBClient({});
+const s3Client = new S3Client({});
+
+const annotationTable = process.env.TABLE_NAME;
+const bucketName = process.env.BUCKET_NAME;
+
+const getTranscript = async (username, annotationId) => {
+    try {
+        const response = await s3Client.send(new GetObjectCommand({
+            Bucket: bucketName,
+            Key: `${username}/${annotationId}/sound.txt`
+        }));
+        return await response.Body.transformToString();
+    } catch (error) {
+        if (error.name === 'NoSuchKey') {
+            return null;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Lists the annotations held for review, with their transcripts.
+ * @param {string} moderator   The username of the moderator asking
+ */
+export const getModerationQueue = async (moderator) => {
+    let annotations = [];
+    let lastEvaluatedKey = undefined;
+
+    do {
+        const params = {
+            TableName: annotationTable,
+            FilterExpression: 'moderationStatus = :underReview',
+            ExpressionAttributeValues: {
+                ':underReview': { S: 'under-review' }
+            },
+            ExclusiveStartKey: lastEvaluatedKey
+        };
+
+        const response = await dbClient.send(new ScanCommand(params));
+        // The listing format carries the typed text and model name, which are moderated as well.
+        annotations = annotations.concat(response.Items.map(item => {
+            return {
+                ...toAnnotation(item, moderator),
+                moderationReasons: item.moderationReasons ? item.moderationReasons.L.map(reason => reason.S) : [],
+                flaggedBy: item.flaggedBy ? item.flaggedBy.SS : []
+            };
+        }));
+        lastEvaluatedKey = response.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    // Moderators review the transcript, so it is sent along instead of making them fetch each one.
+    return Promise.all(annotations.map(async annotation => {
+        return { ...annotation, transcript: await getTranscript(annotation.username, annotation.annotationId) };
+    }));
+};
+
+export const handler = async (event, context) => {
+    try {
+        if (!isModerator(event.requestContext.authorizer.claims)) {
+            return JsonResponse(403, "Only moderators can review flagged annotations.");
+        }
+
+        const annotations = await getModerationQueue(event.requestContext.authorizer.claims['cognito:username']);
+
+        return JsonResponse(200, annotations);
+    } catch (err) {
+        console.error(err);
+        return JsonResponse(500, "Error getting the moderation queue.");
+    }
+};
@@ -0,0 +1,44 @@
+import { DynamoDBClient, GetItemCommand } from "@aws-sdk/client-dynamodb";
+import { JsonResponse } from "/opt/nodejs/jsonResponse.js";
+
+const dbClient = new DynamoDBClient({});
+
+const roomTable = process.env.ROOM_TABLE_NAME;
+
+/**
+ * Gets a room, so that another device can join it and align itself to the room's plane signature or
+ * reference markers.
+ * Only members of the room can get it.
+ */
+export const handler = async (event, context) => {
+    try {
+        const username = event.requestContext.authorizer.claims['cognito:username'];
+        const roomId = event.pathParameters.roomId;
+
+        const params = {
+            TableName: roomTable,
+            Key: {
+                roomId: { S: roomId }
+            }
+        };
+        const response = await dbClient.send(new GetItemCommand(params));
+        const item = response.Item;
+        const members = item && item.members ? item.members.SS : [];
+        if (!item || !members.includes(username)) {
+            return JsonResponse(404, "Room not found or the caller isn't a member.");
+        }
+
+        return JsonResponse(200, {
+            roomId: item.roomId.S,
+            name: item.name.S,
+            owner: item.owner.S,
+            members: members,
+            createdAt: item.createdAt.S,
+            planeSignature: item.planeSignature ? JSON.parse(item.planeSignature.S) : null,
+            referenceMarkers: item.referenceMarkers ? JSON.parse(item.referenceMarkers.S) : null
+        });
+    } catch (err) {
+        console.error(err);
+        return JsonResponse(500, "Error getting room data.");
+    }
+};
@@ -0,0 +1,93 @@
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { S3Client, GetObjectCommand, ListObjectsV2Command } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { getViewer } from '/opt/nodejs/visibility.js';
+import { queryRoomAnnotations } from '/opt/nodejs/annotations.js';
+import { JsonResponse } from '/opt/nodejs/jsonResponse.js';
+import { parseExpires } from '/opt/nodejs/expires.js';
+
+const dbClient = new DynamoDBClient({});
+const s3Client = new S3Client({});
+
+const annotationTable = process.env.TABLE_NAME;
+const roomTable = process.env.ROOM_TABLE_NAME;
+const bucketName = process.env.BUCKET_NAME;
+
+const AUDIO_RENDITIONS = ['webm', 'm4a'];
+const DEFAULT_EXPIRES_SECONDS = 3600;
+
+// Lists the file names stored under `${username}/${annotationId}/`.
+const listAnnotationFiles = async (prefix) => {
+    const fileNames = [];
+    let continuationToken = undefined;
+
+    do {
+        const response = await s3Client.send(new ListObjectsV2Command({
+            Bucket: bucketName,
+            Prefix: prefix,
+            ContinuationToken: continuationToken
+        }));
+        fileNames.push(...(response.Contents || []).map(item => item.Key.slice(prefix.length)));
+        continuationToken = response.NextContinuationToken;
+    } while (continuationToken);
+
+    return fileNames;
+};
+
+const getText = async (key) => {
+    const response = await s3Client.send(new GetObjectCommand({ Bucket: bucketName, Key: key }));
+    return response.Body.transformToString();
+};
+
+/**
+ * Adds everything needed to show and play an annotation to its metadata. URLs and the transcript are null
+ * for files that don't exist (yet), e.g. while the recording is still being processed or transcribed.
+ */
+const buildBundle = async (annotation, rendition, expires) => {
+    const prefix = `${annotation.username}/${annotation.annotationId}/`;
+    const fileNames = await listAnnotationFiles(prefix);
+
+    const getUrl = async (fileName) => {
+        if (!fileNames.includes(fileName)) {
+            return null;
+        }
+        return getSignedUrl(s3Client, new GetObjectCommand({ Bucket: bucketName, Key: prefix + fileName }), { expiresIn: expires });
+    };
+
+    return {
+        ...annotation,
+        audioUrl: await getUrl(`sound.${rendition}`),
+        transcriptUrl: await getUrl('sound.txt'),
+        transcript: fileNames.includes('sound.txt') ? await getText(`${prefix}sound.txt`) : null,
+        captionsUrl: await getUrl('sound.vtt'),
+        peaksUrl: await getUrl('sound.peaks.json'),
+        sketchUrl: await getUrl('sketch.json'),
+        imageUrl: await getUrl('image.png'),
+        speechUrl: await getUrl('speech.mp3')
+    };
+};
+
+export const handler = async (event, context) => {
+    try {
+        const roomId = event.pathParameters.roomId;
+        const viewer = getViewer(event.requestContext.authorizer.claims);
+        const query = event.queryStringParameters || {};
+
+        const rendition = query.rendition || AUDIO_RENDITIONS[0];
+        if (!AUDIO_RENDITIONS.includes(rendition)) {
+            return JsonResponse(400, `rendition must be one of ${AUDIO_RENDITIONS.join(', ')}.`);
+        }
+        const expires = parseExpires(query.expires, DEFAULT_EXPIRES_SECONDS);
+        if (expires === null) {
+            return JsonResponse(400, "expires must be a whole number of seconds.");
+        }
+
+        const annotations = await queryRoomAnnotations(dbClient, { annotationTable, roomTable }, roomId, viewer);
+        const bundles = await Promise.all(annotations.map(annotation => buildBundle(annotation, rendition, expires)));
+
+        return JsonResponse(200, bundles);
+    } catch (err) {
+        console.error(err);
+        return JsonResponse(500, "Error getting annotation bundles.");
+    }
+};
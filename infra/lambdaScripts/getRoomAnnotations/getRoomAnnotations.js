@@ -0,0 +1,31 @@
+import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
+import { getViewer } from '/opt/nodejs/visibility.js';
+import { queryRoomAnnotations } from '/opt/nodejs/annotations.js';
+import { JsonResponse } from '/opt/nodejs/jsonResponse.js';
+
+const dbClient = new DynamoDBClient({});
+
+const annotationTable = process.env.TABLE_NAME;
+const roomTable = process.env.ROOM_TABLE_NAME;
+
+export const getRoomAnnotations = async (roomId, viewer) => {
+    return queryRoomAnnotations(dbClient, { annotationTable, roomTable }, roomId, viewer);
+};
+
+export const handler = async (event, context) => {
+    try {
+        const roomId = event.pathParameters.roomId;
+        const viewer = getViewer(event.requestContext.authorizer.claims);
+
+        // Call the function to get the room's annotations
+        const annotations = await getRoomAnnotations(roomId, viewer);
+
+        // Format the response
+        const response = JsonResponse(200, annotations);
+
+        return response;
+    } catch (err) {
+        console.error(err);
+        return JsonResponse(500, "Error getting annotation info.");
+    }
+};
@@ -1,4 +1,6 @@
 import { DynamoDBClient, QueryCommand } from '@aws-sdk/client-dynamodb';
+import { toAnnotation } from '/opt/nodejs/annotations.js';
+import { JsonResponse } from '/opt/nodejs/jsonResponse.js';
 
 const dbClient = new DynamoDBClient({});
 
@@ -22,14 +24,7 @@ export const getUserAnnotations = async (username) => {
 
             const response = await dbClient.send(new QueryCommand(params));
             console.log(response);
-            annotations = annotations.concat(response.Items.map(item => {
-                return {
-                    username: item.username.S,
-                    position: parseVector3(item.position.S),
-                    orientation: parseVector4(item.orientation.S),
-                    type: item.type.S
-                };
-            }));
+            annotations = annotations.concat(response.Items.map(item => toAnnotation(item, username)));
             lastEvaluatedKey = response.LastEvaluatedKey;
         } while (lastEvaluatedKey);
     } catch (err) {
@@ -40,16 +35,6 @@ export const getUserAnnotations = async (username) => {
     return annotations;
 };
 
-function parseVector3(vectorStr) {
-    const [x, y, z] = vectorStr.split(',').map(Number);
-    return { x, y, z };
-}
-
-function parseVector4(vectorStr) {
-    const [x, y, z, w] = vectorStr.split(',').map(Number);
-    return { x, y, z, w };
-}
-
 export const handler = async (event, context) => {
     try {
         const username = event.requestContext.authorizer.claims['cognito:username'];
@@ -68,30 +53,3 @@ export const handler = async (event, context) => {
         return JsonResponse(500, "Error getting player info.");
     }
 };
-
-const JsonResponse = (statusCode, body, mime = 'application/json') => {
-    let response = {};
-    try {
-        response = {
-            'statusCode': statusCode,
-            'headers': {
-                'Content-Type': mime,
-                'Access-Control-Allow-Headers': 'Content-Type',
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Methods': 'OPTIONS,POST,GET, PUT'
-            },
-            'body': JSON.stringify(body)
-        }
-        return response;
-    } catch (error) {
-        console.log(error);
-        response = {
-            'statusCode': 401,
-            'headers': {
-                'Content-Type': 'application/json'
-            },
-            'body': "Check CloudWatch Logs for Response Error"
-        }
-        return response
-    }
-}
\ No newline at end of file
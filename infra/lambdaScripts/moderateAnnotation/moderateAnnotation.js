@@ -0,0 +1,63 @@
+import { DynamoDBClient, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { JsonResponse } from "/opt/nodejs/jsonResponse.js";
+import { isModerator } from "/opt/nodejs/moderation.js";
+
+const dbClient = new DynamoDBClient({});
+
+const annotationTable = process.env.TABLE_NAME;
+
+// Approving clears the flags, so the annotation can be flagged again if it turns out to be a problem after all.
+// Removed annotations stay in the table as hidden, their owner can still see and delete them.
+const ACTIONS = {
+    approve: {
+        moderationStatus: 'visible',
+        updateExpression: 'SET moderationStatus = :moderationStatus, moderatedBy = :moderatedBy, moderatedAt = :moderatedAt REMOVE moderationReasons, flaggedBy'
+    },
+    remove: {
+        moderationStatus: 'hidden',
+        updateExpression: 'SET moderationStatus = :moderationStatus, moderatedBy = :moderatedBy, moderatedAt = :moderatedAt'
+    }
+};
+
+export const handler = async (event, context) => {
+    try {
+        const body = JSON.parse(event.body || '{}') || {};
+        const claims = event.requestContext.authorizer.claims;
+        if (!isModerator(claims)) {
+            return JsonResponse(403, "Only moderators can approve or remove annotations.");
+        }
+
+        const { username, annotationId } = body;
+        const action = ACTIONS[body.action];
+        if (!username || !annotationId || !action) {
+            return JsonResponse(400, "username, annotationId and an action of 'approve' or 'remove' are required.");
+        }
+
+        const params = {
+            TableName: annotationTable,
+            Key: {
+                username: { S: username },
+                annotationId: { S: annotationId }
+            },
+            ConditionExpression: 'attribute_exists(annotationId)',
+            UpdateExpression: action.updateExpression,
+            ExpressionAttributeValues: {
+                ':moderationStatus': { S: action.moderationStatus },
+                ':moderatedBy': { S: claims['cognito:username'] },
+                ':moderatedAt': { S: new Date().toISOString() }
+            }
+        };
+        await dbClient.send(new UpdateItemCommand(params));
+
+        return JsonResponse(200, { message: "Annotation moderated.", annotationId: annotationId, moderationStatus: action.moderationStatus });
+    } catch (err) {
+        console.error(err);
+        if (err instanceof SyntaxError) {
+            return JsonResponse(400, "The request body must be JSON.");
+        }
+        if (err.name === 'ConditionalCheckFailedException') {
+            return JsonResponse(404, "Annotation not found.");
+        }
+        return JsonResponse(500, "Error moderating annotation.");
+    }
+};
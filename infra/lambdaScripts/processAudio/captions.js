@@ -0,0 +1,65 @@
+const MAX_WORDS_PER_CUE = 8;
+const MAX_GAP_SECONDS = 1;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Formats seconds as a WebVTT timestamp, HH:MM:SS.mmm
+export const formatTimestamp = (seconds) => {
+    const totalMilliseconds = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMilliseconds / 3600000);
+    const minutes = Math.floor(totalMilliseconds / 60000) % 60;
+    const secs = Math.floor(totalMilliseconds / 1000) % 60;
+    const milliseconds = totalMilliseconds % 1000;
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(milliseconds, 3)}`;
+};
+
+/**
+ * Groups the word items of a Transcribe result into caption cues. A new cue starts after
+ * MAX_WORDS_PER_CUE words or a pause longer than MAX_GAP_SECONDS; punctuation sticks to the previous word.
+ */
+export const buildCues = (items) => {
+    const cues = [];
+    let currentCue = null;
+
+    for (const item of items) {
+        const content = item.alternatives[0].content;
+
+        if (item.type === 'punctuation') {
+            if (currentCue) {
+                currentCue.words[currentCue.words.length - 1].text += content;
+            }
+            continue;
+        }
+
+        const start = parseFloat(item.start_time);
+        const end = parseFloat(item.end_time);
+        if (!currentCue || currentCue.words.length >= MAX_WORDS_PER_CUE || start - currentCue.end > MAX_GAP_SECONDS) {
+            currentCue = { start: start, end: end, words: [] };
+            cues.push(currentCue);
+        }
+        currentCue.words.push({ start: start, end: end, text: content });
+        currentCue.end = end;
+    }
+
+    return cues;
+};
+
+/**
+ * Builds a WebVTT file from a Transcribe result. Each word after the first in a cue is preceded by
+ * an inline timestamp, so players can reveal or highlight words as they are spoken.
+ */
+export const buildWebVtt = (result) => {
+    const cues = buildCues(result.results.items || []);
+    const lines = ['WEBVTT', ''];
+
+    cues.forEach((cue, index) => {
+        lines.push(String(index + 1));
+        lines.push(`${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}`);
+        lines.push(cue.words.map((word, wordIndex) => {
+            return wordIndex === 0 ? word.text : `<${formatTimestamp(word.start)}>${word.text}`;
+        }).join(' '));
+        lines.push('');
+    });
+
+    return lines.join('\n');
+};
@@ -1,68 +1,211 @@
-import { S3Client, GetObjectCommand, PutObjectCommand } from "@aws-sdk/client-s3";
-import { TranscribeClient, StartTranscriptionJobCommand, GetTranscriptionJobCommand } from "@aws-sdk/client-transcribe";
+import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
+import { DynamoDBClient, GetItemCommand, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { awsTranscriptionProvider } from "./transcriptionProvider.js";
+import { buildWebVtt } from "./captions.js";
+import { blocklistClassifier } from "/opt/nodejs/moderation.js";
 
 const s3Client = new S3Client({});
-const transcribeClient = new TranscribeClient({});
+const dbClient = new DynamoDBClient({});
 
-async function fetchTranscription(resultLocation) {
-    try {
-        const response = await fetch(resultLocation);
-        const transcriptionResult = await response.json();
+const annotationTable = process.env.TABLE_NAME;
+
+export const TranscriptStatus = {
+    pending: 'pending',
+    processing: 'processing',
+    complete: 'complete',
+    failed: 'failed'
+}
 
-        // Extract the transcribed text
-        const text = transcriptionResult.results.transcripts[0].transcript;
+// Recordings are stored as `${username}/${annotationId}/sound.webm`.
+const parseRecordingKey = (key) => {
+    const parts = key.split('/');
+    if (parts.length !== 3) {
+        return null;
+    }
+    return { username: parts[0], annotationId: parts[1] };
+};
 
-        // You can now use `serializedText` as needed
-        console.log(text);
+// Returns the language the recorder asked for, or undefined to let the provider identify it.
+const getPreferredLanguage = async (username, annotationId) => {
+    const data = await dbClient.send(new GetItemCommand({
+        TableName: annotationTable,
+        Key: {
+            username: { S: username },
+            annotationId: { S: annotationId }
+        }
+    }));
+    const preferredLanguage = data.Item && data.Item.preferredLanguage ? data.Item.preferredLanguage.S : 'auto';
+    return preferredLanguage === 'auto' ? undefined : preferredLanguage;
+};
 
-        return text; // Return the serialized text if needed elsewhere
+const setTranscriptStatus = async (username, annotationId, status, language) => {
+    const values = {
+        ':transcriptStatus': { S: status }
+    };
+    if (language) {
+        values[':language'] = { S: language };
+    }
+
+    try {
+        await dbClient.send(new UpdateItemCommand({
+            TableName: annotationTable,
+            Key: {
+                username: { S: username },
+                annotationId: { S: annotationId }
+            },
+            ConditionExpression: 'attribute_exists(annotationId)',
+            // Why processUpload gave up on an earlier recording no longer applies to one that reached transcription.
+            UpdateExpression: (language ? 'SET transcriptStatus = :transcriptStatus, #language = :language' : 'SET transcriptStatus = :transcriptStatus') +
+                ' REMOVE transcriptFailureReason',
+            ExpressionAttributeNames: language ? { '#language': 'language' } : undefined,
+            ExpressionAttributeValues: values
+        }));
     } catch (error) {
-        console.error('Error fetching transcription result:', error);
-        throw error;
+        // A recording without a matching annotation record has nothing to track.
+        if (error.name !== 'ConditionalCheckFailedException') {
+            throw error;
+        }
     }
+};
+
+export const ModerationStatus = {
+    visible: 'visible',
+    underReview: 'under-review',
+    hidden: 'hidden'
 }
 
-export const handler = async (event) => {
+// Takes the annotation out of listings until a moderator approves it. Hidden annotations stay hidden.
+const flagForReview = async (username, annotationId, reasons) => {
+    try {
+        await dbClient.send(new UpdateItemCommand({
+            TableName: annotationTable,
+            Key: {
+                username: { S: username },
+                annotationId: { S: annotationId }
+            },
+            ConditionExpression: 'attribute_exists(annotationId) AND (attribute_not_exists(moderationStatus) OR moderationStatus <> :hidden)',
+            UpdateExpression: 'SET moderationStatus = :underReview, moderationReasons = list_append(if_not_exists(moderationReasons, :noReasons), :reasons)',
+            ExpressionAttributeValues: {
+                ':hidden': { S: ModerationStatus.hidden },
+                ':underReview': { S: ModerationStatus.underReview },
+                ':noReasons': { L: [] },
+                ':reasons': { L: reasons.map(reason => ({ S: reason })) }
+            }
+        }));
+    } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') {
+            throw error;
+        }
+    }
+};
+
+const startTranscription = async (bucketName, key, provider) => {
+    const recording = parseRecordingKey(key);
+    if (!recording) {
+        console.log(`Skipping ${key}, it is not an annotation recording`);
+        return;
+    }
+
+    // Job names only allow [0-9a-zA-Z._-], so the annotation is identified through the tags.
+    const jobName = `Transcription_${recording.annotationId}_${Date.now()}`;
+    const outputKey = key.replace('.webm', '.transcript.json');
+
     try {
+        const languageCode = await getPreferredLanguage(recording.username, recording.annotationId);
+        await provider.startJob({
+            jobName: jobName,
+            mediaUri: `s3://${bucketName}/${key}`,
+            mediaFormat: 'webm',
+            languageCode: languageCode,
+            outputBucket: bucketName,
+            outputKey: outputKey,
+            tags: {
+                username: recording.username,
+                annotationId: recording.annotationId,
+                outputBucket: bucketName,
+                outputKey: outputKey,
+                textKey: key.replace('.webm', '.txt'),
+                captionsKey: key.replace('.webm', '.vtt')
+            }
+        });
+    } catch (error) {
+        console.error('Error starting transcription job:', error);
+        await setTranscriptStatus(recording.username, recording.annotationId, TranscriptStatus.failed);
+        return;
+    }
+
+    await setTranscriptStatus(recording.username, recording.annotationId, TranscriptStatus.processing);
+    return jobName;
+};
+
+const completeTranscription = async (jobName, provider, classifier) => {
+    const job = await provider.getJob(jobName);
+    const { username, annotationId, outputBucket, textKey, captionsKey } = job.tags;
+    if (!annotationId) {
+        console.log(`Skipping transcription job ${jobName}, it is not for an annotation`);
+        return;
+    }
+
+    if (job.status !== 'COMPLETED') {
+        console.error(`Transcription job ${jobName} failed:`, job.failureReason);
+        await setTranscriptStatus(username, annotationId, TranscriptStatus.failed);
+        return;
+    }
+
+    // Extract the transcribed text
+    const text = job.result.results.transcripts[0].transcript;
+
+    await s3Client.send(new PutObjectCommand({
+        Bucket: outputBucket,
+        Key: textKey,
+        Body: text
+    }));
+
+    // Keep the word timings as captions next to the plain transcript
+    await s3Client.send(new PutObjectCommand({
+        Bucket: outputBucket,
+        Key: captionsKey,
+        Body: buildWebVtt(job.result),
+        ContentType: 'text/vtt'
+    }));
+
+    // Moderated before the transcript is marked complete, which is when clients stop watching the annotation.
+    const moderation = await classifier.classify(text);
+    if (moderation.flagged) {
+        console.log(`Flagging annotation ${annotationId} for review:`, moderation.reasons);
+        await flagForReview(username, annotationId, moderation.reasons);
+    }
+
+    await setTranscriptStatus(username, annotationId, TranscriptStatus.complete, job.languageCode);
+};
+
+/**
+ * Handles both halves of the pipeline: S3 uploads of .webm recordings start a transcription job,
+ * and the "Transcribe Job State Change" event for that job stores the transcript and runs it past the
+ * moderation classifier. The provider is swappable so that the flow can be run locally against a fake
+ * transcription service, and so is the classifier (see moderation.js).
+ */
+export const handleEvent = async (event, provider, classifier = blocklistClassifier) => {
+    try {
+        if (event['detail-type'] === 'Transcribe Job State Change') {
+            await completeTranscription(event.detail.TranscriptionJobName, provider, classifier);
+            return;
+        }
+
+        const jobNames = [];
         for (const record of event.Records) {
-            if (record.s3.object.key.endsWith('.webm')) {
-                const transcriptionJobName = `Transcription_${Date.now()}`;
-                const fileUri = `s3://${record.s3.bucket.name}/${record.s3.object.key}`;
-
-                // Start Transcription Job
-                await transcribeClient.send(new StartTranscriptionJobCommand({
-                    TranscriptionJobName: transcriptionJobName,
-                    Media: { MediaFileUri: fileUri },
-                    MediaFormat: 'webm',
-                    LanguageCode: 'en-US'
-                }));
-
-                // Wait for Transcription Job to Complete
-                let status, data;
-                do {
-                    await new Promise(resolve => setTimeout(resolve, 5000));
-                    data = await transcribeClient.send(new GetTranscriptionJobCommand({ TranscriptionJobName: transcriptionJobName }));
-                    status = data.TranscriptionJob.TranscriptionJobStatus;
-                } while (status === 'IN_PROGRESS');
-
-                // Fetch Transcription Result
-                if (status === 'COMPLETED') {
-                    const resultLocation = data.TranscriptionJob.Transcript.TranscriptFileUri;
-                    const text = await fetchTranscription(resultLocation);
-
-                    // Assuming the response is a readable stream
-                    const textKey = record.s3.object.key.replace('.webm', '.txt');
-
-                    await s3Client.send(new PutObjectCommand({
-                        Bucket: record.s3.bucket.name,
-                        Key: textKey,
-                        Body: text
-                    }));
-                }
+            const key = decodeURIComponent(record.s3.object.key.replace(/\+/g, ' '));
+            if (key.endsWith('.webm')) {
+                jobNames.push(await startTranscription(record.s3.bucket.name, key, provider));
             }
         }
+        return jobNames;
     } catch (error) {
         console.error('Error processing file:', error);
         throw error;
     }
-};
\ No newline at end of file
+};
+
+export const handler = async (event) => {
+    return handleEvent(event, awsTranscriptionProvider);
+};
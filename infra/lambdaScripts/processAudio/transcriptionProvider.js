@@ -0,0 +1,118 @@
+import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
+import { TranscribeClient, StartTranscriptionJobCommand, GetTranscriptionJobCommand } from "@aws-sdk/client-transcribe";
+
+/**
+ * A transcription provider starts jobs and reports on them once they have finished:
+ *
+ *   startJob({ jobName, mediaUri, mediaFormat, languageCode, outputBucket, outputKey, tags }) -> Promise<void>
+ *   getJob(jobName) -> Promise<{ status, tags, languageCode, result, failureReason }>
+ *
+ * Without a `languageCode` the provider identifies the spoken language itself and getJob reports it.
+ * `status` is 'COMPLETED', 'FAILED' or 'IN_PROGRESS', `tags` is a plain object and `result` is the
+ * parsed Transcribe result JSON (only set for completed jobs). Completion is never awaited here; the
+ * handler is invoked again with a "Transcribe Job State Change" event when a job finishes.
+ */
+
+const s3Client = new S3Client({});
+const transcribeClient = new TranscribeClient({});
+
+export const awsTranscriptionProvider = {
+    startJob: async ({ jobName, mediaUri, mediaFormat, languageCode, outputBucket, outputKey, tags }) => {
+        await transcribeClient.send(new StartTranscriptionJobCommand({
+            TranscriptionJobName: jobName,
+            Media: { MediaFileUri: mediaUri },
+            MediaFormat: mediaFormat,
+            LanguageCode: languageCode,
+            IdentifyLanguage: languageCode ? undefined : true,
+            OutputBucketName: outputBucket,
+            OutputKey: outputKey,
+            Tags: Object.entries(tags).map(([Key, Value]) => ({ Key, Value }))
+        }));
+    },
+
+    getJob: async (jobName) => {
+        const data = await transcribeClient.send(new GetTranscriptionJobCommand({ TranscriptionJobName: jobName }));
+        const job = data.TranscriptionJob;
+        const tags = Object.fromEntries((job.Tags || []).map(tag => [tag.Key, tag.Value]));
+
+        let result = null;
+        if (job.TranscriptionJobStatus === 'COMPLETED') {
+            const response = await s3Client.send(new GetObjectCommand({
+                Bucket: tags.outputBucket,
+                Key: tags.outputKey
+            }));
+            result = JSON.parse(await response.Body.transformToString());
+        }
+
+        return {
+            status: job.TranscriptionJobStatus,
+            tags: tags,
+            languageCode: job.LanguageCode,
+            result: result,
+            failureReason: job.FailureReason
+        };
+    }
+};
+
+const FAKE_SECONDS_PER_WORD = 0.4;
+
+// Shapes text like a Transcribe result, with evenly spaced word timings.
+const buildFakeResult = (text) => {
+    const words = text.split(/\s+/).filter(word => word.length > 0);
+    return {
+        results: {
+            transcripts: [{ transcript: text }],
+            items: words.map((word, index) => ({
+                type: 'pronunciation',
+                start_time: (index * FAKE_SECONDS_PER_WORD).toFixed(3),
+                end_time: ((index + 1) * FAKE_SECONDS_PER_WORD).toFixed(3),
+                alternatives: [{ content: word }]
+            }))
+        }
+    };
+};
+
+/**
+ * Keeps jobs in memory and never calls AWS. Jobs stay IN_PROGRESS until `finishJob` is called,
+ * which returns the job state change event the real service would have sent.
+ */
+export const createFakeTranscriptionProvider = (transcriptText = 'This is a fake transcript.', detectedLanguageCode = 'en-US') => {
+    const jobs = new Map();
+
+    return {
+        jobs: jobs,
+
+        startJob: async ({ jobName, mediaUri, languageCode, tags }) => {
+            jobs.set(jobName, { status: 'IN_PROGRESS', mediaUri: mediaUri, languageCode: languageCode || detectedLanguageCode, tags: { ...tags } });
+        },
+
+        getJob: async (jobName) => {
+            const job = jobs.get(jobName);
+            if (!job) {
+                throw new Error(`Unknown transcription job ${jobName}`);
+            }
+            return {
+                status: job.status,
+                tags: job.tags,
+                languageCode: job.languageCode,
+                result: job.status === 'COMPLETED' ? buildFakeResult(job.text) : null,
+                failureReason: job.failureReason
+            };
+        },
+
+        finishJob: (jobName, { text = transcriptText, failureReason } = {}) => {
+            const job = jobs.get(jobName);
+            job.status = failureReason ? 'FAILED' : 'COMPLETED';
+            job.text = text;
+            job.failureReason = failureReason;
+            return {
+                'source': 'aws.transcribe',
+                'detail-type': 'Transcribe Job State Change',
+                'detail': {
+                    TranscriptionJobName: jobName,
+                    TranscriptionJobStatus: job.status
+                }
+            };
+        }
+    };
+};
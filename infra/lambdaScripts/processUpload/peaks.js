@@ -0,0 +1,28 @@
+export const PEAKS_FRAMES_PER_SECOND = 30;
+
+/**
+ * Reduces mono 16-bit PCM samples to one peak per frame, scaled to 0..1 and rounded to keep the JSON small.
+ * @param {Int16Array} samples   The decoded recording
+ * @param {number} sampleRate   Samples per second of `samples`
+ * @returns {Object}   { version, framesPerSecond, duration, peaks }
+ */
+export const computePeaks = (samples, sampleRate, framesPerSecond = PEAKS_FRAMES_PER_SECOND) => {
+    const samplesPerFrame = Math.max(1, Math.round(sampleRate / framesPerSecond));
+    const peaks = [];
+
+    for (let frameStart = 0; frameStart < samples.length; frameStart += samplesPerFrame) {
+        const frameEnd = Math.min(frameStart + samplesPerFrame, samples.length);
+        let peak = 0;
+        for (let i = frameStart; i < frameEnd; i++) {
+            peak = Math.max(peak, Math.abs(samples[i]));
+        }
+        peaks.push(Math.round(Math.min(peak / 32767, 1) * 100) / 100);
+    }
+
+    return {
+        version: 1,
+        framesPerSecond: framesPerSecond,
+        duration: samples.length / sampleRate,
+        peaks: peaks
+    };
+};
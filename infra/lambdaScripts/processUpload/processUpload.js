@@ -0,0 +1,162 @@
+import { S3Client, GetObjectCommand, PutObjectCommand } from "@aws-sdk/client-s3";
+import { DynamoDBClient, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { execFile } from "child_process";
+import { access, mkdtemp, readFile, rm, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { promisify } from "util";
+import { computePeaks } from "./peaks.js";
+
+const s3Client = new S3Client({});
+const dbClient = new DynamoDBClient({});
+const execFileAsync = promisify(execFile);
+
+const annotationTable = process.env.TABLE_NAME;
+
+// The ffmpeg layer puts the binary in /opt/bin
+const ffmpegPath = process.env.FFMPEG_PATH || '/opt/bin/ffmpeg';
+const targetLufs = Number(process.env.TARGET_LUFS || -16);
+const silenceThresholdDb = Number(process.env.SILENCE_THRESHOLD_DB || -50);
+// Peaks only need the envelope, so the recording is decoded at a low sample rate.
+const PEAKS_SAMPLE_RATE = 8000;
+
+// The m4a rendition is written first: writing sound.webm starts transcription in processAudio,
+// and by then every rendition should exist.
+const RENDITIONS = [
+    {
+        extension: 'm4a',
+        contentType: 'audio/mp4',
+        args: ['-c:a', 'aac', '-b:a', '96k', '-movflags', '+faststart', '-f', 'mp4']
+    },
+    {
+        extension: 'webm',
+        contentType: 'audio/webm',
+        args: ['-c:a', 'libopus', '-b:a', '64k', '-f', 'webm']
+    }
+];
+
+// Trims silence from both ends (by trimming the start, reversing and trimming again) and normalizes loudness.
+const buildAudioFilter = () => {
+    const trimStart = `silenceremove=start_periods=1:start_duration=0.1:start_threshold=${silenceThresholdDb}dB`;
+    return [trimStart, 'areverse', trimStart, 'areverse', `loudnorm=I=${targetLufs}:TP=-1.5:LRA=11`].join(',');
+};
+
+const hasFfmpeg = async () => {
+    try {
+        await access(ffmpegPath);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+const putRendition = async (bucketName, key, body, contentType) => {
+    await s3Client.send(new PutObjectCommand({
+        Bucket: bucketName,
+        Key: key,
+        Body: body,
+        ContentType: contentType
+    }));
+};
+
+// Decodes the normalized recording to mono 16-bit PCM and stores its peaks next to the renditions.
+const putPeaks = async (bucketName, baseKey, workDir, normalizedPath) => {
+    const pcmPath = join(workDir, 'peaks.pcm');
+    await execFileAsync(ffmpegPath, ['-hide_banner', '-y', '-i', normalizedPath, '-ac', '1', '-ar', String(PEAKS_SAMPLE_RATE), '-f', 's16le', pcmPath]);
+
+    const pcm = await readFile(pcmPath);
+    const samples = new Int16Array(pcm.buffer, pcm.byteOffset, Math.floor(pcm.length / 2));
+    const peaks = computePeaks(samples, PEAKS_SAMPLE_RATE);
+    await putRendition(bucketName, `${baseKey}.peaks.json`, JSON.stringify(peaks), 'application/json');
+};
+
+/**
+ * Marks the transcript of the recording's annotation as failed, with a reason to show in its place, since
+ * processAudio only hears about recordings that made it to sound.webm.
+ */
+const setRecordingFailed = async (key, reason) => {
+    const [username, annotationId] = key.split('/');
+    try {
+        await dbClient.send(new UpdateItemCommand({
+            TableName: annotationTable,
+            Key: {
+                username: { S: username },
+                annotationId: { S: annotationId }
+            },
+            ConditionExpression: 'attribute_exists(annotationId)',
+            UpdateExpression: 'SET transcriptStatus = :failed, transcriptFailureReason = :reason',
+            ExpressionAttributeValues: {
+                ':failed': { S: 'failed' },
+                ':reason': { S: reason }
+            }
+        }));
+    } catch (error) {
+        // A recording without a matching annotation record has nothing to track.
+        if (error.name !== 'ConditionalCheckFailedException') {
+            throw error;
+        }
+    }
+};
+
+const processRecording = async (bucketName, key) => {
+    const object = await s3Client.send(new GetObjectCommand({ Bucket: bucketName, Key: key }));
+    const input = Buffer.from(await object.Body.transformToByteArray());
+    const baseKey = key.replace(/\.raw$/, '');
+
+    if (!(await hasFfmpeg())) {
+        // Without the layer the recording can still be used as is, as long as it already is webm.
+        console.error(`ffmpeg not found at ${ffmpegPath}, skipping normalization`);
+        if ((object.ContentType || '').startsWith('audio/webm')) {
+            await putRendition(bucketName, `${baseKey}.webm`, input, 'audio/webm');
+        }
+        else {
+            await setRecordingFailed(key, "This recording's format isn't supported.");
+        }
+        return;
+    }
+
+    const workDir = await mkdtemp(join(tmpdir(), 'recording-'));
+    try {
+        const inputPath = join(workDir, 'input');
+        const normalizedPath = join(workDir, 'normalized.wav');
+        await writeFile(inputPath, input);
+
+        await execFileAsync(ffmpegPath, ['-hide_banner', '-y', '-i', inputPath, '-af', buildAudioFilter(), '-ar', '48000', normalizedPath]).catch(async error => {
+            await setRecordingFailed(key, "The recording couldn't be read.");
+            throw error;
+        });
+
+        // Missing peaks only cost the client a live analyser, so they don't hold up the renditions.
+        await putPeaks(bucketName, baseKey, workDir, normalizedPath).catch(error => {
+            console.error('Failed to compute peaks:', error);
+        });
+
+        // Without sound.webm processAudio never runs, so the annotation would otherwise stay pending.
+        try {
+            for (const rendition of RENDITIONS) {
+                const outputPath = join(workDir, `output.${rendition.extension}`);
+                await execFileAsync(ffmpegPath, ['-hide_banner', '-y', '-i', normalizedPath, ...rendition.args, outputPath]);
+                await putRendition(bucketName, `${baseKey}.${rendition.extension}`, await readFile(outputPath), rendition.contentType);
+            }
+        } catch (error) {
+            await setRecordingFailed(key, "The recording couldn't be converted.");
+            throw error;
+        }
+    } finally {
+        await rm(workDir, { recursive: true, force: true });
+    }
+};
+
+export const handler = async (event) => {
+    try {
+        for (const record of event.Records) {
+            const key = decodeURIComponent(record.s3.object.key.replace(/\+/g, ' '));
+            if (key.endsWith('.raw')) {
+                await processRecording(record.s3.bucket.name, key);
+            }
+        }
+    } catch (error) {
+        console.error('Error processing upload:', error);
+        throw error;
+    }
+};
@@ -1,36 +1,71 @@
-import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
-import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
+import { createPresignedPost } from "@aws-sdk/s3-presigned-post";
+import { S3Client } from "@aws-sdk/client-s3";
+import { DynamoDBClient, GetItemCommand } from "@aws-sdk/client-dynamodb";
+import { parseExpires } from "/opt/nodejs/expires.js";
 
 const client = new S3Client({});
+const dbClient = new DynamoDBClient({});
 const bucketName = process.env.BUCKET_NAME;
+const annotationTable = process.env.TABLE_NAME;
 
-const getPresignedUrl = async (username, key, expires) => {
-    try {
-        // Construct the key with username prefix
-        const userSpecificKey = `${username}/${key}`;
+const MB = 1024 * 1024;
+const DEFAULT_EXPIRES_SECONDS = 900;
+
+// The only files that can be uploaded, with the content types each is accepted as and the largest upload allowed.
+// Everything else under an annotation (renditions, transcripts, captions, peaks) is written by the lambdas, so
+// that nothing reaches listeners without going through processUpload, transcription and moderation.
+const UPLOADS_BY_FILE_NAME = {
+    // Recordings, in whatever container the browser recorded; processUpload turns them into sound.webm and sound.m4a.
+    'sound.raw': { contentTypes: ['audio/webm', 'audio/ogg', 'audio/mp4'], maxBytes: 10 * MB },
+    'image.png': { contentTypes: ['image/png'], maxBytes: 10 * MB },
+    'model.glb': { contentTypes: ['model/gltf-binary'], maxBytes: 25 * MB },
+    // Sketch strokes
+    'sketch.json': { contentTypes: ['application/json'], maxBytes: 1 * MB }
+};
 
-        let expirationDate = Date.now();
-        expirationDate += expires ? expires * 1000 : 900 * 1000; // default is 15 minutes
-        expirationDate = new Date(expirationDate);
+// Asset keys are `${annotationId}/${fileName}`; the caller's username is prepended to them.
+const ANNOTATION_ID_PATTERN = /^[A-Za-z0-9-]+$/;
 
+const annotationExists = async (username, annotationId) => {
+    const data = await dbClient.send(new GetItemCommand({
+        TableName: annotationTable,
+        Key: {
+            username: { S: username },
+            annotationId: { S: annotationId }
+        }
+    }));
+    return Boolean(data.Item);
+};
+
+/**
+ * Presigns a POST that only accepts this exact key, the given content type and up to maxBytes.
+ * S3 rejects anything else with a 4xx before storing it.
+ */
+const getPresignedPost = async (key, contentType, maxBytes, expires) => {
+    try {
         const params = {
             Bucket: bucketName,
-            Key: userSpecificKey,
-            ResponseExpires: expirationDate
+            Key: key,
+            Conditions: [
+                ['content-length-range', 1, maxBytes],
+                ['eq', '$Content-Type', contentType]
+            ],
+            Fields: {
+                'Content-Type': contentType
+            },
+            Expires: expires
         };
 
         console.log('Parameters:', JSON.stringify(params));
-        console.log('Expires In:', expires ? expires : 900);
 
-        const command = new PutObjectCommand(params);
-        const signedUrl = await getSignedUrl(client, command, { expiresIn: expires ? expires : 3600 });
+        const presignedPost = await createPresignedPost(client, params);
 
-        console.log('Signed URL:', signedUrl);
-        return signedUrl;
+        console.log('Presigned POST:', JSON.stringify(presignedPost));
+        return presignedPost;
 
     } catch (error) {
         console.error(error);
-        throw new Error('Error generating pre-signed URL');
+        throw new Error('Error generating pre-signed POST');
     }
 };
 
@@ -53,17 +88,41 @@ export const handler = async (event) => {
 
     try {
         const username = event.requestContext.authorizer.claims['cognito:username'];
-        const key = event.queryStringParameters.assetKey;
-        const expires = event.queryStringParameters.expires;
+        const query = event.queryStringParameters || {};
+        const key = query.assetKey;
+        const expires = parseExpires(query.expires, DEFAULT_EXPIRES_SECONDS);
 
         if (!key) {
             return jsonResponse(400, { message: "Key parameter is required" });
         }
+        if (expires === null) {
+            return jsonResponse(400, { message: "expires must be a whole number of seconds" });
+        }
 
-        const psUrl = await getPresignedUrl(username, key, expires);
-        console.log('ps_url:', psUrl);
+        const [annotationId, fileName, ...rest] = key.split('/');
+        const upload = Object.hasOwn(UPLOADS_BY_FILE_NAME, fileName) ? UPLOADS_BY_FILE_NAME[fileName] : null;
+        if (!ANNOTATION_ID_PATTERN.test(annotationId) || !upload || rest.length > 0) {
+            return jsonResponse(400, { message: `Asset key must be <annotationId>/<fileName>, where the file is one of ${Object.keys(UPLOADS_BY_FILE_NAME).join(', ')}` });
+        }
 
-        const response = jsonResponse(200, { "ps_url": psUrl });
+        // Parameters such as codecs don't matter for what may be stored.
+        const contentType = (query.contentType || '').split(';')[0].trim().toLowerCase();
+        if (!upload.contentTypes.includes(contentType)) {
+            return jsonResponse(415, { message: `${fileName} must be uploaded as one of ${upload.contentTypes.join(', ')}` });
+        }
+        const maxBytes = upload.maxBytes;
+
+        if (query.contentLength && Number(query.contentLength) > maxBytes) {
+            return jsonResponse(413, { message: `Uploads of ${fileName} are limited to ${maxBytes / MB} MB` });
+        }
+
+        if (!(await annotationExists(username, annotationId))) {
+            return jsonResponse(403, { message: "Assets can only be uploaded for your own annotations" });
+        }
+
+        const presignedPost = await getPresignedPost(`${username}/${key}`, contentType, maxBytes, expires);
+
+        const response = jsonResponse(200, { "url": presignedPost.url, "fields": presignedPost.fields, "max_bytes": maxBytes });
         console.log('Response:', JSON.stringify(response, null, 2));
 
         return response;
@@ -71,4 +130,4 @@ export const handler = async (event) => {
         console.error(error);
         return jsonResponse(500, { "message": error.toString() });
     }
-};
\ No newline at end of file
+};
@@ -0,0 +1,43 @@
+import { DynamoDBClient, PutItemCommand } from "@aws-sdk/client-dynamodb";
+import { randomUUID } from "crypto";
+import { JsonResponse } from "/opt/nodejs/jsonResponse.js";
+
+const dbClient = new DynamoDBClient({});
+
+const roomTable = process.env.ROOM_TABLE_NAME;
+
+export const handler = async (event, context) => {
+    let room;
+    try {
+        const body = JSON.parse(event.body || '{}') || {};
+        const owner = event.requestContext.authorizer.claims['cognito:username'];
+        room = {
+            roomId: randomUUID(),
+            name: body.name ? String(body.name) : 'Untitled room',
+            owner: owner,
+            // Annotations can be made visible to just the members of their room; the owner is always one.
+            members: [owner],
+            createdAt: new Date().toISOString()
+        };
+
+        const params = {
+            TableName: roomTable,
+            Item: {
+                roomId: { S: room.roomId },
+                name: { S: room.name },
+                owner: { S: room.owner },
+                members: { SS: room.members },
+                createdAt: { S: room.createdAt }
+            }
+        };
+        await dbClient.send(new PutItemCommand(params));
+    } catch (err) {
+        console.error(err);
+        if (err instanceof SyntaxError) {
+            return JsonResponse(400, "The request body must be JSON.");
+        }
+        return JsonResponse(500, "Error storing room data.");
+    }
+
+    return JsonResponse(200, room);
+};
@@ -0,0 +1,77 @@
+import { DynamoDBClient, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { JsonResponse } from "/opt/nodejs/jsonResponse.js";
+
+const dbClient = new DynamoDBClient({});
+
+const roomTable = process.env.ROOM_TABLE_NAME;
+
+const MIN_MARKERS = 2;
+const MAX_MARKERS = 3;
+const MAX_LABEL_LENGTH = 50;
+
+/**
+ * Checks reference markers: spots in the room that are easy to point at again, such as a door corner, in the
+ * coordinates the room's annotations are stored in, as [{label, position: [x, y, z]}].
+ * @returns {string|null}   What is wrong with them, or null if they are valid
+ */
+const validateMarkers = (markers) => {
+    if (!Array.isArray(markers) || markers.length < MIN_MARKERS || markers.length > MAX_MARKERS) {
+        return `referenceMarkers must be ${MIN_MARKERS} to ${MAX_MARKERS} markers.`;
+    }
+    for (const marker of markers) {
+        if (typeof marker !== 'object' || marker === null ||
+            typeof marker.label !== 'string' || marker.label.trim().length === 0 || marker.label.length > MAX_LABEL_LENGTH ||
+            !Array.isArray(marker.position) || marker.position.length !== 3 ||
+            !marker.position.every(value => typeof value === 'number' && Number.isFinite(value))) {
+            return `Each marker must have a label of at most ${MAX_LABEL_LENGTH} characters and a position as [x, y, z].`;
+        }
+    }
+    return null;
+};
+
+/**
+ * Stores the reference markers of a room, which a device points at again to line itself up with the room when
+ * its anchor can't be restored. Storing markers replaces the earlier ones. Any member of the room can store them.
+ */
+export const handler = async (event, context) => {
+    try {
+        const body = JSON.parse(event.body || '{}') || {};
+        const username = event.requestContext.authorizer.claims['cognito:username'];
+        const roomId = event.pathParameters.roomId;
+
+        const validationError = validateMarkers(body.referenceMarkers);
+        if (validationError) {
+            return JsonResponse(400, validationError);
+        }
+
+        const referenceMarkers = body.referenceMarkers.map(marker => ({
+            label: marker.label.trim(),
+            position: marker.position
+        }));
+
+        const params = {
+            TableName: roomTable,
+            Key: {
+                roomId: { S: roomId }
+            },
+            ConditionExpression: 'attribute_exists(roomId) AND contains(members, :username)',
+            UpdateExpression: 'SET referenceMarkers = :referenceMarkers',
+            ExpressionAttributeValues: {
+                ':username': { S: username },
+                ':referenceMarkers': { S: JSON.stringify(referenceMarkers) }
+            }
+        };
+        await dbClient.send(new UpdateItemCommand(params));
+
+        return JsonResponse(200, { roomId: roomId, referenceMarkers: referenceMarkers });
+    } catch (err) {
+        console.error(err);
+        if (err instanceof SyntaxError) {
+            return JsonResponse(400, "The request body must be JSON.");
+        }
+        if (err.name === 'ConditionalCheckFailedException') {
+            return JsonResponse(403, "Room not found or the caller isn't a member.");
+        }
+        return JsonResponse(500, "Error storing the reference markers.");
+    }
+};
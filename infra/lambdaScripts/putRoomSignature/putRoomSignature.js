@@ -0,0 +1,87 @@
+import { DynamoDBClient, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { JsonResponse } from "/opt/nodejs/jsonResponse.js";
+
+const dbClient = new DynamoDBClient({});
+
+const roomTable = process.env.ROOM_TABLE_NAME;
+
+const MAX_PLANES = 32;
+const LABEL_PATTERN = /^[A-Za-z0-9 _-]{0,50}$/;
+
+const isNumbers = (values, count) => {
+    return Array.isArray(values) && values.length === count &&
+        values.every(value => typeof value === 'number' && Number.isFinite(value));
+};
+
+/**
+ * Checks a plane signature: the floor and wall planes a device detected in the room, in the coordinates the
+ * room's annotations are stored in, as {planes: [{label, normal: [x, y, z], center: [x, y, z], extent: [width, height]}]}.
+ * @returns {string|null}   What is wrong with it, or null if it is valid
+ */
+const validateSignature = (signature) => {
+    if (typeof signature !== 'object' || signature === null || !Array.isArray(signature.planes) ||
+        signature.planes.length === 0 || signature.planes.length > MAX_PLANES) {
+        return `planeSignature must have 1 to ${MAX_PLANES} planes.`;
+    }
+    for (const plane of signature.planes) {
+        if (typeof plane !== 'object' || plane === null ||
+            typeof plane.label !== 'string' || !LABEL_PATTERN.test(plane.label) ||
+            !isNumbers(plane.normal, 3) || !isNumbers(plane.center, 3) || !isNumbers(plane.extent, 2)) {
+            return "Each plane must have a label, a normal and a center as [x, y, z] and an extent as [width, height].";
+        }
+    }
+    return null;
+};
+
+/**
+ * Stores the plane signature of a room, which other devices align their coordinates to before placing the
+ * room's annotations. The first device to store one defines the room's coordinates, so it is only stored once.
+ * Any member of the room can store it.
+ */
+export const handler = async (event, context) => {
+    try {
+        const body = JSON.parse(event.body || '{}') || {};
+        const username = event.requestContext.authorizer.claims['cognito:username'];
+        const roomId = event.pathParameters.roomId;
+        const signature = body.planeSignature;
+
+        const validationError = validateSignature(signature);
+        if (validationError) {
+            return JsonResponse(400, validationError);
+        }
+
+        const planeSignature = {
+            planes: signature.planes.map(plane => ({
+                label: plane.label.toLowerCase(),
+                normal: plane.normal,
+                center: plane.center,
+                extent: plane.extent
+            }))
+        };
+
+        const params = {
+            TableName: roomTable,
+            Key: {
+                roomId: { S: roomId }
+            },
+            ConditionExpression: 'attribute_exists(roomId) AND contains(members, :username) AND attribute_not_exists(planeSignature)',
+            UpdateExpression: 'SET planeSignature = :planeSignature',
+            ExpressionAttributeValues: {
+                ':username': { S: username },
+                ':planeSignature': { S: JSON.stringify(planeSignature) }
+            }
+        };
+        await dbClient.send(new UpdateItemCommand(params));
+
+        return JsonResponse(200, { roomId: roomId, planeSignature: planeSignature });
+    } catch (err) {
+        console.error(err);
+        if (err instanceof SyntaxError) {
+            return JsonResponse(400, "The request body must be JSON.");
+        }
+        if (err.name === 'ConditionalCheckFailedException') {
+            return JsonResponse(409, "Room not found, the caller isn't a member or it already has a plane signature.");
+        }
+        return JsonResponse(500, "Error storing the plane signature.");
+    }
+};
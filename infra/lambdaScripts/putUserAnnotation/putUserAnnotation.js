@@ -1,20 +1,178 @@
-import { DynamoDBClient, PutItemCommand } from "@aws-sdk/client-dynamodb";
+import { DynamoDBClient, GetItemCommand, PutItemCommand } from "@aws-sdk/client-dynamodb";
+import { PollyClient } from "@aws-sdk/client-polly";
+import { S3Client } from "@aws-sdk/client-s3";
+import { randomUUID } from "crypto";
+import { Visibility, canView, createRoomMembership, getViewer, isOwnerOrMember, toVisibilityAttributes, validateVisibility } from "/opt/nodejs/visibility.js";
+import { toFeatureAttribute, validateFeature } from "/opt/nodejs/feature.js";
+import { AnnotationType, MAX_MODEL_NAME_LENGTH, MAX_TEXT_LENGTH, validateModelFields, validatePose } from "/opt/nodejs/annotations.js";
+import { blocklistClassifier, classifyTexts } from "/opt/nodejs/moderation.js";
+import { synthesizeSpeech } from "/opt/nodejs/speech.js";
+import { JsonResponse } from "/opt/nodejs/jsonResponse.js";
 
 const dbClient = new DynamoDBClient({});
+const pollyClient = new PollyClient({});
+const s3Client = new S3Client({});
+
+const bucketName = process.env.BUCKET_NAME;
 
 const annotationTable = process.env.TABLE_NAME;
+const roomTable = process.env.ROOM_TABLE_NAME;
+
+/**
+ * Checks the text of a text annotation, whether it is read aloud and the name of a catalog model.
+ * @returns {string|null}   What is wrong with them, or null if they are valid
+ */
+const validateTextFields = (body) => {
+    if (body.type === AnnotationType.model &&
+        !(typeof body.modelName === 'string' && body.modelName.trim().length > 0 && body.modelName.length <= MAX_MODEL_NAME_LENGTH)) {
+        return `Catalog models need a modelName of at most ${MAX_MODEL_NAME_LENGTH} characters.`;
+    }
+    if (body.type === AnnotationType.text &&
+        !(typeof body.text === 'string' && body.text.trim().length > 0 && body.text.length <= MAX_TEXT_LENGTH)) {
+        return `Text annotations need a text of at most ${MAX_TEXT_LENGTH} characters.`;
+    }
+    if (body.readAloud !== undefined && typeof body.readAloud !== 'boolean') {
+        return "readAloud must be true or false.";
+    }
+    return null;
+};
+
+// How recordings sound around them and with distance, named after the presets the web app offers.
+const SPATIAL_AUDIO_PRESETS = ['standard', 'whisper', 'announcement'];
 
-const AnnotationType = {
-    audio: 'audio',
-    object: 'object',
-    sketch: 'sketch'
+/**
+ * Checks the spatial audio preset of an audio annotation.
+ * @returns {string|null}   What is wrong with it, or null if it is valid
+ */
+const validateSpatialAudio = (body) => {
+    if (body.spatialAudio === undefined) {
+        return null;
+    }
+    if (body.type !== AnnotationType.audio) {
+        return "Only audio annotations have a spatialAudio preset.";
+    }
+    if (!SPATIAL_AUDIO_PRESETS.includes(body.spatialAudio)) {
+        return `spatialAudio must be one of ${SPATIAL_AUDIO_PRESETS.join(', ')}.`;
+    }
+    return null;
+};
+
+const VISIBILITY_ATTRIBUTES = ['visibility', 'sharedWithUsers', 'sharedWithGroups'];
+
+const getAnnotation = async (username, annotationId) => {
+    const data = await dbClient.send(new GetItemCommand({
+        TableName: annotationTable,
+        Key: {
+            username: { S: username },
+            annotationId: { S: annotationId }
+        }
+    }));
+    return data.Item || null;
+};
+
+/**
+ * Finds the annotation a reply belongs to. Threads are one level deep, so replying to a reply adds to the
+ * thread of the annotation it replies to.
+ * @returns {Object}   The thread's annotation item, or an error response as {error}
+ */
+const getThreadRoot = async (body, viewer) => {
+    if (typeof body.parentUsername !== 'string' || typeof body.parentAnnotationId !== 'string') {
+        return { error: JsonResponse(400, "Replies need parentUsername and parentAnnotationId.") };
+    }
+
+    let root = await getAnnotation(body.parentUsername, body.parentAnnotationId);
+    if (root && root.parentAnnotationId) {
+        root = await getAnnotation(root.parentUsername.S, root.parentAnnotationId.S);
+    }
+    const isHidden = root && root.moderationStatus && root.moderationStatus.S !== 'visible' && root.username.S !== viewer.username;
+    if (!root || isHidden) {
+        return { error: JsonResponse(404, "The annotation being replied to doesn't exist.") };
+    }
+    if (!await canView(root, viewer, createRoomMembership(dbClient, roomTable))) {
+        return { error: JsonResponse(403, "You can't reply to this annotation.") };
+    }
+    return { root };
+};
+
+/**
+ * Checks that annotations can be added to the room: it has to exist, and only its owner and members can add to it.
+ * @returns {Object|null}   An error response, or null if the caller can add to the room
+ */
+const checkRoomAccess = async (roomId, username) => {
+    const data = await dbClient.send(new GetItemCommand({
+        TableName: roomTable,
+        Key: { roomId: { S: roomId } }
+    }));
+    if (!data.Item) {
+        return JsonResponse(404, "Room not found.");
+    }
+    if (!isOwnerOrMember(data.Item, username)) {
+        return JsonResponse(403, "Only the room's owner and members can add annotations to it.");
+    }
+    return null;
+};
+
+// Transcribe language codes look like 'en-US'; anything else means the language is identified automatically.
+const parsePreferredLanguage = (language) => {
+    return /^[a-z]{2}-[A-Z]{2}$/.test(language) ? language : 'auto';
 }
 
 export const handler = async (event, context) => {
-    const body = JSON.parse(event.body);
+    let body;
+    try {
+        body = JSON.parse(event.body);
+    } catch (err) {
+        return JsonResponse(400, "The request body must be JSON.");
+    }
+    if (!body || typeof body !== 'object') {
+        return JsonResponse(400, "The request body must be a JSON object.");
+    }
     console.log(body)
+    // Every annotation gets its own ID so a user can leave any number of them.
+    const annotationId = randomUUID();
+
+    const poseError = validatePose(body, true);
+    if (poseError) {
+        return JsonResponse(400, poseError);
+    }
+
+    const visibilityError = validateVisibility(body);
+    if (visibilityError) {
+        return JsonResponse(400, visibilityError);
+    }
+
+    const modelError = validateModelFields(body);
+    if (modelError) {
+        return JsonResponse(400, modelError);
+    }
+
+    const textError = validateTextFields(body);
+    if (textError) {
+        return JsonResponse(400, textError);
+    }
+
+    const spatialAudioError = validateSpatialAudio(body);
+    if (spatialAudioError) {
+        return JsonResponse(400, spatialAudioError);
+    }
+
+    const featureError = validateFeature(body);
+    if (featureError) {
+        return JsonResponse(400, featureError);
+    }
+
+    if (body.roomId !== undefined && body.roomId !== null && typeof body.roomId !== 'string') {
+        return JsonResponse(400, "roomId must be a string.");
+    }
+
+    const isReply = body.parentUsername !== undefined || body.parentAnnotationId !== undefined;
+    if (isReply && body.type !== AnnotationType.audio) {
+        return JsonResponse(400, "Replies are audio annotations.");
+    }
+
     try {
-        const username = event.requestContext.authorizer.claims['cognito:username'];
+        const viewer = getViewer(event.requestContext.authorizer.claims);
+        const username = viewer.username;
         const typeStr = Object.values(AnnotationType).includes(body.type) ? body.type : AnnotationType.object;
         console.log(typeStr)
 
@@ -26,44 +184,108 @@ export const handler = async (event, context) => {
             TableName: annotationTable,
             Item: {
                 username: { S: username },
+                annotationId: { S: annotationId },
                 annotationType: { S: typeStr },
                 position: { S: positionStr },
-                orientation: { S: orientationStr }
+                orientation: { S: orientationStr },
+                createdAt: { S: new Date().toISOString() }
             }
         };
+        // Annotations are scoped to the room whose anchor they were placed against.
+        if (body.roomId && !isReply) {
+            const roomError = await checkRoomAccess(body.roomId, username);
+            if (roomError) {
+                return roomError;
+            }
+            params.Item.roomId = { S: body.roomId };
+        }
+
+        // Replies are listed with their thread through threadIndex, in the room of the annotation they reply to.
+        let root = null;
+        if (isReply) {
+            const thread = await getThreadRoot(body, viewer);
+            if (thread.error) {
+                return thread.error;
+            }
+            root = thread.root;
+            params.Item.parentUsername = root.username;
+            params.Item.parentAnnotationId = root.annotationId;
+            if (root.roomId) {
+                params.Item.roomId = root.roomId;
+            }
+        }
+
+        if (body.visibility === Visibility.room && !params.Item.roomId) {
+            return JsonResponse(400, "Only annotations in a room can be visible to its members.");
+        }
+        if (body.visibility !== undefined) {
+            Object.assign(params.Item, toVisibilityAttributes(body));
+        }
+        else if (root) {
+            // Unless told otherwise, replies are visible to the same users as the rest of their thread.
+            VISIBILITY_ATTRIBUTES.filter(attribute => root[attribute]).forEach(attribute => {
+                params.Item[attribute] = root[attribute];
+            });
+        }
+        // Where the annotation is relative to a room feature, which is preferred over its position when the feature is found.
+        if (body.feature) {
+            params.Item.featureAnchor = toFeatureAttribute(body.feature);
+        }
+        // Objects are a model from the catalog placed with the annotation's position, orientation and scale.
+        if (typeStr === AnnotationType.object && body.modelKey !== undefined) {
+            params.Item.modelKey = { S: body.modelKey };
+            params.Item.annotationScale = { N: String(body.scale !== undefined ? body.scale : 1) };
+        }
+        // Images are 0.5 m on their longer side at a scale of 1.
+        if (typeStr === AnnotationType.image) {
+            params.Item.annotationScale = { N: String(body.scale !== undefined ? body.scale : 1) };
+        }
+        if (typeStr === AnnotationType.model) {
+            params.Item.modelName = { S: body.modelName.trim() };
+        }
+        if (typeStr === AnnotationType.text) {
+            params.Item.annotationText = { S: body.text.trim() };
+            params.Item.readAloud = { BOOL: body.readAloud === true };
+            if (parsePreferredLanguage(body.language) !== 'auto') {
+                params.Item.language = { S: body.language };
+            }
+        }
+        // The recording is uploaded after the record is stored; processAudio moves the status along from here.
+        if (typeStr === AnnotationType.audio) {
+            params.Item.transcriptStatus = { S: 'pending' };
+            params.Item.preferredLanguage = { S: parsePreferredLanguage(body.language) };
+            if (body.spatialAudio !== undefined) {
+                params.Item.spatialAudio = { S: body.spatialAudio };
+            }
+        }
+        // Typed text and model names are shown to others as they are, so they are moderated like transcripts.
+        const moderation = await classifyTexts(blocklistClassifier, [
+            params.Item.annotationText ? params.Item.annotationText.S : undefined,
+            params.Item.modelName ? params.Item.modelName.S : undefined
+        ]);
+        if (moderation.flagged) {
+            console.log(`Flagging annotation ${annotationId} for review:`, moderation.reasons);
+            params.Item.moderationStatus = { S: 'under-review' };
+            params.Item.moderationReasons = { L: moderation.reasons.map(reason => ({ S: reason })) };
+        }
         console.log(params)
         await dbClient.send(new PutItemCommand(params));
+
+        // The annotation is kept if reading it aloud fails; it is shown as text all the same.
+        if (typeStr === AnnotationType.text && body.readAloud === true) {
+            await synthesizeSpeech(pollyClient, s3Client, bucketName, {
+                username: username,
+                annotationId: annotationId,
+                text: params.Item.annotationText.S,
+                language: body.language
+            }).catch(err => {
+                console.log(err);
+            });
+        }
     } catch (err) {
         console.log(err)
         return JsonResponse(500, "Error storing annotation data.");
     }
 
-    return JsonResponse(200, "Annotation stored.");
+    return JsonResponse(200, { message: "Annotation stored.", annotationId: annotationId });
 };
-
-const JsonResponse = (statusCode, body, mime = 'application/json') => {
-    let response = {};
-    try {
-        response = {
-            'statusCode': statusCode,
-            'headers': {
-                'Content-Type': mime,
-                'Access-Control-Allow-Headers': 'Content-Type',
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Methods': 'OPTIONS,POST,GET, PUT'
-            },
-            'body': JSON.stringify(body)
-        }
-        return response;
-    } catch (error) {
-        console.log(error);
-        response = {
-            'statusCode': 401,
-            'headers': {
-                'Content-Type': 'application/json'
-            },
-            'body': "Check CloudWatch Logs for Response Error"
-        }
-        return response
-    }
-}
\ No newline at end of file
@@ -0,0 +1,143 @@
+import { DynamoDBClient, GetItemCommand, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { S3Client, CopyObjectCommand, DeleteObjectCommand, GetObjectCommand } from "@aws-sdk/client-s3";
+import { AUDIO_FILE, CAPTIONS_FILE, TRANSCRIPT_FILE, buildHistory, listFileVersions } from "/opt/nodejs/versions.js";
+import { blocklistClassifier } from "/opt/nodejs/moderation.js";
+import { JsonResponse } from "/opt/nodejs/jsonResponse.js";
+
+const dbClient = new DynamoDBClient({});
+const s3Client = new S3Client({});
+
+const annotationTable = process.env.TABLE_NAME;
+const bucketName = process.env.BUCKET_NAME;
+
+const annotationExists = async (username, annotationId) => {
+    const data = await dbClient.send(new GetItemCommand({
+        TableName: annotationTable,
+        Key: {
+            username: { S: username },
+            annotationId: { S: annotationId }
+        }
+    }));
+    return Boolean(data.Item);
+};
+
+/**
+ * Makes a version the current one by copying it over the file, or deletes the file if there is no version to restore.
+ * Copies don't trigger the bucket notifications for PUTs, so a restored take isn't transcribed again.
+ */
+const restoreFile = async (key, versionId) => {
+    if (!versionId) {
+        await s3Client.send(new DeleteObjectCommand({ Bucket: bucketName, Key: key }));
+        return;
+    }
+    await s3Client.send(new CopyObjectCommand({
+        Bucket: bucketName,
+        Key: key,
+        CopySource: `${bucketName}/${key.split('/').map(encodeURIComponent).join('/')}?versionId=${encodeURIComponent(versionId)}`
+    }));
+};
+
+const getText = async (key, versionId) => {
+    const response = await s3Client.send(new GetObjectCommand({ Bucket: bucketName, Key: key, VersionId: versionId }));
+    return response.Body.transformToString();
+};
+
+// Restored transcripts go through the same moderation as transcribed and hand-edited ones.
+const updateAnnotation = async (username, annotationId, transcriptStatus, moderation) => {
+    const assignments = ['updatedAt = :updatedAt', 'transcriptStatus = :transcriptStatus'];
+    const values = {
+        ':updatedAt': { S: new Date().toISOString() },
+        ':transcriptStatus': { S: transcriptStatus }
+    };
+
+    if (moderation && moderation.flagged) {
+        assignments.push('moderationStatus = :underReview');
+        assignments.push('moderationReasons = list_append(if_not_exists(moderationReasons, :noReasons), :reasons)');
+        values[':underReview'] = { S: 'under-review' };
+        values[':noReasons'] = { L: [] };
+        values[':reasons'] = { L: moderation.reasons.map(reason => ({ S: reason })) };
+    }
+
+    await dbClient.send(new UpdateItemCommand({
+        TableName: annotationTable,
+        Key: {
+            username: { S: username },
+            annotationId: { S: annotationId }
+        },
+        ConditionExpression: 'attribute_exists(annotationId)',
+        UpdateExpression: `SET ${assignments.join(', ')}`,
+        ExpressionAttributeValues: values
+    }));
+};
+
+/**
+ * Restores a take, a transcript, or both. A take brings back its renditions and, unless another transcript is
+ * given, the transcript that went with it; a take that was never transcribed leaves the annotation without one.
+ */
+export const handler = async (event, context) => {
+    try {
+        const body = JSON.parse(event.body || '{}') || {};
+        const username = event.requestContext.authorizer.claims['cognito:username'];
+        const annotationId = body.annotationId;
+
+        if (!annotationId) {
+            return JsonResponse(400, "annotationId is required.");
+        }
+        if (!body.audioVersionId && !body.transcriptVersionId) {
+            return JsonResponse(400, "audioVersionId or transcriptVersionId is required.");
+        }
+
+        if (!(await annotationExists(username, annotationId))) {
+            return JsonResponse(403, "Annotation not found or not owned by the caller.");
+        }
+
+        const prefix = `${username}/${annotationId}/`;
+        const history = buildHistory(await listFileVersions(s3Client, bucketName, prefix));
+
+        const take = body.audioVersionId ? history.takes.find(take => take.versionId === body.audioVersionId) : null;
+        if (body.audioVersionId && !take) {
+            return JsonResponse(404, "No such version of the recording.");
+        }
+
+        const transcriptVersionId = body.transcriptVersionId || (take ? take.transcriptVersionId : null);
+        const transcript = transcriptVersionId ? history.transcripts.find(transcript => transcript.versionId === transcriptVersionId) : null;
+        if (transcriptVersionId && !transcript) {
+            return JsonResponse(404, "No such version of the transcript.");
+        }
+
+        if (take) {
+            for (const [fileName, versionId] of Object.entries(take.renditions)) {
+                await restoreFile(prefix + fileName, versionId);
+            }
+            await restoreFile(prefix + AUDIO_FILE, take.versionId);
+        }
+
+        if (transcript) {
+            await restoreFile(prefix + TRANSCRIPT_FILE, transcript.versionId);
+            await restoreFile(prefix + CAPTIONS_FILE, transcript.captionsVersionId);
+            const moderation = await blocklistClassifier.classify(await getText(prefix + TRANSCRIPT_FILE, transcript.versionId));
+            await updateAnnotation(username, annotationId, 'complete', moderation);
+        }
+        else {
+            await restoreFile(prefix + TRANSCRIPT_FILE, null);
+            await restoreFile(prefix + CAPTIONS_FILE, null);
+            await updateAnnotation(username, annotationId, 'failed', null);
+        }
+
+        return JsonResponse(200, {
+            message: "Version restored.",
+            annotationId: annotationId,
+            audioVersionId: take ? take.versionId : null,
+            transcriptVersionId: transcript ? transcript.versionId : null
+        });
+    } catch (err) {
+        console.error(err);
+        if (err instanceof SyntaxError) {
+            return JsonResponse(400, "The request body must be JSON.");
+        }
+        if (err.name === 'ConditionalCheckFailedException') {
+            return JsonResponse(403, "Annotation not found or not owned by the caller.");
+        }
+        return JsonResponse(500, "Error restoring version.");
+    }
+};
@@ -0,0 +1,133 @@
+import { QueryCommand } from "@aws-sdk/client-dynamodb";
+import { isVector, readFeature } from './feature.js';
+import { canView, createRoomMembership, readVisibility } from './visibility.js';
+
+export const AnnotationType = {
+    audio: 'audio',
+    object: 'object',
+    sketch: 'sketch',
+    // A glTF model uploaded to the catalog, as model.glb. It is never placed itself; object annotations refer to it.
+    model: 'model',
+    // A picture uploaded as image.png, shown flat on the surface it was pinned to.
+    image: 'image',
+    // Typed text, stored with the annotation and optionally read aloud from speech.mp3.
+    text: 'text'
+};
+
+// Annotations under review or hidden by a moderator are only listed for their owner.
+export const VISIBLE_FILTER = 'attribute_not_exists(moderationStatus) OR moderationStatus = :visible OR username = :username';
+
+// Typed text and model names are shown as they are, so both are kept short.
+export const MAX_TEXT_LENGTH = 500;
+export const MAX_MODEL_NAME_LENGTH = 100;
+
+// Models shipped with the web app are under catalog/, uploaded ones are stored with a model annotation.
+export const MODEL_KEY_PATTERN = /^(catalog\/[A-Za-z0-9_-]+\.glb|[^\s/]+\/[A-Za-z0-9-]+\/model\.glb)$/;
+export const MIN_SCALE = 0.01;
+export const MAX_SCALE = 100;
+
+export const parseVector3 = (vectorStr) => {
+    const [x, y, z] = vectorStr.split(',').map(Number);
+    return { x, y, z };
+};
+
+export const parseVector4 = (vectorStr) => {
+    const [x, y, z, w] = vectorStr.split(',').map(Number);
+    return { x, y, z, w };
+};
+
+/**
+ * Checks the position, as {x, y, z}, and orientation, as {x, y, z, w}, of a request body. New annotations need
+ * both; updates can leave either out.
+ * @returns {string|null}   What is wrong with them, or null if they are valid
+ */
+export const validatePose = (body, required) => {
+    if ((required || body.position !== undefined) && !isVector(body.position, ['x', 'y', 'z'])) {
+        return "position must be {x, y, z}.";
+    }
+    if ((required || body.orientation !== undefined) && !isVector(body.orientation, ['x', 'y', 'z', 'w'])) {
+        return "orientation must be {x, y, z, w}.";
+    }
+    return null;
+};
+
+/**
+ * Checks the model and scale of an object or image annotation. Either can be left out.
+ * @returns {string|null}   What is wrong with them, or null if they are valid
+ */
+export const validateModelFields = (body) => {
+    if (body.modelKey !== undefined && (typeof body.modelKey !== 'string' || !MODEL_KEY_PATTERN.test(body.modelKey))) {
+        return "modelKey must be catalog/<name>.glb or <username>/<annotationId>/model.glb.";
+    }
+    if (body.scale !== undefined && !(typeof body.scale === 'number' && body.scale >= MIN_SCALE && body.scale <= MAX_SCALE)) {
+        return `scale must be a number from ${MIN_SCALE} to ${MAX_SCALE}.`;
+    }
+    return null;
+};
+
+/**
+ * The annotation item as the listings return it to a viewer.
+ * @param {Object} item   The annotation item
+ * @param {string} username   The viewer, who is only told who their own annotations are shared with
+ */
+export const toAnnotation = (item, username) => {
+    return {
+        username: item.username.S,
+        annotationId: item.annotationId.S,
+        roomId: item.roomId ? item.roomId.S : null,
+        position: parseVector3(item.position.S),
+        orientation: parseVector4(item.orientation.S),
+        type: item.annotationType.S,
+        transcriptStatus: item.transcriptStatus ? item.transcriptStatus.S : null,
+        transcriptFailureReason: item.transcriptFailureReason ? item.transcriptFailureReason.S : null,
+        preferredLanguage: item.preferredLanguage ? item.preferredLanguage.S : null,
+        language: item.language ? item.language.S : null,
+        moderationStatus: item.moderationStatus ? item.moderationStatus.S : 'visible',
+        createdAt: item.createdAt ? item.createdAt.S : null,
+        parentUsername: item.parentUsername ? item.parentUsername.S : null,
+        parentAnnotationId: item.parentAnnotationId ? item.parentAnnotationId.S : null,
+        modelKey: item.modelKey ? item.modelKey.S : null,
+        scale: item.annotationScale ? Number(item.annotationScale.N) : null,
+        modelName: item.modelName ? item.modelName.S : null,
+        text: item.annotationText ? item.annotationText.S : null,
+        readAloud: item.readAloud ? item.readAloud.BOOL : false,
+        spatialAudio: item.spatialAudio ? item.spatialAudio.S : null,
+        feature: readFeature(item),
+        ...readVisibility(item, username)
+    };
+};
+
+/**
+ * Lists the annotations of a room that the viewer can see, through the table's roomIndex.
+ * @param {Object} tables   As {annotationTable, roomTable}
+ * @param {Object} viewer   As returned by getViewer
+ */
+export const queryRoomAnnotations = async (dbClient, { annotationTable, roomTable }, roomId, viewer) => {
+    const isRoomMember = createRoomMembership(dbClient, roomTable);
+    let annotations = [];
+    let lastEvaluatedKey = undefined;
+
+    do {
+        const response = await dbClient.send(new QueryCommand({
+            TableName: annotationTable,
+            IndexName: 'roomIndex',
+            KeyConditionExpression: 'roomId = :roomId',
+            FilterExpression: VISIBLE_FILTER,
+            ExpressionAttributeValues: {
+                ':roomId': { S: roomId },
+                ':visible': { S: 'visible' },
+                ':username': { S: viewer.username }
+            },
+            ExclusiveStartKey: lastEvaluatedKey
+        }));
+        // Visibility depends on group and room membership, which a filter expression can't check.
+        for (const item of response.Items) {
+            if (await canView(item, viewer, isRoomMember)) {
+                annotations.push(toAnnotation(item, viewer.username));
+            }
+        }
+        lastEvaluatedKey = response.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    return annotations;
+};
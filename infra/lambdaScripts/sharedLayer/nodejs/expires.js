@@ -0,0 +1,19 @@
+// Presigned URLs and POST policies last at most a week.
+export const MIN_EXPIRES_SECONDS = 1;
+export const MAX_EXPIRES_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Reads how long presigned URLs should last from the expires query parameter, clamped to what the presigner allows.
+ * @param {string|undefined} value   The query parameter
+ * @param {number} defaultSeconds   Used when the parameter is left out
+ * @returns {number|null}   Seconds, or null if the parameter isn't a whole number of seconds
+ */
+export const parseExpires = (value, defaultSeconds) => {
+    if (value === undefined || value === null || value === '') {
+        return defaultSeconds;
+    }
+    if (!/^\d+$/.test(value)) {
+        return null;
+    }
+    return Math.min(Math.max(Number(value), MIN_EXPIRES_SECONDS), MAX_EXPIRES_SECONDS);
+};
@@ -0,0 +1,92 @@
+/**
+ * Annotations can be stored relative to a room feature the headset detected: a plane, or a mesh of the
+ * room setup such as a table or a couch. The feature is described well enough to find it again:
+ *
+ *   label       - its semantic label, e.g. 'table' or 'wall_face'
+ *   kind        - 'plane' or 'mesh'
+ *   position    - where it was, in the same coordinates as the annotation's position
+ *   extent      - its size in meters: width and height of a plane, or the sides of a mesh's bounding box
+ *   offset      - the annotation's position in the feature's own coordinates
+ *   orientation - the annotation's orientation relative to the feature
+ *
+ * The annotation's position and orientation are kept as well, for when the feature isn't found.
+ */
+export const FeatureKind = {
+    plane: 'plane',
+    mesh: 'mesh'
+};
+
+const LABEL_PATTERN = /^[A-Za-z0-9 _-]{1,50}$/;
+
+export const isVector = (vector, components) => {
+    return typeof vector === 'object' && vector !== null &&
+        components.every(component => typeof vector[component] === 'number' && Number.isFinite(vector[component]));
+};
+
+/**
+ * Checks the feature of a request body. Leaving it out is allowed, and null removes it on updates.
+ * @returns {string|null}   What is wrong with it, or null if it is valid
+ */
+export const validateFeature = (body) => {
+    const feature = body.feature;
+    if (feature === undefined || feature === null) {
+        return null;
+    }
+
+    if (typeof feature.label !== 'string' || !LABEL_PATTERN.test(feature.label)) {
+        return "feature.label must be a semantic label of at most 50 letters, digits, spaces, - or _.";
+    }
+    if (!Object.values(FeatureKind).includes(feature.kind)) {
+        return `feature.kind must be one of ${Object.values(FeatureKind).join(', ')}.`;
+    }
+    if (!isVector(feature.position, ['x', 'y', 'z']) || !isVector(feature.offset, ['x', 'y', 'z'])) {
+        return "feature.position and feature.offset must be {x, y, z}.";
+    }
+    if (!isVector(feature.orientation, ['x', 'y', 'z', 'w'])) {
+        return "feature.orientation must be {x, y, z, w}.";
+    }
+    if (!Array.isArray(feature.extent) || feature.extent.length < 1 || feature.extent.length > 3 ||
+        !feature.extent.every(size => typeof size === 'number' && size >= 0 && Number.isFinite(size))) {
+        return "feature.extent must be one to three sizes.";
+    }
+    return null;
+};
+
+/**
+ * The featureAnchor attribute for a valid feature.
+ */
+export const toFeatureAttribute = (feature) => {
+    return {
+        M: {
+            label: { S: feature.label.toLowerCase() },
+            kind: { S: feature.kind },
+            position: { S: `${feature.position.x},${feature.position.y},${feature.position.z}` },
+            extent: { S: feature.extent.join(',') },
+            offset: { S: `${feature.offset.x},${feature.offset.y},${feature.offset.z}` },
+            orientation: { S: `${feature.orientation.x},${feature.orientation.y},${feature.orientation.z},${feature.orientation.w}` }
+        }
+    };
+};
+
+/**
+ * The feature an item is stored relative to, as validateFeature takes it, or null.
+ */
+export const readFeature = (item) => {
+    if (!item.featureAnchor) {
+        return null;
+    }
+
+    const attribute = item.featureAnchor.M;
+    const parseNumbers = (value) => value.S.split(',').map(Number);
+    const [px, py, pz] = parseNumbers(attribute.position);
+    const [ox, oy, oz] = parseNumbers(attribute.offset);
+    const [qx, qy, qz, qw] = parseNumbers(attribute.orientation);
+    return {
+        label: attribute.label.S,
+        kind: attribute.kind.S,
+        position: { x: px, y: py, z: pz },
+        extent: parseNumbers(attribute.extent),
+        offset: { x: ox, y: oy, z: oz },
+        orientation: { x: qx, y: qy, z: qz, w: qw }
+    };
+};
@@ -0,0 +1,26 @@
+export const JsonResponse = (statusCode, body, mime = 'application/json') => {
+    let response = {};
+    try {
+        response = {
+            'statusCode': statusCode,
+            'headers': {
+                'Content-Type': mime,
+                'Access-Control-Allow-Headers': 'Content-Type',
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'OPTIONS,POST,GET,PUT,PATCH,DELETE'
+            },
+            'body': JSON.stringify(body)
+        }
+        return response;
+    } catch (error) {
+        console.log(error);
+        response = {
+            'statusCode': 401,
+            'headers': {
+                'Content-Type': 'application/json'
+            },
+            'body': "Check CloudWatch Logs for Response Error"
+        }
+        return response
+    }
+}
@@ -0,0 +1,59 @@
+import { getViewer } from './visibility.js';
+
+/**
+ * A moderation classifier decides whether a transcript, typed text or model name needs a moderator's review:
+ *
+ *   classify(text) -> Promise<{ flagged, reasons }>
+ *
+ * `reasons` are short descriptions shown to moderators. The blocklist classifier is the default;
+ * anything with the same shape (e.g. one calling a hosted toxicity model) can be used instead.
+ */
+
+// Reduces text to lowercase words separated by single spaces, padded so that whole words can be matched with includes().
+const normalizeText = (text) => {
+    const words = text.toLowerCase().split(/[^\p{L}\p{N}']+/u).filter(word => word.length > 0);
+    return ` ${words.join(' ')} `;
+};
+
+/**
+ * Flags transcripts containing any of the given words or phrases, ignoring case and punctuation.
+ * @param {string[]} blocklist   Words or phrases to flag
+ */
+export const createBlocklistClassifier = (blocklist) => {
+    const terms = blocklist.map(term => normalizeText(term)).filter(term => term.trim().length > 0);
+
+    return {
+        classify: async (text) => {
+            const normalizedText = normalizeText(text);
+            const matches = terms.filter(term => normalizedText.includes(term));
+            return {
+                flagged: matches.length > 0,
+                reasons: matches.map(term => `blocklisted term "${term.trim()}"`)
+            };
+        }
+    };
+};
+
+/**
+ * Runs the texts of an annotation past the classifier together, e.g. its text and the name of its model.
+ * Texts that aren't given are skipped.
+ * @returns {Object}   {flagged, reasons}, with the reasons of every flagged text
+ */
+export const classifyTexts = async (classifier, texts) => {
+    const results = await Promise.all(texts.filter(text => typeof text === 'string').map(text => classifier.classify(text)));
+    return {
+        flagged: results.some(result => result.flagged),
+        reasons: [...new Set(results.flatMap(result => result.reasons))]
+    };
+};
+
+// The blocklist is configured as a comma separated list, see MODERATION_BLOCKLIST in main.ts.
+export const blocklistClassifier = createBlocklistClassifier((process.env.MODERATION_BLOCKLIST || '').split(','));
+
+/**
+ * Whether the caller is in the moderators group, named by MODERATOR_GROUP in main.ts.
+ * @param {Object} claims   The Cognito authorizer's claims
+ */
+export const isModerator = (claims) => {
+    return getViewer(claims).groups.includes(process.env.MODERATOR_GROUP);
+};
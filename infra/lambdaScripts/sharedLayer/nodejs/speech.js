@@ -0,0 +1,37 @@
+import { SynthesizeSpeechCommand } from "@aws-sdk/client-polly";
+import { PutObjectCommand } from "@aws-sdk/client-s3";
+
+// Polly voices for the languages the web app offers; text in any other language is read in English.
+const SPEECH_VOICES = {
+    'en-US': 'Joanna',
+    'es-US': 'Penelope',
+    'fr-FR': 'Celine',
+    'de-DE': 'Marlene',
+    'it-IT': 'Carla',
+    'pt-BR': 'Vitoria',
+    'hi-IN': 'Aditi',
+    'ja-JP': 'Mizuki',
+    'ko-KR': 'Seoyeon',
+    'zh-CN': 'Zhiyu'
+};
+const DEFAULT_SPEECH_LANGUAGE = 'en-US';
+
+/**
+ * Reads the text of a text annotation aloud into speech.mp3 next to the annotation's other files.
+ */
+export const synthesizeSpeech = async (pollyClient, s3Client, bucketName, { username, annotationId, text, language }) => {
+    const languageCode = SPEECH_VOICES[language] ? language : DEFAULT_SPEECH_LANGUAGE;
+    const speech = await pollyClient.send(new SynthesizeSpeechCommand({
+        Text: text,
+        OutputFormat: 'mp3',
+        VoiceId: SPEECH_VOICES[languageCode],
+        LanguageCode: languageCode
+    }));
+
+    await s3Client.send(new PutObjectCommand({
+        Bucket: bucketName,
+        Key: `${username}/${annotationId}/speech.mp3`,
+        Body: await speech.AudioStream.transformToByteArray(),
+        ContentType: speech.ContentType || 'audio/mpeg'
+    }));
+};
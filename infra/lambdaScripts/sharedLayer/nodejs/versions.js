@@ -0,0 +1,119 @@
+import { ListObjectVersionsCommand } from "@aws-sdk/client-s3";
+
+/**
+ * Reconstructs the recording history of an annotation from the versions S3 keeps of its files.
+ *
+ * A take is a version of sound.webm. Its other renditions and peaks are the versions that were current when
+ * it was written (processUpload writes them first), and its transcript is the last sound.txt written before
+ * the next take, so hand edits count. A transcript's captions are the sound.vtt written alongside it; edits
+ * delete them. S3 timestamps are only precise to the second, so ties count as written together.
+ */
+
+export const AUDIO_FILE = 'sound.webm';
+export const RENDITION_FILES = ['sound.m4a', 'sound.peaks.json'];
+export const TRANSCRIPT_FILE = 'sound.txt';
+export const CAPTIONS_FILE = 'sound.vtt';
+
+/**
+ * Lists the versions and delete markers of every file under the prefix, grouped by file name, oldest first.
+ * @returns {Map<string, Object[]>}   Entries as {versionId, lastModified, isLatest, deleted}
+ */
+export const listFileVersions = async (s3Client, bucketName, prefix) => {
+    const files = new Map();
+    let keyMarker = undefined;
+    let versionIdMarker = undefined;
+
+    do {
+        const response = await s3Client.send(new ListObjectVersionsCommand({
+            Bucket: bucketName,
+            Prefix: prefix,
+            KeyMarker: keyMarker,
+            VersionIdMarker: versionIdMarker
+        }));
+
+        const entries = [
+            ...(response.Versions || []).map(version => ({ ...version, deleted: false })),
+            ...(response.DeleteMarkers || []).map(marker => ({ ...marker, deleted: true }))
+        ];
+        for (const entry of entries) {
+            const fileName = entry.Key.slice(prefix.length);
+            if (!files.has(fileName)) {
+                files.set(fileName, []);
+            }
+            files.get(fileName).push({
+                versionId: entry.VersionId,
+                lastModified: new Date(entry.LastModified),
+                isLatest: entry.IsLatest,
+                deleted: entry.deleted
+            });
+        }
+
+        keyMarker = response.IsTruncated ? response.NextKeyMarker : undefined;
+        versionIdMarker = response.IsTruncated ? response.NextVersionIdMarker : undefined;
+    } while (keyMarker);
+
+    // S3 lists the versions of a key newest first; the sort is stable, so same-second versions keep that order.
+    for (const versions of files.values()) {
+        versions.reverse().sort((a, b) => a.lastModified - b.lastModified);
+    }
+    return files;
+};
+
+// The version that was current at the given time, or null if there was none or it had been deleted.
+const versionAt = (versions, time) => {
+    const current = versions.filter(version => version.lastModified <= time).pop();
+    return current && !current.deleted ? current : null;
+};
+
+// The last version written in [start, end), or null if there was none. Replacing the audio deletes the transcript
+// and captions before the next take is written, so delete markers in between are skipped.
+const lastVersionBetween = (versions, start, end) => {
+    const inRange = versions.filter(version => !version.deleted && version.lastModified >= start && (!end || version.lastModified < end));
+    return inRange.length > 0 ? inRange[inRange.length - 1] : null;
+};
+
+/**
+ * Builds the takes and transcripts of an annotation, newest first.
+ * @param {Map<string, Object[]>} files   As returned by listFileVersions
+ * @returns {Object}   {takes, transcripts}; takes as {versionId, recordedAt, isCurrent, renditions, transcriptVersionId},
+ *                     where renditions maps file names to version IDs (null if missing), and transcripts as
+ *                     {versionId, updatedAt, isCurrent, captionsVersionId}
+ */
+export const buildHistory = (files) => {
+    const audioVersions = (files.get(AUDIO_FILE) || []).filter(version => !version.deleted);
+    const transcriptVersions = files.get(TRANSCRIPT_FILE) || [];
+    const captionsVersions = files.get(CAPTIONS_FILE) || [];
+
+    const takes = audioVersions.map((version, index) => {
+        const next = audioVersions[index + 1];
+        const transcript = lastVersionBetween(transcriptVersions, version.lastModified, next ? next.lastModified : null);
+        const renditions = {};
+        for (const fileName of RENDITION_FILES) {
+            const rendition = versionAt(files.get(fileName) || [], version.lastModified);
+            renditions[fileName] = rendition ? rendition.versionId : null;
+        }
+        return {
+            versionId: version.versionId,
+            recordedAt: version.lastModified.toISOString(),
+            isCurrent: version.isLatest,
+            renditions: renditions,
+            transcriptVersionId: transcript ? transcript.versionId : null
+        };
+    });
+
+    const transcripts = transcriptVersions.map((version, index) => {
+        if (version.deleted) {
+            return null;
+        }
+        const next = transcriptVersions[index + 1];
+        const captions = lastVersionBetween(captionsVersions, version.lastModified, next ? next.lastModified : null);
+        return {
+            versionId: version.versionId,
+            updatedAt: version.lastModified.toISOString(),
+            isCurrent: version.isLatest,
+            captionsVersionId: captions ? captions.versionId : null
+        };
+    }).filter(transcript => transcript !== null);
+
+    return { takes: takes.reverse(), transcripts: transcripts.reverse() };
+};
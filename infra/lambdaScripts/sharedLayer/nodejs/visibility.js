@@ -0,0 +1,144 @@
+import { GetItemCommand } from "@aws-sdk/client-dynamodb";
+
+/**
+ * Who an annotation and its files are visible to, besides its owner:
+ *
+ *   private - nobody else
+ *   shared  - the users in sharedWithUsers and the members of the Cognito groups in sharedWithGroups
+ *   room    - the members of the annotation's room
+ *   public  - every signed-in user
+ *
+ * Annotations stored before visibility was introduced have none and stay public.
+ */
+export const Visibility = {
+    private: 'private',
+    shared: 'shared',
+    room: 'room',
+    public: 'public'
+};
+
+// Usernames and group names can't contain whitespace; commas are ruled out as well since the web client splits on them.
+const NAME_PATTERN = /^[^\s,]{1,128}$/;
+const MAX_SHARED_WITH = 50;
+
+/**
+ * Checks the visibility fields of a request body. Leaving visibility out is allowed and keeps the default.
+ * @returns {string|null}   What is wrong with them, or null if they are valid
+ */
+export const validateVisibility = (body) => {
+    if (body.visibility === undefined) {
+        return null;
+    }
+    if (!Object.values(Visibility).includes(body.visibility)) {
+        return `visibility must be one of ${Object.values(Visibility).join(', ')}.`;
+    }
+
+    for (const field of ['sharedWithUsers', 'sharedWithGroups']) {
+        const names = body[field];
+        if (names === undefined) {
+            continue;
+        }
+        if (!Array.isArray(names) || names.length > MAX_SHARED_WITH || !names.every(name => typeof name === 'string' && NAME_PATTERN.test(name))) {
+            return `${field} must be a list of at most ${MAX_SHARED_WITH} names.`;
+        }
+    }
+
+    if (body.visibility === Visibility.shared && !(body.sharedWithUsers || []).length && !(body.sharedWithGroups || []).length) {
+        return "Shared annotations need sharedWithUsers or sharedWithGroups.";
+    }
+    return null;
+};
+
+/**
+ * The item attributes for valid visibility fields. DynamoDB sets can't be empty, so empty lists are left
+ * out and have to be removed from existing items instead.
+ */
+export const toVisibilityAttributes = (body) => {
+    const attributes = { visibility: { S: body.visibility } };
+    const sharedWithUsers = body.visibility === Visibility.shared ? [...new Set(body.sharedWithUsers || [])] : [];
+    const sharedWithGroups = body.visibility === Visibility.shared ? [...new Set(body.sharedWithGroups || [])] : [];
+    if (sharedWithUsers.length > 0) {
+        attributes.sharedWithUsers = { SS: sharedWithUsers };
+    }
+    if (sharedWithGroups.length > 0) {
+        attributes.sharedWithGroups = { SS: sharedWithGroups };
+    }
+    return attributes;
+};
+
+/**
+ * Reads the visibility of an annotation item. Who it is shared with is only told to its owner.
+ */
+export const readVisibility = (item, username) => {
+    const visibility = { visibility: item.visibility ? item.visibility.S : Visibility.public };
+    if (item.username.S === username) {
+        visibility.sharedWithUsers = item.sharedWithUsers ? item.sharedWithUsers.SS : [];
+        visibility.sharedWithGroups = item.sharedWithGroups ? item.sharedWithGroups.SS : [];
+    }
+    return visibility;
+};
+
+// The Cognito authorizer passes groups as a single string, e.g. "moderators" or "[moderators admins]".
+export const getViewer = (claims) => {
+    const groups = (claims['cognito:groups'] || '').replace(/[[\]]/g, '').split(/[\s,]+/).filter(group => group.length > 0);
+    return { username: claims['cognito:username'], groups: groups };
+};
+
+/**
+ * Whether the user owns the room item or is one of its members.
+ */
+export const isOwnerOrMember = (room, username) => {
+    return room.owner.S === username || (room.members ? room.members.SS.includes(username) : false);
+};
+
+/**
+ * Looks up room memberships, once per room. Room owners are always members.
+ * @returns {function(string, string): Promise<boolean>}   isRoomMember(roomId, username)
+ */
+export const createRoomMembership = (dbClient, roomTable) => {
+    const rooms = new Map();
+
+    const getRoom = (roomId) => {
+        if (!rooms.has(roomId)) {
+            rooms.set(roomId, dbClient.send(new GetItemCommand({
+                TableName: roomTable,
+                Key: { roomId: { S: roomId } }
+            })).then(data => data.Item || null));
+        }
+        return rooms.get(roomId);
+    };
+
+    return async (roomId, username) => {
+        const room = await getRoom(roomId);
+        if (!room) {
+            return false;
+        }
+        return isOwnerOrMember(room, username);
+    };
+};
+
+/**
+ * Whether the viewer may see an annotation item and its files.
+ * @param {Object} item   The annotation item
+ * @param {Object} viewer   As returned by getViewer
+ * @param {function} isRoomMember   As returned by createRoomMembership; only asked about room annotations
+ */
+export const canView = async (item, viewer, isRoomMember) => {
+    if (item.username.S === viewer.username) {
+        return true;
+    }
+
+    const visibility = item.visibility ? item.visibility.S : Visibility.public;
+    if (visibility === Visibility.public) {
+        return true;
+    }
+    if (visibility === Visibility.shared) {
+        const users = item.sharedWithUsers ? item.sharedWithUsers.SS : [];
+        const groups = item.sharedWithGroups ? item.sharedWithGroups.SS : [];
+        return users.includes(viewer.username) || groups.some(group => viewer.groups.includes(group));
+    }
+    if (visibility === Visibility.room) {
+        return item.roomId ? isRoomMember(item.roomId.S, viewer.username) : false;
+    }
+    return false;
+};
@@ -0,0 +1,282 @@
+import { DynamoDBClient, GetItemCommand, UpdateItemCommand } from "@aws-sdk/client-dynamodb";
+import { PollyClient } from "@aws-sdk/client-polly";
+import { S3Client, PutObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
+import { blocklistClassifier, classifyTexts } from "/opt/nodejs/moderation.js";
+import { Visibility, toVisibilityAttributes, validateVisibility } from "/opt/nodejs/visibility.js";
+import { toFeatureAttribute, validateFeature } from "/opt/nodejs/feature.js";
+import { AnnotationType, MAX_MODEL_NAME_LENGTH, MAX_TEXT_LENGTH, validateModelFields, validatePose } from "/opt/nodejs/annotations.js";
+import { synthesizeSpeech } from "/opt/nodejs/speech.js";
+import { JsonResponse } from "/opt/nodejs/jsonResponse.js";
+
+const dbClient = new DynamoDBClient({});
+const pollyClient = new PollyClient({});
+const s3Client = new S3Client({});
+
+const annotationTable = process.env.TABLE_NAME;
+const bucketName = process.env.BUCKET_NAME;
+
+// Hand-edited transcripts are stored as sound.txt, next to the transcribed ones.
+const MAX_TRANSCRIPT_LENGTH = 10000;
+
+// The fields that only mean something for one kind of annotation; the rest apply to all of them.
+const TYPE_FIELDS = {
+    text: [AnnotationType.text],
+    modelName: [AnnotationType.model],
+    modelKey: [AnnotationType.object, AnnotationType.image],
+    scale: [AnnotationType.object, AnnotationType.image],
+    transcript: [AnnotationType.audio],
+    replaceAudio: [AnnotationType.audio]
+};
+
+const getAnnotation = async (username, annotationId) => {
+    const data = await dbClient.send(new GetItemCommand({
+        TableName: annotationTable,
+        Key: {
+            username: { S: username },
+            annotationId: { S: annotationId }
+        }
+    }));
+    return data.Item || null;
+};
+
+/**
+ * Checks that the update keeps the annotation's type and only sets fields of that type.
+ * @param {string} type   The annotation's type
+ * @returns {string|null}   What is wrong with the update, or null if it is valid
+ */
+const validateTypeFields = (body, type) => {
+    if (body.type !== undefined && !Object.values(AnnotationType).includes(body.type)) {
+        return `type must be one of ${Object.values(AnnotationType).join(', ')}.`;
+    }
+    if (body.type !== undefined && body.type !== type) {
+        return "The type of an annotation can't be changed.";
+    }
+    const field = Object.keys(TYPE_FIELDS).find(name => body[name] !== undefined && !TYPE_FIELDS[name].includes(type));
+    if (field) {
+        return `${field} can't be set on ${type} annotations.`;
+    }
+    if (body.transcript !== undefined && !(typeof body.transcript === 'string' && body.transcript.length <= MAX_TRANSCRIPT_LENGTH)) {
+        return `transcript must be text of up to ${MAX_TRANSCRIPT_LENGTH} characters.`;
+    }
+    return null;
+};
+
+const isShortText = (value, maxLength) => {
+    return typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+};
+
+/**
+ * Checks the new text of a text annotation and the new name of a catalog model.
+ * @returns {string|null}   What is wrong with them, or null if they are valid
+ */
+const validateTextFields = (body) => {
+    if (body.text !== undefined && !isShortText(body.text, MAX_TEXT_LENGTH)) {
+        return `text can't be empty or longer than ${MAX_TEXT_LENGTH} characters.`;
+    }
+    if (body.modelName !== undefined && !isShortText(body.modelName, MAX_MODEL_NAME_LENGTH)) {
+        return `modelName can't be empty or longer than ${MAX_MODEL_NAME_LENGTH} characters.`;
+    }
+    return null;
+};
+
+const buildUpdateExpression = (body, moderation) => {
+    const assignments = ['updatedAt = :updatedAt'];
+    const removals = [];
+    const values = { ':updatedAt': { S: new Date().toISOString() } };
+
+    if (body.position !== undefined) {
+        assignments.push('#position = :position');
+        values[':position'] = { S: `${body.position.x},${body.position.y},${body.position.z}` };
+    }
+    if (body.orientation !== undefined) {
+        assignments.push('orientation = :orientation');
+        values[':orientation'] = { S: `${body.orientation.x},${body.orientation.y},${body.orientation.z},${body.orientation.w}` };
+    }
+    // A feature is stored along with the position it was measured from; moving the annotation without one drops it.
+    if (body.feature) {
+        assignments.push('featureAnchor = :featureAnchor');
+        values[':featureAnchor'] = toFeatureAttribute(body.feature);
+    }
+    else if (body.feature === null || body.position !== undefined || body.orientation !== undefined) {
+        removals.push('featureAnchor');
+    }
+    if (body.modelKey !== undefined) {
+        assignments.push('modelKey = :modelKey');
+        values[':modelKey'] = { S: body.modelKey };
+    }
+    if (body.scale !== undefined) {
+        assignments.push('annotationScale = :annotationScale');
+        values[':annotationScale'] = { N: String(body.scale) };
+    }
+    if (body.modelName !== undefined) {
+        assignments.push('modelName = :modelName');
+        values[':modelName'] = { S: body.modelName.trim() };
+    }
+    if (body.text !== undefined) {
+        assignments.push('annotationText = :annotationText');
+        values[':annotationText'] = { S: body.text.trim() };
+    }
+
+    if (body.language !== undefined) {
+        // Transcribe language codes look like 'en-US'; anything else means the language is identified automatically.
+        assignments.push('preferredLanguage = :preferredLanguage');
+        values[':preferredLanguage'] = { S: /^[a-z]{2}-[A-Z]{2}$/.test(body.language) ? body.language : 'auto' };
+    }
+
+    // Who the annotation is shared with is replaced as a whole; sets that end up empty are removed.
+    if (body.visibility !== undefined) {
+        const attributes = toVisibilityAttributes(body);
+        for (const name of ['visibility', 'sharedWithUsers', 'sharedWithGroups']) {
+            if (attributes[name]) {
+                assignments.push(`${name} = :${name}`);
+                values[`:${name}`] = attributes[name];
+            }
+            else {
+                removals.push(name);
+            }
+        }
+    }
+
+    // A hand-edited transcript counts as complete, unless a new recording is about to replace it.
+    if (body.replaceAudio) {
+        assignments.push('transcriptStatus = :transcriptStatus');
+        values[':transcriptStatus'] = { S: 'pending' };
+        removals.push('transcriptFailureReason');
+    }
+    else if (body.transcript !== undefined) {
+        assignments.push('transcriptStatus = :transcriptStatus');
+        values[':transcriptStatus'] = { S: 'complete' };
+    }
+
+    // Hand-edited transcripts, typed text and model names go through the same moderation as transcribed ones.
+    if (moderation && moderation.flagged) {
+        assignments.push('moderationStatus = :underReview');
+        assignments.push('moderationReasons = list_append(if_not_exists(moderationReasons, :noReasons), :reasons)');
+        values[':underReview'] = { S: 'under-review' };
+        values[':noReasons'] = { L: [] };
+        values[':reasons'] = { L: moderation.reasons.map(reason => ({ S: reason })) };
+    }
+
+    return { assignments, removals, values };
+};
+
+export const handler = async (event, context) => {
+    try {
+        const body = JSON.parse(event.body);
+        const username = event.requestContext.authorizer.claims['cognito:username'];
+        const annotationId = body ? body.annotationId : undefined;
+
+        if (!annotationId) {
+            return JsonResponse(400, "annotationId is required.");
+        }
+
+        const poseError = validatePose(body, false);
+        if (poseError) {
+            return JsonResponse(400, poseError);
+        }
+        const visibilityError = validateVisibility(body);
+        if (visibilityError) {
+            return JsonResponse(400, visibilityError);
+        }
+        const modelError = validateModelFields(body);
+        if (modelError) {
+            return JsonResponse(400, modelError);
+        }
+        const textError = validateTextFields(body);
+        if (textError) {
+            return JsonResponse(400, textError);
+        }
+        const featureError = validateFeature(body);
+        if (featureError) {
+            return JsonResponse(400, featureError);
+        }
+
+        // Only the caller's own annotations are found, since the table is keyed on their username.
+        const annotation = await getAnnotation(username, annotationId);
+        if (!annotation) {
+            return JsonResponse(403, "Annotation not found or not owned by the caller.");
+        }
+        const typeError = validateTypeFields(body, annotation.annotationType.S);
+        if (typeError) {
+            return JsonResponse(400, typeError);
+        }
+        if (body.visibility === Visibility.room && !annotation.roomId) {
+            return JsonResponse(400, "Only annotations in a room can be visible to its members.");
+        }
+
+        const moderation = await classifyTexts(blocklistClassifier, [
+            body.transcript,
+            body.text !== undefined ? body.text.trim() : undefined,
+            body.modelName !== undefined ? body.modelName.trim() : undefined
+        ]);
+        const { assignments, removals, values } = buildUpdateExpression(body, moderation);
+
+        // The annotation may have been deleted since it was read; this also runs for transcript or audio only changes
+        // so that the annotation still exists before S3 is touched.
+        const params = {
+            TableName: annotationTable,
+            Key: {
+                username: { S: username },
+                annotationId: { S: annotationId }
+            },
+            ConditionExpression: 'attribute_exists(annotationId)',
+            UpdateExpression: `SET ${assignments.join(', ')}` + (removals.length > 0 ? ` REMOVE ${removals.join(', ')}` : ''),
+            ExpressionAttributeValues: values,
+            ExpressionAttributeNames: body.position !== undefined ? { '#position': 'position' } : undefined,
+            ReturnValues: 'ALL_NEW'
+        };
+        const { Attributes: item } = await dbClient.send(new UpdateItemCommand(params));
+
+        // Text that is read aloud is read again; the annotation is shown as text all the same if that fails.
+        if (body.text !== undefined && item.readAloud && item.readAloud.BOOL) {
+            await synthesizeSpeech(pollyClient, s3Client, bucketName, {
+                username: username,
+                annotationId: annotationId,
+                text: item.annotationText.S,
+                language: item.language ? item.language.S : undefined
+            }).catch(err => {
+                console.error(err);
+            });
+        }
+
+        const audioKey = `${username}/${annotationId}/sound.webm`;
+        const textKey = audioKey.replace('.webm', '.txt');
+        const captionsKey = audioKey.replace('.webm', '.vtt');
+
+        if (body.transcript !== undefined) {
+            await s3Client.send(new PutObjectCommand({
+                Bucket: bucketName,
+                Key: textKey,
+                Body: body.transcript
+            }));
+        }
+
+        // Word timings only match the transcript they were generated with.
+        if (body.transcript !== undefined || body.replaceAudio) {
+            await s3Client.send(new DeleteObjectCommand({
+                Bucket: bucketName,
+                Key: captionsKey
+            }));
+        }
+
+        if (body.replaceAudio) {
+            // The old transcript no longer matches; processAudio writes a new one once the upload lands.
+            await s3Client.send(new DeleteObjectCommand({
+                Bucket: bucketName,
+                Key: textKey
+            }));
+            // The new recording is uploaded as sound.raw through putAsset, whose policy checks its type and size.
+        }
+
+        return JsonResponse(200, { message: "Annotation updated.", annotationId: annotationId });
+    } catch (err) {
+        console.error(err);
+        if (err instanceof SyntaxError) {
+            return JsonResponse(400, "The request body must be JSON.");
+        }
+        if (err.name === 'ConditionalCheckFailedException') {
+            return JsonResponse(403, "Annotation not found or not owned by the caller.");
+        }
+        return JsonResponse(500, "Error updating annotation.");
+    }
+};
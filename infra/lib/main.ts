@@ -4,6 +4,9 @@ import * as lambda from 'aws-cdk-lib/aws-lambda';
 import * as iam from 'aws-cdk-lib/aws-iam';
 import * as s3 from 'aws-cdk-lib/aws-s3';
 import * as s3n from 'aws-cdk-lib/aws-s3-notifications';
+import * as cognito from 'aws-cdk-lib/aws-cognito';
+import * as events from 'aws-cdk-lib/aws-events';
+import * as targets from 'aws-cdk-lib/aws-events-targets';
 import { S3Bucket } from '../components/s3';
 import {  LambdaStack } from '../components/lambda';
 import { DDBTable } from '../components/ddb';
@@ -12,6 +15,7 @@ import { restGatewayNestedStack } from '../components/apigateway';
 import * as ddb from 'aws-cdk-lib/aws-dynamodb';
 import { BillingMode } from 'aws-cdk-lib/aws-dynamodb';
 import { WebSiteDeployment } from '../components/webSiteDistribution';
+import path = require('path');
 
 export class MainStack extends cdk.Stack {
   public mainStack: Main
@@ -35,19 +39,69 @@ export class Main {
 
     //DynamoDB Database
     const userAnnotationDatabase = new DDBTable(scope, "UserAnnotationDatabase",
-        "username", "annotationType", BillingMode.PAY_PER_REQUEST, cdk.RemovalPolicy.DESTROY);
+        "username", "annotationId", BillingMode.PAY_PER_REQUEST, cdk.RemovalPolicy.DESTROY);
+
+    //Annotations are queried per room through this index
+    userAnnotationDatabase.addGlobalSecondaryIndex({
+      indexName: "roomIndex",
+      partitionKey: { name: "roomId", type: ddb.AttributeType.STRING },
+      sortKey: { name: "annotationId", type: ddb.AttributeType.STRING }
+    });
+
+    //Replies are queried per annotation through this index, oldest first
+    userAnnotationDatabase.addGlobalSecondaryIndex({
+      indexName: "threadIndex",
+      partitionKey: { name: "parentAnnotationId", type: ddb.AttributeType.STRING },
+      sortKey: { name: "createdAt", type: ddb.AttributeType.STRING }
+    });
+
+    const roomDatabase = new DDBTable(scope, "RoomDatabase",
+        "roomId", undefined, BillingMode.PAY_PER_REQUEST, cdk.RemovalPolicy.DESTROY);
 
     const databaseEnvs = {
       TABLE_NAME: userAnnotationDatabase.tableName
     }
 
+    const roomEnvs = {
+      ROOM_TABLE_NAME: roomDatabase.tableName
+    }
+
+    const annotationEnvs = {
+      ...storageEnvs,
+      ...databaseEnvs
+    }
+
+    //Transcripts, typed text and model names containing any of these comma separated terms are held for review, pass them with -c moderationBlocklist=...
+    const transcriptEnvs = {
+      ...annotationEnvs,
+      MODERATION_BLOCKLIST: scope.node.tryGetContext("moderationBlocklist") || ""
+    }
+
+    //Listings and asset reads check annotation visibility, which can depend on room membership
+    const visibilityEnvs = {
+      ...annotationEnvs,
+      ...roomEnvs
+    }
+
+    //Members of this Cognito group can approve or remove flagged annotations
+    const moderationEnvs = {
+      ...annotationEnvs,
+      MODERATOR_GROUP: "moderators"
+    }
+
+    //Code shared by the lambdas (visibility, room features, moderation, ...), which they import from /opt/nodejs
+    const sharedLayers = [new lambda.LayerVersion(scope, "SharedLambdaLayer", {
+      code: lambda.Code.fromAsset(path.join(__dirname, '../lambdaScripts/sharedLayer')),
+      compatibleRuntimes: [cdk.aws_lambda.Runtime.NODEJS_18_X]
+    })];
+
     //Make Nested Lambda Stack(s)
     const getAssetLambda = new LambdaStack(scope, "getAssetLambda", cdk.aws_lambda.Runtime.NODEJS_18_X,
-     '../lambdaScripts/getAsset', 'handler', cdk.Duration.minutes(5), 512, 512, storageEnvs);
+     '../lambdaScripts/getAsset', 'handler', cdk.Duration.minutes(5), 512, 512, visibilityEnvs, sharedLayers);
     const putAssetLambda = new LambdaStack(scope, "putAssetLambda", cdk.aws_lambda.Runtime.NODEJS_18_X,
-    '../lambdaScripts/putAsset', 'handler', cdk.Duration.minutes(5), 512, 512, storageEnvs);
+    '../lambdaScripts/putAsset', 'handler', cdk.Duration.minutes(5), 512, 512, annotationEnvs, sharedLayers);
     const getAllAssetsLambda = new LambdaStack(scope, "getAllAssetsLambda", cdk.aws_lambda.Runtime.NODEJS_18_X,
-    '../lambdaScripts/getAllAssets', 'handler', cdk.Duration.minutes(5), 512, 512, storageEnvs);
+    '../lambdaScripts/getAllAssets', 'handler', cdk.Duration.minutes(5), 512, 512, visibilityEnvs, sharedLayers);
 
     //Grant Lambda functions read/write access to S3 bucket
     storageBucket.grantRead(getAssetLambda.lambdaFunction);
@@ -55,16 +109,101 @@ export class Main {
     storageBucket.grantReadWrite(getAllAssetsLambda.lambdaFunction);
 
     const getUserAnnotationsLambda = new LambdaStack(scope, "getUserAnnotationsLambda", cdk.aws_lambda.Runtime.NODEJS_18_X,
-        '../lambdaScripts/getUserAnnotations', 'handler', cdk.Duration.minutes(5), 512, 512, databaseEnvs);
+        '../lambdaScripts/getUserAnnotations', 'handler', cdk.Duration.minutes(5), 512, 512, databaseEnvs, sharedLayers);
     const putUserAnnotationLambda = new LambdaStack(scope, "putUserAnnotationLambda", cdk.aws_lambda.Runtime.NODEJS_18_X,
-        '../lambdaScripts/putUserAnnotation', 'handler', cdk.Duration.minutes(5), 512, 512, databaseEnvs);
+        '../lambdaScripts/putUserAnnotation', 'handler', cdk.Duration.minutes(5), 512, 512, { ...visibilityEnvs, ...transcriptEnvs }, sharedLayers);
     const getAllAnnotationsLambda = new LambdaStack(scope, "getAllAnnotationsLambda", cdk.aws_lambda.Runtime.NODEJS_18_X,
-        '../lambdaScripts/getAllAnnotations', 'handler', cdk.Duration.minutes(5), 512, 512, databaseEnvs);
+        '../lambdaScripts/getAllAnnotations', 'handler', cdk.Duration.minutes(5), 512, 512, visibilityEnvs, sharedLayers);
+    const deleteUserAnnotationLambda = new LambdaStack(scope, "deleteUserAnnotationLambda", cdk.aws_lambda.Runtime.NODEJS_18_X,
+        '../lambdaScripts/deleteUserAnnotation', 'handler', cdk.Duration.minutes(5), 512, 512, annotationEnvs, sharedLayers);
+    const updateUserAnnotationLambda = new LambdaStack(scope, "updateUserAnnotationLambda", cdk.aws_lambda.Runtime.NODEJS_18_X,
+        '../lambdaScripts/updateUserAnnotation', 'handler', cdk.Duration.minutes(5), 512, 512, transcriptEnvs, sharedLayers);
+    const getRoomAnnotationsLambda = new LambdaStack(scope, "getRoomAnnotationsLambda", cdk.aws_lambda.Runtime.NODEJS_18_X,
+        '../lambdaScripts/getRoomAnnotations', 'handler', cdk.Duration.minutes(5), 512, 512, visibilityEnvs, sharedLayers);
+    const getRoomAnnotationBundlesLambda = new LambdaStack(scope, "getRoomAnnotationBundlesLambda", cdk.aws_lambda.Runtime.NODEJS_18_X,
+        '../lambdaScripts/getRoomAnnotationBundles', 'handler', cdk.Duration.minutes(5), 512, 512, visibilityEnvs, sharedLayers);
+    const putRoomLambda = new LambdaStack(scope, "putRoomLambda", cdk.aws_lambda.Runtime.NODEJS_18_X,
+        '../lambdaScripts/putRoom', 'handler', cdk.Duration.minutes(5), 512, 512, roomEnvs, sharedLayers);
+    const addRoomMembersLambda = new LambdaStack(scope, "addRoomMembersLambda", cdk.aws_lambda.Runtime.NODEJS_18_X,
+        '../lambdaScripts/addRoomMembers', 'handler', cdk.Duration.minutes(5), 512, 512, roomEnvs, sharedLayers);
+    const getRoomLambda = new LambdaStack(scope, "getRoomLambda", cdk.aws_lambda.Runtime.NODEJS_18_X,
+        '../lambdaScripts/getRoom', 'handler', cdk.Duration.minutes(5), 512, 512, roomEnvs, sharedLayers);
+    const putRoomSignatureLambda = new LambdaStack(scope, "putRoomSignatureLambda", cdk.aws_lambda.Runtime.NODEJS_18_X,
+        '../lambdaScripts/putRoomSignature', 'handler', cdk.Duration.minutes(5), 512, 512, roomEnvs, sharedLayers);
+    const putRoomMarkersLambda = new LambdaStack(scope, "putRoomMarkersLambda", cdk.aws_lambda.Runtime.NODEJS_18_X,
+        '../lambdaScripts/putRoomMarkers', 'handler', cdk.Duration.minutes(5), 512, 512, roomEnvs, sharedLayers);
+    const flagAnnotationLambda = new LambdaStack(scope, "flagAnnotationLambda", cdk.aws_lambda.Runtime.NODEJS_18_X,
+        '../lambdaScripts/flagAnnotation', 'handler', cdk.Duration.minutes(5), 512, 512, visibilityEnvs, sharedLayers);
+    const getModerationQueueLambda = new LambdaStack(scope, "getModerationQueueLambda", cdk.aws_lambda.Runtime.NODEJS_18_X,
+        '../lambdaScripts/getModerationQueue', 'handler', cdk.Duration.minutes(5), 512, 512, moderationEnvs, sharedLayers);
+    const moderateAnnotationLambda = new LambdaStack(scope, "moderateAnnotationLambda", cdk.aws_lambda.Runtime.NODEJS_18_X,
+        '../lambdaScripts/moderateAnnotation', 'handler', cdk.Duration.minutes(5), 512, 512, moderationEnvs, sharedLayers);
+    const getAnnotationVersionsLambda = new LambdaStack(scope, "getAnnotationVersionsLambda", cdk.aws_lambda.Runtime.NODEJS_18_X,
+        '../lambdaScripts/getAnnotationVersions', 'handler', cdk.Duration.minutes(5), 512, 512, annotationEnvs, sharedLayers);
+    const getAnnotationThreadLambda = new LambdaStack(scope, "getAnnotationThreadLambda", cdk.aws_lambda.Runtime.NODEJS_18_X,
+        '../lambdaScripts/getAnnotationThread', 'handler', cdk.Duration.minutes(5), 512, 512, visibilityEnvs, sharedLayers);
+    const restoreAnnotationVersionLambda = new LambdaStack(scope, "restoreAnnotationVersionLambda", cdk.aws_lambda.Runtime.NODEJS_18_X,
+        '../lambdaScripts/restoreAnnotationVersion', 'handler', cdk.Duration.minutes(5), 512, 512, transcriptEnvs, sharedLayers);
 
     //Grant Lambda functions read/write access to database
     userAnnotationDatabase.grantReadData(getUserAnnotationsLambda.lambdaFunction);
     userAnnotationDatabase.grantReadWriteData(putUserAnnotationLambda.lambdaFunction);
     userAnnotationDatabase.grantReadWriteData(getAllAnnotationsLambda.lambdaFunction);
+    userAnnotationDatabase.grantReadWriteData(deleteUserAnnotationLambda.lambdaFunction);
+    userAnnotationDatabase.grantReadWriteData(updateUserAnnotationLambda.lambdaFunction);
+    userAnnotationDatabase.grantReadData(getRoomAnnotationsLambda.lambdaFunction);
+    //putAsset only hands out upload policies for the caller's own annotations
+    userAnnotationDatabase.grantReadData(putAssetLambda.lambdaFunction);
+    userAnnotationDatabase.grantReadData(getRoomAnnotationBundlesLambda.lambdaFunction);
+    storageBucket.grantRead(getRoomAnnotationBundlesLambda.lambdaFunction);
+    roomDatabase.grantReadWriteData(putRoomLambda.lambdaFunction);
+    roomDatabase.grantReadWriteData(addRoomMembersLambda.lambdaFunction);
+    roomDatabase.grantReadData(getRoomLambda.lambdaFunction);
+    roomDatabase.grantReadWriteData(putRoomSignatureLambda.lambdaFunction);
+    roomDatabase.grantReadWriteData(putRoomMarkersLambda.lambdaFunction);
+
+    //Annotations and their files are only handed out to the users they are visible to
+    userAnnotationDatabase.grantReadData(getAssetLambda.lambdaFunction);
+    userAnnotationDatabase.grantReadData(getAllAssetsLambda.lambdaFunction);
+    roomDatabase.grantReadData(getAssetLambda.lambdaFunction);
+    roomDatabase.grantReadData(getAllAssetsLambda.lambdaFunction);
+    roomDatabase.grantReadData(getAllAnnotationsLambda.lambdaFunction);
+    roomDatabase.grantReadData(getRoomAnnotationsLambda.lambdaFunction);
+    roomDatabase.grantReadData(getRoomAnnotationBundlesLambda.lambdaFunction);
+    //Replies can only be left on, and threads only listed for, annotations the caller can see
+    roomDatabase.grantReadData(putUserAnnotationLambda.lambdaFunction);
+    //Text annotations can be read aloud into speech.mp3 when they are stored
+    storageBucket.grantPut(putUserAnnotationLambda.lambdaFunction);
+    putUserAnnotationLambda.lambdaFunction.addToRolePolicy(new iam.PolicyStatement({
+      actions: ["polly:SynthesizeSpeech"],
+      resources: ["*"]
+    }));
+    //and read again when their text is edited
+    updateUserAnnotationLambda.lambdaFunction.addToRolePolicy(new iam.PolicyStatement({
+      actions: ["polly:SynthesizeSpeech"],
+      resources: ["*"]
+    }));
+    userAnnotationDatabase.grantReadData(getAnnotationThreadLambda.lambdaFunction);
+    roomDatabase.grantReadData(getAnnotationThreadLambda.lambdaFunction);
+    userAnnotationDatabase.grantReadWriteData(flagAnnotationLambda.lambdaFunction);
+    //Only annotations the caller can see can be flagged
+    roomDatabase.grantReadData(flagAnnotationLambda.lambdaFunction);
+    userAnnotationDatabase.grantReadData(getModerationQueueLambda.lambdaFunction);
+    userAnnotationDatabase.grantReadWriteData(moderateAnnotationLambda.lambdaFunction);
+    storageBucket.grantRead(getModerationQueueLambda.lambdaFunction);
+
+    //Deleting or updating an annotation also removes or rewrites its recording and transcript
+    storageBucket.grantReadWrite(deleteUserAnnotationLambda.lambdaFunction);
+    storageBucket.grantDelete(deleteUserAnnotationLambda.lambdaFunction);
+    storageBucket.grantReadWrite(updateUserAnnotationLambda.lambdaFunction);
+    storageBucket.grantDelete(updateUserAnnotationLambda.lambdaFunction);
+
+    //Earlier takes are read from and restored over the bucket's object versions
+    userAnnotationDatabase.grantReadData(getAnnotationVersionsLambda.lambdaFunction);
+    storageBucket.grantRead(getAnnotationVersionsLambda.lambdaFunction);
+    userAnnotationDatabase.grantReadWriteData(restoreAnnotationVersionLambda.lambdaFunction);
+    storageBucket.grantReadWrite(restoreAnnotationVersionLambda.lambdaFunction);
+    storageBucket.grantDelete(restoreAnnotationVersionLambda.lambdaFunction);
 
     const indexArn = `arn:aws:dynamodb:${userAnnotationDatabase.env.region}:${userAnnotationDatabase.env.account}:table` +
         `/${userAnnotationDatabase.tableName}/index/annotationType`;
@@ -76,6 +215,12 @@ export class Main {
 
     //Build Cognito Stack
     const cognitoStack = new CognitoStack(scope, "auth", true, true);
+
+    new cognito.CfnUserPoolGroup(scope, "moderatorsGroup", {
+      userPoolId: cognitoStack.userPool.userPoolId,
+      groupName: moderationEnvs.MODERATOR_GROUP,
+      description: "Can approve or remove flagged annotations"
+    });
   
     //Build API Gateway
     const apiGateway = new restGatewayNestedStack(scope, "gateway", "Main Stack Gateway", "dev").gateway;
@@ -87,11 +232,44 @@ export class Main {
 
     apiGateway.AddMethodIntegration(getUserAnnotationsLambda.MethodIntegration(), "annotation", "GET", apiAuthorizer);
     apiGateway.AddMethodIntegration(putUserAnnotationLambda.MethodIntegration(), "annotation", "PUT", apiAuthorizer);
+    apiGateway.AddMethodIntegration(deleteUserAnnotationLambda.MethodIntegration(), "annotation", "DELETE", apiAuthorizer);
+    apiGateway.AddMethodIntegration(updateUserAnnotationLambda.MethodIntegration(), "annotation", "PATCH", apiAuthorizer);
     apiGateway.AddMethodIntegration(getAllAnnotationsLambda.MethodIntegration(), "annotations/all", "GET", apiAuthorizer);
+    apiGateway.AddMethodIntegration(flagAnnotationLambda.MethodIntegration(), "annotation/flag", "POST", apiAuthorizer);
+    apiGateway.AddMethodIntegration(getAnnotationThreadLambda.MethodIntegration(), "annotation/thread", "GET", apiAuthorizer);
+    apiGateway.AddMethodIntegration(getAnnotationVersionsLambda.MethodIntegration(), "annotation/versions", "GET", apiAuthorizer);
+    apiGateway.AddMethodIntegration(restoreAnnotationVersionLambda.MethodIntegration(), "annotation/versions", "POST", apiAuthorizer);
+
+    apiGateway.AddMethodIntegration(getModerationQueueLambda.MethodIntegration(), "moderation", "GET", apiAuthorizer);
+    apiGateway.AddMethodIntegration(moderateAnnotationLambda.MethodIntegration(), "moderation", "POST", apiAuthorizer);
+
+    apiGateway.AddMethodIntegration(putRoomLambda.MethodIntegration(), "rooms", "PUT", apiAuthorizer);
+    apiGateway.AddMethodIntegration(addRoomMembersLambda.MethodIntegration(), "rooms/{roomId}/members", "PUT", apiAuthorizer);
+    apiGateway.AddMethodIntegration(getRoomLambda.MethodIntegration(), "rooms/{roomId}", "GET", apiAuthorizer);
+    apiGateway.AddMethodIntegration(putRoomSignatureLambda.MethodIntegration(), "rooms/{roomId}/signature", "PUT", apiAuthorizer);
+    apiGateway.AddMethodIntegration(putRoomMarkersLambda.MethodIntegration(), "rooms/{roomId}/markers", "PUT", apiAuthorizer);
+    apiGateway.AddMethodIntegration(getRoomAnnotationsLambda.MethodIntegration(), "rooms/{roomId}/annotations", "GET", apiAuthorizer);
+    apiGateway.AddMethodIntegration(getRoomAnnotationBundlesLambda.MethodIntegration(), "rooms/{roomId}/bundle", "GET", apiAuthorizer);
+
+    // Raw recordings (sound.raw, in whatever container the browser recorded) are trimmed, loudness-normalized
+    // and transcoded into sound.m4a and sound.webm. ffmpeg comes from a layer passed in with -c ffmpegLayerArn=...
+    const ffmpegLayerArn = scope.node.tryGetContext("ffmpegLayerArn");
+    const ffmpegLayers = ffmpegLayerArn ? [lambda.LayerVersion.fromLayerVersionArn(scope, "ffmpegLayer", ffmpegLayerArn)] : [];
+    const processUploadLambda = new LambdaStack(scope, "processUploadLambda", cdk.aws_lambda.Runtime.NODEJS_18_X,
+     '../lambdaScripts/processUpload', 'handler', cdk.Duration.minutes(5), 1024, 1024, annotationEnvs, ffmpegLayers);
+
+    // Recordings arrive through presigned POST policies, so this has to cover POSTs as well as PUTs
+    storageBucket.addEventNotification(s3.EventType.OBJECT_CREATED, new s3n.LambdaDestination(processUploadLambda.lambdaFunction), {
+      prefix: '',
+      suffix: '.raw'
+    });
+    storageBucket.grantReadWrite(processUploadLambda.lambdaFunction);
+    //Recordings that can't be converted are marked as failed on their annotation
+    userAnnotationDatabase.grantReadWriteData(processUploadLambda.lambdaFunction);
 
     // Create a Lambda function for processing audio files
     const processAudioLambda = new LambdaStack(scope, "processAudioLambda", cdk.aws_lambda.Runtime.NODEJS_18_X,
-     '../lambdaScripts/processAudio', 'handler', cdk.Duration.minutes(5), 512, 512, storageEnvs);
+     '../lambdaScripts/processAudio', 'handler', cdk.Duration.minutes(5), 512, 512, transcriptEnvs, sharedLayers);
 
     // Set up S3 event trigger for new or modified .webm files
     storageBucket.addEventNotification(s3.EventType.OBJECT_CREATED_PUT, new s3n.LambdaDestination(processAudioLambda.lambdaFunction), {
@@ -101,11 +279,24 @@ export class Main {
 
     // Grant necessary permissions to the Lambda function
     storageBucket.grantReadWrite(processAudioLambda.lambdaFunction);
+    userAnnotationDatabase.grantReadWriteData(processAudioLambda.lambdaFunction);
     processAudioLambda.lambdaFunction.addToRolePolicy(new iam.PolicyStatement({
-      actions: ["transcribe:StartTranscriptionJob", "transcribe:GetTranscriptionJob"],
+      actions: ["transcribe:StartTranscriptionJob", "transcribe:GetTranscriptionJob", "transcribe:TagResource"],
       resources: ["*"] // Consider specifying more granular permissions
     }));
 
+    // Finished transcription jobs come back to the same Lambda as a separate event instead of being polled
+    new events.Rule(scope, "transcriptionJobStateChangeRule", {
+      eventPattern: {
+        source: ["aws.transcribe"],
+        detailType: ["Transcribe Job State Change"],
+        detail: {
+          TranscriptionJobStatus: ["COMPLETED", "FAILED"]
+        }
+      },
+      targets: [new targets.LambdaFunction(processAudioLambda.lambdaFunction)]
+    });
+
     //Upload Website
     const website = new WebSiteDeployment(scope, "webDeployment", '../../web/dist', 'index.html', apiGateway, storageBucket);
      const configJson = {
@@ -0,0 +1,29 @@
+/**
+ * Module resolution hook, registered by server.js, that swaps the AWS SDK packages imported by the
+ * lambdas for the local stand-ins in fakeAws/, and points their /opt/nodejs imports at the shared
+ * layer's source.
+ */
+export const FAKE_MODULES = {
+    '@aws-sdk/client-s3': './fakeAws/s3.js',
+    '@aws-sdk/s3-request-presigner': './fakeAws/s3RequestPresigner.js',
+    '@aws-sdk/s3-presigned-post': './fakeAws/s3PresignedPost.js',
+    '@aws-sdk/client-dynamodb': './fakeAws/dynamodb.js',
+    '@aws-sdk/client-transcribe': './fakeAws/transcribe.js',
+    '@aws-sdk/client-polly': './fakeAws/polly.js'
+};
+
+const SHARED_LAYER_PREFIX = '/opt/nodejs/';
+const SHARED_LAYER_URL = new URL('../lambdaScripts/sharedLayer/nodejs/', import.meta.url);
+
+export const resolve = async (specifier, context, nextResolve) => {
+    if (specifier in FAKE_MODULES) {
+        return { url: new URL(FAKE_MODULES[specifier], import.meta.url).href, shortCircuit: true };
+    }
+    if (specifier.startsWith(SHARED_LAYER_PREFIX)) {
+        return { url: new URL(specifier.slice(SHARED_LAYER_PREFIX.length), SHARED_LAYER_URL).href, shortCircuit: true };
+    }
+    if (specifier.startsWith('@aws-sdk/')) {
+        throw new Error(`${specifier} has no local stand-in, add one to awsSdkLoader.js`);
+    }
+    return nextResolve(specifier, context);
+};
@@ -0,0 +1,241 @@
+import { randomUUID } from "crypto";
+import { EventEmitter } from "events";
+import { mkdir, readdir, readFile, rm, stat, writeFile } from "fs/promises";
+import { dirname, join, relative, sep } from "path";
+
+// Content types for objects stored without one, e.g. by a lambda that doesn't set ContentType.
+const CONTENT_TYPES = {
+    webm: 'audio/webm',
+    m4a: 'audio/mp4',
+    ogg: 'audio/ogg',
+    json: 'application/json',
+    vtt: 'text/vtt',
+    txt: 'text/plain',
+    glb: 'model/gltf-binary',
+    png: 'image/png'
+};
+
+const contentTypes = new Map();
+
+// Version history per key, newest first, as { versionId, lastModified, contentType, deleted, file, size }. It is kept in
+// memory like the tables, so after a restart the stored files are the only version, with the version ID
+// 'null' that S3 gives objects stored before versioning was enabled.
+const versionHistory = new Map();
+
+/**
+ * Stands in for the versioned S3 bucket: objects are files under the data directory, keyed by their path,
+ * and every version written since the server started is kept next to them. Emits 'objectCreated' with the
+ * key and how it was written ('Put', 'Post' or 'Copy') after every write, like the bucket's event notifications.
+ */
+export const bucketStore = new EventEmitter();
+
+bucketStore.directory = join(process.env.LOCAL_DATA_DIR || 'data', 'bucket');
+bucketStore.versionsDirectory = join(process.env.LOCAL_DATA_DIR || 'data', 'versions');
+
+// Versions from an earlier run can't be listed any more, so don't let them pile up.
+await rm(bucketStore.versionsDirectory, { recursive: true, force: true });
+
+const pathOf = (key) => {
+    const path = join(bucketStore.directory, key);
+    if (relative(bucketStore.directory, path).startsWith('..')) {
+        throw new Error(`Invalid key ${key}`);
+    }
+    return path;
+};
+
+const findVersion = (key, versionId) => {
+    return (versionHistory.get(key) || []).find(version => version.versionId === versionId);
+};
+
+const addVersion = (key, version) => {
+    versionHistory.set(key, [version, ...(versionHistory.get(key) || [])]);
+};
+
+export const getContentType = (key, versionId) => {
+    const version = versionId ? findVersion(key, versionId) : null;
+    const contentType = version ? version.contentType : contentTypes.get(key);
+    return contentType || CONTENT_TYPES[key.split('.').pop()] || 'application/octet-stream';
+};
+
+export const putObject = async (key, body, contentType, eventType = 'Put') => {
+    const path = pathOf(key);
+    if (!versionHistory.has(key) && await readFileOrNull(path)) {
+        await keepUnversionedFile(key, path);
+    }
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, body);
+    if (contentType) {
+        contentTypes.set(key, contentType);
+    }
+    else {
+        contentTypes.delete(key);
+    }
+
+    const versionId = randomUUID();
+    await mkdir(bucketStore.versionsDirectory, { recursive: true });
+    await writeFile(join(bucketStore.versionsDirectory, versionId), body);
+    addVersion(key, { versionId, lastModified: new Date(), contentType, deleted: false, file: versionId, size: body.length });
+
+    bucketStore.emit('objectCreated', key, eventType);
+};
+
+const readFileOrNull = async (path) => {
+    try {
+        return await readFile(path);
+    } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+            return null;
+        }
+        throw error;
+    }
+};
+
+// Returns the contents of the object, or of one of its versions, or null if there is no such object or version.
+export const getObject = async (key, versionId) => {
+    if (!versionId) {
+        return readFileOrNull(pathOf(key));
+    }
+
+    const version = findVersion(key, versionId);
+    if (version) {
+        return version.deleted ? null : readFileOrNull(join(bucketStore.versionsDirectory, version.file));
+    }
+    // Files from before the server started only have their current version.
+    return versionId === 'null' && !versionHistory.has(key) ? readFileOrNull(pathOf(key)) : null;
+};
+
+// Like deleting from a versioned bucket, this only adds a delete marker; earlier versions can still be read.
+export const deleteObject = async (key) => {
+    const path = pathOf(key);
+    if (!versionHistory.has(key) && await readFileOrNull(path)) {
+        await keepUnversionedFile(key, path);
+    }
+
+    await rm(path, { force: true });
+    contentTypes.delete(key);
+    addVersion(key, { versionId: randomUUID(), lastModified: new Date(), deleted: true });
+};
+
+// Like deleting a version from a versioned bucket, this removes it for good. If it was the current version, the
+// one before it becomes current again, or the object is gone if that is a delete marker or there is none.
+export const deleteObjectVersion = async (key, versionId) => {
+    const path = pathOf(key);
+    const history = versionHistory.get(key);
+    if (!history) {
+        // Files from before the server started only have their current version.
+        if (versionId === 'null') {
+            await rm(path, { force: true });
+            contentTypes.delete(key);
+        }
+        return;
+    }
+
+    const index = history.findIndex(version => version.versionId === versionId);
+    if (index === -1) {
+        return;
+    }
+    const [removed] = history.splice(index, 1);
+    if (!removed.deleted) {
+        await rm(join(bucketStore.versionsDirectory, removed.file), { force: true });
+    }
+    if (history.length === 0) {
+        versionHistory.delete(key);
+    }
+    if (index !== 0) {
+        return;
+    }
+
+    const current = history[0];
+    if (current && !current.deleted) {
+        await mkdir(dirname(path), { recursive: true });
+        await writeFile(path, await readFile(join(bucketStore.versionsDirectory, current.file)));
+        if (current.contentType) {
+            contentTypes.set(key, current.contentType);
+        }
+        else {
+            contentTypes.delete(key);
+        }
+    }
+    else {
+        await rm(path, { force: true });
+        contentTypes.delete(key);
+    }
+};
+
+// Gives a file from before the server started the 'null' version, so that it survives being deleted.
+const keepUnversionedFile = async (key, path) => {
+    const info = await stat(path);
+    const file = randomUUID();
+    await mkdir(bucketStore.versionsDirectory, { recursive: true });
+    await writeFile(join(bucketStore.versionsDirectory, file), await readFile(path));
+    versionHistory.set(key, [{ versionId: 'null', lastModified: info.mtime, contentType: contentTypes.get(key), deleted: false, file, size: info.size }]);
+};
+
+const listFiles = async (directory) => {
+    let entries;
+    try {
+        entries = await readdir(directory, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    const files = [];
+    for (const entry of entries) {
+        const path = join(directory, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await listFiles(path));
+        }
+        else {
+            files.push(path);
+        }
+    }
+    return files;
+};
+
+// Lists { Key, Size, LastModified } for every object whose key starts with the prefix, in key order.
+export const listObjects = async (prefix = '') => {
+    const files = await listFiles(bucketStore.directory);
+    const objects = [];
+    for (const file of files) {
+        const key = relative(bucketStore.directory, file).split(sep).join('/');
+        if (key.startsWith(prefix)) {
+            const info = await stat(file);
+            objects.push({ Key: key, Size: info.size, LastModified: info.mtime });
+        }
+    }
+    return objects.sort((a, b) => (a.Key < b.Key ? -1 : 1));
+};
+
+/**
+ * Lists every version and delete marker of the objects whose key starts with the prefix, in key order and
+ * newest first for each key, as { Key, VersionId, IsLatest, LastModified, Size, deleted }.
+ */
+export const listObjectVersions = async (prefix = '') => {
+    const current = await listObjects(prefix);
+    const keys = new Set([...current.map(object => object.Key), ...[...versionHistory.keys()].filter(key => key.startsWith(prefix))]);
+
+    const versions = [];
+    for (const key of [...keys].sort()) {
+        const history = versionHistory.get(key);
+        if (!history) {
+            const object = current.find(object => object.Key === key);
+            versions.push({ ...object, VersionId: 'null', IsLatest: true, deleted: false });
+            continue;
+        }
+
+        for (const [index, version] of history.entries()) {
+            versions.push({
+                Key: key,
+                VersionId: version.versionId,
+                IsLatest: index === 0,
+                LastModified: version.lastModified,
+                Size: version.size,
+                deleted: version.deleted
+            });
+        }
+    }
+    return versions;
+};
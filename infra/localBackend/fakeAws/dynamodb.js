@@ -0,0 +1,135 @@
+import { compileCondition, compileUpdate } from "./expressions.js";
+
+/**
+ * The parts of @aws-sdk/client-dynamodb the lambdas use, backed by in-memory tables. Items keep the
+ * attribute value format ({ S: ... }, { N: ... }, ...) so lambdas read them exactly as from DynamoDB.
+ * Every query and scan returns a single page.
+ */
+
+class Command {
+    constructor(input) {
+        this.input = input;
+    }
+}
+
+export class GetItemCommand extends Command {}
+export class PutItemCommand extends Command {}
+export class DeleteItemCommand extends Command {}
+export class UpdateItemCommand extends Command {}
+export class QueryCommand extends Command {}
+export class ScanCommand extends Command {}
+export class BatchGetItemCommand extends Command {}
+
+const tables = new Map();
+
+/**
+ * Creates an empty table. Key attributes are the partition key and, optionally, the sort key.
+ */
+export const defineTable = (tableName, keyAttributes) => {
+    tables.set(tableName, { keyAttributes: keyAttributes, items: new Map() });
+};
+
+const getTable = (tableName) => {
+    const table = tables.get(tableName);
+    if (!table) {
+        const error = new Error(`Requested resource not found: table ${tableName}`);
+        error.name = 'ResourceNotFoundException';
+        throw error;
+    }
+    return table;
+};
+
+const keyOf = (table, item) => {
+    return JSON.stringify(table.keyAttributes.map(attribute => {
+        if (!item[attribute]) {
+            const error = new Error(`Missing key attribute ${attribute}`);
+            error.name = 'ValidationException';
+            throw error;
+        }
+        return item[attribute];
+    }));
+};
+
+const checkCondition = (input, item) => {
+    if (!input.ConditionExpression) {
+        return;
+    }
+    const condition = compileCondition(input.ConditionExpression, input.ExpressionAttributeNames, input.ExpressionAttributeValues);
+    if (!condition(item || {})) {
+        const error = new Error('The conditional request failed');
+        error.name = 'ConditionalCheckFailedException';
+        throw error;
+    }
+};
+
+const copy = (item) => JSON.parse(JSON.stringify(item));
+
+const filterItems = (input, items) => {
+    const conditions = [input.KeyConditionExpression, input.FilterExpression]
+        .filter(expression => expression)
+        .map(expression => compileCondition(expression, input.ExpressionAttributeNames, input.ExpressionAttributeValues));
+    return items.filter(item => conditions.every(condition => condition(item))).map(copy);
+};
+
+export class DynamoDBClient {
+    constructor(config) {
+        this.config = config;
+    }
+
+    async send(command) {
+        const input = command.input;
+
+        // The only command that spans tables. Nothing is ever throttled, so no keys are left unprocessed.
+        if (command instanceof BatchGetItemCommand) {
+            const responses = {};
+            for (const [tableName, request] of Object.entries(input.RequestItems)) {
+                const batchTable = getTable(tableName);
+                responses[tableName] = request.Keys.map(key => batchTable.items.get(keyOf(batchTable, key)))
+                    .filter(item => item)
+                    .map(copy);
+            }
+            return { Responses: responses, UnprocessedKeys: {} };
+        }
+
+        const table = getTable(input.TableName);
+
+        if (command instanceof GetItemCommand) {
+            const item = table.items.get(keyOf(table, input.Key));
+            return { Item: item ? copy(item) : undefined };
+        }
+
+        if (command instanceof PutItemCommand) {
+            const key = keyOf(table, input.Item);
+            checkCondition(input, table.items.get(key));
+            table.items.set(key, copy(input.Item));
+            return {};
+        }
+
+        if (command instanceof DeleteItemCommand) {
+            const key = keyOf(table, input.Key);
+            checkCondition(input, table.items.get(key));
+            table.items.delete(key);
+            return {};
+        }
+
+        if (command instanceof UpdateItemCommand) {
+            // Like DynamoDB, updating a missing item creates it unless the condition prevents that.
+            const key = keyOf(table, input.Key);
+            const existing = table.items.get(key);
+            checkCondition(input, existing);
+
+            const item = existing ? copy(existing) : copy(input.Key);
+            compileUpdate(input.UpdateExpression, input.ExpressionAttributeNames, input.ExpressionAttributeValues)(item);
+            table.items.set(key, item);
+            return { Attributes: copy(item) };
+        }
+
+        if (command instanceof QueryCommand || command instanceof ScanCommand) {
+            // Secondary indexes are sparse, but every index condition names its key, so filtering all items is enough.
+            const items = filterItems(input, [...table.items.values()]);
+            return { Items: items, Count: items.length, ScannedCount: table.items.size };
+        }
+
+        throw new Error(`${command.constructor.name} is not supported by the local backend`);
+    }
+}
@@ -0,0 +1,382 @@
+/**
+ * Evaluates the DynamoDB expression syntax the lambdas use (key conditions, filters, conditions and
+ * update expressions) against items in the attribute value format, e.g. { username: { S: 'alice' } }.
+ * Only top level attributes are supported, nested paths are not needed by any lambda.
+ */
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'BETWEEN', 'IN', 'SET', 'REMOVE', 'ADD', 'DELETE'];
+const COMPARATORS = ['=', '<>', '<', '<=', '>', '>='];
+
+const tokenize = (expression) => {
+    const tokens = [];
+    const pattern = /\s*(<>|<=|>=|[=<>(),+-]|[#:]?[A-Za-z_][A-Za-z0-9_]*)/y;
+    let match;
+    while (pattern.lastIndex < expression.length && (match = pattern.exec(expression))) {
+        const text = match[1];
+        tokens.push(KEYWORDS.includes(text.toUpperCase()) ? text.toUpperCase() : text);
+    }
+    if (expression.slice(pattern.lastIndex).trim().length > 0) {
+        throw new Error(`Unsupported expression syntax at "${expression.slice(pattern.lastIndex)}" in ${expression}`);
+    }
+    return tokens;
+};
+
+class Parser {
+    constructor(expression, names = {}, values = {}) {
+        this.expression = expression;
+        this.tokens = tokenize(expression);
+        this.position = 0;
+        this.names = names;
+        this.values = values;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    expect(token) {
+        const actual = this.next();
+        if (actual !== token) {
+            throw new Error(`Expected "${token}" but found "${actual}" in ${this.expression}`);
+        }
+    }
+
+    done() {
+        return this.position >= this.tokens.length;
+    }
+
+    // An attribute name, with #placeholders resolved through ExpressionAttributeNames.
+    parsePath() {
+        const token = this.next();
+        if (token.startsWith('#')) {
+            if (!(token in this.names)) {
+                throw new Error(`Missing expression attribute name ${token}`);
+            }
+            return this.names[token];
+        }
+        if (!/^[A-Za-z_]/.test(token)) {
+            throw new Error(`Expected an attribute name but found "${token}" in ${this.expression}`);
+        }
+        return token;
+    }
+
+    parseValueToken() {
+        const token = this.next();
+        if (!(token in this.values)) {
+            throw new Error(`Missing expression attribute value ${token}`);
+        }
+        const value = this.values[token];
+        return () => value;
+    }
+
+    // Returns a function of the item giving an attribute value, or undefined.
+    parseOperand() {
+        const token = this.peek();
+        if (token.startsWith(':')) {
+            return this.parseValueToken();
+        }
+        if (token === 'size') {
+            this.next();
+            this.expect('(');
+            const operand = this.parseOperand();
+            this.expect(')');
+            return (item) => {
+                const value = operand(item);
+                return value === undefined ? undefined : { N: String(sizeOf(value)) };
+            };
+        }
+        const path = this.parsePath();
+        return (item) => item[path];
+    }
+
+    parseCondition() {
+        let left = this.parseAnd();
+        while (this.peek() === 'OR') {
+            this.next();
+            const first = left;
+            const second = this.parseAnd();
+            left = (item) => first(item) || second(item);
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.peek() === 'AND') {
+            this.next();
+            const first = left;
+            const second = this.parseNot();
+            left = (item) => first(item) && second(item);
+        }
+        return left;
+    }
+
+    parseNot() {
+        if (this.peek() === 'NOT') {
+            this.next();
+            const condition = this.parseNot();
+            return (item) => !condition(item);
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+
+        if (token === '(') {
+            this.next();
+            const condition = this.parseCondition();
+            this.expect(')');
+            return condition;
+        }
+
+        if (token === 'attribute_exists' || token === 'attribute_not_exists') {
+            this.next();
+            this.expect('(');
+            const path = this.parsePath();
+            this.expect(')');
+            return token === 'attribute_exists' ? (item) => item[path] !== undefined : (item) => item[path] === undefined;
+        }
+
+        if (token === 'contains' || token === 'begins_with') {
+            this.next();
+            this.expect('(');
+            const operand = this.parseOperand();
+            this.expect(',');
+            const searched = this.parseOperand();
+            this.expect(')');
+            return token === 'contains'
+                ? (item) => contains(operand(item), searched(item))
+                : (item) => beginsWith(operand(item), searched(item));
+        }
+
+        const left = this.parseOperand();
+        const operator = this.next();
+
+        if (operator === 'BETWEEN') {
+            const low = this.parseOperand();
+            this.expect('AND');
+            const high = this.parseOperand();
+            return (item) => compare(left(item), low(item)) >= 0 && compare(left(item), high(item)) <= 0;
+        }
+
+        if (operator === 'IN') {
+            this.expect('(');
+            const candidates = [this.parseOperand()];
+            while (this.peek() === ',') {
+                this.next();
+                candidates.push(this.parseOperand());
+            }
+            this.expect(')');
+            return (item) => candidates.some(candidate => compare(left(item), candidate(item)) === 0);
+        }
+
+        if (!COMPARATORS.includes(operator)) {
+            throw new Error(`Unsupported operator "${operator}" in ${this.expression}`);
+        }
+        const right = this.parseOperand();
+        return (item) => {
+            const result = compare(left(item), right(item));
+            switch (operator) {
+                case '=': return result === 0;
+                case '<>': return result !== 0;
+                case '<': return result !== null && result < 0;
+                case '<=': return result !== null && result <= 0;
+                case '>': return result !== null && result > 0;
+                default: return result !== null && result >= 0;
+            }
+        };
+    }
+
+    // The right hand side of a SET action.
+    parseSetValue() {
+        const left = this.parseSetTerm();
+        if (this.peek() === '+' || this.peek() === '-') {
+            const operator = this.next();
+            const right = this.parseSetTerm();
+            return (item) => {
+                const sum = Number(left(item).N) + (operator === '+' ? 1 : -1) * Number(right(item).N);
+                return { N: String(sum) };
+            };
+        }
+        return left;
+    }
+
+    parseSetTerm() {
+        const token = this.peek();
+        if (token === 'if_not_exists') {
+            this.next();
+            this.expect('(');
+            const path = this.parsePath();
+            this.expect(',');
+            const fallback = this.parseSetValue();
+            this.expect(')');
+            return (item) => item[path] !== undefined ? item[path] : fallback(item);
+        }
+        if (token === 'list_append') {
+            this.next();
+            this.expect('(');
+            const first = this.parseSetValue();
+            this.expect(',');
+            const second = this.parseSetValue();
+            this.expect(')');
+            return (item) => ({ L: [...first(item).L, ...second(item).L] });
+        }
+        return this.parseOperand();
+    }
+
+    // Returns a function that applies every action of the update expression to an item in place.
+    parseUpdate() {
+        const actions = [];
+        while (!this.done()) {
+            const clause = this.next();
+            if (!['SET', 'REMOVE', 'ADD', 'DELETE'].includes(clause)) {
+                throw new Error(`Expected SET, REMOVE, ADD or DELETE but found "${clause}" in ${this.expression}`);
+            }
+
+            do {
+                if (this.peek() === ',') {
+                    this.next();
+                }
+                actions.push(this.parseUpdateAction(clause));
+            } while (this.peek() === ',');
+        }
+
+        // Every value is read from the item as it was before the update.
+        return (item) => {
+            const original = { ...item };
+            for (const action of actions) {
+                action(item, original);
+            }
+        };
+    }
+
+    parseUpdateAction(clause) {
+        const path = this.parsePath();
+
+        if (clause === 'REMOVE') {
+            return (item) => {
+                delete item[path];
+            };
+        }
+
+        if (clause === 'SET') {
+            this.expect('=');
+            const value = this.parseSetValue();
+            return (item, original) => {
+                item[path] = value(original);
+            };
+        }
+
+        const operand = this.parseValueToken();
+        if (clause === 'ADD') {
+            return (item, original) => {
+                item[path] = add(original[path], operand(original));
+            };
+        }
+        return (item, original) => {
+            const remaining = removeFromSet(original[path], operand(original));
+            if (remaining) {
+                item[path] = remaining;
+            }
+            else {
+                delete item[path];
+            }
+        };
+    }
+}
+
+const SET_TYPES = ['SS', 'NS', 'BS'];
+
+const typeOf = (value) => Object.keys(value)[0];
+
+const sizeOf = (value) => {
+    const type = typeOf(value);
+    const content = value[type];
+    if (type === 'M') {
+        return Object.keys(content).length;
+    }
+    return content.length;
+};
+
+// Returns <0, 0 or >0, or null when the values can't be ordered (different types, or a missing value).
+const compare = (left, right) => {
+    if (left === undefined || right === undefined) {
+        return null;
+    }
+    const type = typeOf(left);
+    if (type !== typeOf(right)) {
+        return null;
+    }
+    if (type === 'N') {
+        return Number(left.N) - Number(right.N);
+    }
+    if (type === 'S') {
+        return left.S < right.S ? -1 : (left.S > right.S ? 1 : 0);
+    }
+    return JSON.stringify(left) === JSON.stringify(right) ? 0 : null;
+};
+
+const contains = (value, searched) => {
+    if (value === undefined || searched === undefined) {
+        return false;
+    }
+    const type = typeOf(value);
+    if (type === 'S') {
+        return searched.S !== undefined && value.S.includes(searched.S);
+    }
+    if (SET_TYPES.includes(type)) {
+        return value[type].includes(searched[type.slice(0, 1)]);
+    }
+    if (type === 'L') {
+        return value.L.some(element => compare(element, searched) === 0);
+    }
+    return false;
+};
+
+const beginsWith = (value, prefix) => {
+    return value !== undefined && prefix !== undefined && value.S !== undefined && value.S.startsWith(prefix.S);
+};
+
+const add = (current, operand) => {
+    const type = typeOf(operand);
+    if (type === 'N') {
+        return { N: String((current ? Number(current.N) : 0) + Number(operand.N)) };
+    }
+    if (SET_TYPES.includes(type)) {
+        return { [type]: [...new Set([...(current ? current[type] : []), ...operand[type]])] };
+    }
+    throw new Error(`ADD only supports numbers and sets, not ${type}`);
+};
+
+const removeFromSet = (current, operand) => {
+    if (!current) {
+        return undefined;
+    }
+    const type = typeOf(operand);
+    const remaining = current[type].filter(element => !operand[type].includes(element));
+    return remaining.length > 0 ? { [type]: remaining } : undefined;
+};
+
+/**
+ * Compiles a condition, filter or key condition expression into a predicate of an item.
+ */
+export const compileCondition = (expression, names, values) => {
+    const parser = new Parser(expression, names, values);
+    const condition = parser.parseCondition();
+    if (!parser.done()) {
+        throw new Error(`Unexpected "${parser.peek()}" in ${expression}`);
+    }
+    return condition;
+};
+
+/**
+ * Compiles an update expression into a function that updates an item in place.
+ */
+export const compileUpdate = (expression, names, values) => {
+    return new Parser(expression, names, values).parseUpdate();
+};
@@ -0,0 +1,52 @@
+/**
+ * Stands in for @aws-sdk/client-polly. Speech is a silent clip as long as reading the text would take,
+ * encoded as WAV whatever OutputFormat asks for; browsers decode it all the same.
+ */
+
+const SAMPLE_RATE = 8000;
+const SECONDS_PER_CHARACTER = 0.06;
+
+class Command {
+    constructor(input) {
+        this.input = input;
+    }
+}
+
+export class SynthesizeSpeechCommand extends Command {}
+
+// A mono 8-bit PCM WAV file of silence.
+const buildSilentWav = (seconds) => {
+    const sampleCount = Math.max(1, Math.round(seconds * SAMPLE_RATE));
+    const wav = Buffer.alloc(44 + sampleCount, 128);
+    wav.write('RIFF', 0);
+    wav.writeUInt32LE(36 + sampleCount, 4);
+    wav.write('WAVEfmt ', 8);
+    wav.writeUInt32LE(16, 16);
+    wav.writeUInt16LE(1, 20);
+    wav.writeUInt16LE(1, 22);
+    wav.writeUInt32LE(SAMPLE_RATE, 24);
+    wav.writeUInt32LE(SAMPLE_RATE, 28);
+    wav.writeUInt16LE(1, 32);
+    wav.writeUInt16LE(8, 34);
+    wav.write('data', 36);
+    wav.writeUInt32LE(sampleCount, 40);
+    return new Uint8Array(wav);
+};
+
+export class PollyClient {
+    constructor(config) {
+        this.config = config;
+    }
+
+    async send(command) {
+        if (command instanceof SynthesizeSpeechCommand) {
+            const audio = buildSilentWav(command.input.Text.length * SECONDS_PER_CHARACTER);
+            return {
+                ContentType: 'audio/wav',
+                AudioStream: { transformToByteArray: async () => audio }
+            };
+        }
+
+        throw new Error(`${command.constructor.name} is not supported by the local backend`);
+    }
+}
@@ -0,0 +1,138 @@
+import { deleteObject, deleteObjectVersion, getContentType, getObject, listObjects, listObjectVersions, putObject } from "./bucketStore.js";
+
+/**
+ * The parts of @aws-sdk/client-s3 the lambdas use, backed by bucketStore. There is a single bucket,
+ * so the Bucket parameter is ignored.
+ */
+
+const MAX_KEYS = 1000;
+
+class Command {
+    constructor(input) {
+        this.input = input;
+    }
+}
+
+export class GetObjectCommand extends Command {}
+export class PutObjectCommand extends Command {}
+export class DeleteObjectCommand extends Command {}
+export class DeleteObjectsCommand extends Command {}
+export class ListObjectsV2Command extends Command {}
+export class ListObjectVersionsCommand extends Command {}
+export class CopyObjectCommand extends Command {}
+
+const noSuchKey = (key) => {
+    const error = new Error(`The specified key does not exist: ${key}`);
+    error.name = 'NoSuchKey';
+    return error;
+};
+
+// CopySource is '<bucket>/<url encoded key>', optionally followed by '?versionId=<id>'.
+const parseCopySource = (copySource) => {
+    const [path, query] = copySource.split('?');
+    const key = decodeURIComponent(path.slice(path.indexOf('/') + 1));
+    const versionId = query ? new URLSearchParams(query).get('versionId') : undefined;
+    return { key, versionId };
+};
+
+// With a VersionId only that version is removed, without one a delete marker is added.
+const deleteObjectOrVersion = async ({ Key, VersionId }) => {
+    if (VersionId) {
+        await deleteObjectVersion(Key, VersionId);
+    }
+    else {
+        await deleteObject(Key);
+    }
+};
+
+const toBuffer = async (body) => {
+    if (typeof body === 'string' || body instanceof Uint8Array) {
+        return Buffer.from(body);
+    }
+    throw new Error('Only string and buffer bodies are supported');
+};
+
+export class S3Client {
+    constructor(config) {
+        this.config = config;
+    }
+
+    async send(command) {
+        const input = command.input;
+
+        if (command instanceof GetObjectCommand) {
+            const contents = await getObject(input.Key, input.VersionId);
+            if (!contents) {
+                throw noSuchKey(input.Key);
+            }
+            return {
+                ContentType: getContentType(input.Key, input.VersionId),
+                ContentLength: contents.length,
+                Body: {
+                    transformToByteArray: async () => new Uint8Array(contents),
+                    transformToString: async (encoding = 'utf-8') => contents.toString(encoding)
+                }
+            };
+        }
+
+        if (command instanceof PutObjectCommand) {
+            await putObject(input.Key, await toBuffer(input.Body), input.ContentType);
+            return {};
+        }
+
+        if (command instanceof DeleteObjectCommand) {
+            await deleteObjectOrVersion(input);
+            return {};
+        }
+
+        if (command instanceof DeleteObjectsCommand) {
+            for (const object of input.Delete.Objects) {
+                await deleteObjectOrVersion(object);
+            }
+            return { Deleted: input.Delete.Objects };
+        }
+
+        if (command instanceof ListObjectsV2Command) {
+            // Continuation tokens are simply the index of the next object.
+            const objects = await listObjects(input.Prefix);
+            const start = input.ContinuationToken ? Number(input.ContinuationToken) : 0;
+            const end = start + (input.MaxKeys || MAX_KEYS);
+            const contents = objects.slice(start, end);
+            return {
+                Contents: contents,
+                KeyCount: contents.length,
+                IsTruncated: end < objects.length,
+                NextContinuationToken: end < objects.length ? String(end) : undefined
+            };
+        }
+
+        if (command instanceof CopyObjectCommand) {
+            const source = parseCopySource(input.CopySource);
+            const contents = await getObject(source.key, source.versionId);
+            if (!contents) {
+                throw noSuchKey(source.key);
+            }
+            const contentType = input.MetadataDirective === 'REPLACE' ? input.ContentType : getContentType(source.key, source.versionId);
+            await putObject(input.Key, contents, contentType, 'Copy');
+            return {};
+        }
+
+        if (command instanceof ListObjectVersionsCommand) {
+            // Key markers are simply the index of the next version or delete marker.
+            const entries = await listObjectVersions(input.Prefix);
+            const start = input.KeyMarker ? Number(input.KeyMarker) : 0;
+            const end = start + (input.MaxKeys || MAX_KEYS);
+            const page = entries.slice(start, end);
+            const strip = ({ deleted, ...entry }) => entry;
+            return {
+                Versions: page.filter(entry => !entry.deleted).map(strip),
+                DeleteMarkers: page.filter(entry => entry.deleted).map(({ Size, ...entry }) => strip(entry)),
+                IsTruncated: end < entries.length,
+                NextKeyMarker: end < entries.length ? String(end) : undefined,
+                NextVersionIdMarker: end < entries.length ? 'marker' : undefined
+            };
+        }
+
+        throw new Error(`${command.constructor.name} is not supported by the local backend`);
+    }
+}
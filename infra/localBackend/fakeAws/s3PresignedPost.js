@@ -0,0 +1,81 @@
+import { createHmac, randomBytes } from "crypto";
+
+// Policies are only valid for the lifetime of the server, like credentials that rotate on restart.
+const signingKey = randomBytes(32);
+
+const sign = (policy) => createHmac('sha256', signingKey).update(policy).digest('hex');
+
+/**
+ * Stands in for @aws-sdk/s3-presigned-post. The form posts to the local server, which checks the
+ * uploads against the policy with checkPresignedPost the same way S3 would.
+ */
+export const createPresignedPost = async (client, { Key, Conditions = [], Fields = {}, Expires = 3600 }) => {
+    const policy = Buffer.from(JSON.stringify({
+        expiration: new Date(Date.now() + Expires * 1000).toISOString(),
+        conditions: [...Conditions, { key: Key }]
+    })).toString('base64');
+
+    return {
+        url: `${process.env.LOCAL_BASE_URL}files`,
+        fields: {
+            ...Fields,
+            key: Key,
+            Policy: policy,
+            'X-Amz-Signature': sign(policy)
+        }
+    };
+};
+
+const fieldValue = (fields, name) => {
+    const match = Object.keys(fields).find(field => field.toLowerCase() === name.toLowerCase());
+    return match === undefined ? undefined : fields[match];
+};
+
+const failsCondition = (condition, fields, size) => {
+    if (Array.isArray(condition)) {
+        const [operator, ...args] = condition;
+        if (operator === 'content-length-range') {
+            return size < args[0] || size > args[1];
+        }
+        const value = fieldValue(fields, args[0].replace(/^\$/, ''));
+        if (operator === 'eq') {
+            return value !== args[1];
+        }
+        if (operator === 'starts-with') {
+            return value === undefined || !value.startsWith(args[1]);
+        }
+        return true;
+    }
+
+    return Object.entries(condition).some(([name, expected]) => fieldValue(fields, name) !== expected);
+};
+
+/**
+ * Checks a form upload against the policy it carries.
+ * @returns {Object|null}   The S3 error as {status, code, message}, or null if the upload is allowed
+ */
+export const checkPresignedPost = (fields, size) => {
+    const policy = fields.Policy;
+    if (!policy || fields['X-Amz-Signature'] !== sign(policy)) {
+        return { status: 403, code: 'AccessDenied', message: 'Invalid according to Policy: Policy Signature did not match' };
+    }
+
+    const { expiration, conditions } = JSON.parse(Buffer.from(policy, 'base64').toString());
+    if (Date.parse(expiration) < Date.now()) {
+        return { status: 403, code: 'AccessDenied', message: 'Invalid according to Policy: Policy expired.' };
+    }
+
+    for (const condition of conditions) {
+        if (!failsCondition(condition, fields, size)) {
+            continue;
+        }
+        if (Array.isArray(condition) && condition[0] === 'content-length-range') {
+            return size > condition[2]
+                ? { status: 400, code: 'EntityTooLarge', message: 'Your proposed upload exceeds the maximum allowed size' }
+                : { status: 400, code: 'EntityTooSmall', message: 'Your proposed upload is smaller than the minimum allowed size' };
+        }
+        return { status: 403, code: 'AccessDenied', message: `Invalid according to Policy: Policy Condition failed: ${JSON.stringify(condition)}` };
+    }
+
+    return null;
+};
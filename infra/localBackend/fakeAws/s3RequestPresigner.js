@@ -0,0 +1,9 @@
+/**
+ * Stands in for @aws-sdk/s3-request-presigner. Instead of signing, URLs point at the local server,
+ * which serves and stores objects at /files/<key>.
+ */
+export const getSignedUrl = async (client, command) => {
+    const key = command.input.Key.split('/').map(encodeURIComponent).join('/');
+    const query = command.input.VersionId ? `?versionId=${encodeURIComponent(command.input.VersionId)}` : '';
+    return `${process.env.LOCAL_BASE_URL}files/${key}${query}`;
+};
@@ -0,0 +1,88 @@
+import { EventEmitter } from "events";
+import { putObject } from "./bucketStore.js";
+
+/**
+ * Stands in for @aws-sdk/client-transcribe. Jobs "finish" after LOCAL_TRANSCRIPTION_DELAY_SECONDS with
+ * LOCAL_TRANSCRIPT as their text: the Transcribe-shaped result is written to the bucket and 'jobStateChange'
+ * is emitted with the job name, where the real service would send its EventBridge event.
+ */
+
+const SECONDS_PER_WORD = 0.4;
+const DEFAULT_LANGUAGE_CODE = 'en-US';
+
+const jobs = new Map();
+
+export const transcriber = new EventEmitter();
+
+class Command {
+    constructor(input) {
+        this.input = input;
+    }
+}
+
+export class StartTranscriptionJobCommand extends Command {}
+export class GetTranscriptionJobCommand extends Command {}
+
+// Shapes text like a Transcribe result, with evenly spaced word timings.
+const buildResult = (jobName, text) => {
+    const words = text.split(/\s+/).filter(word => word.length > 0);
+    return {
+        jobName: jobName,
+        status: 'COMPLETED',
+        results: {
+            transcripts: [{ transcript: text }],
+            items: words.map((word, index) => ({
+                type: 'pronunciation',
+                start_time: (index * SECONDS_PER_WORD).toFixed(3),
+                end_time: ((index + 1) * SECONDS_PER_WORD).toFixed(3),
+                alternatives: [{ content: word }]
+            }))
+        }
+    };
+};
+
+const finishJob = async (job) => {
+    const text = process.env.LOCAL_TRANSCRIPT || 'This is a local stand-in transcript.';
+    await putObject(job.OutputKey, JSON.stringify(buildResult(job.TranscriptionJobName, text)), 'application/json');
+    job.TranscriptionJobStatus = 'COMPLETED';
+    transcriber.emit('jobStateChange', job.TranscriptionJobName, job.TranscriptionJobStatus);
+};
+
+export class TranscribeClient {
+    constructor(config) {
+        this.config = config;
+    }
+
+    async send(command) {
+        const input = command.input;
+
+        if (command instanceof StartTranscriptionJobCommand) {
+            const job = {
+                TranscriptionJobName: input.TranscriptionJobName,
+                TranscriptionJobStatus: 'IN_PROGRESS',
+                LanguageCode: input.LanguageCode || DEFAULT_LANGUAGE_CODE,
+                OutputKey: input.OutputKey,
+                Tags: input.Tags || []
+            };
+            jobs.set(job.TranscriptionJobName, job);
+
+            const delaySeconds = Number(process.env.LOCAL_TRANSCRIPTION_DELAY_SECONDS || 3);
+            setTimeout(() => {
+                finishJob(job).catch(error => console.error('Stand-in transcription failed:', error));
+            }, delaySeconds * 1000);
+            return {};
+        }
+
+        if (command instanceof GetTranscriptionJobCommand) {
+            const job = jobs.get(input.TranscriptionJobName);
+            if (!job) {
+                const error = new Error(`The requested job couldn't be found: ${input.TranscriptionJobName}`);
+                error.name = 'BadRequestException';
+                throw error;
+            }
+            return { TranscriptionJob: { ...job } };
+        }
+
+        throw new Error(`${command.constructor.name} is not supported by the local backend`);
+    }
+}
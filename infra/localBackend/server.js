@@ -0,0 +1,306 @@
+import { createServer } from "http";
+import { register } from "module";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+
+/**
+ * Serves the REST API of lib/main.ts on localhost by running the lambdas in ../lambdaScripts as they are,
+ * with the AWS SDK swapped for local stand-ins (see awsSdkLoader.js): the bucket is a directory, the
+ * tables live in memory, transcription jobs finish with a fixed transcript and text is read aloud as silence.
+ * Bucket notifications and the transcription job state change rule are wired up the same way as in main.ts.
+ *
+ * Auth is stubbed: the Authorization header is the caller's username. Cognito ID tokens work too, their
+ * claims are read without verifying them.
+ */
+
+const port = Number(process.env.LOCAL_PORT || 3001);
+const localBackendDirectory = dirname(fileURLToPath(import.meta.url));
+
+// The lambdas read their configuration from the environment when they are loaded.
+process.env.LOCAL_BASE_URL = process.env.LOCAL_BASE_URL || `http://localhost:${port}/`;
+process.env.LOCAL_DATA_DIR = process.env.LOCAL_DATA_DIR || join(localBackendDirectory, 'data');
+process.env.BUCKET_NAME = 'local-bucket';
+process.env.TABLE_NAME = 'UserAnnotationDatabase';
+process.env.ROOM_TABLE_NAME = 'RoomDatabase';
+process.env.MODERATOR_GROUP = 'moderators';
+
+register('./awsSdkLoader.js', import.meta.url);
+
+const { bucketStore, getContentType, getObject, putObject } = await import('./fakeAws/bucketStore.js');
+const { defineTable } = await import('./fakeAws/dynamodb.js');
+const { checkPresignedPost } = await import('./fakeAws/s3PresignedPost.js');
+const { transcriber } = await import('./fakeAws/transcribe.js');
+
+defineTable(process.env.TABLE_NAME, ['username', 'annotationId']);
+defineTable(process.env.ROOM_TABLE_NAME, ['roomId']);
+
+// Keep in sync with the API Gateway routes in lib/main.ts.
+const ROUTES = [
+    { method: 'GET', resource: 'assets', lambda: 'getAsset' },
+    { method: 'PUT', resource: 'assets', lambda: 'putAsset' },
+    { method: 'GET', resource: 'assets/all', lambda: 'getAllAssets' },
+    { method: 'GET', resource: 'annotation', lambda: 'getUserAnnotations' },
+    { method: 'PUT', resource: 'annotation', lambda: 'putUserAnnotation' },
+    { method: 'DELETE', resource: 'annotation', lambda: 'deleteUserAnnotation' },
+    { method: 'PATCH', resource: 'annotation', lambda: 'updateUserAnnotation' },
+    { method: 'GET', resource: 'annotations/all', lambda: 'getAllAnnotations' },
+    { method: 'POST', resource: 'annotation/flag', lambda: 'flagAnnotation' },
+    { method: 'GET', resource: 'annotation/thread', lambda: 'getAnnotationThread' },
+    { method: 'GET', resource: 'annotation/versions', lambda: 'getAnnotationVersions' },
+    { method: 'POST', resource: 'annotation/versions', lambda: 'restoreAnnotationVersion' },
+    { method: 'GET', resource: 'moderation', lambda: 'getModerationQueue' },
+    { method: 'POST', resource: 'moderation', lambda: 'moderateAnnotation' },
+    { method: 'PUT', resource: 'rooms', lambda: 'putRoom' },
+    { method: 'PUT', resource: 'rooms/{roomId}/members', lambda: 'addRoomMembers' },
+    { method: 'GET', resource: 'rooms/{roomId}', lambda: 'getRoom' },
+    { method: 'PUT', resource: 'rooms/{roomId}/signature', lambda: 'putRoomSignature' },
+    { method: 'PUT', resource: 'rooms/{roomId}/markers', lambda: 'putRoomMarkers' },
+    { method: 'GET', resource: 'rooms/{roomId}/annotations', lambda: 'getRoomAnnotations' },
+    { method: 'GET', resource: 'rooms/{roomId}/bundle', lambda: 'getRoomAnnotationBundles' }
+];
+
+// Keep in sync with the bucket event notifications in lib/main.ts.
+// Notifications without eventTypes are for every ObjectCreated event.
+const BUCKET_NOTIFICATIONS = [
+    { suffix: '.raw', lambda: 'processUpload' },
+    { suffix: '.webm', eventTypes: ['Put'], lambda: 'processAudio' }
+];
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'OPTIONS,GET,PUT,POST,PATCH,DELETE'
+};
+
+const lambdaHandlers = new Map();
+
+const getLambdaHandler = async (name) => {
+    if (!lambdaHandlers.has(name)) {
+        const module = await import(`../lambdaScripts/${name}/${name}.js`);
+        lambdaHandlers.set(name, module.handler);
+    }
+    return lambdaHandlers.get(name);
+};
+
+// Asynchronous invocations, e.g. from bucket notifications, only log their errors.
+const invokeAsync = (name, event) => {
+    setImmediate(async () => {
+        try {
+            const handler = await getLambdaHandler(name);
+            await handler(event, {});
+        } catch (error) {
+            console.error(`${name} failed:`, error);
+        }
+    });
+};
+
+const getClaims = (authorization) => {
+    if (!authorization) {
+        return null;
+    }
+
+    const parts = authorization.split('.');
+    if (parts.length === 3) {
+        try {
+            return JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+        } catch {
+            return null;
+        }
+    }
+
+    // LOCAL_MODERATORS lists the usernames that are in the moderators group.
+    const username = authorization.trim();
+    const moderators = (process.env.LOCAL_MODERATORS || '').split(',');
+    return {
+        'cognito:username': username,
+        'cognito:groups': moderators.includes(username) ? process.env.MODERATOR_GROUP : undefined
+    };
+};
+
+const matchRoute = (method, path) => {
+    const pathParts = path.split('/').filter(part => part.length > 0);
+    for (const route of ROUTES) {
+        const resourceParts = route.resource.split('/');
+        if (route.method !== method || resourceParts.length !== pathParts.length) {
+            continue;
+        }
+
+        const pathParameters = {};
+        const matches = resourceParts.every((part, index) => {
+            if (part.startsWith('{') && part.endsWith('}')) {
+                pathParameters[part.slice(1, -1)] = decodeURIComponent(pathParts[index]);
+                return true;
+            }
+            return part === pathParts[index];
+        });
+        if (matches) {
+            return { route, pathParameters };
+        }
+    }
+    return null;
+};
+
+const readBody = async (request) => {
+    const chunks = [];
+    for await (const chunk of request) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+};
+
+const send = (response, statusCode, headers, body) => {
+    response.writeHead(statusCode, { ...headers, ...CORS_HEADERS });
+    response.end(body);
+};
+
+// Stands in for the pre-signed S3 URLs handed out by the asset lambdas.
+const handleFileRequest = async (request, response, key, versionId) => {
+    if (request.method === 'GET') {
+        const contents = await getObject(key, versionId);
+        if (!contents) {
+            send(response, 404, { 'Content-Type': 'text/plain' }, 'NoSuchKey');
+            return;
+        }
+        send(response, 200, { 'Content-Type': getContentType(key, versionId) }, contents);
+        return;
+    }
+
+    if (request.method === 'PUT') {
+        await putObject(key, await readBody(request), request.headers['content-type']);
+        send(response, 200, {}, '');
+        return;
+    }
+
+    send(response, 405, { 'Content-Type': 'text/plain' }, 'Method not allowed');
+};
+
+const sendS3Error = (response, { status, code, message }) => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>\n<Error><Code>${code}</Code><Message>${message}</Message></Error>`;
+    send(response, status, { 'Content-Type': 'application/xml' }, xml);
+};
+
+// Stands in for the bucket's POST endpoint, which takes the uploads allowed by putAsset's policies.
+const handleFormUpload = async (request, response) => {
+    const body = await readBody(request);
+    let formData;
+    try {
+        formData = await new Request(process.env.LOCAL_BASE_URL, { method: 'POST', headers: { 'content-type': request.headers['content-type'] || '' }, body }).formData();
+    } catch {
+        sendS3Error(response, { status: 400, code: 'MalformedPOSTRequest', message: 'The body of your POST request is not well-formed multipart/form-data.' });
+        return;
+    }
+
+    const file = formData.get('file');
+    if (!(file instanceof Blob)) {
+        sendS3Error(response, { status: 400, code: 'InvalidArgument', message: 'POST requires exactly one file upload per request.' });
+        return;
+    }
+
+    const fields = {};
+    for (const [name, value] of formData) {
+        if (typeof value === 'string') {
+            fields[name] = value;
+        }
+    }
+
+    const error = checkPresignedPost(fields, file.size);
+    if (error) {
+        sendS3Error(response, error);
+        return;
+    }
+
+    await putObject(fields.key, Buffer.from(await file.arrayBuffer()), fields['Content-Type'], 'Post');
+    send(response, 204, {}, '');
+};
+
+// Builds the proxy integration event API Gateway would pass to the lambda.
+const handleApiRequest = async (request, response, url) => {
+    const match = matchRoute(request.method, url.pathname);
+    if (!match) {
+        send(response, 404, { 'Content-Type': 'application/json' }, JSON.stringify({ message: 'Missing Authentication Token' }));
+        return;
+    }
+
+    const claims = getClaims(request.headers.authorization);
+    if (!claims) {
+        send(response, 401, { 'Content-Type': 'application/json' }, JSON.stringify({ message: 'Unauthorized' }));
+        return;
+    }
+
+    const body = (await readBody(request)).toString();
+    const queryStringParameters = Object.fromEntries(url.searchParams);
+    const event = {
+        resource: `/${match.route.resource}`,
+        path: url.pathname,
+        httpMethod: request.method,
+        headers: request.headers,
+        queryStringParameters: Object.keys(queryStringParameters).length > 0 ? queryStringParameters : null,
+        pathParameters: Object.keys(match.pathParameters).length > 0 ? match.pathParameters : null,
+        body: body.length > 0 ? body : null,
+        isBase64Encoded: false,
+        requestContext: {
+            authorizer: { claims: claims }
+        }
+    };
+
+    const handler = await getLambdaHandler(match.route.lambda);
+    const result = await handler(event, {});
+    send(response, result.statusCode, result.headers || {}, result.body);
+};
+
+bucketStore.on('objectCreated', (key, eventType) => {
+    const notifications = BUCKET_NOTIFICATIONS.filter(notification => {
+        return key.endsWith(notification.suffix) && (!notification.eventTypes || notification.eventTypes.includes(eventType));
+    });
+    for (const notification of notifications) {
+        invokeAsync(notification.lambda, {
+            Records: [{
+                eventSource: 'aws:s3',
+                eventName: `ObjectCreated:${eventType}`,
+                s3: {
+                    bucket: { name: process.env.BUCKET_NAME },
+                    object: { key: key.split('/').map(encodeURIComponent).join('/') }
+                }
+            }]
+        });
+    }
+});
+
+transcriber.on('jobStateChange', (jobName, status) => {
+    invokeAsync('processAudio', {
+        'source': 'aws.transcribe',
+        'detail-type': 'Transcribe Job State Change',
+        'detail': {
+            TranscriptionJobName: jobName,
+            TranscriptionJobStatus: status
+        }
+    });
+});
+
+const server = createServer(async (request, response) => {
+    try {
+        if (request.method === 'OPTIONS') {
+            send(response, 200, { 'Access-Control-Allow-Headers': request.headers['access-control-request-headers'] || '*' }, '');
+            return;
+        }
+
+        const url = new URL(request.url, process.env.LOCAL_BASE_URL);
+        if (url.pathname === '/files' && request.method === 'POST') {
+            await handleFormUpload(request, response);
+            return;
+        }
+        if (url.pathname.startsWith('/files/')) {
+            const key = url.pathname.slice('/files/'.length).split('/').map(decodeURIComponent).join('/');
+            await handleFileRequest(request, response, key, url.searchParams.get('versionId') || undefined);
+            return;
+        }
+
+        await handleApiRequest(request, response, url);
+    } catch (error) {
+        console.error(`${request.method} ${request.url} failed:`, error);
+        send(response, 500, { 'Content-Type': 'application/json' }, JSON.stringify({ message: 'Internal server error' }));
+    }
+});
+
+server.listen(port, () => {
+    console.log(`Local backend listening on ${process.env.LOCAL_BASE_URL}, storing files in ${process.env.LOCAL_DATA_DIR}`);
+});
@@ -0,0 +1,122 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, test } from '@jest/globals';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const BUCKET_NAME = 'test-bucket';
+
+// The fakes read their settings when they are loaded, so they are imported once these are set, as in server.js.
+process.env.LOCAL_DATA_DIR = await mkdtemp(join(tmpdir(), 'processAudio-'));
+process.env.TABLE_NAME = 'UserAnnotationDatabase';
+
+const { defineTable, DynamoDBClient, GetItemCommand, PutItemCommand } = await import('../localBackend/fakeAws/dynamodb.js');
+const { getObject } = await import('../localBackend/fakeAws/bucketStore.js');
+const { handleEvent, TranscriptStatus, ModerationStatus } = await import('../lambdaScripts/processAudio/processAudio.js');
+const { createFakeTranscriptionProvider } = await import('../lambdaScripts/processAudio/transcriptionProvider.js');
+const { createBlocklistClassifier } = await import('../lambdaScripts/sharedLayer/nodejs/moderation.js');
+
+const dbClient = new DynamoDBClient({});
+
+const putAnnotation = async (username, annotationId, attributes = {}) => {
+    await dbClient.send(new PutItemCommand({
+        TableName: process.env.TABLE_NAME,
+        Item: {
+            username: { S: username },
+            annotationId: { S: annotationId },
+            transcriptStatus: { S: TranscriptStatus.pending },
+            ...attributes
+        }
+    }));
+};
+
+const getAnnotation = async (username, annotationId) => {
+    const data = await dbClient.send(new GetItemCommand({
+        TableName: process.env.TABLE_NAME,
+        Key: {
+            username: { S: username },
+            annotationId: { S: annotationId }
+        }
+    }));
+    return data.Item;
+};
+
+// What the bucket notification for an uploaded recording looks like.
+const uploadEvent = (key) => ({
+    Records: [{ s3: { bucket: { name: BUCKET_NAME }, object: { key: key } } }]
+});
+
+const readText = async (key) => {
+    const body = await getObject(key);
+    return body ? body.toString() : null;
+};
+
+describe('processAudio with the fake transcription provider', () => {
+    let provider;
+
+    beforeAll(() => {
+        defineTable(process.env.TABLE_NAME, ['username', 'annotationId']);
+    });
+
+    beforeEach(() => {
+        provider = createFakeTranscriptionProvider('Hello from the fake provider', 'en-GB');
+    });
+
+    afterAll(async () => {
+        await rm(process.env.LOCAL_DATA_DIR, { recursive: true, force: true });
+    });
+
+    test('an uploaded recording starts a job and marks the transcript as processing', async () => {
+        await putAnnotation('alice', 'annotation-1', { preferredLanguage: { S: 'de-DE' } });
+
+        const [jobName] = await handleEvent(uploadEvent('alice/annotation-1/sound.webm'), provider);
+
+        const job = provider.jobs.get(jobName);
+        expect(job.status).toBe('IN_PROGRESS');
+        expect(job.mediaUri).toBe(`s3://${BUCKET_NAME}/alice/annotation-1/sound.webm`);
+        expect(job.languageCode).toBe('de-DE');
+        expect(job.tags).toMatchObject({
+            username: 'alice',
+            annotationId: 'annotation-1',
+            textKey: 'alice/annotation-1/sound.txt',
+            captionsKey: 'alice/annotation-1/sound.vtt'
+        });
+        expect((await getAnnotation('alice', 'annotation-1')).transcriptStatus.S).toBe(TranscriptStatus.processing);
+    });
+
+    test('the completion event stores the transcript and captions and marks the transcript as complete', async () => {
+        await putAnnotation('alice', 'annotation-2');
+        const [jobName] = await handleEvent(uploadEvent('alice/annotation-2/sound.webm'), provider);
+
+        await handleEvent(provider.finishJob(jobName), provider);
+
+        expect(await readText('alice/annotation-2/sound.txt')).toBe('Hello from the fake provider');
+        expect(await readText('alice/annotation-2/sound.vtt')).toMatch(/^WEBVTT/);
+        const annotation = await getAnnotation('alice', 'annotation-2');
+        expect(annotation.transcriptStatus.S).toBe(TranscriptStatus.complete);
+        // Without a preferred language, the one the provider identified is stored.
+        expect(annotation.language.S).toBe('en-GB');
+        expect(annotation.moderationStatus).toBeUndefined();
+    });
+
+    test('a failed job marks the transcript as failed without storing one', async () => {
+        await putAnnotation('alice', 'annotation-3');
+        const [jobName] = await handleEvent(uploadEvent('alice/annotation-3/sound.webm'), provider);
+
+        await handleEvent(provider.finishJob(jobName, { failureReason: 'The media is empty.' }), provider);
+
+        expect(provider.jobs.get(jobName).status).toBe('FAILED');
+        expect(await readText('alice/annotation-3/sound.txt')).toBeNull();
+        expect((await getAnnotation('alice', 'annotation-3')).transcriptStatus.S).toBe(TranscriptStatus.failed);
+    });
+
+    test('a transcript the classifier flags puts the annotation under review', async () => {
+        await putAnnotation('alice', 'annotation-4');
+        const [jobName] = await handleEvent(uploadEvent('alice/annotation-4/sound.webm'), provider);
+
+        await handleEvent(provider.finishJob(jobName, { text: 'Something rude' }), provider, createBlocklistClassifier(['rude']));
+
+        const annotation = await getAnnotation('alice', 'annotation-4');
+        expect(annotation.transcriptStatus.S).toBe(TranscriptStatus.complete);
+        expect(annotation.moderationStatus.S).toBe(ModerationStatus.underReview);
+    });
+});
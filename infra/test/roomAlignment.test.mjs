@@ -0,0 +1,127 @@
+import { describe, expect, test } from '@jest/globals';
+import { applyAlignment, applyInverseAlignment, solveAlignment, solvePointAlignment } from '../../web/src/room_alignment.js';
+
+const KNOWN_ALIGNMENT = { yaw: 0.6, translation: { x: 1.2, y: 0.1, z: -0.7 } };
+
+// A 5 x 4 m room with a table off to one side, so that turning it by half a turn doesn't give the same planes.
+const ROOM_PLANES = [
+    { label: 'floor', normal: [0, 1, 0], center: [0, 0, 0], extent: [5, 4] },
+    { label: 'wall', normal: [0, 0, 1], center: [0, 1.25, -2], extent: [5, 2.5] },
+    { label: 'wall', normal: [0, 0, -1], center: [0, 1.25, 2], extent: [5, 2.5] },
+    { label: 'wall', normal: [1, 0, 0], center: [-2.5, 1.25, 0], extent: [4, 2.5] },
+    { label: 'wall', normal: [-1, 0, 0], center: [2.5, 1.25, 0], extent: [4, 2.5] },
+    { label: 'table', normal: [0, 1, 0], center: [1.5, 0.75, -1], extent: [1.2, 0.8] }
+];
+
+// Mulberry32, so that the noisy planes are the same on every run.
+const createRandom = (seed) => () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const normalize = (vector) => {
+    const length = Math.hypot(...vector);
+    return vector.map(value => value / length);
+};
+
+/**
+ * The planes as a device whose coordinates relate to the stored ones by alignment would detect them, each
+ * coordinate off by up to noise meters.
+ */
+const detectPlanes = (planes, alignment, noise = 0, random = createRandom(1)) => {
+    const jitter = (vector) => vector.map(value => value + (random() * 2 - 1) * noise);
+    const turnOnly = { yaw: alignment.yaw, translation: { x: 0, y: 0, z: 0 } };
+    return planes.map(plane => ({
+        label: plane.label,
+        normal: normalize(jitter(applyInverseAlignment(turnOnly, plane.normal))),
+        center: jitter(applyInverseAlignment(alignment, plane.center)),
+        extent: jitter(plane.extent)
+    }));
+};
+
+const expectAlignment = (alignment, expected, tolerance) => {
+    expect(alignment).not.toBeNull();
+    expect(Math.abs(Math.atan2(Math.sin(alignment.yaw - expected.yaw), Math.cos(alignment.yaw - expected.yaw)))).toBeLessThan(tolerance.yaw);
+    for (const axis of ['x', 'y', 'z']) {
+        expect(Math.abs(alignment.translation[axis] - expected.translation[axis])).toBeLessThan(tolerance.translation);
+    }
+};
+
+describe('solveAlignment', () => {
+    test('finds a known turn and translation from exact planes', () => {
+        const alignment = solveAlignment(ROOM_PLANES, detectPlanes(ROOM_PLANES, KNOWN_ALIGNMENT));
+
+        expectAlignment(alignment, KNOWN_ALIGNMENT, { yaw: 1e-6, translation: 1e-6 });
+        expect(alignment.matchedPlanes).toBe(ROOM_PLANES.length);
+        expect(alignment.error).toBeLessThan(1e-6);
+    });
+
+    test('lays the local planes onto the stored ones', () => {
+        const localPlanes = detectPlanes(ROOM_PLANES, KNOWN_ALIGNMENT);
+        const alignment = solveAlignment(ROOM_PLANES, localPlanes);
+
+        localPlanes.forEach((plane, index) => {
+            applyAlignment(alignment, plane.center).forEach((value, axis) => {
+                expect(value).toBeCloseTo(ROOM_PLANES[index].center[axis], 6);
+            });
+        });
+    });
+
+    test('finds the turn and translation from noisy planes', () => {
+        const alignment = solveAlignment(ROOM_PLANES, detectPlanes(ROOM_PLANES, KNOWN_ALIGNMENT, 0.03, createRandom(42)));
+
+        expectAlignment(alignment, KNOWN_ALIGNMENT, { yaw: 3 * Math.PI / 180, translation: 0.1 });
+        expect(alignment.matchedPlanes).toBe(ROOM_PLANES.length);
+        expect(alignment.error).toBeLessThan(0.1);
+    });
+
+    test('finds the turn and translation when the device only detected part of the room', () => {
+        const someOfTheRoom = ROOM_PLANES.filter((plane, index) => index !== 2 && index !== 4);
+        const alignment = solveAlignment(ROOM_PLANES, detectPlanes(someOfTheRoom, KNOWN_ALIGNMENT));
+
+        expectAlignment(alignment, KNOWN_ALIGNMENT, { yaw: 1e-6, translation: 1e-6 });
+        expect(alignment.matchedPlanes).toBe(someOfTheRoom.length);
+    });
+
+    test('gives null for too few planes', () => {
+        const floorAndWall = ROOM_PLANES.slice(0, 2);
+
+        expect(solveAlignment(ROOM_PLANES, detectPlanes(floorAndWall, KNOWN_ALIGNMENT))).toBeNull();
+        expect(solveAlignment(ROOM_PLANES, [])).toBeNull();
+        expect(solveAlignment([], detectPlanes(ROOM_PLANES, KNOWN_ALIGNMENT))).toBeNull();
+    });
+
+    test('gives null when all the walls are parallel', () => {
+        // Facing walls leave the room free to slide along them.
+        const corridor = ROOM_PLANES.slice(0, 3);
+
+        expect(solveAlignment(corridor, detectPlanes(corridor, KNOWN_ALIGNMENT))).toBeNull();
+    });
+
+    test('gives null for planes of a different room', () => {
+        const otherRoom = ROOM_PLANES.map(plane => ({ ...plane, extent: plane.extent.map(value => value * 3) }));
+
+        expect(solveAlignment(ROOM_PLANES, detectPlanes(otherRoom, KNOWN_ALIGNMENT))).toBeNull();
+    });
+});
+
+describe('solvePointAlignment', () => {
+    const STORED_POINTS = [[0, 1, 0], [2, 1.2, 0.5], [-1, 0.8, 1.5]];
+
+    test('finds a known turn and translation from points', () => {
+        const localPoints = STORED_POINTS.map(point => applyInverseAlignment(KNOWN_ALIGNMENT, point));
+        const alignment = solvePointAlignment(STORED_POINTS, localPoints);
+
+        expectAlignment(alignment, KNOWN_ALIGNMENT, { yaw: 1e-6, translation: 1e-6 });
+        expect(alignment.error).toBeLessThan(1e-6);
+    });
+
+    test('gives null for too few points or points too close together', () => {
+        expect(solvePointAlignment(STORED_POINTS.slice(0, 1), STORED_POINTS.slice(0, 1))).toBeNull();
+
+        const closePoints = [[0, 1, 0], [0.01, 1, 0.01]];
+        expect(solvePointAlignment(closePoints, closePoints.map(point => applyInverseAlignment(KNOWN_ALIGNMENT, point)))).toBeNull();
+    });
+});
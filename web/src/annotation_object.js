@@ -1,27 +1,59 @@
 
 import { loadAsset } from './fetchurl.js';
+import { describeTranscriptStatus } from './transcript_status.js';
 
 import {
     Group,
     Mesh,
     MeshBasicMaterial,
 	SphereGeometry,
+    Vector3,
 } from 'three';
 
+import { Text } from 'troika-three-text';
+
+// What the status label says about annotations that only their owner still sees.
+const describeModerationStatus = (status) => {
+    if (status === 'under-review') {
+        return "under review";
+    }
+    if (status === 'hidden') {
+        return "removed by a moderator";
+    }
+    return "";
+}
+
+// How much the disk grows at full level while playing.
+const PULSE_SCALE = 0.5;
+
+// Replies are smaller disks circling the annotation they reply to, in the plane of its disk.
+const REPLY_SCALE = 0.25;
+const REPLY_ORBIT_RADIUS = 0.4;
+const REPLY_ORBIT_SECONDS = 12;
+
+const orbitOffset = new Vector3();
+
 export const annotationObjects = [];
 
-export const removeAnnotationObjectsByUsername = (username) => {
-    const annotationObjectsToRemove = annotationObjects.filter(annotationObject => annotationObject.username === username);
-    annotationObjectsToRemove.forEach(annotationObject => {
+export const getAnnotationObjectById = (annotationId) => {
+    return annotationObjects.find(annotationObject => annotationObject.annotationId === annotationId);
+}
+
+export const removeAnnotationObjectById = (annotationId) => {
+    const annotationObject = getAnnotationObjectById(annotationId);
+    if (annotationObject) {
         annotationObject.dispose();
-    });
+    }
 
-    window.audioEngine.removeSource(username);
+    window.audioEngine.removeSource(annotationId);
 }
 
 export class AnnotationObject {
-    constructor(scene, anchor, username, position, quaternion) {
+    constructor(scene, anchor, annotationId, username, position, quaternion) {
+        this.annotationId = annotationId;
         this.username = username;
+        this.position = { x: position.x, y: position.y, z: position.z };
+        this.orientation = { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w };
 
         const group = new Group();
         group.position.copy(position);
@@ -54,26 +86,75 @@ export class AnnotationObject {
             this._gltf = gltf.scene;
         });
 
+        const statusLabel = new Text();
+        statusLabel.anchorX = 'center';
+        statusLabel.anchorY = 'bottom';
+        statusLabel.fontSize = 0.15;
+        statusLabel.color = 0xffffff;
+        statusLabel.outlineWidth = 0.01;
+        statusLabel.position.y = 0.6;
+        statusLabel.visible = false;
+        group.add(statusLabel);
+
+        this.isDisposed = false;
+        this.transcriptStatus = null;
+        this.transcriptFailureReason = null;
+        this.moderationStatus = 'visible';
+        this.errorMessage = null;
+        this.language = null;
+        this.peaks = null;
+        this.parent = null;
+        this.replies = [];
+
         this._anchor = anchor;
         this._geometry = geometry;
         this._group = group;
         this._material = material;
         this._mesh = mesh;
         this._scene = scene;
+        this._statusLabel = statusLabel;
 
         annotationObjects.push(this);
     }
 
+    /**
+     * Moves the annotation and its sound, given its position and orientation in the scene.
+     */
+    setPose(position, quaternion) {
+        this.position = { x: position.x, y: position.y, z: position.z };
+        this.orientation = { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w };
+        this._group.position.copy(position).sub(this._anchor.position);
+        this._group.quaternion.copy(quaternion);
+
+        const audioSource = window.audioEngine.getSourceByAnnotationId(this.annotationId);
+        if (audioSource) {
+            audioSource.setPosition(position);
+            audioSource.setOrientation(quaternion);
+        }
+    }
+
     dispose() {
+        if (this.parent) {
+            this.parent.replies.splice(this.parent.replies.indexOf(this), 1);
+        }
+        this.replies.forEach(reply => reply.parent = null);
+        if (this._onPlayedOnce) {
+            this._onPlayedOnce();
+        }
+        clearTimeout(this._fadeOutTimeoutId);
+
         this._geometry.dispose();
         this._material.dispose();
+        this._statusLabel.dispose();
         this._anchor.remove(this._group);
+        this.isDisposed = true;
 
         annotationObjects.splice(annotationObjects.indexOf(this), 1);
     }
 
     setState(state) {
         this.state = state;
+        clearTimeout(this._fadeOutTimeoutId);
 
         if (state == "placed") {
             this._material.color.setHex(0xffff00);
@@ -86,17 +167,27 @@ export class AnnotationObject {
         }
         else if (state == "complete") {
             this._material.color.setHex(0xff00ff);
-            const audioSource = window.audioEngine.getSourceByUsername(this.username);
+            const audioSource = window.audioEngine.getSourceByAnnotationId(this.annotationId);
             if (audioSource) {
                 audioSource.stop();
             }
+            if (this._onPlayedOnce) {
+                const onPlayedOnce = this._onPlayedOnce;
+                this._onPlayedOnce = null;
+                onPlayedOnce();
+            }
         }
         else if (state == "playing") {
             this._material.color.setHex(0x00ff00);
 
-            const audioSource = window.audioEngine.getSourceByUsername(this.username);
+            const audioSource = window.audioEngine.getSourceByAnnotationId(this.annotationId);
             if (audioSource) {
-                audioSource.play();
+                audioSource.onEnded = () => {
+                    if (this.state == "playing") {
+                        this.setState("complete");
+                    }
+                };
+                audioSource.play(!this._onPlayedOnce);
             }
         }
         else if (state == "error") {
@@ -104,9 +195,146 @@ export class AnnotationObject {
         }
     }
 
-    update() {
-        if (this.state == "playing" && this._gltf) {
-            this._gltf.rotation.y += 0.1;
+    /**
+     * Starts playing, fading in from silence over seconds, e.g. as the listener walks up to the annotation. If it is
+     * still fading out, it fades back in instead.
+     */
+    fadeIn(seconds) {
+        const audioSource = window.audioEngine.getSourceByAnnotationId(this.annotationId);
+        if (!audioSource) {
+            return;
+        }
+
+        if (this.state == "playing") {
+            clearTimeout(this._fadeOutTimeoutId);
+            audioSource.fadeTo(1, seconds);
+            return;
+        }
+        audioSource.fadeTo(1, seconds, 0);
+        this.setState("playing");
+    }
+
+    /**
+     * Fades the playing recording out over seconds, then stops it.
+     */
+    fadeOut(seconds) {
+        const audioSource = window.audioEngine.getSourceByAnnotationId(this.annotationId);
+        if (!audioSource || this.state != "playing") {
+            return;
+        }
+
+        audioSource.fadeTo(0, seconds);
+        clearTimeout(this._fadeOutTimeoutId);
+        this._fadeOutTimeoutId = setTimeout(() => this.setState("complete"), seconds * 1000);
+    }
+
+    /**
+     * Plays the recording once instead of looping it, e.g. as part of a thread.
+     * @returns {Promise}   Resolves when it has played to the end or was stopped
+     */
+    playOnce() {
+        if (this._onPlayedOnce) {
+            this._onPlayedOnce();
+        }
+        return new Promise(resolve => {
+            this._onPlayedOnce = resolve;
+            this.setState("playing");
+            if (!window.audioEngine.getSourceByAnnotationId(this.annotationId)) {
+                this.setState("complete");
+            }
+        });
+    }
+
+    /**
+     * Makes another annotation a reply to this one, shown as a small disk circling it.
+     */
+    addReply(reply) {
+        if (reply.parent === this) {
+            return;
+        }
+        reply.parent = this;
+        reply._group.scale.setScalar(REPLY_SCALE);
+        // Golden angle steps keep any number of replies spread out around the orbit.
+        reply._orbitPhase = this.replies.length * Math.PI * (3 - Math.sqrt(5));
+        this.replies.push(reply);
+    }
+
+    /**
+     * @param {string} [failureReason]   Why the recording couldn't be processed, when processUpload gave up on it
+     */
+    setTranscriptStatus(status, failureReason = null) {
+        this.transcriptStatus = status;
+        this.transcriptFailureReason = failureReason;
+        this._updateStatusLabel();
+    }
+
+    /**
+     * Shows why the annotation failed, e.g. an upload the bucket refused, until it is cleared with null.
+     */
+    setErrorMessage(message) {
+        this.errorMessage = message;
+        this._updateStatusLabel();
+    }
+
+    /**
+     * Only the owner gets to see their own annotations while they are under review or hidden.
+     */
+    setModerationStatus(status) {
+        this.moderationStatus = status || 'visible';
+        this._updateStatusLabel();
+    }
+
+    _updateStatusLabel() {
+        const description = this.errorMessage || describeModerationStatus(this.moderationStatus) || describeTranscriptStatus(this.transcriptStatus, this.transcriptFailureReason);
+        this._statusLabel.visible = description !== "";
+        if (description !== this._statusLabel.text) {
+            this._statusLabel.text = description;
+            this._statusLabel.sync();
+        }
+    }
+
+    /**
+     * Sets the precomputed waveform peaks of the recording, or null to measure the level while playing instead.
+     */
+    setPeaks(peaks) {
+        this.peaks = peaks && Array.isArray(peaks.peaks) ? peaks : null;
+    }
+
+    getAudioLevel() {
+        const audioSource = window.audioEngine.getSourceByAnnotationId(this.annotationId);
+        if (!audioSource) {
+            return 0;
+        }
+
+        if (!this.peaks) {
+            return audioSource.getLevel();
+        }
+
+        const time = audioSource.getPlaybackTime();
+        if (time === null) {
+            return 0;
+        }
+        const level = this.peaks.peaks[Math.floor(time * this.peaks.framesPerSecond)];
+        return level === undefined ? 0 : level;
+    }
+
+    update(camera) {
+        if (this.parent) {
+            const angle = this._orbitPhase + 2 * Math.PI * (performance.now() / 1000) / REPLY_ORBIT_SECONDS;
+            orbitOffset.set(Math.cos(angle) * REPLY_ORBIT_RADIUS, 0, Math.sin(angle) * REPLY_ORBIT_RADIUS);
+            orbitOffset.applyQuaternion(this.parent._group.quaternion);
+            this._group.position.copy(this.parent._group.position).add(orbitOffset);
+        }
+
+        if (this._gltf) {
+            if (this.state == "playing") {
+                this._gltf.rotation.y += 0.1;
+            }
+            this._gltf.scale.setScalar(1 + (this.state == "playing" ? this.getAudioLevel() * PULSE_SCALE : 0));
+        }
+
+        if (this._statusLabel.visible && camera) {
+            this._statusLabel.lookAt(camera.position);
         }
     }
 }
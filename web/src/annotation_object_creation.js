@@ -1,38 +1,134 @@
 
+import { Quaternion } from "three";
 import { AnnotationObject } from "./annotation_object";
-import { Auth } from "aws-amplify";
-import { fetchAudioUrlByUser } from "./cloud";
-import { fetchPreSignedUrl } from "./fetchurl";
-import { getUserAnnotations } from "./cloud";
-import { putUserAnnotation } from "./cloud";
-import { removeAnnotationObjectsByUsername } from "./annotation_object";
-import { removeUserTextRecord } from "./user_text_records";
+import { getCurrentUsername } from "./session";
+import { uploadAsset, UploadError } from "./fetchurl";
+import { putUserAnnotation, deleteUserAnnotation } from "./cloud";
+import { getCurrentRoom } from "./rooms";
+import { TranscriptStatus, watchTranscriptStatus } from "./transcript_status";
+import { getFeatureFields } from "./feature_anchors";
+import { toRoomFrame } from "./shared_frame";
+import { DEFAULT_SPATIAL_AUDIO_PRESET, SPATIAL_AUDIO_PRESETS } from "./audio";
 
 const RECORD_PROMPT_DELAY_SECONDS = 3;
 const MAX_RECORDING_ATTEMPTS = 3;
 const MAX_SOUND_DURATION_SECONDS = 10;
+// Containers the browser may record in, in order of preference. Anything works, processUpload transcodes it.
+const RECORDING_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4'];
 
 let recordingAttempt = 0;
+let preferredLanguage = 'auto';
+let spatialAudioPreset = DEFAULT_SPATIAL_AUDIO_PRESET;
+let visibility = { visibility: 'public', sharedWithUsers: [], sharedWithGroups: [] };
 
 let primaryAnchor = null;
 let annotationObject = null;
+// Where the annotation being recorded is and how it sounds, as {position, orientation, spatialAudio}.
+let recordedSound = null;
+
+/**
+ * Sets the language new recordings are transcribed in, e.g. 'en-US', or 'auto' to identify it.
+ */
+export const setPreferredLanguage = (language) => {
+    preferredLanguage = language || 'auto';
+}
 
-export const startCreatingAnnotationObject = async (scene, anchor, hitTestTarget) => {
+export const getPreferredLanguage = () => {
+    return preferredLanguage;
+}
+
+/**
+ * Sets how new recordings sound around them and with distance, as the name of one of audio's
+ * SPATIAL_AUDIO_PRESETS, e.g. 'whisper'.
+ */
+export const setSpatialAudioPreset = (presetName) => {
+    spatialAudioPreset = SPATIAL_AUDIO_PRESETS[presetName] ? presetName : DEFAULT_SPATIAL_AUDIO_PRESET;
+}
+
+/**
+ * Sets who new recordings are visible to: 'private', 'shared' (with the given users and Cognito groups),
+ * 'room' (the members of the current room) or 'public'.
+ */
+export const setVisibility = (newVisibility, sharedWithUsers = [], sharedWithGroups = []) => {
+    visibility = { visibility: newVisibility || 'public', sharedWithUsers, sharedWithGroups };
+}
+
+/**
+ * The visibility fields for a new annotation. Without a room, room-only annotations would be visible to
+ * nobody else, so they are kept private; shared annotations with nobody to share with are private as well.
+ */
+export const getVisibilityFields = (room) => {
+    if (visibility.visibility === 'room' && !room) {
+        return { visibility: 'private' };
+    }
+    if (visibility.visibility === 'shared') {
+        if (visibility.sharedWithUsers.length === 0 && visibility.sharedWithGroups.length === 0) {
+            return { visibility: 'private' };
+        }
+        return visibility;
+    }
+    return { visibility: visibility.visibility };
+}
+
+/**
+ * Gets ready to record a new annotation, unless one is being recorded already.
+ * @returns {boolean}   Whether a new annotation can be recorded
+ */
+const prepareNewAnnotation = (anchor) => {
     if (!anchor) {
         console.log("No anchor, returning");
-        return;
+        return false;
     }
 
     primaryAnchor = anchor;
 
     if (annotationObject) {
-        if (annotationObject.state != "error" && annotationObject.state != "complete") {
+        if (annotationObject.state == "placed" || annotationObject.state == "recording" || annotationObject.state == "recording-done") {
             console.log("Already creating annotation");
-            return;
+            return false;
         }
 
-        console.log("Removing existing annotation object");
-        annotationObject.dispose();
+        // Finished annotations stay in the scene; only a failed attempt is cleaned up, here and in the cloud.
+        if (annotationObject.state == "error") {
+            console.log("Removing failed annotation object");
+            if (annotationObject.annotationId) {
+                deleteUserAnnotation(annotationObject.annotationId).catch(() => {});
+            }
+            annotationObject.dispose();
+        }
+        annotationObject = null;
+    }
+
+    return true;
+}
+
+/**
+ * Stores a new annotation and records its sound, showing it in the scene meanwhile.
+ */
+const createAndRecordAnnotation = async (scene, username, annotationData, parent) => {
+    annotationObject = new AnnotationObject(scene, primaryAnchor, null, username, annotationData.position, annotationData.orientation);
+    if (parent) {
+        parent.addReply(annotationObject);
+    }
+    annotationObject.setState("placed");
+    recordedSound = { position: annotationData.position, orientation: annotationData.orientation, spatialAudio: annotationData.spatialAudio };
+
+    // Annotations are stored in the room's coordinates, which other devices align themselves to.
+    const annotationId = await putUserAnnotation({ ...annotationData, ...toRoomFrame(annotationData.position, annotationData.orientation) }).catch(() => null);
+    if (!annotationId) {
+        console.error("Storing annotation failed");
+        annotationObject.setState("error");
+        return;
+    }
+    annotationObject.annotationId = annotationId;
+
+    recordingAttempt = 0;
+    promptUserAndRecord();
+}
+
+export const startCreatingAnnotationObject = async (scene, anchor, hitTestTarget) => {
+    if (!prepareNewAnnotation(anchor)) {
+        return;
     }
 
     if (!hitTestTarget) {
@@ -40,18 +136,16 @@ export const startCreatingAnnotationObject = async (scene, anchor, hitTestTarget
         return;
     }
 
-    const user = await Auth.currentAuthenticatedUser();
-    const username = user.username;
-
-    removeAnnotationObjectsByUsername(username);
-    removeUserTextRecord(username);
+    const username = await getCurrentUsername();
 
-    console.log("Creating new object at ", hitTestTarget.position, " with quaternion ", hitTestTarget.quaternion, " and username ", username);
-    annotationObject = new AnnotationObject(scene, primaryAnchor, username, hitTestTarget.position, hitTestTarget.quaternion);
-    annotationObject.setState("placed");
+    const room = getCurrentRoom();
 
     const annotationData = {
         type: 'audio',
+        roomId: room ? room.roomId : undefined,
+        language: preferredLanguage,
+        spatialAudio: spatialAudioPreset,
+        ...getVisibilityFields(room),
         position: {
             x: hitTestTarget.position.x,
             y: hitTestTarget.position.y,
@@ -64,11 +158,38 @@ export const startCreatingAnnotationObject = async (scene, anchor, hitTestTarget
             w: hitTestTarget.quaternion.w,
         }
     }
+    Object.assign(annotationData, getFeatureFields(annotationData.position, annotationData.orientation));
 
-    putUserAnnotation(annotationData);
+    console.log("Creating new object at ", hitTestTarget.position, " with quaternion ", hitTestTarget.quaternion, " and username ", username);
+    await createAndRecordAnnotation(scene, username, annotationData, null);
+}
 
-    recordingAttempt = 0;
-    promptUserAndRecord();
+/**
+ * Records a reply to an annotation. Replies to a reply join the thread of the annotation it replies to,
+ * and are visible to the same users as the thread.
+ */
+export const startRecordingReply = async (scene, anchor, repliedTo) => {
+    if (!prepareNewAnnotation(anchor)) {
+        return;
+    }
+
+    const parent = repliedTo.parent || repliedTo;
+    const username = await getCurrentUsername();
+    const room = getCurrentRoom();
+
+    const annotationData = {
+        type: 'audio',
+        roomId: room ? room.roomId : undefined,
+        language: preferredLanguage,
+        spatialAudio: spatialAudioPreset,
+        parentUsername: parent.username,
+        parentAnnotationId: parent.annotationId,
+        position: parent.position,
+        orientation: parent.orientation
+    }
+
+    console.log("Recording reply to ", parent.annotationId, " by ", parent.username);
+    await createAndRecordAnnotation(scene, username, annotationData, parent);
 }
 
 const promptUserAndRecord = () => {
@@ -99,7 +220,8 @@ const recordAnnotationSound = async () => {
     try {
         // Request access to the microphone
         const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-        const mediaRecorder = new MediaRecorder(stream, { mimeType: 'audio/webm' });
+        const mimeType = RECORDING_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        const mediaRecorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
         let audioChunks = [];
 
         mediaRecorder.addEventListener('dataavailable', event => {
@@ -107,32 +229,30 @@ const recordAnnotationSound = async () => {
         });
 
         mediaRecorder.addEventListener('stop', async () => {
-            const audioBlob = new Blob(audioChunks, { type: 'audio/webm' });
-            const assetKey = 'sound.webm';
-            const preSignedUrl = await fetchPreSignedUrl(assetKey, 'PUT');
-
-            // Upload the audio file to S3
-            const uploadResponse = await fetch(preSignedUrl, {
-                method: 'PUT',
-                body: audioBlob,
-            });
-
-            if (uploadResponse.ok) {
-                console.log('Audio uploaded successfully');
-                const annotations = await getUserAnnotations();
-
-                const user = await Auth.currentAuthenticatedUser();
-                const username = user.username;
-                const audioRecord = await fetchAudioUrlByUser(username);
-
-                const audioAnnotation = annotations.filter(annotation => annotation.type === 'audio')[0];
-
-                await createAudioAnnotationSource(username, audioRecord, audioAnnotation.position, audioAnnotation.orientation);
-                annotationObject.setState("complete");
-            } else {
-                console.error('Audio upload failed');
-                recordAnnotationSound();
+            const audioBlob = new Blob(audioChunks, { type: mediaRecorder.mimeType });
+            // The raw recording is normalized and transcoded into playable renditions in the cloud.
+            const assetKey = `${annotationObject.annotationId}/sound.raw`;
+
+            try {
+                await uploadAsset(assetKey, audioBlob);
+            } catch (error) {
+                console.error('Audio upload failed: ', error);
+                // A refused upload fails the same way every time, so tell the user instead of recording again.
+                if (error instanceof UploadError) {
+                    annotationObject.setState("error");
+                    annotationObject.setErrorMessage(error.message);
+                } else {
+                    recordAnnotationSound();
+                }
+                return;
             }
+
+            console.log('Audio uploaded successfully');
+            // The renditions are still being processed, so play back the local recording for now.
+            await createAudioAnnotationSourceFromBlob(annotationObject.annotationId, audioBlob, recordedSound.position, recordedSound.orientation, recordedSound.spatialAudio);
+            annotationObject.setState("complete");
+            annotationObject.setTranscriptStatus(TranscriptStatus.pending);
+            watchTranscriptStatus(annotationObject);
         });
 
         // Start recording
@@ -150,9 +270,13 @@ const recordAnnotationSound = async () => {
     }
 }
 
-export const createAudioAnnotationSource = async (username, audioFileUrl, position) => {
-    const audioSource = window.audioEngine.createSource(username);
-
+/**
+ * Loads a recording into the audio engine, playing from the position and, for annotations, with the directivity
+ * cone pointing along their orientation.
+ * @param {Object} [orientation]   As {x, y, z, w}, or null for sound without a direction
+ * @param {string} [spatialAudio]   The name of one of audio's SPATIAL_AUDIO_PRESETS
+ */
+export const createAudioAnnotationSource = async (annotationId, audioFileUrl, position, orientation = null, spatialAudio = DEFAULT_SPATIAL_AUDIO_PRESET) => {
     console.log("Fetching audio from " + audioFileUrl);
     const response = await fetch(audioFileUrl);
     if (!response.ok) {
@@ -160,13 +284,23 @@ export const createAudioAnnotationSource = async (username, audioFileUrl, positi
     }
 
     const blob = await response.blob();
-    if (blob.type !== "audio/webm") {
-        throw new Error("Fetched file is not a WebM video. Type is " + blob.type + ".");
+    if (!blob.type.startsWith("audio/")) {
+        throw new Error("Fetched file is not audio. Type is " + blob.type + ".");
     }
 
+    return createAudioAnnotationSourceFromBlob(annotationId, blob, position, orientation, spatialAudio);
+}
+
+export const createAudioAnnotationSourceFromBlob = async (annotationId, blob, position, orientation = null, spatialAudio = DEFAULT_SPATIAL_AUDIO_PRESET) => {
+    const audioSource = window.audioEngine.createSource(annotationId);
+
     await audioSource.load(blob);
 
     audioSource.setPosition(position);
+    audioSource.setSpatialAudio(spatialAudio);
+    if (orientation) {
+        audioSource.setOrientation(new Quaternion(orientation.x, orientation.y, orientation.z, orientation.w));
+    }
 
     // For testing only.
     // annotationObject.setState("playing");
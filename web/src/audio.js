@@ -4,6 +4,44 @@ import {
     Vector3
 } from "three";
 
+// Renditions written by the upload processing step, in order of preference.
+const AUDIO_RENDITIONS = [
+    { extension: 'webm', mimeType: 'audio/webm; codecs="opus"' },
+    { extension: 'm4a', mimeType: 'audio/mp4; codecs="mp4a.40.2"' },
+];
+
+/**
+ * How a recording sounds around it and with distance, as PannerNode options, chosen when it is recorded. Sound is
+ * loudest within the inner cone about the recording's orientation and drops to coneOuterGain outside the outer one.
+ */
+export const SPATIAL_AUDIO_PRESETS = {
+    // Heard all around, fading with distance like a voice in the room.
+    standard: {
+        panningModel: 'HRTF', distanceModel: 'inverse', refDistance: 1, rolloffFactor: 1, maxDistance: 10000,
+        coneInnerAngle: 360, coneOuterAngle: 360, coneOuterGain: 0
+    },
+    // Only heard up close, and mostly in front of it.
+    whisper: {
+        panningModel: 'HRTF', distanceModel: 'exponential', refDistance: 0.3, rolloffFactor: 2, maxDistance: 10000,
+        coneInnerAngle: 90, coneOuterAngle: 220, coneOuterGain: 0.1
+    },
+    // Carries across the room, with no falloff within 2 m and silent 30 m away.
+    announcement: {
+        panningModel: 'HRTF', distanceModel: 'linear', refDistance: 2, rolloffFactor: 1, maxDistance: 30,
+        coneInnerAngle: 360, coneOuterAngle: 360, coneOuterGain: 0
+    }
+};
+export const DEFAULT_SPATIAL_AUDIO_PRESET = 'standard';
+
+/**
+ * Returns the file extension of the first recording rendition this browser can decode.
+ */
+export const getPlayableAudioRendition = () => {
+    const audioElement = document.createElement('audio');
+    const rendition = AUDIO_RENDITIONS.find(rendition => audioElement.canPlayType(rendition.mimeType) !== '');
+    return rendition ? rendition.extension : AUDIO_RENDITIONS[AUDIO_RENDITIONS.length - 1].extension;
+}
+
 export class AudioEngine {
     constructor(camera) {
         this._camera = camera;
@@ -24,15 +62,15 @@ export class AudioEngine {
         }
     }
 
-    createSource(username) {
-        const source = new AudioSource(this, username);
+    createSource(annotationId) {
+        const source = new AudioSource(this, annotationId);
         this._sources.push(source);
         source.getOutputNode().connect(this._destinationNode);
         return source;
     }
 
-    removeSource(username) {
-        const source = this.getSourceByUsername(username);
+    removeSource(annotationId) {
+        const source = this.getSourceByAnnotationId(annotationId);
         if (!source) {
             return;
         }
@@ -41,8 +79,8 @@ export class AudioEngine {
         this._sources = this._sources.filter(s => s !== source);
     }
 
-    getSourceByUsername(username) {
-        return this._sources.find(source => source._username === username);
+    getSourceByAnnotationId(annotationId) {
+        return this._sources.find(source => source._annotationId === annotationId);
     }
 
     getRampTime() {
@@ -88,6 +126,10 @@ export class AudioListener {
         this._listener.upZ.linearRampToValueAtTime(this._upVector.z, rampTime);
     }
 
+    getPosition() {
+        return this._position;
+    }
+
     setPosition(vec3) {
         if (this._position.equals(vec3)) return;
         this._position.copy(vec3);
@@ -100,21 +142,36 @@ export class AudioListener {
 }
 
 export class AudioSource {
-    constructor(audioEngine, username) {
+    constructor(audioEngine, annotationId) {
         this._audioEngine = audioEngine;
-        this._username = username;
+        this._annotationId = annotationId;
 
         this._position = new Vector3();
+        // PannerNodes point along x until told otherwise.
+        this._direction = new Vector3(1, 0, 0);
 
         this._gainNode = new GainNode(this._audioEngine.audioContext);
         this._pannerNode = new PannerNode(this._audioEngine.audioContext);
+        this.setSpatialAudio(DEFAULT_SPATIAL_AUDIO_PRESET);
 
         this._gainNode.connect(this._pannerNode);
 
         this._started = false;
+        this._playing = false;
+        this._startTime = 0;
+
+        // Called when a recording played with loop set to false has finished.
+        this.onEnded = null;
     }
 
+    /**
+     * Loads a recording, or prepares the loaded one to be played again. Loading a different blob replaces
+     * the recording, e.g. to preview an earlier take.
+     */
     async load(blob) {
+        if (blob !== this._blob) {
+            this._audioBuffer = null;
+        }
         this._blob = blob;
 
         if (!this._audioBuffer) {
@@ -127,6 +184,40 @@ export class AudioSource {
         this._started = false;
     }
 
+    /**
+     * Seconds since the current loop started playing, or null when stopped. Keeps counting past
+     * the end of the buffer during the pause before the loop restarts.
+     */
+    getPlaybackTime() {
+        if (!this._playing) {
+            return null;
+        }
+        return this._audioEngine.audioContext.currentTime - this._startTime;
+    }
+
+    /**
+     * Current peak level of the source, 0..1, measured live. Used to animate recordings without precomputed peaks;
+     * the analyser is only connected once it is first asked for.
+     */
+    getLevel() {
+        if (!this._playing) {
+            return 0;
+        }
+
+        if (!this._analyserNode) {
+            this._analyserNode = new AnalyserNode(this._audioEngine.audioContext, { fftSize: 256 });
+            this._analyserData = new Float32Array(this._analyserNode.fftSize);
+            this._gainNode.connect(this._analyserNode);
+        }
+
+        this._analyserNode.getFloatTimeDomainData(this._analyserData);
+        let peak = 0;
+        for (const sample of this._analyserData) {
+            peak = Math.max(peak, Math.abs(sample));
+        }
+        return Math.min(peak, 1);
+    }
+
     getOutputNode() {
         return this._pannerNode;
     }
@@ -141,13 +232,61 @@ export class AudioSource {
         this._pannerNode.positionZ.linearRampToValueAtTime(vec3.z, rampTime);
     }
 
-    async play() {
+    /**
+     * Sets how the source sounds around it and with distance, from one of SPATIAL_AUDIO_PRESETS by its name, or
+     * the standard preset for names it doesn't know.
+     */
+    setSpatialAudio(presetName) {
+        const preset = SPATIAL_AUDIO_PRESETS[presetName] || SPATIAL_AUDIO_PRESETS[DEFAULT_SPATIAL_AUDIO_PRESET];
+        Object.assign(this._pannerNode, preset);
+    }
+
+    /**
+     * Points the directivity cone of the source along the y axis of the quaternion, which for an annotation is the
+     * normal of the surface it was left on.
+     */
+    setOrientation(quat) {
+        const direction = new Vector3(0, 1, 0).applyQuaternion(quat);
+        if (this._direction.equals(direction)) return;
+        this._direction.copy(direction);
+
+        const rampTime = this._audioEngine.getRampTime();
+        this._pannerNode.orientationX.linearRampToValueAtTime(direction.x, rampTime);
+        this._pannerNode.orientationY.linearRampToValueAtTime(direction.y, rampTime);
+        this._pannerNode.orientationZ.linearRampToValueAtTime(direction.z, rampTime);
+    }
+
+    /**
+     * Ramps the volume of the source to volume, 0..1, over seconds, from its current volume or from the one given.
+     */
+    fadeTo(volume, seconds, from = null) {
+        const gain = this._gainNode.gain;
+        const currentTime = this._audioEngine.audioContext.currentTime;
+        gain.cancelScheduledValues(currentTime);
+        gain.setValueAtTime(from === null ? gain.value : from, currentTime);
+        gain.linearRampToValueAtTime(volume, currentTime + seconds);
+    }
+
+    /**
+     * Plays the recording, over and over after a pause unless loop is false, in which case onEnded is
+     * called once it has played to the end.
+     */
+    async play(loop = true) {
         if (this._started) {
             await this.load(this._blob);
         }
         this._started = true;
         this._audioBufferSourceNode.start();
+        this._playing = true;
+        this._startTime = this._audioEngine.audioContext.currentTime;
         this._audioBufferSourceNode.onended = () => {
+            if (!loop) {
+                this._playing = false;
+                if (this.onEnded) {
+                    this.onEnded();
+                }
+                return;
+            }
             this._loopTimeoutId = setTimeout(async () => {
                 console.log("Looping audio");
                 await this.load(this._blob);
@@ -159,6 +298,11 @@ export class AudioSource {
     stop() {
         this._audioBufferSourceNode.onended = null;
         clearTimeout(this._loopTimeoutId);
+        this._playing = false;
+
+        // Played again at full volume, whether or not it was stopped in the middle of a fade.
+        this._gainNode.gain.cancelScheduledValues(this._audioEngine.audioContext.currentTime);
+        this._gainNode.gain.setValueAtTime(1, this._audioEngine.audioContext.currentTime);
 
         // Don't call stop() if the buffer was never started. WebAudio API doesn't like that.
         if (!this._started) {
@@ -1,5 +1,6 @@
 import {Amplify, Auth} from 'aws-amplify';
 import amplifyConfig from './amplifyconfigure';
+import { isLocalAuth, signInLocally } from './session';
 
 import './styles/auth.css';
 // Configure Amplify
@@ -12,6 +13,12 @@ const handleSignUp = async () => {
     const username = document.getElementById('username').value;
     const password = document.getElementById('password').value;
 
+    // The local backend has no accounts, any username can sign in.
+    if (isLocalAuth()) {
+        showMessage('Sign up successful! Please use the same username to sign in', 'success');
+        return;
+    }
+
     try {
         const { user } = await Auth.signUp({
             username,
@@ -32,6 +39,12 @@ const handleSignIn = async () => {
     const username = document.getElementById('username').value;
     const password = document.getElementById('password').value;
 
+    if (isLocalAuth()) {
+        signInLocally(username);
+        window.location.href = "main.html";
+        return;
+    }
+
     try {
         const user = await Auth.signIn(username, password);
         console.log('Sign in success!', user);
@@ -0,0 +1,126 @@
+const SPOKEN_WORD_COLOR = 0x000000;
+const CURRENT_WORD_COLOR = 0x0000ff;
+const UPCOMING_WORD_COLOR = 0x888888;
+
+// Parses 'HH:MM:SS.mmm' or 'MM:SS.mmm' into seconds.
+const parseTimestamp = (timestamp) => {
+    return timestamp.split(':').reduce((seconds, part) => seconds * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Parses the WebVTT captions written by processAudio into cues of timed words.
+ * @param {string} vtt   The WebVTT file contents
+ * @returns {Object[]}   Cues as {start, end, words: [{start, end, text}]}, times in seconds
+ */
+export const parseWebVtt = (vtt) => {
+    const cues = [];
+    const blocks = vtt.replace(/\r\n/g, '\n').split(/\n{2,}/);
+
+    for (const block of blocks) {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1) {
+            continue;
+        }
+
+        const [start, end] = lines[timingIndex].split('-->').map(part => parseTimestamp(part.trim().split(/\s+/)[0]));
+        const payload = lines.slice(timingIndex + 1).join(' ');
+
+        // Inline timestamps mark when the following word starts; the first word starts with the cue.
+        const words = [];
+        let wordStart = start;
+        payload.split(/<([\d:.]+)>/).forEach((part, index) => {
+            if (index % 2 === 1) {
+                wordStart = parseTimestamp(part);
+                return;
+            }
+            part.split(/\s+/).filter(text => text.length > 0).forEach(text => {
+                words.push({ start: wordStart, end: end, text: text });
+            });
+        });
+        for (let i = 0; i < words.length - 1; i++) {
+            words[i].end = words[i + 1].start;
+        }
+
+        cues.push({ start: start, end: end, words: words });
+    }
+
+    return cues;
+}
+
+/**
+ * Shows the cue being spoken on a troika Text mesh, colouring words as the audio source reaches them.
+ * Follows the source's playback time, so it starts over whenever the loop restarts.
+ */
+export class CaptionRenderer {
+    constructor(textMesh) {
+        this._textMesh = textMesh;
+        this.clear();
+    }
+
+    setCaptions(cues, audioSource) {
+        this._cues = cues;
+        this._audioSource = audioSource;
+        this._cueIndex = null;
+        this._wordIndex = null;
+        this._wordSpoken = null;
+    }
+
+    clear() {
+        this.setCaptions([], null);
+    }
+
+    update() {
+        if (!this._audioSource || this._cues.length === 0) {
+            return;
+        }
+
+        const time = this._audioSource.getPlaybackTime();
+        if (time === null) {
+            return;
+        }
+
+        const cueIndex = findLastIndex(this._cues, cue => cue.start <= time);
+        const words = cueIndex === -1 ? [] : this._cues[cueIndex].words;
+        const wordIndex = findLastIndex(words, word => word.start <= time);
+        const wordSpoken = wordIndex !== -1 && time >= words[wordIndex].end;
+
+        if (cueIndex === this._cueIndex && wordIndex === this._wordIndex && wordSpoken === this._wordSpoken) {
+            return;
+        }
+        this._cueIndex = cueIndex;
+        this._wordIndex = wordIndex;
+        this._wordSpoken = wordSpoken;
+
+        let text = '';
+        const colorRanges = {};
+        words.forEach((word, index) => {
+            if (index > 0) {
+                text += ' ';
+            }
+            if (index < wordIndex || (index === wordIndex && wordSpoken)) {
+                colorRanges[text.length] = SPOKEN_WORD_COLOR;
+            }
+            else if (index === wordIndex) {
+                colorRanges[text.length] = CURRENT_WORD_COLOR;
+            }
+            else {
+                colorRanges[text.length] = UPCOMING_WORD_COLOR;
+            }
+            text += word.text;
+        });
+
+        this._textMesh.text = text;
+        this._textMesh.colorRanges = colorRanges;
+        this._textMesh.sync();
+    }
+}
+
+const findLastIndex = (array, predicate) => {
+    for (let i = array.length - 1; i >= 0; i--) {
+        if (predicate(array[i])) {
+            return i;
+        }
+    }
+    return -1;
+}
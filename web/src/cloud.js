@@ -1,5 +1,5 @@
-import { Auth } from 'aws-amplify';
-import {fetchPreSignedUrl, fetchAllPreSignedUrls} from './fetchurl';
+import { getCurrentUsername, getIdToken } from './session';
+import {fetchPreSignedUrl, uploadAsset} from './fetchurl';
 import amplifyConfig from './amplifyconfigure';
 
 const API_GATEWAY_URL = amplifyConfig.Api.url;
@@ -10,8 +10,7 @@ const API_GATEWAY_URL = amplifyConfig.Api.url;
 */
 export async function getUserAnnotations() {
     try {
-        const session = await Auth.currentSession();
-        const idToken = session.getIdToken().getJwtToken();
+        const idToken = await getIdToken();
 
         const response = await fetch(`${API_GATEWAY_URL}annotation`, {
             headers: {
@@ -31,7 +30,21 @@ export async function getUserAnnotations() {
 /**
 * Puts an annotation for the current user
 * @param {Object} annotationData    The annotation data to be put
-* @param {string} annotationData.type   The type of annotation ('audio', 'object', or 'sketch')
+* @param {string} annotationData.type   The type of annotation ('audio', 'object', 'sketch', 'model', 'image' or 'text')
+* @param {string} [annotationData.roomId]   The ID of the room the annotation belongs to
+* @param {string} [annotationData.language]   The language spoken in an audio annotation, or a text annotation is read aloud in, e.g. 'en-US', or 'auto' to identify it
+* @param {string} [annotationData.visibility]   Who else can see the annotation: 'private', 'shared', 'room' or 'public' (the default)
+* @param {string[]} [annotationData.sharedWithUsers]   The usernames a shared annotation is visible to
+* @param {string[]} [annotationData.sharedWithGroups]   The Cognito groups whose members a shared annotation is visible to
+* @param {string} [annotationData.parentUsername]   The owner of the annotation a reply replies to
+* @param {string} [annotationData.parentAnnotationId]   The ID of the annotation a reply replies to
+* @param {string} [annotationData.modelKey]   The model an object shows, as catalog/<name>.glb or <username>/<annotationId>/model.glb
+* @param {number} [annotationData.scale]   How much the model of an object or an image is scaled, 1 by default
+* @param {string} [annotationData.modelName]   The name a model is listed with in the catalog
+* @param {string} [annotationData.text]   The text of a text annotation, at most 500 characters
+* @param {boolean} [annotationData.readAloud]   Whether a text annotation is read aloud, from speech.mp3
+* @param {string} [annotationData.spatialAudio]   How an audio annotation sounds around it and with distance: 'standard' (the default), 'whisper' or 'announcement'
+* @param {Object} [annotationData.feature]   The room feature the annotation is stored relative to, as feature_anchors' getFeatureFields gives it
 * @param {Object} annotationData.position   The position of the annotation
 * @param {number} annotationData.position.x   The x position of the annotation
 * @param {number} annotationData.position.y   The y position of the annotation
@@ -41,12 +54,11 @@ export async function getUserAnnotations() {
 * @param {number} annotationData.orientation.y   The y orientation of the annotation
 * @param {number} annotationData.orientation.z   The z orientation of the annotation
 * @param {number} annotationData.orientation.w   The w orientation of the annotation
-* @returns {boolean}   Whether the annotation was successfully put
+* @returns {string|null}   The generated ID of the stored annotation, or null if it was not stored
 */
 export async function putUserAnnotation(annotationData) {
     try {
-        const session = await Auth.currentSession();
-        const idToken = session.getIdToken().getJwtToken();
+        const idToken = await getIdToken();
 
         const response = await fetch(`${API_GATEWAY_URL}annotation`, {
             headers: {
@@ -56,22 +68,85 @@ export async function putUserAnnotation(annotationData) {
             method: 'PUT',
             body: JSON.stringify(annotationData),
         });
-        console.log("Put Annotation Response:", JSON.stringify(response, null, 2));
-        return response.status === 200;
+        const responseData = await response.json();
+        console.log("Put Annotation Response:", JSON.stringify(responseData, null, 2));
+        return response.status === 200 ? responseData.annotationId : null;
     } catch (err) {
         console.error('Failed to put user annotation:', err.message);
         throw err;
     }
 }
 
+/**
+* Deletes one of the current user's annotations along with its recording and transcript
+* @param {string} annotationId   The ID of the annotation to delete
+* @returns {boolean}   Whether the annotation was successfully deleted
+*/
+export async function deleteUserAnnotation(annotationId) {
+    try {
+        const idToken = await getIdToken();
+
+        const response = await fetch(`${API_GATEWAY_URL}annotation?annotationId=${annotationId}`, {
+            headers: {
+                Authorization: idToken,
+                'Content-Type': 'application/json',
+            },
+            method: 'DELETE',
+        });
+        const responseData = await response.json();
+        console.log("Delete Annotation Response:", JSON.stringify(responseData, null, 2));
+        return response.status === 200;
+    } catch (err) {
+        console.error('Failed to delete user annotation:', err.message);
+        throw err;
+    }
+}
+
+/**
+* Updates one of the current user's annotations
+* @param {string} annotationId   The ID of the annotation to update
+* @param {Object} changes   The fields to change; any field left out is kept as is. The type can't be changed, and the fields of other types can't be set
+* @param {Object} [changes.position]   The new position of the annotation, as {x, y, z}
+* @param {Object} [changes.orientation]   The new orientation of the annotation, as {x, y, z, w}
+* @param {string} [changes.transcript]   Replacement text for an audio annotation's transcript, of up to 10000 characters
+* @param {boolean} [changes.replaceAudio]   Whether a new recording will be uploaded, with uploadAsset to <annotationId>/sound.raw
+* @param {string} [changes.language]   The language spoken in the new recording, or 'auto' to identify it
+* @param {string} [changes.visibility]   The new visibility, along with sharedWithUsers and sharedWithGroups when it is 'shared'; 'room' needs the annotation to be in a room
+* @param {string} [changes.modelKey]   The new model of an object
+* @param {number} [changes.scale]   The new scale of an object's model or an image
+* @param {string} [changes.text]   The new text of a text annotation, which is read aloud again if it was before
+* @param {string} [changes.modelName]   The new name of a catalog model
+* @param {Object|null} [changes.feature]   The new room feature the annotation is relative to, or null to detach it; moving the annotation without one detaches it too
+* @returns {Object|null}   The response, or null if the update failed
+*/
+export async function updateUserAnnotation(annotationId, changes) {
+    try {
+        const idToken = await getIdToken();
+
+        const response = await fetch(`${API_GATEWAY_URL}annotation`, {
+            headers: {
+                Authorization: idToken,
+                'Content-Type': 'application/json',
+            },
+            method: 'PATCH',
+            body: JSON.stringify({ ...changes, annotationId }),
+        });
+        const responseData = await response.json();
+        console.log("Update Annotation Response:", JSON.stringify(responseData, null, 2));
+        return response.status === 200 ? responseData : null;
+    } catch (err) {
+        console.error('Failed to update user annotation:', err.message);
+        throw err;
+    }
+}
+
 /**
 * Gets the current user's annotations
 * @returns {Object[]}   The user's annotations
 */
 export async function getAllAnnotations() {
     try {
-        const session = await Auth.currentSession();
-        const idToken = session.getIdToken().getJwtToken();
+        const idToken = await getIdToken();
 
         const response = await fetch(`${API_GATEWAY_URL}annotations/all`, {
             headers: {
@@ -89,14 +164,361 @@ export async function getAllAnnotations() {
     }
 }
 
-export async function fetchAndPlayWebMAudioByUser() {
+/**
+* Creates a room owned by the current user
+* @param {string} name   A display name for the room
+* @returns {Object}   The created room, with roomId, name, owner and createdAt
+*/
+export async function createRoom(name) {
+    try {
+        const idToken = await getIdToken();
+
+        const response = await fetch(`${API_GATEWAY_URL}rooms`, {
+            headers: {
+                Authorization: idToken,
+                'Content-Type': 'application/json',
+            },
+            method: 'PUT',
+            body: JSON.stringify({ name }),
+        });
+        const responseData = await response.json();
+        console.log("Create Room Response:", JSON.stringify(responseData, null, 2));
+        return responseData;
+    } catch (err) {
+        console.error('Failed to create room:', err.message);
+        throw err;
+    }
+}
+
+/**
+* Lets other users into a room owned by the current user, so they can see its room-only annotations
+* @param {string} roomId   The ID of the room
+* @param {string[]} usernames   The users to add
+* @returns {Object|null}   The room as {roomId, members}, or null if the room isn't the user's
+*/
+export async function addRoomMembers(roomId, usernames) {
+    try {
+        const idToken = await getIdToken();
+
+        const response = await fetch(`${API_GATEWAY_URL}rooms/${encodeURIComponent(roomId)}/members`, {
+            headers: {
+                Authorization: idToken,
+                'Content-Type': 'application/json',
+            },
+            method: 'PUT',
+            body: JSON.stringify({ usernames }),
+        });
+        const responseData = await response.json();
+        console.log("Add Room Members Response:", JSON.stringify(responseData, null, 2));
+        return response.status === 200 ? responseData : null;
+    } catch (err) {
+        console.error('Failed to add room members:', err.message);
+        throw err;
+    }
+}
+
+/**
+* Gets a room the current user is a member of, e.g. to join it on another device
+* @param {string} roomId   The ID of the room
+* @returns {Object|null}   The room as {roomId, name, owner, members, createdAt, planeSignature, referenceMarkers}, or null
+*                          if it doesn't exist or the user isn't a member. planeSignature and referenceMarkers are null
+*                          until a device stores them.
+*/
+export async function getRoom(roomId) {
+    try {
+        const idToken = await getIdToken();
+
+        const response = await fetch(`${API_GATEWAY_URL}rooms/${encodeURIComponent(roomId)}`, {
+            headers: {
+                Authorization: idToken,
+                'Content-Type': 'application/json',
+            },
+            method: 'GET',
+        });
+        const responseData = await response.json();
+        console.log("Room:", JSON.stringify(responseData, null, 2));
+        return response.status === 200 ? responseData : null;
+    } catch (err) {
+        console.error('Failed to fetch room:', err.message);
+        throw err;
+    }
+}
+
+/**
+* Stores the planes detected in a room, which other devices align their coordinates to. Only the first
+* signature stored for a room is kept.
+* @param {string} roomId   The ID of the room
+* @param {Object} planeSignature   As {planes: [{label, normal, center, extent}]}, in the coordinates annotations are stored in
+* @returns {boolean}   Whether it was stored, rather than the room already having one
+*/
+export async function putRoomSignature(roomId, planeSignature) {
+    try {
+        const idToken = await getIdToken();
+
+        const response = await fetch(`${API_GATEWAY_URL}rooms/${encodeURIComponent(roomId)}/signature`, {
+            headers: {
+                Authorization: idToken,
+                'Content-Type': 'application/json',
+            },
+            method: 'PUT',
+            body: JSON.stringify({ planeSignature }),
+        });
+        const responseData = await response.json();
+        console.log("Put Room Signature Response:", JSON.stringify(responseData, null, 2));
+        return response.status === 200;
+    } catch (err) {
+        console.error('Failed to store room signature:', err.message);
+        throw err;
+    }
+}
+
+/**
+* Stores the reference markers of a room, replacing earlier ones
+* @param {string} roomId   The ID of the room
+* @param {Object[]} referenceMarkers   2 or 3 markers as {label, position: [x, y, z]}, in the coordinates annotations are stored in
+* @returns {boolean}   Whether they were stored
+*/
+export async function putRoomMarkers(roomId, referenceMarkers) {
+    try {
+        const idToken = await getIdToken();
+
+        const response = await fetch(`${API_GATEWAY_URL}rooms/${encodeURIComponent(roomId)}/markers`, {
+            headers: {
+                Authorization: idToken,
+                'Content-Type': 'application/json',
+            },
+            method: 'PUT',
+            body: JSON.stringify({ referenceMarkers }),
+        });
+        const responseData = await response.json();
+        console.log("Put Room Markers Response:", JSON.stringify(responseData, null, 2));
+        return response.status === 200;
+    } catch (err) {
+        console.error('Failed to store room markers:', err.message);
+        throw err;
+    }
+}
+
+/**
+* Gets the annotations placed in a room
+* @param {string} roomId   The ID of the room
+* @returns {Object[]}   The room's annotations
+*/
+export async function getRoomAnnotations(roomId) {
+    try {
+        const idToken = await getIdToken();
+
+        const response = await fetch(`${API_GATEWAY_URL}rooms/${roomId}/annotations`, {
+            headers: {
+                Authorization: idToken,
+                'Content-Type': 'application/json',
+            },
+            method: 'GET',
+        });
+        const responseData = await response.json();
+        console.log("Room Annotations:", JSON.stringify(responseData, null, 2));
+        return responseData;
+    } catch (err) {
+        console.error('Failed to fetch room annotations:', err.message);
+        throw err;
+    }
+}
+
+/**
+* Gets everything needed to show and play the annotations placed in a room, in a single request
+* @param {string} roomId   The ID of the room
+* @param {string} [rendition]   The audio rendition to get URLs for, 'webm' or 'm4a'
+* @returns {Object[]}   The room's annotations, each with audioUrl, transcriptUrl, transcript, captionsUrl, peaksUrl, sketchUrl, imageUrl and speechUrl
+*                       (null for files that don't exist yet)
+*/
+export async function getRoomAnnotationBundles(roomId, rendition = 'webm') {
+    try {
+        const idToken = await getIdToken();
+
+        const response = await fetch(`${API_GATEWAY_URL}rooms/${roomId}/bundle?rendition=${rendition}`, {
+            headers: {
+                Authorization: idToken,
+                'Content-Type': 'application/json',
+            },
+            method: 'GET',
+        });
+        const responseData = await response.json();
+        console.log("Room Annotation Bundles:", JSON.stringify(responseData, null, 2));
+        return responseData;
+    } catch (err) {
+        console.error('Failed to fetch room annotation bundles:', err.message);
+        throw err;
+    }
+}
+
+/**
+* Flags another user's annotation for review. Once enough users flagged it, it is hidden from everyone but its owner until a moderator has looked at it
+* @param {string} username   The owner of the annotation
+* @param {string} annotationId   The ID of the annotation
+* @param {string} [reason]   Why the annotation is being flagged
+* @returns {boolean}   Whether the annotation was flagged
+*/
+export async function flagAnnotation(username, annotationId, reason) {
+    try {
+        const idToken = await getIdToken();
+
+        const response = await fetch(`${API_GATEWAY_URL}annotation/flag`, {
+            headers: {
+                Authorization: idToken,
+                'Content-Type': 'application/json',
+            },
+            method: 'POST',
+            body: JSON.stringify({ username, annotationId, reason }),
+        });
+        const responseData = await response.json();
+        console.log("Flag Annotation Response:", JSON.stringify(responseData, null, 2));
+        return response.status === 200;
+    } catch (err) {
+        console.error('Failed to flag annotation:', err.message);
+        throw err;
+    }
+}
+
+/**
+* Gets an annotation's thread: the annotation and the replies to it the user can see, oldest first
+* @param {string} username   The owner of the annotation, or of a reply in the thread
+* @param {string} annotationId   The ID of the annotation, or of a reply in the thread
+* @returns {Object|null}   The thread as {annotation, replies}, or null if it isn't visible to the user
+*/
+export async function getAnnotationThread(username, annotationId) {
+    try {
+        const idToken = await getIdToken();
+
+        const response = await fetch(`${API_GATEWAY_URL}annotation/thread?username=${encodeURIComponent(username)}&annotationId=${annotationId}`, {
+            headers: {
+                Authorization: idToken,
+                'Content-Type': 'application/json',
+            },
+            method: 'GET',
+        });
+        const responseData = await response.json();
+        console.log("Annotation Thread:", JSON.stringify(responseData, null, 2));
+        return response.status === 200 ? responseData : null;
+    } catch (err) {
+        console.error('Failed to get annotation thread:', err.message);
+        throw err;
+    }
+}
+
+/**
+* Gets the earlier takes and transcripts of one of the user's own annotations, newest first
+* @param {string} annotationId   The ID of the annotation
+* @param {string} [rendition]   The audio rendition to get take URLs for, 'webm' or 'm4a'
+* @returns {Object|null}   {takes, transcripts}; takes have an audioUrl to preview them and transcripts their text, or null if the request failed
+*/
+export async function getAnnotationVersions(annotationId, rendition = 'webm') {
+    try {
+        const idToken = await getIdToken();
+
+        const response = await fetch(`${API_GATEWAY_URL}annotation/versions?annotationId=${annotationId}&rendition=${rendition}`, {
+            headers: {
+                Authorization: idToken,
+                'Content-Type': 'application/json',
+            },
+            method: 'GET',
+        });
+        const responseData = await response.json();
+        console.log("Annotation Versions:", JSON.stringify(responseData, null, 2));
+        return response.status === 200 ? responseData : null;
+    } catch (err) {
+        console.error('Failed to fetch annotation versions:', err.message);
+        throw err;
+    }
+}
+
+/**
+* Makes an earlier take and/or transcript of one of the user's own annotations the current one
+* @param {string} annotationId   The ID of the annotation
+* @param {Object} versions   What to restore
+* @param {string} [versions.audioVersionId]   The take to restore, along with its transcript unless another one is given
+* @param {string} [versions.transcriptVersionId]   The transcript to restore
+* @returns {Object|null}   The restored audioVersionId and transcriptVersionId, or null if the restore failed
+*/
+export async function restoreAnnotationVersion(annotationId, versions) {
+    try {
+        const idToken = await getIdToken();
+
+        const response = await fetch(`${API_GATEWAY_URL}annotation/versions`, {
+            headers: {
+                Authorization: idToken,
+                'Content-Type': 'application/json',
+            },
+            method: 'POST',
+            body: JSON.stringify({ ...versions, annotationId }),
+        });
+        const responseData = await response.json();
+        console.log("Restore Annotation Version Response:", JSON.stringify(responseData, null, 2));
+        return response.status === 200 ? responseData : null;
+    } catch (err) {
+        console.error('Failed to restore annotation version:', err.message);
+        throw err;
+    }
+}
+
+/**
+* Gets the annotations waiting for review. Only available to members of the moderators group.
+* @returns {Object[]}   The flagged annotations in the listing format, with their moderationReasons, flaggedBy and transcript
+*/
+export async function getModerationQueue() {
+    try {
+        const idToken = await getIdToken();
+
+        const response = await fetch(`${API_GATEWAY_URL}moderation`, {
+            headers: {
+                Authorization: idToken,
+                'Content-Type': 'application/json',
+            },
+            method: 'GET',
+        });
+        const responseData = await response.json();
+        console.log("Moderation Queue:", JSON.stringify(responseData, null, 2));
+        return response.status === 200 ? responseData : [];
+    } catch (err) {
+        console.error('Failed to fetch moderation queue:', err.message);
+        throw err;
+    }
+}
+
+/**
+* Approves or removes a flagged annotation. Only available to members of the moderators group.
+* @param {string} username   The owner of the annotation
+* @param {string} annotationId   The ID of the annotation
+* @param {string} action   'approve' to show it again, or 'remove' to hide it for good
+* @returns {boolean}   Whether the annotation was moderated
+*/
+export async function moderateAnnotation(username, annotationId, action) {
+    try {
+        const idToken = await getIdToken();
+
+        const response = await fetch(`${API_GATEWAY_URL}moderation`, {
+            headers: {
+                Authorization: idToken,
+                'Content-Type': 'application/json',
+            },
+            method: 'POST',
+            body: JSON.stringify({ username, annotationId, action }),
+        });
+        const responseData = await response.json();
+        console.log("Moderate Annotation Response:", JSON.stringify(responseData, null, 2));
+        return response.status === 200;
+    } catch (err) {
+        console.error('Failed to moderate annotation:', err.message);
+        throw err;
+    }
+}
+
+export async function fetchAndPlayWebMAudioByAnnotation(annotationId) {
     try {
         // Get the current user's username
-        const user = await Auth.currentAuthenticatedUser();
-        const username = user.username;
+        const username = await getCurrentUsername();
 
-        // Construct the asset key using the username and file name
-        const assetKey = `${username}/sound.webm`;
+        // Construct the asset key using the username, annotation ID and file name
+        const assetKey = `${username}/${annotationId}/sound.webm`;
 
         // Fetch the pre-signed URL for the audio file
         const preSignedUrl = await fetchPreSignedUrl(assetKey, 'GET');
@@ -117,10 +539,10 @@ export async function fetchAndPlayWebMAudioByUser() {
     }
 }
 
-export async function fetchAudioUrlByUser(username) {
+export async function fetchAudioUrlByAnnotation(username, annotationId, rendition = 'webm') {
     try {
-        // Construct the asset key using the username and file name
-        const assetKey = `${username}/sound.webm`;
+        // Construct the asset key using the username, annotation ID and file name
+        const assetKey = `${username}/${annotationId}/sound.${rendition}`;
 
         // Fetch the pre-signed URL for the audio file
         const preSignedUrl = await fetchPreSignedUrl(assetKey, 'GET');
@@ -130,49 +552,73 @@ export async function fetchAudioUrlByUser(username) {
     }
 }
 
-export async function fetchAllAudioFiles() {
+/**
+* Fetches the transcript of an annotation's recording
+* @param {string} username   The owner of the annotation
+* @param {string} annotationId   The ID of the annotation
+* @returns {string|null}   The transcript, or null if there is no transcript (yet)
+*/
+export async function fetchTranscriptByAnnotation(username, annotationId) {
     try {
-        // Common asset key name
-        const assetKey = 'sound.webm';
-
-        // Fetch the pre-signed URLs for the audio files
-        const preSignedUrls = await fetchAllPreSignedUrls(assetKey);
-
-        console.log(preSignedUrls);
-
-        return preSignedUrls;
+        const assetKey = `${username}/${annotationId}/sound.txt`;
+        const preSignedUrl = await fetchPreSignedUrl(assetKey, 'GET');
 
+        const response = await fetch(preSignedUrl);
+        if (!response.ok) {
+            return null;
+        }
+        return await response.text();
     } catch (error) {
-        console.error('Failed to fetch audio files:', error);
+        console.error('Failed to fetch transcript:', error);
+        return null;
     }
 }
 
-export async function fetchAllTextFiles() {
+/**
+* Fetches the WebVTT captions of an annotation's recording
+* @param {string} username   The owner of the annotation
+* @param {string} annotationId   The ID of the annotation
+* @returns {string|null}   The WebVTT file contents, or null if there are no captions (yet)
+*/
+export async function fetchCaptionsByAnnotation(username, annotationId) {
     try {
-        // Common asset key name
-        const assetKey = 'sound.txt';
-
-        // Fetch the pre-signed URLs for the audio files
-        const preSignedUrls = await fetchAllPreSignedUrls(assetKey);
-
-        console.log(preSignedUrls);
+        const assetKey = `${username}/${annotationId}/sound.vtt`;
+        const preSignedUrl = await fetchPreSignedUrl(assetKey, 'GET');
 
-        // Map each URL to a fetch request and wait for all of them to complete
-        const textFetchPromises = preSignedUrls.map(async (url) => {
-            const textUrl = await fetch(url.url);
-            const text = await textUrl.text();
-            return { username: url.username, text: text };
-        });
+        const response = await fetch(preSignedUrl);
+        if (!response.ok) {
+            return null;
+        }
+        return await response.text();
+    } catch (error) {
+        console.error('Failed to fetch captions:', error);
+        return null;
+    }
+}
 
-        const mappedToText = await Promise.all(textFetchPromises);
-        return mappedToText;
+/**
+* Fetches the waveform peaks computed for an annotation's recording
+* @param {string} username   The owner of the annotation
+* @param {string} annotationId   The ID of the annotation
+* @returns {Object|null}   {framesPerSecond, duration, peaks}, or null if there are no peaks (yet)
+*/
+export async function fetchPeaksByAnnotation(username, annotationId) {
+    try {
+        const assetKey = `${username}/${annotationId}/sound.peaks.json`;
+        const preSignedUrl = await fetchPreSignedUrl(assetKey, 'GET');
 
+        const response = await fetch(preSignedUrl);
+        if (!response.ok) {
+            return null;
+        }
+        return await response.json();
     } catch (error) {
-        console.error('Failed to fetch text files:', error);
+        console.error('Failed to fetch peaks:', error);
+        return null;
     }
 }
 
-export async function recordAndUploadWebMAudio(hearAudio = false) {
+export async function recordAndUploadWebMAudio(annotationId, hearAudio = false) {
     try {
         // Request access to the microphone
         const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
@@ -185,22 +631,16 @@ export async function recordAndUploadWebMAudio(hearAudio = false) {
 
         mediaRecorder.addEventListener('stop', async () => {
             const audioBlob = new Blob(audioChunks, { type: 'audio/webm' });
-            const assetKey = 'sound.webm';
-            const preSignedUrl = await fetchPreSignedUrl(assetKey, 'PUT');
-
-            // Upload the audio file to S3
-            const uploadResponse = await fetch(preSignedUrl, {
-                method: 'PUT',
-                body: audioBlob,
-            });
+            const assetKey = `${annotationId}/sound.raw`;
 
-            if (uploadResponse.ok) {
+            try {
+                await uploadAsset(assetKey, audioBlob);
                 console.log('Audio uploaded successfully');
                 if(hearAudio){
-                    await fetchAndPlayWebMAudioByUser();
+                    await fetchAndPlayWebMAudioByAnnotation(annotationId);
                 }
-            } else {
-                console.error('Audio upload failed');
+            } catch (error) {
+                console.error('Audio upload failed:', error.message);
             }
         });
 
@@ -242,5 +682,6 @@ export async function testAnnotations() {
 }
 
 export async function testAudio() {
-    await recordAndUploadWebMAudio(true);
+    const annotationId = await putUserAnnotation({ type: 'audio', position: { x: 0, y: 0, z: 0 }, orientation: { x: 0, y: 0, z: 0, w: 1 } });
+    await recordAndUploadWebMAudio(annotationId, true);
 }
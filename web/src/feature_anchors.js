@@ -0,0 +1,224 @@
+import { Box3, Matrix4, Quaternion, Vector3 } from 'three';
+import { toDeviceFrame, toRoomFrame } from './shared_frame';
+
+// New annotations attach to the nearest labelled plane or mesh at most this far away.
+const MAX_ATTACH_DISTANCE = 1;
+// A feature is found again if one with the same label and kind is at most this far from where it was, counting
+// each meter its size differs by as a meter of distance. If it is the only one with that label it is always found.
+const MAX_MATCH_DISTANCE = 3;
+// Planes and meshes are detected, and their poses settle, over the first seconds of a session.
+const RESOLVE_INTERVAL_MS = 1000;
+
+const featureInverse = new Matrix4();
+const featureQuaternion = new Quaternion();
+const localPoint = new Vector3();
+const closestPoint = new Vector3();
+const featurePosition = new Vector3();
+const box = new Box3();
+
+// The planes and meshes RATK detects, kept up to date by it.
+let roomPlanes = [];
+let roomMeshes = [];
+let attachToFeatures = false;
+
+// Stored features that haven't been found yet, as {feature, onFound}.
+const unresolved = [];
+let lastResolveTime = 0;
+
+/**
+ * Sets where detected planes and meshes are listed, e.g. RATK's planes and meshes sets.
+ */
+export const setRoomFeatures = (planes, meshes) => {
+    roomPlanes = planes;
+    roomMeshes = meshes;
+}
+
+/**
+ * Sets whether new annotations are stored relative to the room feature nearest to them.
+ */
+export const setAttachToFeatures = (attach) => {
+    attachToFeatures = attach;
+}
+
+const getLabel = (feature) => {
+    return feature.semanticLabel ? String(feature.semanticLabel).toLowerCase() : null;
+}
+
+// Planes lie in their local xz plane; a mesh's size is that of its geometry's bounding box.
+const getExtent = (feature, kind) => {
+    if (kind === 'plane') {
+        return [feature.boundingRectangleWidth || 0, feature.boundingRectangleHeight || 0];
+    }
+
+    const geometry = feature.meshMesh ? feature.meshMesh.geometry : null;
+    if (!geometry) {
+        return [0, 0, 0];
+    }
+    if (!geometry.boundingBox) {
+        geometry.computeBoundingBox();
+    }
+    return geometry.boundingBox.getSize(new Vector3()).toArray();
+}
+
+/**
+ * How far a point is from a feature, in meters.
+ */
+const getDistance = (feature, kind, point) => {
+    feature.updateMatrixWorld();
+    localPoint.copy(point).applyMatrix4(featureInverse.copy(feature.matrixWorld).invert());
+
+    if (kind === 'plane') {
+        const halfWidth = (feature.boundingRectangleWidth || 0) / 2;
+        const halfHeight = (feature.boundingRectangleHeight || 0) / 2;
+        closestPoint.set(
+            Math.min(Math.max(localPoint.x, -halfWidth), halfWidth),
+            0,
+            Math.min(Math.max(localPoint.z, -halfHeight), halfHeight));
+        return localPoint.distanceTo(closestPoint);
+    }
+
+    const geometry = feature.meshMesh ? feature.meshMesh.geometry : null;
+    if (!geometry) {
+        return Infinity;
+    }
+    if (!geometry.boundingBox) {
+        geometry.computeBoundingBox();
+    }
+    return box.copy(geometry.boundingBox).distanceToPoint(localPoint);
+}
+
+const listFeatures = () => {
+    return [
+        ...[...roomPlanes].map(feature => ({ feature, kind: 'plane' })),
+        ...[...roomMeshes].map(feature => ({ feature, kind: 'mesh' }))
+    ].filter(({ feature }) => getLabel(feature));
+}
+
+/**
+ * The feature a new annotation is stored relative to, as the fields putUserAnnotation takes: {feature} with the
+ * nearest labelled plane or mesh and the annotation's pose relative to it, or nothing when attaching to features
+ * is off or there is none close enough.
+ * @param {Object} position   The annotation's position, as {x, y, z}
+ * @param {Object} orientation   The annotation's orientation, as {x, y, z, w}
+ */
+export const getFeatureFields = (position, orientation) => {
+    if (!attachToFeatures) {
+        return {};
+    }
+
+    const point = new Vector3(position.x, position.y, position.z);
+    let nearest = null;
+    let nearestDistance = MAX_ATTACH_DISTANCE;
+    for (const candidate of listFeatures()) {
+        const distance = getDistance(candidate.feature, candidate.kind, point);
+        if (distance < nearestDistance) {
+            nearest = candidate;
+            nearestDistance = distance;
+        }
+    }
+    if (!nearest) {
+        return {};
+    }
+
+    const { feature, kind } = nearest;
+    feature.updateMatrixWorld();
+    const offset = point.clone().applyMatrix4(featureInverse.copy(feature.matrixWorld).invert());
+    feature.getWorldQuaternion(featureQuaternion);
+    const relativeOrientation = featureQuaternion.clone().invert()
+        .multiply(new Quaternion(orientation.x, orientation.y, orientation.z, orientation.w));
+    // Where the feature was is stored in the room's coordinates, like the annotation's position.
+    feature.getWorldPosition(featurePosition);
+
+    return {
+        feature: {
+            label: getLabel(feature),
+            kind: kind,
+            position: toRoomFrame(featurePosition).position,
+            extent: getExtent(feature, kind),
+            offset: { x: offset.x, y: offset.y, z: offset.z },
+            orientation: { x: relativeOrientation.x, y: relativeOrientation.y, z: relativeOrientation.z, w: relativeOrientation.w }
+        }
+    };
+}
+
+/**
+ * Finds the detected plane or mesh a stored feature describes.
+ */
+const findFeature = (stored) => {
+    const candidates = listFeatures().filter(({ feature, kind }) => kind === stored.kind && getLabel(feature) === stored.label);
+    const { position } = toDeviceFrame(stored.position);
+    const storedPosition = new Vector3(position.x, position.y, position.z);
+
+    let best = null;
+    let bestScore = Infinity;
+    for (const { feature, kind } of candidates) {
+        const extent = getExtent(feature, kind);
+        const extentDifference = extent.reduce((sum, size, index) => sum + Math.abs(size - (stored.extent[index] || 0)), 0);
+        const score = feature.getWorldPosition(featurePosition).distanceTo(storedPosition) + extentDifference;
+        if (score < bestScore) {
+            best = feature;
+            bestScore = score;
+        }
+    }
+
+    return best && (bestScore <= MAX_MATCH_DISTANCE || candidates.length === 1) ? best : null;
+}
+
+/**
+ * Where an annotation stored relative to a feature is, if the feature has been detected.
+ * @returns {Object|null}   The annotation's pose in the scene as {position, quaternion}, or null
+ */
+const resolveFeature = (stored) => {
+    const feature = findFeature(stored);
+    if (!feature) {
+        return null;
+    }
+
+    feature.updateMatrixWorld();
+    const position = new Vector3(stored.offset.x, stored.offset.y, stored.offset.z).applyMatrix4(feature.matrixWorld);
+    const quaternion = feature.getWorldQuaternion(new Quaternion())
+        .multiply(new Quaternion(stored.orientation.x, stored.orientation.y, stored.orientation.z, stored.orientation.w));
+    return { position, quaternion };
+}
+
+/**
+ * Moves an annotation to where it is relative to its feature, as soon as the feature is detected. Until then,
+ * and if it never is, the annotation stays at the position it was stored with relative to the primary anchor.
+ * @param {Object} feature   The annotation's stored feature
+ * @param {function} onFound   Called with the annotation's position and quaternion in the scene
+ */
+export const followFeature = (feature, onFound) => {
+    const pose = resolveFeature(feature);
+    if (pose) {
+        onFound(pose.position, pose.quaternion);
+        return;
+    }
+    unresolved.push({ feature, onFound });
+}
+
+/**
+ * Stops waiting for the features of annotations that haven't been placed on theirs, e.g. when they are unloaded.
+ */
+export const stopFollowingFeatures = () => {
+    unresolved.length = 0;
+}
+
+/**
+ * Looks again, at most once a second, for the features of annotations that haven't been placed on theirs.
+ * Call from the render loop.
+ */
+export const resolveFeatures = () => {
+    const now = performance.now();
+    if (unresolved.length === 0 || now - lastResolveTime < RESOLVE_INTERVAL_MS) {
+        return;
+    }
+    lastResolveTime = now;
+
+    for (const entry of [...unresolved]) {
+        const pose = resolveFeature(entry.feature);
+        if (pose) {
+            unresolved.splice(unresolved.indexOf(entry), 1);
+            entry.onFound(pose.position, pose.quaternion);
+        }
+    }
+}
@@ -1,4 +1,4 @@
-import { Auth } from 'aws-amplify';
+import { getIdToken } from './session';
 import { LOADERS } from './loaders';
 import amplifyConfig from './amplifyconfigure';
 
@@ -6,8 +6,7 @@ const API_GATEWAY_URL = amplifyConfig.Api.url;
 
 export async function fetchPreSignedUrl(assetKey, action = 'GET') {
     try {
-        const session = await Auth.currentSession();
-        const idToken = session.getIdToken().getJwtToken();
+        const idToken = await getIdToken();
 
         console.log("assetkey is" + assetKey);
 
@@ -29,8 +28,7 @@ export async function fetchPreSignedUrl(assetKey, action = 'GET') {
 
 export async function fetchAllPreSignedUrls(assetKey) {
     try {
-        const session = await Auth.currentSession();
-        const idToken = session.getIdToken().getJwtToken();
+        const idToken = await getIdToken();
 
         console.log("assetkey is " + assetKey);
 
@@ -50,6 +48,70 @@ export async function fetchAllPreSignedUrls(assetKey) {
     }
 }
 
+/**
+ * An upload the API or the bucket refused, e.g. for a content type that isn't allowed or a file that is too large.
+ * Retrying won't help; the message is meant to be shown to the user.
+ */
+export class UploadError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'UploadError';
+        this.status = status;
+    }
+}
+
+// S3 describes refused POSTs in an XML error document.
+const readUploadErrorMessage = async (response) => {
+    const text = await response.text();
+    try {
+        return JSON.parse(text).message;
+    } catch {
+        const match = /<Message>([^<]*)<\/Message>/.exec(text);
+        return match ? match[1] : text;
+    }
+}
+
+const throwIfRefused = async (response) => {
+    if (response.status >= 400 && response.status < 500) {
+        throw new UploadError(await readUploadErrorMessage(response) || `Upload refused (${response.status})`, response.status);
+    }
+    if (!response.ok) {
+        throw new Error(`HTTP error! Status: ${response.status}`);
+    }
+}
+
+/**
+ * Uploads a file for one of the user's own annotations through a presigned POST policy.
+ * @param {string} assetKey   The key as <annotationId>/<fileName>; the bucket prefixes it with the username
+ * @param {Blob} blob   The file, whose type must be one the API allows
+ * @throws {UploadError}   If the upload is refused, with a message that can be shown as is
+ */
+export async function uploadAsset(assetKey, blob) {
+    const idToken = await getIdToken();
+
+    const params = new URLSearchParams({ assetKey, contentType: blob.type, contentLength: String(blob.size) });
+    const response = await fetch(`${API_GATEWAY_URL}assets?${params}`, {
+        headers: {
+            Authorization: idToken,
+            'Content-Type': 'application/json',
+        },
+        method: 'PUT',
+    });
+    await throwIfRefused(response);
+    const policy = await response.json();
+
+    // The file has to come after the policy fields.
+    const formData = new FormData();
+    Object.entries(policy.fields).forEach(([name, value]) => formData.append(name, value));
+    formData.append('file', blob);
+
+    const uploadResponse = await fetch(policy.url, {
+        method: 'POST',
+        body: formData,
+    });
+    await throwIfRefused(uploadResponse);
+}
+
 export default fetchPreSignedUrl;
 
 
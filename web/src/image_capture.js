@@ -0,0 +1,103 @@
+// Images are stored as PNG, whose size putAsset limits to 10 MB; the longer side is kept under this many pixels.
+const MAX_IMAGE_DIMENSION = 2048;
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024;
+
+// The image to pin next, as {blob, url} with the PNG and an object URL for it, or null.
+let pendingImage = null;
+
+export const getPendingImage = () => {
+    return pendingImage;
+}
+
+export const clearPendingImage = () => {
+    if (pendingImage) {
+        URL.revokeObjectURL(pendingImage.url);
+        pendingImage = null;
+    }
+}
+
+const canvasToPng = (canvas) => {
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+/**
+ * Draws an image or video frame into a PNG, scaled down until it fits the size limit.
+ */
+const encodePng = async (source, width, height) => {
+    let scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    for (;;) {
+        canvas.width = Math.max(1, Math.round(width * scale));
+        canvas.height = Math.max(1, Math.round(height * scale));
+        canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+
+        const blob = await canvasToPng(canvas);
+        if (!blob || blob.size <= MAX_IMAGE_SIZE) {
+            return blob;
+        }
+        scale /= 2;
+    }
+}
+
+const setPendingImage = (blob) => {
+    clearPendingImage();
+    pendingImage = { blob, url: URL.createObjectURL(blob) };
+}
+
+/**
+ * Makes an image file the image to pin next, converted to PNG.
+ * @returns {string|null}   Why the file can't be used, or null if it is the image to pin next
+ */
+export const setPendingImageFromFile = async (file) => {
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(file);
+    } catch (error) {
+        console.error('Failed to read the image: ', error);
+        return "That file isn't an image this browser can read.";
+    }
+
+    const blob = await encodePng(bitmap, bitmap.width, bitmap.height);
+    bitmap.close();
+    if (!blob) {
+        return "Converting the image failed.";
+    }
+
+    setPendingImage(blob);
+    return null;
+}
+
+/**
+ * Takes a photo with the device's camera, where the browser allows it, as the image to pin next.
+ * @returns {string|null}   Why no photo was taken, or null if it is the image to pin next
+ */
+export const capturePhoto = async () => {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        return "This browser can't take photos.";
+    }
+
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+    } catch (error) {
+        console.error('Camera access failed: ', error);
+        return "The camera isn't available or access to it was denied.";
+    }
+
+    try {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.srcObject = stream;
+        await video.play();
+
+        const blob = await encodePng(video, video.videoWidth, video.videoHeight);
+        if (!blob) {
+            return "Taking the photo failed.";
+        }
+        setPendingImage(blob);
+        return null;
+    } finally {
+        stream.getTracks().forEach(track => track.stop());
+    }
+}
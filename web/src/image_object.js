@@ -0,0 +1,78 @@
+import {
+    DoubleSide,
+    Group,
+    Mesh,
+    MeshBasicMaterial,
+    PlaneGeometry,
+    SRGBColorSpace,
+} from 'three';
+import { loadAsset } from './fetchurl';
+
+// The longer side of an image at a scale of 1, in meters.
+export const IMAGE_SIZE = 0.5;
+
+export const imageObjects = [];
+
+/**
+ * An image pinned to a surface. Its orientation has the image's normal as the z axis and its top as the y axis.
+ */
+export class ImageObject {
+    constructor(anchor, annotationId, username, imageUrl, position, quaternion, scale = 1) {
+        this.annotationId = annotationId;
+        this.username = username;
+        this.isDisposed = false;
+
+        this._anchor = anchor;
+        this._group = new Group();
+        this._mesh = new Mesh(new PlaneGeometry(1, 1), new MeshBasicMaterial({ color: 0x888888, side: DoubleSide }));
+        this._mesh.imageObject = this;
+        this._group.add(this._mesh);
+        anchor.add(this._group);
+        this.setTransform(position, quaternion, scale);
+
+        loadAsset('png', imageUrl, (texture) => {
+            if (this.isDisposed) {
+                texture.dispose();
+                return;
+            }
+
+            texture.colorSpace = SRGBColorSpace;
+            this._mesh.material.map = texture;
+            this._mesh.material.color.set(0xffffff);
+            this._mesh.material.needsUpdate = true;
+            this._setAspect(texture.image.width / texture.image.height);
+        });
+
+        imageObjects.push(this);
+    }
+
+    _setAspect(aspect) {
+        this._mesh.scale.set(aspect >= 1 ? 1 : aspect, aspect >= 1 ? 1 / aspect : 1, 1);
+    }
+
+    /**
+     * Moves the image, given its position and orientation in the scene like those of annotations.
+     */
+    setTransform(position, quaternion, scale) {
+        this.position = { x: position.x, y: position.y, z: position.z };
+        this.orientation = { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w };
+        this.scale = scale;
+
+        this._group.position.copy(position).sub(this._anchor.position);
+        this._group.quaternion.copy(quaternion);
+        this._group.scale.setScalar(scale * IMAGE_SIZE);
+    }
+
+    dispose() {
+        this._group.remove(this._mesh);
+        this._mesh.geometry.dispose();
+        if (this._mesh.material.map) {
+            this._mesh.material.map.dispose();
+        }
+        this._mesh.material.dispose();
+        this._anchor.remove(this._group);
+        this.isDisposed = true;
+
+        imageObjects.splice(imageObjects.indexOf(this), 1);
+    }
+}
@@ -2,13 +2,30 @@ import './styles/index.css';
 
 import { Amplify } from 'aws-amplify';
 import amplifyConfig from './amplifyconfigure';
-import { fetchAllPreSignedUrls } from './fetchurl';
-//import { getAllAnnotations, recordAndUploadWebMAudio, fetchAllTextFiles } from './cloud';
 import { AudioEngine } from './audio';
-import { startCreatingAnnotationObject } from './annotation_object_creation';
-import { loadAnnotationObjects } from './load_annotation_objects';
-import { annotationObjects } from './annotation_object';
+import { startCreatingAnnotationObject, startRecordingReply, setPreferredLanguage, setSpatialAudioPreset, setVisibility } from './annotation_object_creation';
+import { loadAnnotationObjects, unloadAnnotationObjects } from './load_annotation_objects';
+import { annotationObjects, removeAnnotationObjectById } from './annotation_object';
 import { getUserText } from './user_text_records';
+import { createCurrentRoom, getCurrentRoom, setCurrentRoom } from './rooms';
+import { DEFAULT_ANCHOR_NAME, MAX_ANCHOR_NAME_LENGTH, getAnchoredRooms, getCurrentAnchorId, getNamedAnchor, getNamedAnchors, removeNamedAnchor, saveNamedAnchor, setCurrentAnchorId } from './named_anchors';
+import { getCurrentUsername } from './session';
+import { describeTranscriptStatus, TranscriptStatus } from './transcript_status';
+import { addRoomMembers, fetchCaptionsByAnnotation, flagAnnotation, getRoom } from './cloud';
+import { CaptionRenderer, parseWebVtt } from './captions';
+import { endPreview, previewNextTake, restorePreviewedTake, setupVersionHistoryPanel } from './version_history';
+import { playThread, stopThread } from './threads';
+import { endStroke, finishSketch, getStrokeColor, isDrawing, nextStrokeColor, startSketch, startStroke, updateStrokes } from './sketch_creation';
+import { getCatalog, loadCatalog, uploadModel } from './object_catalog';
+import { cancelPlacement, getPlacedName, isPlacing, nextModel, place, startImagePlacement, startPlacement, updatePlacement } from './placement';
+import { capturePhoto, getPendingImage, setPendingImageFromFile } from './image_capture';
+import { isKeyboardShown, showKeyboard } from './virtual_keyboard';
+import { MAX_TEXT_LENGTH, storeTextAnnotation } from './text_creation';
+import { textObjects } from './text_object';
+import { resolveFeatures, setAttachToFeatures, setRoomFeatures } from './feature_anchors';
+import { alignToRoom, schedulePlaneSignatureUpload, useAlignment } from './shared_frame';
+import { DEFAULT_PROXIMITY_SETTINGS, setProximityPlayback, updateProximityPlayback } from './proximity_playback';
+import { cancelPointing, getMarkerPrompt, isPointingAtMarkers, pointAtMarker, startMarkerRecording, startRealignment } from './reference_markers';
 
 import { ARButton, RealityAccelerator } from 'ratk';
 import {
@@ -38,7 +55,7 @@ Amplify.configure(amplifyConfig);
 
 // Global variables for scene components
 
-let camera, scene, renderer, controller, uiGroup, uiToolbar;
+let camera, scene, renderer, controller, uiGroup, uiToolbar, captionRenderer;
 let ratk; // Instance of Reality Accelerator
 let pendingAnchorData = null;
 let primaryAnchor = null;
@@ -63,6 +80,15 @@ function init() {
 	setupLighting();
 	setupRenderer();
 	setupARButton();
+	setupLanguageSelect();
+	setupSpatialAudioSelect();
+	setupVisibilitySelect();
+	setupRoomJoin();
+	setupModelCatalog();
+	setupImageCapture();
+	setupFeatureAttachment();
+	setupProximityPlayback();
+	setupVersionHistoryPanel();
 	setupController(0);
 	setupController(1);
 	window.addEventListener('resize', onWindowResize);
@@ -182,6 +208,248 @@ function setupARButton() {
 	});
 }
 
+/**
+ * Sets up the recording language picker, remembering the choice on this device.
+ */
+function setupLanguageSelect() {
+	const languageSelect = document.getElementById('language-select');
+	const storedLanguage = localStorage.getItem('preferredLanguage');
+	if (storedLanguage) {
+		languageSelect.value = storedLanguage;
+	}
+	setPreferredLanguage(languageSelect.value);
+
+	languageSelect.onchange = () => {
+		localStorage.setItem('preferredLanguage', languageSelect.value);
+		setPreferredLanguage(languageSelect.value);
+	};
+}
+
+/**
+ * Sets up the picker for how new recordings sound around them and with distance, remembering the choice on
+ * this device.
+ */
+function setupSpatialAudioSelect() {
+	const spatialAudioSelect = document.getElementById('spatial-audio-select');
+	const storedPreset = localStorage.getItem('spatialAudioPreset');
+	if (storedPreset) {
+		spatialAudioSelect.value = storedPreset;
+	}
+	setSpatialAudioPreset(spatialAudioSelect.value);
+
+	spatialAudioSelect.onchange = () => {
+		localStorage.setItem('spatialAudioPreset', spatialAudioSelect.value);
+		setSpatialAudioPreset(spatialAudioSelect.value);
+	};
+}
+
+const describeRoom = (room) => {
+	return room ? `You are in ${room.name} (ID ${room.roomId}).` : "Set an anchor in XR to create your room.";
+}
+
+/**
+ * Sets up the field for joining a room, e.g. one created on another headset, which this device then aligns
+ * itself to with the room's planes the next time an anchor is set or restored.
+ */
+function setupRoomJoin() {
+	const roomIdInput = document.getElementById('room-id-input');
+	const roomStatus = document.getElementById('room-status');
+	roomStatus.textContent = describeRoom(getCurrentRoom());
+
+	document.getElementById('room-join-button').onclick = async () => {
+		const roomId = roomIdInput.value.trim();
+		if (!roomId) {
+			return;
+		}
+
+		const room = await getRoom(roomId).catch(() => null);
+		if (!room) {
+			roomStatus.textContent = "Room not found, or you aren't a member of it.";
+			return;
+		}
+		setCurrentRoom({ roomId: room.roomId, name: room.name, owner: room.owner, createdAt: room.createdAt });
+		roomIdInput.value = '';
+		roomStatus.textContent = `${describeRoom(room)} Hold the grip in XR and set a new anchor in it to see its annotations.`;
+	};
+}
+
+/**
+ * Sets up the choice of storing new annotations relative to the room feature nearest to them, so they stay on
+ * the table or wall they were left at, remembering it on this device.
+ */
+function setupFeatureAttachment() {
+	const attachInput = document.getElementById('attach-to-features-input');
+	attachInput.checked = localStorage.getItem('attachToFeatures') === 'true';
+	setAttachToFeatures(attachInput.checked);
+
+	attachInput.onchange = () => {
+		localStorage.setItem('attachToFeatures', String(attachInput.checked));
+		setAttachToFeatures(attachInput.checked);
+	};
+}
+
+/**
+ * Sets up the choice of playing annotations as the user walks up to them, with the radii and how many play at
+ * once, remembering it on this device.
+ */
+function setupProximityPlayback() {
+	const proximityInput = document.getElementById('proximity-playback-input');
+	const settingInputs = {
+		enterRadius: document.getElementById('proximity-enter-radius-input'),
+		exitRadius: document.getElementById('proximity-exit-radius-input'),
+		maxPlaying: document.getElementById('proximity-max-playing-input')
+	};
+	const storedSettings = JSON.parse(localStorage.getItem('proximityPlayback')) || { enabled: false, ...DEFAULT_PROXIMITY_SETTINGS };
+	proximityInput.checked = storedSettings.enabled;
+	for (const [name, input] of Object.entries(settingInputs)) {
+		input.value = storedSettings[name];
+	}
+
+	const applySettings = () => {
+		const settings = {};
+		for (const [name, input] of Object.entries(settingInputs)) {
+			const value = parseFloat(input.value);
+			settings[name] = Number.isFinite(value) && value > 0 ? value : DEFAULT_PROXIMITY_SETTINGS[name];
+		}
+		localStorage.setItem('proximityPlayback', JSON.stringify({ enabled: proximityInput.checked, ...settings }));
+		setProximityPlayback(proximityInput.checked ? settings : null);
+	};
+	applySettings();
+
+	proximityInput.onchange = applySettings;
+	Object.values(settingInputs).forEach(input => input.onchange = applySettings);
+}
+
+/**
+ * Splits a comma separated list of names, where "group:<name>" entries are Cognito groups.
+ */
+const parseSharedWith = (text) => {
+	const names = text.split(',').map(name => name.trim()).filter(name => name);
+	return {
+		users: names.filter(name => !name.startsWith('group:')),
+		groups: names.filter(name => name.startsWith('group:')).map(name => name.slice('group:'.length)).filter(name => name)
+	};
+}
+
+/**
+ * Sets up the picker for who new recordings are visible to, remembering the choice on this device,
+ * and the field for letting other people into this device's room.
+ */
+function setupVisibilitySelect() {
+	const visibilitySelect = document.getElementById('visibility-select');
+	const sharedWithInput = document.getElementById('shared-with-input');
+	const storedVisibility = localStorage.getItem('visibility');
+	if (storedVisibility) {
+		visibilitySelect.value = storedVisibility;
+	}
+	sharedWithInput.value = localStorage.getItem('sharedWith') || '';
+
+	const applyVisibility = () => {
+		sharedWithInput.style.display = visibilitySelect.value === 'shared' ? 'inline' : 'none';
+		const sharedWith = parseSharedWith(sharedWithInput.value);
+		setVisibility(visibilitySelect.value, sharedWith.users, sharedWith.groups);
+	};
+	applyVisibility();
+
+	visibilitySelect.onchange = () => {
+		localStorage.setItem('visibility', visibilitySelect.value);
+		applyVisibility();
+	};
+	sharedWithInput.onchange = () => {
+		localStorage.setItem('sharedWith', sharedWithInput.value);
+		applyVisibility();
+	};
+
+	const roomMembersInput = document.getElementById('room-members-input');
+	const roomMembersStatus = document.getElementById('room-members-status');
+	document.getElementById('room-members-button').onclick = async () => {
+		const room = getCurrentRoom();
+		const usernames = parseSharedWith(roomMembersInput.value).users;
+		if (!room) {
+			roomMembersStatus.textContent = "Set an anchor in XR first to create your room.";
+			return;
+		}
+		if (usernames.length === 0) {
+			return;
+		}
+
+		const updatedRoom = await addRoomMembers(room.roomId, usernames).catch(() => null);
+		roomMembersStatus.textContent = updatedRoom
+			? `Room members: ${updatedRoom.members.join(', ')}`
+			: "Only the owner of this room can add people to it.";
+		if (updatedRoom) {
+			roomMembersInput.value = '';
+		}
+	};
+}
+
+const fillModelSelect = (modelSelect) => {
+	const selectedModelKey = modelSelect.value || localStorage.getItem('modelKey');
+	modelSelect.replaceChildren(...getCatalog().map(({ modelKey, modelName }) => {
+		const option = document.createElement('option');
+		option.value = modelKey;
+		option.textContent = modelName;
+		return option;
+	}));
+	if (getCatalog().some(({ modelKey }) => modelKey === selectedModelKey)) {
+		modelSelect.value = selectedModelKey;
+	}
+}
+
+/**
+ * Sets up the picker for the model placement mode starts with, remembering the choice on this device,
+ * and the form for adding .glb models to the catalog.
+ */
+function setupModelCatalog() {
+	const modelSelect = document.getElementById('model-select');
+	loadCatalog().then(() => fillModelSelect(modelSelect));
+	modelSelect.onchange = () => {
+		localStorage.setItem('modelKey', modelSelect.value);
+	};
+
+	const modelFileInput = document.getElementById('model-file-input');
+	const modelNameInput = document.getElementById('model-name-input');
+	const modelUploadStatus = document.getElementById('model-upload-status');
+	document.getElementById('model-upload-button').onclick = async () => {
+		const file = modelFileInput.files[0];
+		const modelName = modelNameInput.value.trim() || (file ? file.name.replace(/\.glb$/i, '') : '');
+		if (!file) {
+			modelUploadStatus.textContent = "Choose a .glb file first.";
+			return;
+		}
+
+		modelUploadStatus.textContent = "Uploading ...";
+		const error = await uploadModel(modelName, file);
+		modelUploadStatus.textContent = error || `Added ${modelName} to the catalog.`;
+		if (!error) {
+			modelFileInput.value = '';
+			modelNameInput.value = '';
+			fillModelSelect(modelSelect);
+		}
+	};
+}
+
+/**
+ * Sets up picking an image file or taking a photo to pin in XR next.
+ */
+function setupImageCapture() {
+	const imageFileInput = document.getElementById('image-file-input');
+	const imageStatus = document.getElementById('image-status');
+	const showResult = (error) => {
+		imageStatus.textContent = error || "Press the thumbstick in XR to pin it to a surface.";
+	};
+
+	imageFileInput.onchange = async () => {
+		if (imageFileInput.files[0]) {
+			showResult(await setPendingImageFromFile(imageFileInput.files[0]));
+		}
+	};
+	document.getElementById('take-photo-button').onclick = async () => {
+		imageFileInput.value = '';
+		showResult(await capturePhoto());
+	};
+}
+
 /**
  * Sets up the XR controller and its event listeners.
  */
@@ -190,6 +458,7 @@ function setupController(controllerIndex) {
 	controller.addEventListener('connected', handleControllerConnected);
 	controller.addEventListener('disconnected', handleControllerDisconnected);
 	controller.addEventListener('selectstart', handleSelectStart);
+	controller.addEventListener('selectend', handleSelectEnd);
 	controller.addEventListener('squeezestart', handleSqueezeStart);
 	scene.add(controller);
 
@@ -212,6 +481,8 @@ function setupController(controllerIndex) {
  * Handles controller connection events.
  */
 function handleControllerConnected(event) {
+	// The input source's gamepad has the trigger value and the buttons for draw mode.
+	this.inputSource = event.data;
 	ratk
 		.createHitTestTargetFromControllerSpace(event.data.handedness)
 		.then((hitTestTarget) => {
@@ -251,29 +522,86 @@ async function handleSelectStart(e) {
 	const controller = renderer.xr.getController(e.data.handedness == 'left' ? 0 : 1);
 	console.log("controller: ", controller);
 
-	if (primaryAnchor) {
-		controller.updateMatrixWorld();
-		tempMatrix.identity().extractRotation(controller.matrixWorld);
+	controller.updateMatrixWorld();
+	tempMatrix.identity().extractRotation(controller.matrixWorld);
+
+	raycaster.ray.origin.setFromMatrixPosition( controller.matrixWorld );
+	raycaster.ray.direction.set( 0, 0, - 1 ).applyMatrix4( tempMatrix );
+
+	// Buttons in the text UI take precedence over annotations behind them.
+	const uiHits = raycaster.intersectObjects(uiToolbar.children, false);
+	const uiButtonHit = uiHits.find(hit => hit.object.userData.onSelect);
+	if (uiButtonHit) {
+		uiButtonHit.object.userData.onSelect();
+		return;
+	}
+	if (isKeyboardShown()) {
+		return;
+	}
 
-		raycaster.ray.origin.setFromMatrixPosition( controller.matrixWorld );
-		raycaster.ray.direction.set( 0, 0, - 1 ).applyMatrix4( tempMatrix );
+	if (isPointingAtMarkers()) {
+		pointAtReferenceMarker(this);
+		return;
+	}
 
+	if (isDrawing()) {
+		startStroke(this);
+		return;
+	}
+
+	if (isPlacing()) {
+		const placedName = getPlacedName();
+		const error = await place();
+		showTextUi(error ? `Placing the ${placedName} failed` : `Placed the ${placedName}`, error || "Press the thumbstick to place a model.");
+		return;
+	}
+
+	if (primaryAnchor) {
 		const hits = raycaster.intersectObjects(primaryAnchor.children, true);
 		console.log("raycaster hits: ", hits);
 
 		for (const hit of hits) {
+			if (hit.object && hit.object.textObject) {
+				hit.object.textObject.toggleSpeech();
+				return;
+			}
 			if (hit.object && hit.object.annotationObject) {
 				const annotationObject = hit.object.annotationObject;
 				if (annotationObject.state === "complete") {
+					// The transcript UI only has room for one annotation's takes or thread.
+					endPreview();
+					stopThread();
 					annotationObject.setState("playing");
 
-					const text = await getUserText(annotationObject.username);
-					updateTextUi(annotationObject.username, text);
+					const text = await getUserText(annotationObject.annotationId, annotationObject.username);
+					updateTextUi(annotationObject.username, text || describeTranscriptStatus(annotationObject.transcriptStatus, annotationObject.transcriptFailureReason), annotationObject.language);
+
+					const username = await getCurrentUsername();
+					if (annotationObject.username !== username && annotationObject.state === "playing") {
+						addFlagButton(annotationObject);
+					}
+					else if (annotationObject.state === "playing") {
+						addTakesButton(annotationObject);
+					}
+					if (annotationObject.state === "playing") {
+						addThreadButtons(annotationObject);
+					}
+
+					// Swap the full transcript for timed captions once they are available,
+					// unless another annotation has been selected in the meantime.
+					const annotationCaptionRenderer = captionRenderer;
+					const captions = await fetchCaptionsByAnnotation(annotationObject.username, annotationObject.annotationId);
+					if (captions && captionRenderer === annotationCaptionRenderer && annotationObject.state === "playing") {
+						const audioSource = window.audioEngine.getSourceByAnnotationId(annotationObject.annotationId);
+						captionRenderer.setCaptions(parseWebVtt(captions), audioSource);
+					}
 				}
 				else if (annotationObject.state === "playing") {
 					annotationObject.setState("complete");
 
 					clearTextUi();
+					endPreview();
+					stopThread();
 				}
 
 				return;
@@ -285,14 +613,338 @@ async function handleSelectStart(e) {
 }
 
 /**
- * Handles 'squeezestart' event for the controller.
+ * Handles 'selectend' event for the controller, which ends a stroke in draw mode.
  */
-async function handleSqueezeStart() {
-	// delete old anchors
-	for(let anchor of ratk.persistentAnchors) {
-		console.log("deleting persistent anchor: ", anchor.anchorID)
-		await ratk.deleteAnchor(anchor);
-	};
+function handleSelectEnd() {
+	if (isDrawing()) {
+		endStroke(this);
+	}
+}
+
+// Gamepad buttons of the Quest Touch controllers: the thumbstick, A or X, and B or Y. B or Y switches to the
+// next color or model in draw and placement mode, and starts a typed note otherwise.
+const PLACEMENT_MODE_BUTTON = 3;
+const DRAW_MODE_BUTTON = 4;
+const NEXT_BUTTON = 5;
+// Pointing at reference markers is usually a few centimeters off; more than this suggests a wrong spot.
+const MAX_GOOD_ALIGNMENT_ERROR = 0.1;
+// The anchor picker lists this many anchors at a time, or rooms for a new anchor, one row below the other.
+const LISTED_ANCHORS = 3;
+const LISTED_ROOMS = 4;
+const LIST_ROW_HEIGHT = 0.08;
+
+/**
+ * Handles presses of the controller buttons that aren't XR select or squeeze events. Call from the render loop.
+ */
+function handleControllerButtons() {
+	for (let controllerIndex = 0; controllerIndex < 2; controllerIndex++) {
+		const xrController = renderer.xr.getController(controllerIndex);
+		const gamepad = xrController.inputSource ? xrController.inputSource.gamepad : null;
+		if (!gamepad) {
+			continue;
+		}
+
+		const wasPressed = xrController.userData.pressedButtons || [];
+		const isPressed = gamepad.buttons.map(button => button.pressed);
+		xrController.userData.pressedButtons = isPressed;
+		// The keyboard stays until the note is done or cancelled, and the trigger is taken while pointing at markers.
+		if (isKeyboardShown() || isPointingAtMarkers()) {
+			continue;
+		}
+
+		if (isPressed[PLACEMENT_MODE_BUTTON] && !wasPressed[PLACEMENT_MODE_BUTTON]) {
+			togglePlacementMode(xrController);
+		}
+		if (isPressed[DRAW_MODE_BUTTON] && !wasPressed[DRAW_MODE_BUTTON]) {
+			toggleDrawMode();
+		}
+		if (isPressed[NEXT_BUTTON] && !wasPressed[NEXT_BUTTON] && isDrawing()) {
+			nextStrokeColor();
+			showDrawModeUi();
+		}
+		if (isPressed[NEXT_BUTTON] && !wasPressed[NEXT_BUTTON] && isPlacing()) {
+			nextModel();
+			showPlacementModeUi();
+		}
+		else if (isPressed[NEXT_BUTTON] && !wasPressed[NEXT_BUTTON] && !isDrawing()) {
+			startTextNote(xrController);
+		}
+	}
+}
+
+/**
+ * Shows the virtual keyboard to type a note, starting with the text typed on the page, and stores it where
+ * the controller pointed when the note was started.
+ */
+function startTextNote(xrController) {
+	if (!primaryAnchor || !xrController.hitTestTarget) {
+		showTextUi("Write a note", "Hold the grip to set an anchor, then aim at a surface to write a note.");
+		return;
+	}
+
+	const noteInput = document.getElementById('note-input');
+	const readAloudCheckbox = document.getElementById('note-read-aloud');
+	const position = xrController.hitTestTarget.position.clone();
+	clearTextUi();
+	endPreview();
+	stopThread();
+	showKeyboard(uiToolbar, {
+		text: noteInput.value,
+		maxLength: MAX_TEXT_LENGTH,
+		toggles: [{ name: 'readAloud', label: "Read aloud", value: readAloudCheckbox.checked }],
+		onDone: async (text, { readAloud }) => {
+			if (text.length === 0) {
+				return;
+			}
+			const error = await storeTextAnnotation(primaryAnchor, position, text, readAloud);
+			if (error) {
+				showTextUi("Storing the note failed", error);
+				return;
+			}
+			noteInput.value = '';
+		},
+		onCancel: () => {}
+	});
+}
+
+const showDrawModeUi = () => {
+	showTextUi("Draw mode", `Hold the trigger to draw in ${getStrokeColor().name}, harder for thicker lines.\nB/Y: next color, A/X: save the sketch.`);
+}
+
+/**
+ * Enters draw mode, or leaves it and stores the sketch.
+ */
+async function toggleDrawMode() {
+	if (!isDrawing()) {
+		if (isPlacing()) {
+			return;
+		}
+		if (!primaryAnchor) {
+			showTextUi("Draw mode", "Hold the grip to set an anchor before drawing.");
+			return;
+		}
+		endPreview();
+		stopThread();
+		startSketch(primaryAnchor);
+		showDrawModeUi();
+		return;
+	}
+
+	clearTextUi();
+	const error = await finishSketch();
+	if (error) {
+		showTextUi("Saving the sketch failed", error);
+	}
+}
+
+const showPlacementModeUi = () => {
+	if (getPendingImage()) {
+		showTextUi("Pin the image", "Pull the trigger to pin the image to the surface.\nThumbstick: turn and resize, press the thumbstick to cancel.");
+		return;
+	}
+	showTextUi("Place a model", `Pull the trigger to place the ${getPlacedName()}.\nThumbstick: turn and resize, B/Y: next model, press the thumbstick to cancel.`);
+}
+
+/**
+ * Enters placement mode with the image picked on the page or, if there is none, the model picked there.
+ * Leaves it without placing anything if it is on.
+ */
+function togglePlacementMode(xrController) {
+	if (isPlacing()) {
+		cancelPlacement();
+		clearTextUi();
+		return;
+	}
+	if (isDrawing()) {
+		return;
+	}
+	if (!primaryAnchor) {
+		showTextUi("Place a model", "Hold the grip to set an anchor before placing models.");
+		return;
+	}
+
+	const modelKey = document.getElementById('model-select').value;
+	const modelIndex = getCatalog().findIndex(model => model.modelKey === modelKey);
+	const pendingImage = getPendingImage();
+	if (pendingImage) {
+		startImagePlacement(primaryAnchor, xrController, pendingImage);
+	}
+	else if (!startPlacement(primaryAnchor, xrController, modelIndex)) {
+		showTextUi("Place a model", "There are no models in the catalog.");
+		return;
+	}
+	endPreview();
+	stopThread();
+	showPlacementModeUi();
+}
+
+/**
+ * Handles 'squeezestart' event for the controller, which shows the anchors to choose from.
+ */
+function handleSqueezeStart() {
+	// The keyboard stays until its text is done or cancelled.
+	if (isKeyboardShown()) {
+		return;
+	}
+	if (isDrawing()) {
+		showTextUi("Anchors", "Save the sketch with A/X before switching anchors.");
+		return;
+	}
+	cancelPointing();
+	cancelPlacement();
+	endPreview();
+	stopThread();
+
+	showAnchorPicker(0);
+}
+
+/**
+ * Finds a persistent anchor RATK restored or created in this session.
+ */
+const findAnchor = (anchorId) => {
+	return [...ratk.anchors].find(anchor => anchor.anchorID === anchorId) || null;
+}
+
+/**
+ * Adds a button to a list under the heading, the row-th from the top.
+ */
+const addListButton = (label, row, color, onSelect) => {
+	const listButton = new Text();
+	uiToolbar.add(listButton);
+	listButton.text = label;
+	listButton.anchorX = 'center';
+	listButton.anchorY = 'top';
+	listButton.fontSize = 0.06;
+	listButton.color = color;
+	listButton.position.y = -0.04 - row * LIST_ROW_HEIGHT;
+	listButton.position.z = 0.2;
+	listButton.userData.onSelect = onSelect;
+	listButton.sync();
+}
+
+/**
+ * Lists the anchors named on this device with their rooms, the most recently used first, to switch to one, set a
+ * new one or reset the current one.
+ */
+function showAnchorPicker(page) {
+	const namedAnchors = getNamedAnchors();
+	const currentAnchor = getNamedAnchor(getCurrentAnchorId());
+	showTextUi("Anchors", namedAnchors.length > 0 ? "Choose where you are, or set a new anchor where you stand." : "Set an anchor where you stand to start.");
+
+	const pageAnchors = namedAnchors.slice(page * LISTED_ANCHORS, (page + 1) * LISTED_ANCHORS);
+	pageAnchors.forEach((namedAnchor, row) => {
+		const roomName = namedAnchor.room ? namedAnchor.room.name : "no room";
+		const state = namedAnchor === currentAnchor ? ", current" : findAnchor(namedAnchor.anchorId) ? "" : ", not found";
+		addListButton(`${namedAnchor.name} (${roomName}${state})`, row, 0x000088, () => chooseNamedAnchor(namedAnchor));
+	});
+
+	let row = pageAnchors.length;
+	if (namedAnchors.length > LISTED_ANCHORS) {
+		const nextPage = (page + 1) * LISTED_ANCHORS < namedAnchors.length ? page + 1 : 0;
+		addListButton("More anchors", row++, 0x006666, () => showAnchorPicker(nextPage));
+	}
+	addListButton("New anchor", row++, 0x006666, showNewAnchorRoomPicker);
+	if (currentAnchor) {
+		addListButton(`Reset ${currentAnchor.name}`, row++, 0xaa0000, () => confirmAnchorReset(currentAnchor));
+	}
+}
+
+/**
+ * Switches to a named anchor and its room. An anchor that wasn't restored can be found again with the room's
+ * reference markers.
+ */
+function chooseNamedAnchor(namedAnchor) {
+	clearTextUi();
+	setCurrentAnchorId(namedAnchor.anchorId);
+	setCurrentRoom(namedAnchor.room);
+	document.getElementById('room-status').textContent = describeRoom(namedAnchor.room);
+
+	const anchor = findAnchor(namedAnchor.anchorId);
+	if (anchor) {
+		if (anchor !== primaryAnchor) {
+			setPrimaryAnchor(anchor, true);
+		}
+		return;
+	}
+	clearPrimaryAnchor();
+	recoverLostAnchor();
+}
+
+/**
+ * Asks which room a new anchor is in: the current room, e.g. one joined on the page, a room of another anchor on
+ * this device, or a new room.
+ */
+function showNewAnchorRoomPicker() {
+	const currentRoom = getCurrentRoom();
+	const rooms = getAnchoredRooms().filter(room => !currentRoom || room.roomId !== currentRoom.roomId);
+	if (currentRoom) {
+		rooms.unshift(currentRoom);
+	}
+
+	showTextUi("New anchor", "Which room are you in?");
+	const listedRooms = rooms.slice(0, LISTED_ROOMS);
+	listedRooms.forEach((room, row) => addListButton(room.name, row, 0x000088, () => nameNewAnchor(room)));
+	addListButton("New room", listedRooms.length, 0x006666, () => nameNewAnchor(null));
+}
+
+/**
+ * Shows the virtual keyboard to name a new anchor, then sets it on the floor where the user stands, in a new
+ * room of the same name if there is no room.
+ */
+function nameNewAnchor(room) {
+	clearTextUi();
+	showKeyboard(uiToolbar, {
+		placeholder: "Name the anchor, e.g. Kitchen",
+		maxLength: MAX_ANCHOR_NAME_LENGTH,
+		onDone: async (name) => {
+			const anchorName = name || DEFAULT_ANCHOR_NAME;
+			try {
+				setCurrentRoom(room || await createCurrentRoom(anchorName));
+			}
+			catch (error) {
+				console.error("error creating room: ", error.message);
+				showTextUi("New anchor", "Creating the room failed.");
+				return;
+			}
+			document.getElementById('room-status').textContent = describeRoom(getCurrentRoom());
+			await setNewAnchor(anchorName, null);
+		},
+		onCancel: () => showAnchorPicker(0)
+	});
+}
+
+/**
+ * Asks before moving an anchor to where the user stands, as the room's annotations move with it.
+ */
+function confirmAnchorReset(namedAnchor) {
+	showTextUi(`Reset ${namedAnchor.name}?`, "It moves to the floor where you stand, and the annotations of its room move with it.");
+	addListButton("Reset", 0, 0xaa0000, async () => {
+		clearTextUi();
+		setCurrentRoom(namedAnchor.room);
+		document.getElementById('room-status').textContent = describeRoom(namedAnchor.room);
+		await setNewAnchor(namedAnchor.name, null, namedAnchor.anchorId);
+	});
+	addListButton("Cancel", 1, 0x006666, () => showAnchorPicker(0));
+}
+
+/**
+ * Sets a new named anchor in the current room on the floor where the user stands.
+ * @param {string} name   What the anchor is listed as
+ * @param {Object|null} alignment   How this device relates to the room, if already known
+ * @param {string|null} replacedAnchorId   The anchor it replaces, which is deleted
+ */
+async function setNewAnchor(name, alignment, replacedAnchorId = null) {
+	const replacedAnchor = findAnchor(replacedAnchorId);
+	if (replacedAnchor) {
+		console.log("deleting persistent anchor: ", replacedAnchor.anchorID);
+		if (replacedAnchor === primaryAnchor) {
+			clearPrimaryAnchor();
+		}
+		await ratk.deleteAnchor(replacedAnchor);
+	}
+	if (replacedAnchorId) {
+		removeNamedAnchor(replacedAnchorId);
+	}
 
 	// Clone the camera position and set y-coordinate to 0
 	const positionClone = camera.position.clone();
@@ -301,9 +953,89 @@ async function handleSqueezeStart() {
 	pendingAnchorData = {
 		position: positionClone,
 		quaternion: new Quaternion(),
+		alignment: alignment,
+		name: name,
+		room: getCurrentRoom(),
 	};
 }
 
+/**
+ * Lets the user line this device up with the room by pointing at its reference markers when the chosen anchor
+ * couldn't be restored, or tells them to reset it if the room has no markers.
+ */
+async function recoverLostAnchor() {
+	const room = getCurrentRoom();
+	if (!room) {
+		return;
+	}
+
+	const storedRoom = await getRoom(room.roomId).catch(() => null);
+	if (!storedRoom || !startRealignment(scene, storedRoom.referenceMarkers)) {
+		showTextUi("Your anchor couldn't be restored", "Hold the grip to reset it where you stand, or to choose another one.");
+		return;
+	}
+	showTextUi("Your anchor couldn't be restored", getMarkerPrompt());
+}
+
+/**
+ * Takes the spot the controller points at for the current reference marker. After the last one, shows whether
+ * saved markers were stored or, when re-aligning, how far off the markers are and sets a new anchor.
+ */
+async function pointAtReferenceMarker(xrController) {
+	if (!xrController.hitTestTarget) {
+		return;
+	}
+
+	const result = await pointAtMarker(xrController.hitTestTarget.position);
+	if (!result) {
+		showTextUi("Reference markers", getMarkerPrompt());
+		return;
+	}
+
+	if (!result.markers) {
+		showTextUi("Reference markers", result.stored
+			? "Saved. Point at them again to line the room up if its anchor can't be restored."
+			: "Saving the markers failed.");
+		return;
+	}
+
+	if (!result.alignment) {
+		showTextUi("Re-aligning failed", "The spots are too close together to tell which way the room is turned.");
+		addRealignButton(result.markers);
+		return;
+	}
+
+	const error = result.alignment.error;
+	showTextUi("Aligned to the room", `The markers are off by ${(error * 100).toFixed(1)} cm on average${error > MAX_GOOD_ALIGNMENT_ERROR ? ", more than expected" : ""}. Green spheres show where they should be.`);
+	addRealignButton(result.markers);
+	const lostAnchor = getNamedAnchor(getCurrentAnchorId());
+	await setNewAnchor(lostAnchor ? lostAnchor.name : DEFAULT_ANCHOR_NAME, result.alignment, lostAnchor ? lostAnchor.anchorId : null);
+}
+
+/**
+ * Adds a button under the alignment result to point at the room's reference markers again.
+ */
+const addRealignButton = (markers) => {
+	addListButton("Point again", 1, 0x006666, () => {
+		if (startRealignment(scene, markers)) {
+			showTextUi("Reference markers", getMarkerPrompt());
+		}
+	});
+}
+
+/**
+ * Adds a button under the anchor confirmation to save reference markers for the room.
+ */
+const addSaveMarkersButton = () => {
+	addListButton("Save reference markers", 1, 0x006666, () => {
+		const room = getCurrentRoom();
+		const labels = document.getElementById('reference-markers-input').value.split(',').map(label => label.trim()).filter(label => label);
+		if (room && startMarkerRecording(scene, room.roomId, labels)) {
+			showTextUi("Reference markers", getMarkerPrompt());
+		}
+	});
+}
+
 /**
  * Sets up the Reality Accelerator instance and its event handlers.
  */
@@ -311,15 +1043,14 @@ function setupRATK() {
 	ratk = new RealityAccelerator(renderer.xr);
 	ratk.onPlaneAdded = handlePlaneAdded;
 	ratk.onMeshAdded = handleMeshAdded;
+	setRoomFeatures(ratk.planes, ratk.meshes);
 	scene.add(ratk.root);
 	renderer.xr.addEventListener('sessionstart', () => {
 		setTimeout(() => {
 			try {
 				ratk.restorePersistentAnchors().then(() => {
 					console.log("restored persistent anchors: ", ratk.anchors)
-					ratk.anchors.forEach((anchor) => {
-						setPrimaryAnchor(anchor, true);
-					});
+					restoreChosenAnchor();
 				});
 			}
 			catch (error) {
@@ -335,6 +1066,27 @@ function setupRATK() {
 	});
 }
 
+/**
+ * Switches to the anchor chosen last on this device once RATK has restored the persistent anchors, or to the most
+ * recently used one that was restored. An anchor set before anchors had names is named after the current room's.
+ */
+function restoreChosenAnchor() {
+	const room = getCurrentRoom();
+	ratk.anchors.forEach((anchor) => {
+		if (room && !getNamedAnchor(anchor.anchorID)) {
+			saveNamedAnchor(anchor.anchorID, DEFAULT_ANCHOR_NAME, room);
+		}
+	});
+
+	const namedAnchor = getNamedAnchor(getCurrentAnchorId()) || getNamedAnchors().find(candidate => findAnchor(candidate.anchorId));
+	if (namedAnchor) {
+		chooseNamedAnchor(namedAnchor);
+	}
+	else if (room) {
+		recoverLostAnchor();
+	}
+}
+
 /**
  * Handles the addition of a new plane detected by RATK.
  */
@@ -344,6 +1096,7 @@ function handlePlaneAdded(plane) {
 		wireframe: true,
 		color: Math.random() * 0xffffff,
 	});
+	schedulePlaneSignatureUpload(ratk.planes);
 }
 
 /**
@@ -414,16 +1167,23 @@ const clearTextUi = () => {
 	while (uiToolbar.children.length > 0) {
 		uiToolbar.remove(uiToolbar.children[0]);
 	}
+	if (captionRenderer) {
+		captionRenderer.clear();
+	}
 }
 
-const updateTextUi = (username, text) => {
-	console.log("updateTextUi: username = ", username, ", text = ", text);
+const updateTextUi = (username, text, language) => {
+	console.log("updateTextUi: username = ", username, ", text = ", text, ", language = ", language);
 
+	showTextUi(language ? `${username} says [${language}]:` : username + " says:", text);
+}
+
+const showTextUi = (heading, text) => {
 	clearTextUi();
 
 	const usernameMesh = new Text();
 	uiToolbar.add(usernameMesh);
-	usernameMesh.text = username + " says:";
+	usernameMesh.text = heading;
 	usernameMesh.anchorX = 'center';
 	usernameMesh.anchorY = 'bottom';
 	usernameMesh.fontSize = 0.1;
@@ -441,6 +1201,104 @@ const updateTextUi = (username, text) => {
 	textMesh.color = 0x000000;
 	textMesh.position.z = 0.2;
 	textMesh.sync();
+
+	captionRenderer = new CaptionRenderer(textMesh);
+}
+
+/**
+ * Adds a button under the transcript to flag the annotation for review.
+ */
+const addFlagButton = (annotationObject) => {
+	addListButton("Flag as inappropriate", 0, 0xaa0000, () => flagPlayingAnnotation(annotationObject));
+}
+
+/**
+ * Adds a button under the transcript of the user's own annotation to step through its earlier takes.
+ */
+const addTakesButton = (annotationObject, label = "Earlier takes") => {
+	addListButton(label, 0, 0x000088, () => previewPlayingAnnotationTake(annotationObject));
+}
+
+/**
+ * Adds buttons under the transcript to reply to the playing annotation and, if it has replies or is one,
+ * to play its whole thread.
+ */
+const addThreadButtons = (annotationObject) => {
+	addListButton("Reply", 1, 0x006666, () => replyToPlayingAnnotation(annotationObject));
+
+	if (annotationObject.replies.length === 0 && !annotationObject.parent) {
+		return;
+	}
+
+	addListButton("Play the conversation", 2, 0x006666, () => playAnnotationThread(annotationObject));
+}
+
+/**
+ * Stops the playing annotation and records a reply to it, shown circling the annotation.
+ */
+function replyToPlayingAnnotation(annotationObject) {
+	annotationObject.setState("complete");
+	clearTextUi();
+	endPreview();
+	stopThread();
+
+	startRecordingReply(scene, primaryAnchor, annotationObject);
+}
+
+/**
+ * Plays the annotation and its replies in the order they were recorded, showing each transcript in turn.
+ */
+async function playAnnotationThread(annotationObject) {
+	endPreview();
+	clearTextUi();
+
+	const playedToEnd = await playThread(annotationObject, async (threadObject) => {
+		const text = await getUserText(threadObject.annotationId, threadObject.username);
+		if (threadObject.state === "playing") {
+			updateTextUi(threadObject.username, text || describeTranscriptStatus(threadObject.transcriptStatus, threadObject.transcriptFailureReason), threadObject.language);
+		}
+	});
+	if (playedToEnd) {
+		clearTextUi();
+	}
+}
+
+/**
+ * Plays the next older take of the playing annotation and shows its transcript, with a button to restore it.
+ */
+async function previewPlayingAnnotationTake(annotationObject) {
+	const take = await previewNextTake(annotationObject).catch(() => null);
+	if (annotationObject.state !== "playing") {
+		return;
+	}
+	if (!take) {
+		showTextUi("Earlier takes", "There are no earlier takes.");
+		return;
+	}
+
+	showTextUi(take.description, take.text || describeTranscriptStatus(TranscriptStatus.failed));
+	addTakesButton(annotationObject, "Older take");
+	if (!take.isCurrent) {
+		addListButton("Restore this take", 1, 0x006600, async () => {
+			const restored = await restorePreviewedTake();
+			showTextUi(take.description, restored ? "Take restored." : "Restoring the take failed.");
+		});
+	}
+}
+
+/**
+ * Flags an annotation and removes it from the scene. It stays listed for others until enough users flagged it.
+ */
+async function flagPlayingAnnotation(annotationObject) {
+	clearTextUi();
+
+	const flagged = await flagAnnotation(annotationObject.username, annotationObject.annotationId, "Flagged in XR").catch(() => false);
+	if (!flagged) {
+		console.error("Flagging annotation failed");
+		return;
+	}
+
+	removeAnnotationObjectById(annotationObject.annotationId);
 }
 
 /**
@@ -451,10 +1309,21 @@ function render() {
 	ratk.update();
 	updateSemanticLabels();
 	window.audioEngine.update();
+	updateProximityPlayback(window.audioEngine.listener.getPosition());
+	handleControllerButtons();
+	updateStrokes();
+	updatePlacement(ratk.planes);
+	resolveFeatures();
 	updateUi();
+	if (captionRenderer) {
+		captionRenderer.update();
+	}
 
 	for (const annotationObject of annotationObjects) {
-		annotationObject.update();
+		annotationObject.update(camera);
+	}
+	for (const textObject of textObjects) {
+		textObject.update(camera);
 	}
 
 	renderer.render(scene, camera);
@@ -465,6 +1334,7 @@ function render() {
  */
 function handlePendingAnchors() {
 	if (pendingAnchorData) {
+		const { alignment, name, room } = pendingAnchorData;
 		ratk
 			.createAnchor(
 				pendingAnchorData.position,
@@ -472,24 +1342,51 @@ function handlePendingAnchors() {
 				true,
 			)
 			.then((anchor) => {
-				setPrimaryAnchor(anchor, false);
+				saveNamedAnchor(anchor.anchorID, name, room);
+				setCurrentAnchorId(anchor.anchorID);
+				setPrimaryAnchor(anchor, false, alignment);
 			});
 		pendingAnchorData = null;
 	}
 }
 
-function setPrimaryAnchor(anchor, isRecovered) {
-
+/**
+ * Hides the primary anchor and removes the annotations placed relative to it.
+ */
+function clearPrimaryAnchor() {
 	if (primaryAnchor) {
 		scene.remove(primaryAnchor);
-		scene.remove(primaryAnchorMesh);
+		primaryAnchor.remove(primaryAnchorMesh);
 	}
+	primaryAnchor = null;
+	unloadAnnotationObjects();
+}
+
+function logLoadError(error) {
+	console.error("Failed to load the room's annotations: ", error);
+}
+
+function setPrimaryAnchor(anchor, isRecovered, alignment = null) {
+
+	clearPrimaryAnchor();
 
 	primaryAnchor = anchor;
 	console.log("primary anchor: ", primaryAnchor);
 
 	buildAnchorMarker(anchor, isRecovered);
-	loadAnnotationObjects(scene, anchor);
+	if (alignment) {
+		// Found by pointing at the room's reference markers.
+		useAlignment(alignment);
+		loadAnnotationObjects(scene, anchor).catch(logLoadError);
+		return;
+	}
+
+	// Other devices in the room may have stored annotations, so relate their coordinates to this one's first.
+	alignToRoom(getCurrentRoom(), ratk.planes).then(() => loadAnnotationObjects(scene, anchor)).catch(logLoadError);
+	if (!isRecovered) {
+		showTextUi("Anchor set", "Save two or three reference markers to line the room up again if the anchor can't be restored.");
+		addSaveMarkersButton();
+	}
 
 }
 
@@ -517,31 +1414,3 @@ function updateSemanticLabels() {
 		}
 	});
 }
-
-export async function fetchAllAudioFiles() {
-    try {
-        // Common asset key name
-        const assetKey = 'sound.webm';
-
-        // Fetch the pre-signed URLs for the audio files
-        const preSignedUrls = await fetchAllPreSignedUrls(assetKey);
-
-        console.log(preSignedUrls);
-
-        return preSignedUrls;
-
-    } catch (error) {
-        console.error('Failed to fetch audio files:', error);
-    }
-}
-
-//iife test
-(async () => {
-//    recordAndUploadWebMAudio(true);
-//    const audioFiles = await fetchAllAudioFiles();
-//    console.log(audioFiles);
-//    const allAnnotations = await getAllAnnotations();
-//    console.log(allAnnotations);
-//    const allText = await fetchAllTextFiles();
-//    console.log(allText);
-})();
@@ -1,49 +1,208 @@
+import { Quaternion, Vector3 } from "three";
 
 import { createAudioAnnotationSource } from "./annotation_object_creation";
-import { fetchAllAudioFiles } from "./cloud";
-import { getAllAnnotations } from "./cloud";
-import { AnnotationObject } from "./annotation_object";
-import { updateUserTextRecords } from "./user_text_records";
+import { getPlayableAudioRendition } from "./audio";
+import { getRoomAnnotationBundles } from "./cloud";
+import { AnnotationObject, annotationObjects, getAnnotationObjectById, removeAnnotationObjectById } from "./annotation_object";
+import { setUserTextRecord } from "./user_text_records";
+import { getCurrentRoom } from "./rooms";
+import { watchTranscriptStatus } from "./transcript_status";
+import { SketchObject, decodeSketch, sketchObjects } from "./sketch_object";
+import { ModelObject, modelObjects } from "./model_object";
+import { ImageObject, imageObjects } from "./image_object";
+import { TextObject, textObjects } from "./text_object";
+import { followFeature, stopFollowingFeatures } from "./feature_anchors";
+import { isAlignedToRoom, toDeviceFrame } from "./shared_frame";
 
-export const loadAnnotationObjects = async (scene, anchor) => {
-    console.log("Loading annotation objects ...");
+// Counts unloads, so that a load still running when its anchor is switched away from stops adding objects.
+let loadGeneration = 0;
 
-    // username.
-    const annotations = await getAllAnnotations();
-    const audioAnnotations = annotations.filter(annotation => annotation.type === 'audio');
-    console.log(audioAnnotations);
+const fetchPeaks = async (peaksUrl) => {
+    if (!peaksUrl) {
+        return null;
+    }
+
+    try {
+        const response = await fetch(peaksUrl);
+        return response.ok ? await response.json() : null;
+    } catch (error) {
+        console.error('Failed to fetch peaks:', error);
+        return null;
+    }
+}
 
-    const audioRecords = await fetchAllAudioFiles();
-    console.log(audioRecords);
-    // username.
-    // url.
+const fetchSketch = async (sketchUrl) => {
+    try {
+        const response = await fetch(sketchUrl);
+        return response.ok ? decodeSketch(await response.json()) : null;
+    } catch (error) {
+        console.error('Failed to fetch sketch:', error);
+        return null;
+    }
+}
 
-    for (let i = 0; i < annotations.length; i++) {
-        const annotation = audioAnnotations[i];
-        if (!annotation) {
-            continue;
+/**
+ * Loads the bundles one by one, logging those that fail, e.g. with a file that can't be read, so that they don't keep
+ * the rest of the room from loading. Stops once the annotations are unloaded.
+ */
+const loadEachBundle = async (bundles, generation, loadBundle) => {
+    for (const bundle of bundles) {
+        if (generation !== loadGeneration) {
+            return;
         }
+        try {
+            await loadBundle(bundle);
+        } catch (error) {
+            console.error(`Failed to load annotation ${bundle.annotationId}:`, error);
+        }
+    }
+}
 
-        const username = annotation.username;
+/**
+ * Removes every annotation shown, with its audio, e.g. before loading the annotations of another anchor's room.
+ */
+export const unloadAnnotationObjects = () => {
+    loadGeneration++;
+    stopFollowingFeatures();
+    for (const annotationObject of [...annotationObjects]) {
+        removeAnnotationObjectById(annotationObject.annotationId);
+    }
+    for (const objects of [sketchObjects, modelObjects, imageObjects, textObjects]) {
+        [...objects].forEach(object => object.dispose());
+    }
+}
 
-        // Find the audio record that matches this annotation's username.
-        const audioRecord = audioRecords.find(record => record.username === username);
-        if (!audioRecord) {
-            continue;
-        }
+export const loadAnnotationObjects = async (scene, anchor) => {
+    console.log("Loading annotation objects ...");
+    const generation = loadGeneration;
+
+    const room = getCurrentRoom();
+    if (!room) {
+        console.log("No room for this anchor, nothing to load");
+        return;
+    }
+
+    // Metadata, audio URL, transcript and peaks URL of every annotation in the room, in one request.
+    // Poses are stored in the room's coordinates, which alignToRoom has related to this device's by now.
+    const responseData = await getRoomAnnotationBundles(room.roomId, getPlayableAudioRendition()).catch(() => null);
+    if (generation !== loadGeneration) {
+        return;
+    }
+    // A refused request gives its error message instead of the bundles.
+    if (!Array.isArray(responseData)) {
+        console.error("Failed to load the room's annotations:", responseData);
+        return;
+    }
+    const bundles = responseData.map(bundle => ({ ...bundle, ...toDeviceFrame(bundle.position, bundle.orientation) }));
+    const audioBundles = bundles.filter(bundle => bundle.type === 'audio');
+    console.log(audioBundles);
+
+    // Recordings that haven't been processed yet, or couldn't be, have no audio but still show their status.
+    await loadEachBundle(audioBundles, generation, async (bundle) => {
+        const { annotationId, username } = bundle;
 
-        const annotationObject = new AnnotationObject(scene, anchor, username, annotation.position, annotation.orientation);
+        const annotationObject = new AnnotationObject(scene, anchor, annotationId, username, bundle.position, bundle.orientation);
         annotationObject.setState("complete");
+        annotationObject.language = bundle.language;
+        annotationObject.setTranscriptStatus(bundle.transcriptStatus, bundle.transcriptFailureReason);
+        annotationObject.setModerationStatus(bundle.moderationStatus);
+        watchTranscriptStatus(annotationObject);
+
+        if (bundle.transcript !== null) {
+            setUserTextRecord(username, annotationId, bundle.transcript);
+        }
 
-        // const audioSource =
-            await createAudioAnnotationSource(username, audioRecord.url, annotation.position);
+        if (bundle.audioUrl) {
+            let peaks;
+            try {
+                // const audioSource =
+                [, peaks] = await Promise.all([
+                    createAudioAnnotationSource(annotationId, bundle.audioUrl, bundle.position, bundle.orientation, bundle.spatialAudio),
+                    fetchPeaks(bundle.peaksUrl)
+                ]);
+            } catch (error) {
+                // A disk whose audio can't be read can't be played.
+                removeAnnotationObjectById(annotationId);
+                throw error;
+            }
+            if (generation !== loadGeneration) {
+                // Its object was removed while the audio loaded, but not the audio itself.
+                removeAnnotationObjectById(annotationId);
+                return;
+            }
+            annotationObject.setPeaks(peaks);
+        }
+        if (bundle.feature) {
+            followFeature(bundle.feature, (position, quaternion) => annotationObject.setPose(position, quaternion));
+        }
 
         // For testing only.
         // annotationObject.setState("playing");
         // audioSource.play();
+    });
+    if (generation !== loadGeneration) {
+        return;
+    }
+
+    // Replies circle the annotation they reply to, oldest first. Replies whose annotation isn't listed
+    // for this user stay where the annotation was.
+    const replyBundles = audioBundles
+        .filter(bundle => bundle.parentAnnotationId)
+        .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+    for (const bundle of replyBundles) {
+        const reply = getAnnotationObjectById(bundle.annotationId);
+        const parent = getAnnotationObjectById(bundle.parentAnnotationId);
+        if (reply && parent) {
+            parent.addReply(reply);
+        }
+    }
+
+    // Sketch strokes are stored relative to the anchor of the device that drew them. On a device aligned to the
+    // room they are turned with the room and moved so that the first one starts at the sketch's position.
+    const sketchBundles = bundles.filter(bundle => bundle.type === 'sketch' && bundle.sketchUrl);
+    await loadEachBundle(sketchBundles, generation, async (bundle) => {
+        const strokes = await fetchSketch(bundle.sketchUrl);
+        if (generation !== loadGeneration || !strokes) {
+            return;
+        }
 
-        updateUserTextRecords();
+        const sketchObject = new SketchObject(anchor, bundle.annotationId, bundle.username, strokes);
+        if (isAlignedToRoom() && strokes.length > 0) {
+            const quaternion = new Quaternion(bundle.orientation.x, bundle.orientation.y, bundle.orientation.z, bundle.orientation.w);
+            const firstPoint = strokes[0].points[0].clone().applyQuaternion(quaternion);
+            sketchObject.setPose(new Vector3(bundle.position.x, bundle.position.y, bundle.position.z).sub(firstPoint), quaternion);
+        }
+    });
+    if (generation !== loadGeneration) {
+        return;
     }
 
+    // Objects are models from the catalog, which load on their own.
+    const objectBundles = bundles.filter(bundle => bundle.type === 'object' && bundle.modelKey);
+    await loadEachBundle(objectBundles, generation, (bundle) => {
+        const modelObject = new ModelObject(anchor, bundle.annotationId, bundle.username, bundle.modelKey, bundle.position, bundle.orientation, bundle.scale || 1);
+        if (bundle.feature) {
+            followFeature(bundle.feature, (position, quaternion) => modelObject.setTransform(position, quaternion, modelObject.scale));
+        }
+    });
+
+    // Images are stored already laid flat on the surface they were pinned to.
+    const imageBundles = bundles.filter(bundle => bundle.type === 'image' && bundle.imageUrl);
+    await loadEachBundle(imageBundles, generation, (bundle) => {
+        const imageObject = new ImageObject(anchor, bundle.annotationId, bundle.username, bundle.imageUrl, bundle.position, bundle.orientation, bundle.scale || 1);
+        if (bundle.feature) {
+            followFeature(bundle.feature, (position, quaternion) => imageObject.setTransform(position, quaternion, imageObject.scale));
+        }
+    });
+
+    // Notes are read aloud from speech.mp3 when selected, so their audio isn't loaded up front.
+    const textBundles = bundles.filter(bundle => bundle.type === 'text' && bundle.text);
+    await loadEachBundle(textBundles, generation, (bundle) => {
+        const textObject = new TextObject(anchor, bundle.annotationId, bundle.username, bundle.text, bundle.position, bundle.readAloud, bundle.speechUrl);
+        if (bundle.feature) {
+            followFeature(bundle.feature, position => textObject.setPosition(position));
+        }
+    });
+
     console.log("Loading annotation objects - done");
 }
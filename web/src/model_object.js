@@ -0,0 +1,101 @@
+import { Group } from 'three';
+import { loadAsset } from './fetchurl';
+import { getModelUrl } from './object_catalog';
+
+export const modelObjects = [];
+
+export const getModelObjectById = (annotationId) => {
+    return modelObjects.find(modelObject => modelObject.annotationId === annotationId);
+}
+
+/**
+ * A model from the catalog placed in the room, as the object annotation it was stored with.
+ */
+export class ModelObject {
+    constructor(anchor, annotationId, username, modelKey, position, quaternion, scale = 1) {
+        this.annotationId = annotationId;
+        this.username = username;
+        this.modelKey = modelKey;
+        this.isDisposed = false;
+
+        this._anchor = anchor;
+        this._group = new Group();
+        this._model = null;
+        anchor.add(this._group);
+        this.setTransform(position, quaternion, scale);
+        this._load();
+
+        modelObjects.push(this);
+    }
+
+    async _load() {
+        const modelKey = this.modelKey;
+        const url = await getModelUrl(modelKey).catch(() => null);
+        if (!url) {
+            console.error(`No URL for model ${modelKey}`);
+            return;
+        }
+
+        loadAsset('gltf', url, (gltf) => {
+            // The model may have been swapped or removed while it was loading.
+            if (this.isDisposed || this.modelKey !== modelKey) {
+                return;
+            }
+
+            this._removeModel();
+            this._model = gltf.scene;
+            this._model.traverse(child => {
+                child.modelObject = this;
+            });
+            this._group.add(this._model);
+        });
+    }
+
+    _removeModel() {
+        if (!this._model) {
+            return;
+        }
+
+        this._group.remove(this._model);
+        this._model.traverse(child => {
+            if (child.geometry) {
+                child.geometry.dispose();
+            }
+            if (child.material) {
+                [].concat(child.material).forEach(material => material.dispose());
+            }
+        });
+        this._model = null;
+    }
+
+    /**
+     * Moves the model, given its position and orientation in the scene like those of annotations.
+     */
+    setTransform(position, quaternion, scale) {
+        this.position = { x: position.x, y: position.y, z: position.z };
+        this.orientation = { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w };
+        this.scale = scale;
+
+        this._group.position.copy(position).sub(this._anchor.position);
+        this._group.quaternion.copy(quaternion);
+        this._group.scale.setScalar(scale);
+    }
+
+    setModel(modelKey) {
+        if (modelKey === this.modelKey) {
+            return;
+        }
+
+        this.modelKey = modelKey;
+        this._removeModel();
+        this._load();
+    }
+
+    dispose() {
+        this._removeModel();
+        this._anchor.remove(this._group);
+        this.isDisposed = true;
+
+        modelObjects.splice(modelObjects.indexOf(this), 1);
+    }
+}
@@ -0,0 +1,87 @@
+// Persistent anchors only exist on the headset that created them, so their names and rooms are remembered per
+// device, as {anchorId, name, room, lastUsed}, alongside the anchors that RATK restores.
+const ANCHORS_STORAGE_KEY = 'namedAnchors';
+const CURRENT_ANCHOR_STORAGE_KEY = 'currentAnchorId';
+
+export const MAX_ANCHOR_NAME_LENGTH = 40;
+// The name of an anchor set before anchors had names.
+export const DEFAULT_ANCHOR_NAME = "My space";
+
+let namedAnchors = null;
+
+/**
+ * The anchors named on this device, the most recently used first.
+ */
+export const getNamedAnchors = () => {
+    if (!namedAnchors) {
+        const storedAnchors = localStorage.getItem(ANCHORS_STORAGE_KEY);
+        namedAnchors = storedAnchors ? JSON.parse(storedAnchors) : [];
+    }
+    return [...namedAnchors].sort((a, b) => b.lastUsed - a.lastUsed);
+}
+
+const storeNamedAnchors = (anchors) => {
+    namedAnchors = anchors;
+    localStorage.setItem(ANCHORS_STORAGE_KEY, JSON.stringify(anchors));
+}
+
+export const getNamedAnchor = (anchorId) => {
+    return getNamedAnchors().find(namedAnchor => namedAnchor.anchorId === anchorId) || null;
+}
+
+/**
+ * Names a persistent anchor and ties it to the room whose annotations are placed relative to it, replacing what
+ * was remembered for it before.
+ * @param {string} anchorId   RATK's anchorID of the persistent anchor
+ * @param {Object} room   As rooms' getCurrentRoom gives it
+ */
+export const saveNamedAnchor = (anchorId, name, room) => {
+    const namedAnchor = {
+        anchorId: anchorId,
+        name: name.slice(0, MAX_ANCHOR_NAME_LENGTH),
+        room: room,
+        lastUsed: Date.now()
+    };
+    storeNamedAnchors([...getNamedAnchors().filter(existing => existing.anchorId !== anchorId), namedAnchor]);
+    return namedAnchor;
+}
+
+export const removeNamedAnchor = (anchorId) => {
+    storeNamedAnchors(getNamedAnchors().filter(namedAnchor => namedAnchor.anchorId !== anchorId));
+    if (getCurrentAnchorId() === anchorId) {
+        setCurrentAnchorId(null);
+    }
+}
+
+/**
+ * The rooms of the anchors named on this device, each once, the most recently used first.
+ */
+export const getAnchoredRooms = () => {
+    const rooms = [];
+    for (const namedAnchor of getNamedAnchors()) {
+        if (namedAnchor.room && !rooms.some(room => room.roomId === namedAnchor.room.roomId)) {
+            rooms.push(namedAnchor.room);
+        }
+    }
+    return rooms;
+}
+
+/**
+ * The anchor chosen last on this device, which is used again when the session starts.
+ */
+export const getCurrentAnchorId = () => {
+    return localStorage.getItem(CURRENT_ANCHOR_STORAGE_KEY);
+}
+
+export const setCurrentAnchorId = (anchorId) => {
+    if (!anchorId) {
+        localStorage.removeItem(CURRENT_ANCHOR_STORAGE_KEY);
+        return;
+    }
+
+    localStorage.setItem(CURRENT_ANCHOR_STORAGE_KEY, anchorId);
+    const namedAnchor = getNamedAnchor(anchorId);
+    if (namedAnchor) {
+        storeNamedAnchors(getNamedAnchors().map(existing => existing === namedAnchor ? { ...existing, lastUsed: Date.now() } : existing));
+    }
+}
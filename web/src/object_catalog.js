@@ -0,0 +1,99 @@
+import { getAllAnnotations, putUserAnnotation, deleteUserAnnotation } from "./cloud";
+import { fetchPreSignedUrl, uploadAsset, UploadError } from "./fetchurl";
+import { getVisibilityFields } from "./annotation_object_creation";
+import { getCurrentRoom } from "./rooms";
+
+// Models shipped with the app are listed in the catalog file next to them, with keys starting with catalog/.
+const SHIPPED_CATALOG_URL = 'assets/models/catalog.json';
+const SHIPPED_MODEL_PREFIX = 'catalog/';
+const SHIPPED_MODEL_PATH = 'assets/models/';
+// Matches the limit putAsset sets for model/gltf-binary.
+const MAX_MODEL_SIZE = 25 * 1024 * 1024;
+
+// The models that can be placed, as {modelKey, modelName}: the shipped ones first, then uploaded ones.
+let catalog = [];
+
+export const getCatalog = () => {
+    return catalog;
+}
+
+const fetchShippedCatalog = async () => {
+    try {
+        const response = await fetch(SHIPPED_CATALOG_URL);
+        return response.ok ? await response.json() : [];
+    } catch (error) {
+        console.error('Failed to fetch the model catalog:', error);
+        return [];
+    }
+}
+
+/**
+ * Loads the models shipped with the app and the uploaded ones the user can see.
+ * @returns {Object[]}   The catalog, as {modelKey, modelName}
+ */
+export const loadCatalog = async () => {
+    const [shippedModels, annotations] = await Promise.all([
+        fetchShippedCatalog(),
+        getAllAnnotations().catch(() => [])
+    ]);
+
+    const uploadedModels = (Array.isArray(annotations) ? annotations : [])
+        .filter(annotation => annotation.type === 'model' && annotation.modelName)
+        .map(annotation => ({
+            modelKey: `${annotation.username}/${annotation.annotationId}/model.glb`,
+            modelName: annotation.modelName
+        }));
+
+    catalog = [...shippedModels, ...uploadedModels];
+    return catalog;
+}
+
+/**
+ * Gets a URL a model can be loaded from. Uploaded models are only presigned for users who can see the
+ * model annotation they belong to.
+ */
+export const getModelUrl = async (modelKey) => {
+    if (modelKey.startsWith(SHIPPED_MODEL_PREFIX)) {
+        return SHIPPED_MODEL_PATH + modelKey.slice(SHIPPED_MODEL_PREFIX.length);
+    }
+    return await fetchPreSignedUrl(modelKey);
+}
+
+/**
+ * Adds a binary glTF file to the catalog, stored as the model.glb of a model annotation. The model gets the
+ * visibility chosen for new recordings; objects made of it can only be seen by whoever can see the model.
+ * @param {string} modelName   The name the model is listed with
+ * @param {File} file   The .glb file
+ * @returns {string|null}   Why the model couldn't be added, or null if it was added to the catalog
+ */
+export const uploadModel = async (modelName, file) => {
+    if (file.size > MAX_MODEL_SIZE) {
+        return "Models can be at most 25 MB.";
+    }
+
+    const room = getCurrentRoom();
+    const annotationId = await putUserAnnotation({
+        type: 'model',
+        modelName: modelName,
+        roomId: room ? room.roomId : undefined,
+        ...getVisibilityFields(room),
+        position: { x: 0, y: 0, z: 0 },
+        orientation: { x: 0, y: 0, z: 0, w: 1 }
+    }).catch(() => null);
+    if (!annotationId) {
+        return "Adding the model failed.";
+    }
+
+    // Browsers don't agree on a type for .glb files, so it is set explicitly.
+    const modelBlob = new Blob([file], { type: 'model/gltf-binary' });
+    try {
+        await uploadAsset(`${annotationId}/model.glb`, modelBlob);
+    } catch (error) {
+        console.error('Model upload failed: ', error);
+        deleteUserAnnotation(annotationId).catch(() => {});
+        return error instanceof UploadError ? error.message : "Uploading the model failed.";
+    }
+
+    await loadCatalog();
+    return null;
+}
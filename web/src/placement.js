@@ -0,0 +1,274 @@
+import { Matrix4, Quaternion, Vector3 } from "three";
+import { ModelObject } from "./model_object";
+import { ImageObject } from "./image_object";
+import { getCatalog } from "./object_catalog";
+import { clearPendingImage } from "./image_capture";
+import { getVisibilityFields } from "./annotation_object_creation";
+import { getCurrentUsername } from "./session";
+import { deleteUserAnnotation, putUserAnnotation } from "./cloud";
+import { uploadAsset, UploadError } from "./fetchurl";
+import { getCurrentRoom } from "./rooms";
+import { getFeatureFields } from "./feature_anchors";
+import { toRoomFrame } from "./shared_frame";
+
+// Thumbstick axes of the Quest Touch controllers.
+const THUMBSTICK_X_AXIS = 2;
+const THUMBSTICK_Y_AXIS = 3;
+const THUMBSTICK_DEAD_ZONE = 0.2;
+// How fast a fully tilted thumbstick turns the preview (radians) and grows or shrinks it (factor), per second.
+const ROTATION_SPEED = Math.PI;
+const SCALE_SPEED = 1.5;
+const MIN_SCALE = 0.01;
+const MAX_SCALE = 100;
+
+// Images snap to a detected plane at most this far from the hit test target, and sit this far in front
+// of it so they don't flicker against its wireframe.
+const MAX_SNAP_DISTANCE = 0.1;
+const SNAP_MARGIN = 0.05;
+const IMAGE_SURFACE_OFFSET = 0.002;
+
+const up = new Vector3(0, 1, 0);
+const turn = new Quaternion();
+const orientation = new Quaternion();
+const planeInverse = new Matrix4();
+const basis = new Matrix4();
+const localPoint = new Vector3();
+const snappedPoint = new Vector3();
+const normal = new Vector3();
+const imageUp = new Vector3();
+const imageRight = new Vector3();
+const controllerPosition = new Vector3();
+
+// What is being placed, as {anchor, controller, preview, rotation, scale, lastUpdate} with either the
+// modelIndex of a catalog model or an image as {blob, url}, or null outside of placement mode.
+let placing = null;
+
+export const isPlacing = () => {
+    return placing !== null;
+}
+
+/**
+ * What is being placed, as the name of the model or "image", or null outside of placement mode.
+ */
+export const getPlacedName = () => {
+    if (!placing) {
+        return null;
+    }
+    return placing.image ? "image" : getCatalog()[placing.modelIndex].modelName;
+}
+
+const startPlacing = (anchor, controller, fields) => {
+    placing = { anchor, controller, rotation: 0, scale: 1, lastUpdate: performance.now(), ...fields };
+}
+
+/**
+ * Enters placement mode for a model, whose preview follows the controller's hit test target.
+ * @param {number} modelIndex   The catalog entry to start with
+ * @returns {boolean}   Whether there is an anchor and a model to place
+ */
+export const startPlacement = (anchor, controller, modelIndex = 0) => {
+    const catalog = getCatalog();
+    if (placing || !anchor || catalog.length === 0) {
+        return false;
+    }
+
+    modelIndex = Math.min(Math.max(modelIndex, 0), catalog.length - 1);
+    const preview = new ModelObject(anchor, null, null, catalog[modelIndex].modelKey, anchor.position, new Quaternion());
+    startPlacing(anchor, controller, { modelIndex, preview });
+    return true;
+}
+
+/**
+ * Enters placement mode for an image, whose preview lies flat on the plane under the controller's hit test target.
+ * @param {Object} image   The PNG to pin, as {blob, url}
+ * @returns {boolean}   Whether there is an anchor and an image to place
+ */
+export const startImagePlacement = (anchor, controller, image) => {
+    if (placing || !anchor || !image) {
+        return false;
+    }
+
+    const preview = new ImageObject(anchor, null, null, image.url, anchor.position, new Quaternion());
+    startPlacing(anchor, controller, { image, preview });
+    return true;
+}
+
+/**
+ * Switches the preview to the next model in the catalog.
+ */
+export const nextModel = () => {
+    if (!placing || placing.image) {
+        return;
+    }
+
+    const catalog = getCatalog();
+    placing.modelIndex = (placing.modelIndex + 1) % catalog.length;
+    placing.preview.setModel(catalog[placing.modelIndex].modelKey);
+}
+
+const applyThumbstick = (seconds) => {
+    const { controller } = placing;
+    const gamepad = controller.inputSource ? controller.inputSource.gamepad : null;
+    if (!gamepad || gamepad.axes.length <= THUMBSTICK_Y_AXIS) {
+        return;
+    }
+
+    const x = gamepad.axes[THUMBSTICK_X_AXIS];
+    const y = gamepad.axes[THUMBSTICK_Y_AXIS];
+    if (Math.abs(x) > THUMBSTICK_DEAD_ZONE) {
+        placing.rotation -= x * ROTATION_SPEED * seconds;
+    }
+    // Pushing the thumbstick forward reads as a negative y.
+    if (Math.abs(y) > THUMBSTICK_DEAD_ZONE) {
+        placing.scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, placing.scale * Math.pow(SCALE_SPEED, -y * seconds)));
+    }
+}
+
+/**
+ * Finds the detected plane the point lies on, as its distance along the plane's normal is small and it is
+ * within the plane's bounding rectangle. Sets snappedPoint and normal to the point on that plane and its normal.
+ * @returns {boolean}   Whether there is such a plane
+ */
+const snapToPlane = (point, planes) => {
+    let closestDistance = MAX_SNAP_DISTANCE;
+    let closestPlane = null;
+    for (const plane of planes) {
+        plane.updateMatrixWorld();
+        localPoint.copy(point).applyMatrix4(planeInverse.copy(plane.matrixWorld).invert());
+        // Planes lie in their local xz plane, with the y axis as their normal.
+        if (Math.abs(localPoint.x) > plane.boundingRectangleWidth / 2 + SNAP_MARGIN ||
+            Math.abs(localPoint.z) > plane.boundingRectangleHeight / 2 + SNAP_MARGIN) {
+            continue;
+        }
+        if (Math.abs(localPoint.y) < closestDistance) {
+            closestDistance = Math.abs(localPoint.y);
+            closestPlane = plane;
+        }
+    }
+    if (!closestPlane) {
+        return false;
+    }
+
+    localPoint.copy(point).applyMatrix4(planeInverse.copy(closestPlane.matrixWorld).invert());
+    localPoint.y = 0;
+    snappedPoint.copy(localPoint).applyMatrix4(closestPlane.matrixWorld);
+    normal.set(0, 1, 0).transformDirection(closestPlane.matrixWorld);
+    return true;
+}
+
+/**
+ * Lays the image preview on the plane under the hit test target, upright on walls and with its top away from
+ * the controller on floors and tables.
+ */
+const updateImagePreview = (hitTestTarget, planes) => {
+    if (!snapToPlane(hitTestTarget.position, planes)) {
+        // Without a detected plane the hit test target's y axis is the normal of the surface it is on.
+        snappedPoint.copy(hitTestTarget.position);
+        normal.set(0, 1, 0).applyQuaternion(hitTestTarget.quaternion);
+    }
+
+    imageUp.copy(up).addScaledVector(normal, -normal.dot(up));
+    if (imageUp.lengthSq() < 0.01) {
+        placing.controller.getWorldPosition(controllerPosition);
+        imageUp.subVectors(snappedPoint, controllerPosition).addScaledVector(normal, -normal.dot(imageUp));
+    }
+    imageUp.normalize();
+    imageRight.crossVectors(imageUp, normal);
+
+    orientation.setFromRotationMatrix(basis.makeBasis(imageRight, imageUp, normal));
+    orientation.multiply(turn.setFromAxisAngle(normal.set(0, 0, 1), placing.rotation));
+    snappedPoint.addScaledVector(normal.set(0, 0, 1).applyQuaternion(orientation), IMAGE_SURFACE_OFFSET);
+    placing.preview.setTransform(snappedPoint, orientation, placing.scale);
+}
+
+/**
+ * Moves the preview to the hit test target, turned about the surface normal and scaled with the thumbstick.
+ * Call from the render loop.
+ * @param {Iterable} planes   The planes detected in the room, which images snap to
+ */
+export const updatePlacement = (planes) => {
+    if (!placing) {
+        return;
+    }
+
+    const now = performance.now();
+    applyThumbstick((now - placing.lastUpdate) / 1000);
+    placing.lastUpdate = now;
+
+    const hitTestTarget = placing.controller.hitTestTarget;
+    if (!hitTestTarget) {
+        return;
+    }
+
+    if (placing.image) {
+        updateImagePreview(hitTestTarget, planes);
+        return;
+    }
+
+    // The hit test target's y axis is the normal of the surface it is on.
+    turn.setFromAxisAngle(up, placing.rotation);
+    orientation.copy(hitTestTarget.quaternion).multiply(turn);
+    placing.preview.setTransform(hitTestTarget.position, orientation, placing.scale);
+}
+
+/**
+ * Leaves placement mode without placing anything.
+ */
+export const cancelPlacement = () => {
+    if (!placing) {
+        return;
+    }
+
+    placing.preview.dispose();
+    placing = null;
+}
+
+/**
+ * Places the preview where it is and leaves placement mode. A model is stored as an object annotation with its
+ * model, position, orientation and scale; an image as an image annotation with the picture uploaded as image.png.
+ * @returns {string|null}   Why it couldn't be placed, or null if it was placed
+ */
+export const place = async () => {
+    if (!placing) {
+        return null;
+    }
+
+    const { preview, image } = placing;
+    placing = null;
+
+    const room = getCurrentRoom();
+    const annotationData = {
+        type: image ? 'image' : 'object',
+        roomId: room ? room.roomId : undefined,
+        ...getVisibilityFields(room),
+        modelKey: image ? undefined : preview.modelKey,
+        scale: preview.scale,
+        position: preview.position,
+        orientation: preview.orientation,
+        ...getFeatureFields(preview.position, preview.orientation)
+    };
+
+    preview.username = await getCurrentUsername();
+    const annotationId = await putUserAnnotation({ ...annotationData, ...toRoomFrame(annotationData.position, annotationData.orientation) }).catch(() => null);
+    if (!annotationId) {
+        preview.dispose();
+        return "Storing the annotation failed.";
+    }
+    preview.annotationId = annotationId;
+
+    if (!image) {
+        return null;
+    }
+
+    try {
+        await uploadAsset(`${annotationId}/image.png`, image.blob);
+    } catch (error) {
+        console.error('Image upload failed: ', error);
+        deleteUserAnnotation(annotationId).catch(() => {});
+        preview.dispose();
+        return error instanceof UploadError ? error.message : "Uploading the image failed.";
+    }
+
+    clearPendingImage();
+    return null;
+}
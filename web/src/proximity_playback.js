@@ -0,0 +1,119 @@
+import { annotationObjects } from "./annotation_object";
+
+export const DEFAULT_PROXIMITY_SETTINGS = { enterRadius: 1.5, exitRadius: 2.5, maxPlaying: 2 };
+
+const FADE_SECONDS = 1.5;
+// The listener moves a little every frame, so playback is only reconsidered this often.
+const UPDATE_INTERVAL_MS = 200;
+
+// As {enterRadius, exitRadius, maxPlaying}, or null while annotations only play when selected.
+let settings = null;
+// Annotations started by coming close, and those fading out after moving away, which can still be picked up again.
+const playing = new Set();
+const fadingOut = new Set();
+// Annotations stopped some other way while played by coming close, e.g. selected to stop them, which don't play
+// again until the listener has moved past the exit radius.
+const dismissed = new Set();
+let lastUpdateTime = 0;
+
+/**
+ * Turns playing annotations as the listener walks up to them on or off. They start within the enter radius and
+ * fade out past the exit radius, which is at least as large so that they don't toggle at the edge.
+ * @param {Object|null} proximitySettings   As {enterRadius, exitRadius, maxPlaying} in meters, or null to turn it off
+ */
+export const setProximityPlayback = (proximitySettings) => {
+    if (!proximitySettings) {
+        settings = null;
+        for (const annotationObject of playing) {
+            annotationObject.fadeOut(FADE_SECONDS);
+        }
+        playing.clear();
+        fadingOut.clear();
+        dismissed.clear();
+        return;
+    }
+
+    const enterRadius = Math.max(0, proximitySettings.enterRadius);
+    settings = {
+        enterRadius: enterRadius,
+        exitRadius: Math.max(enterRadius, proximitySettings.exitRadius),
+        maxPlaying: Math.max(1, Math.floor(proximitySettings.maxPlaying))
+    };
+}
+
+const getDistance = (position, annotationObject) => {
+    const { x, y, z } = annotationObject.position;
+    return Math.hypot(position.x - x, position.y - y, position.z - z);
+}
+
+/**
+ * Drops annotations that stopped playing some other way, e.g. selected to stop them or removed with their room.
+ */
+const forgetStopped = (listenerPosition) => {
+    for (const annotationObject of [...playing]) {
+        if (annotationObject.isDisposed || annotationObject.state !== "playing") {
+            playing.delete(annotationObject);
+            dismissed.add(annotationObject);
+        }
+    }
+    for (const annotationObject of [...fadingOut]) {
+        if (annotationObject.isDisposed || annotationObject.state !== "playing") {
+            fadingOut.delete(annotationObject);
+        }
+    }
+    for (const annotationObject of [...dismissed]) {
+        if (annotationObject.isDisposed || getDistance(listenerPosition, annotationObject) > settings.exitRadius) {
+            dismissed.delete(annotationObject);
+        }
+    }
+}
+
+/**
+ * Whether an annotation is left to proximity playback: one that is playing because it was selected, or as part of
+ * a thread, keeps playing as it does.
+ */
+const isCandidate = (annotationObject) => {
+    return !annotationObject.isDisposed &&
+        !dismissed.has(annotationObject) &&
+        annotationObject.moderationStatus !== 'hidden' &&
+        (annotationObject.state === "complete" || playing.has(annotationObject) || fadingOut.has(annotationObject)) &&
+        window.audioEngine.getSourceByAnnotationId(annotationObject.annotationId) !== undefined;
+}
+
+/**
+ * Plays the annotations near the listener, the nearest first and at most maxPlaying at once, and fades out those
+ * that are too far away or pushed out by nearer ones. Call from the render loop.
+ * @param {Vector3} listenerPosition   Where the audio engine's listener is
+ */
+export const updateProximityPlayback = (listenerPosition) => {
+    const now = performance.now();
+    if (!settings || now - lastUpdateTime < UPDATE_INTERVAL_MS) {
+        return;
+    }
+    lastUpdateTime = now;
+
+    forgetStopped(listenerPosition);
+
+    const nearby = annotationObjects
+        .filter(isCandidate)
+        .map(annotationObject => ({ annotationObject, distance: getDistance(listenerPosition, annotationObject) }))
+        .filter(({ annotationObject, distance }) => distance <= (playing.has(annotationObject) ? settings.exitRadius : settings.enterRadius))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, settings.maxPlaying)
+        .map(({ annotationObject }) => annotationObject);
+
+    for (const annotationObject of [...playing]) {
+        if (!nearby.includes(annotationObject)) {
+            annotationObject.fadeOut(FADE_SECONDS);
+            playing.delete(annotationObject);
+            fadingOut.add(annotationObject);
+        }
+    }
+    for (const annotationObject of nearby) {
+        if (!playing.has(annotationObject)) {
+            annotationObject.fadeIn(FADE_SECONDS);
+            fadingOut.delete(annotationObject);
+            playing.add(annotationObject);
+        }
+    }
+}
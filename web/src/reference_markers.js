@@ -0,0 +1,149 @@
+import { Mesh, MeshBasicMaterial, SphereGeometry } from 'three';
+import { Text } from 'troika-three-text';
+import { applyInverseAlignment, solvePointAlignment } from './room_alignment';
+import { putRoomMarkers } from './cloud';
+import { toRoomFrame } from './shared_frame';
+
+export const MIN_MARKERS = 2;
+export const MAX_MARKERS = 3;
+const DEFAULT_LABELS = ["marker 1", "marker 2", "marker 3"];
+
+const MARKER_RADIUS = 0.03;
+const POINTED_COLOR = 0xffaa00;
+const STORED_COLOR = 0x00cc66;
+// After re-aligning, the stored markers are shown next to the pointed spots for this long.
+const CONFIRMATION_DURATION_MS = 15000;
+
+// What the user is pointing at markers for, as {mode: 'record' or 'realign', scene, labels, points} with the roomId
+// to save markers to or the room's stored markers to re-align to, or null when not pointing at markers.
+let pointing = null;
+// Spheres for the spots pointed at and, after re-aligning, where the stored markers ended up.
+let markerMeshes = [];
+let confirmationTimeout = null;
+
+export const isPointingAtMarkers = () => {
+    return pointing !== null;
+}
+
+/**
+ * What to point at next, e.g. "Point at the door corner and pull the trigger (1 of 3)."
+ */
+export const getMarkerPrompt = () => {
+    if (!pointing) {
+        return null;
+    }
+    const index = pointing.points.length;
+    const prompt = `Point at ${pointing.labels[index]} and pull the trigger (${index + 1} of ${pointing.labels.length}).`;
+    return pointing.mode === 'record' ? `${prompt} Pick spots that are easy to find again, such as door corners.` : prompt;
+}
+
+const clearMarkerMeshes = () => {
+    clearTimeout(confirmationTimeout);
+    for (const mesh of markerMeshes) {
+        mesh.removeFromParent();
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+        if (mesh.userData.label) {
+            mesh.userData.label.dispose();
+        }
+    }
+    markerMeshes = [];
+}
+
+const addMarkerMesh = (scene, position, color, label = null) => {
+    const mesh = new Mesh(new SphereGeometry(MARKER_RADIUS, 16, 8), new MeshBasicMaterial({ color: color }));
+    mesh.position.set(position[0], position[1], position[2]);
+    if (label) {
+        const text = new Text();
+        text.text = label;
+        text.anchorX = 'center';
+        text.anchorY = 'bottom';
+        text.fontSize = 0.04;
+        text.color = color;
+        text.position.y = MARKER_RADIUS * 2;
+        text.sync();
+        mesh.add(text);
+        mesh.userData.label = text;
+    }
+    scene.add(mesh);
+    markerMeshes.push(mesh);
+}
+
+/**
+ * Starts pointing at spots to save as the reference markers of a room, one for each label.
+ * @param {string[]} labels   What the markers are, e.g. "the door corner"; 2 or 3 of them, or none for generic names
+ */
+export const startMarkerRecording = (scene, roomId, labels = []) => {
+    if (pointing || !roomId) {
+        return false;
+    }
+
+    clearMarkerMeshes();
+    const markerLabels = labels.length >= MIN_MARKERS ? labels.slice(0, MAX_MARKERS) : DEFAULT_LABELS;
+    pointing = { mode: 'record', scene, labels: markerLabels, points: [], roomId };
+    return true;
+}
+
+/**
+ * Starts pointing at the room's reference markers, in the order they were saved, to line this device up with
+ * the room.
+ * @param {Object[]} markers   The room's markers as {label, position: [x, y, z]}
+ */
+export const startRealignment = (scene, markers) => {
+    if (pointing || !markers || markers.length < MIN_MARKERS) {
+        return false;
+    }
+
+    clearMarkerMeshes();
+    pointing = { mode: 'realign', scene, labels: markers.map(marker => marker.label), points: [], markers };
+    return true;
+}
+
+export const cancelPointing = () => {
+    pointing = null;
+    clearMarkerMeshes();
+}
+
+/**
+ * Takes the spot the user points at for the current marker. Once there is a spot for every marker, saved
+ * markers are stored with the room, and re-aligning finds how this device relates to the room and shows the
+ * stored markers where they end up next to the spots pointed at.
+ * @param {Object} position   The hit test target's position
+ * @returns {Object|null}   Null while more markers are needed; then {stored} after saving markers, or
+ *                          {alignment, markers} after re-aligning, with alignment null if the spots were too close together
+ */
+export const pointAtMarker = async (position) => {
+    if (!pointing) {
+        return null;
+    }
+
+    const point = [position.x, position.y, position.z];
+    const { mode, scene, labels, points, roomId, markers } = pointing;
+    points.push(point);
+    addMarkerMesh(scene, point, POINTED_COLOR);
+    if (points.length < labels.length) {
+        return null;
+    }
+    pointing = null;
+
+    if (mode === 'record') {
+        const referenceMarkers = points.map((devicePoint, index) => {
+            const { x, y, z } = toRoomFrame({ x: devicePoint[0], y: devicePoint[1], z: devicePoint[2] }).position;
+            return { label: labels[index], position: [x, y, z] };
+        });
+        const stored = await putRoomMarkers(roomId, referenceMarkers).catch(() => false);
+        confirmationTimeout = setTimeout(clearMarkerMeshes, CONFIRMATION_DURATION_MS);
+        return { stored };
+    }
+
+    const alignment = solvePointAlignment(markers.map(marker => marker.position), points);
+    if (!alignment) {
+        clearMarkerMeshes();
+        return { alignment: null, markers };
+    }
+    for (const marker of markers) {
+        addMarkerMesh(scene, applyInverseAlignment(alignment, marker.position), STORED_COLOR, marker.label);
+    }
+    confirmationTimeout = setTimeout(clearMarkerMeshes, CONFIRMATION_DURATION_MS);
+    return { alignment, markers };
+}
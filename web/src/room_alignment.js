@@ -0,0 +1,260 @@
+/**
+ * Finds how the coordinates of two devices in the same room relate, from the planes each of them detected:
+ * the floor and walls, and other surfaces such as tables, or from reference markers pointed at on both.
+ * WebXR reference spaces are level with the floor, so they differ by a turn about the vertical axis and a
+ * translation.
+ *
+ * Planes are plain objects as stored in a room's plane signature:
+ *
+ *   {label: 'wall', normal: [x, y, z], center: [x, y, z], extent: [width, height]}
+ *
+ * Nothing here depends on three.js or the headset, so it works on synthetic plane sets and points as well.
+ */
+
+// Planes whose normal is at most this far from horizontal are walls; the others lie flat.
+const MAX_WALL_NORMAL_Y = 0.3;
+// Two planes can be the same if their normals differ by at most 15°, one lies at most 0.3 m in front of or
+// behind the other, their centers are at most 2 m apart and their sizes differ by at most 1 m in total.
+const MIN_NORMAL_DOT = Math.cos(15 * Math.PI / 180);
+const MAX_PLANE_DISTANCE = 0.3;
+const MAX_CENTER_DISTANCE = 2;
+const MAX_EXTENT_DIFFERENCE = 1;
+// Turns closer than 2° to an already tried one aren't tried again.
+const MIN_YAW_DIFFERENCE = 2 * Math.PI / 180;
+// Walls only fix where the room is across them, so their centers pull the solution along them this much.
+const CENTER_WEIGHT = 0.05;
+const REFINE_ITERATIONS = 3;
+// An alignment needs at least this many matching planes, two of them walls that aren't parallel.
+const MIN_MATCHED_PLANES = 3;
+const MIN_WALL_CROSS = 0.5;
+// Points pointed at need to be spread out by about 30 cm across, seen from above, to tell the turn.
+const MIN_POINT_SPREAD = 0.05;
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+const subtract = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+
+const isWall = (plane) => Math.abs(plane.normal[1]) < MAX_WALL_NORMAL_Y;
+
+// The direction a wall faces, as the angle of its normal about the vertical axis.
+const getHeading = (plane) => Math.atan2(plane.normal[0], plane.normal[2]);
+
+const normalizeAngle = (angle) => Math.atan2(Math.sin(angle), Math.cos(angle));
+
+/**
+ * Turns a vector by yaw about the vertical axis, like three.js' makeRotationY.
+ */
+const rotate = (vector, yaw) => {
+    const cos = Math.cos(yaw);
+    const sin = Math.sin(yaw);
+    return [cos * vector[0] + sin * vector[2], vector[1], -sin * vector[0] + cos * vector[2]];
+};
+
+/**
+ * Where a point of the local device is in the stored coordinates.
+ * @param {Object} alignment   As solveAlignment returns it
+ * @param {number[]} point   As [x, y, z]
+ */
+export const applyAlignment = (alignment, point) => {
+    const rotated = rotate(point, alignment.yaw);
+    const { x, y, z } = alignment.translation;
+    return [rotated[0] + x, rotated[1] + y, rotated[2] + z];
+};
+
+/**
+ * Where a point in the stored coordinates is on the local device; the reverse of applyAlignment.
+ */
+export const applyInverseAlignment = (alignment, point) => {
+    const { x, y, z } = alignment.translation;
+    return rotate([point[0] - x, point[1] - y, point[2] - z], -alignment.yaw);
+};
+
+const moveLocalPlanes = (localPlanes, yaw, translation) => {
+    return localPlanes.map(plane => ({
+        plane: plane,
+        normal: rotate(plane.normal, yaw),
+        center: applyAlignment({ yaw, translation }, plane.center)
+    }));
+};
+
+/**
+ * Pairs each local plane, already moved into the stored coordinates, with the closest stored plane that can be
+ * the same one. Each stored plane is paired at most once.
+ * @returns {Object[]}   As {stored, local, distance}, where distance is how far the planes lie apart
+ */
+const matchPlanes = (storedPlanes, movedPlanes) => {
+    const candidates = [];
+    for (const local of movedPlanes) {
+        for (const stored of storedPlanes) {
+            if (stored.label !== local.plane.label || isWall(stored) !== isWall(local.plane) ||
+                dot(stored.normal, local.normal) < MIN_NORMAL_DOT) {
+                continue;
+            }
+            const offset = subtract(local.center, stored.center);
+            const distance = Math.abs(dot(stored.normal, offset));
+            const extentDifference = Math.abs(stored.extent[0] - local.plane.extent[0]) + Math.abs(stored.extent[1] - local.plane.extent[1]);
+            if (distance > MAX_PLANE_DISTANCE || Math.hypot(...offset) > MAX_CENTER_DISTANCE || extentDifference > MAX_EXTENT_DIFFERENCE) {
+                continue;
+            }
+            candidates.push({ stored, local, distance, score: distance + CENTER_WEIGHT * Math.hypot(...offset) + CENTER_WEIGHT * extentDifference });
+        }
+    }
+
+    candidates.sort((a, b) => a.score - b.score);
+    const matches = [];
+    for (const candidate of candidates) {
+        if (!matches.some(match => match.stored === candidate.stored || match.local === candidate.local)) {
+            matches.push(candidate);
+        }
+    }
+    return matches;
+};
+
+/**
+ * The translation that best lays the matched local planes, turned by yaw, onto their stored planes. Walls fix
+ * it across them, and floors and tables fix its height; without them the height stays as it is.
+ */
+const solveTranslation = (matches, yaw, translation) => {
+    // Least squares over the wall distances, with 2 unknowns: the translation along x and z.
+    let xx = 0, xz = 0, zz = 0, bx = 0, bz = 0;
+    let heightSum = 0, heightCount = 0;
+    for (const { stored, local } of matches) {
+        const turnedCenter = rotate(local.plane.center, yaw);
+        const centerOffset = subtract(stored.center, turnedCenter);
+        if (!isWall(stored)) {
+            heightSum += centerOffset[1];
+            heightCount++;
+            continue;
+        }
+
+        const [nx, , nz] = stored.normal;
+        const distance = dot(stored.normal, centerOffset);
+        xx += nx * nx + CENTER_WEIGHT;
+        xz += nx * nz;
+        zz += nz * nz + CENTER_WEIGHT;
+        bx += nx * distance + CENTER_WEIGHT * centerOffset[0];
+        bz += nz * distance + CENTER_WEIGHT * centerOffset[2];
+    }
+
+    const determinant = xx * zz - xz * xz;
+    if (Math.abs(determinant) < 1e-9) {
+        return translation;
+    }
+    return {
+        x: (bx * zz - bz * xz) / determinant,
+        y: heightCount > 0 ? heightSum / heightCount : translation.y,
+        z: (bz * xx - bx * xz) / determinant
+    };
+};
+
+const hasCrossingWalls = (matches) => {
+    const walls = matches.filter(match => isWall(match.stored));
+    return walls.some(a => walls.some(b => Math.abs(a.stored.normal[0] * b.stored.normal[2] - a.stored.normal[2] * b.stored.normal[0]) > MIN_WALL_CROSS));
+};
+
+/**
+ * Every turn that makes a local wall face the same way as a stored wall with the same label, each with the
+ * translation that lays the one onto the other.
+ */
+const listCandidates = (storedPlanes, localPlanes) => {
+    const candidates = [];
+    for (const stored of storedPlanes.filter(isWall)) {
+        for (const local of localPlanes.filter(isWall)) {
+            if (stored.label !== local.label) {
+                continue;
+            }
+            const yaw = normalizeAngle(getHeading(stored) - getHeading(local));
+            if (candidates.some(candidate => Math.abs(normalizeAngle(candidate.yaw - yaw)) < MIN_YAW_DIFFERENCE)) {
+                continue;
+            }
+            const center = subtract(stored.center, rotate(local.center, yaw));
+            candidates.push({ yaw, translation: { x: center[0], y: 0, z: center[2] } });
+        }
+    }
+    return candidates;
+};
+
+/**
+ * Finds the turn about the vertical axis and the translation that lay the planes a device detected onto the
+ * planes stored with the room: a point p of the device is at rotateY(yaw) * p + translation in the stored
+ * coordinates.
+ * @param {Object[]} storedPlanes   The planes of the room's plane signature
+ * @param {Object[]} localPlanes   The planes the device detected, in the same format
+ * @returns {Object|null}   As {yaw, translation: {x, y, z}, matchedPlanes, error}, where error is the root mean
+ *                          square distance in meters between matched planes, or null if the planes don't match
+ */
+export const solveAlignment = (storedPlanes, localPlanes) => {
+    let best = null;
+    for (const candidate of listCandidates(storedPlanes, localPlanes)) {
+        const { yaw } = candidate;
+        let translation = candidate.translation;
+        let matches = [];
+        for (let iteration = 0; iteration < REFINE_ITERATIONS; iteration++) {
+            matches = matchPlanes(storedPlanes, moveLocalPlanes(localPlanes, yaw, translation));
+            if (matches.length === 0) {
+                break;
+            }
+            translation = solveTranslation(matches, yaw, translation);
+        }
+
+        matches = matchPlanes(storedPlanes, moveLocalPlanes(localPlanes, yaw, translation));
+        if (matches.length < MIN_MATCHED_PLANES || !hasCrossingWalls(matches)) {
+            continue;
+        }
+
+        const error = Math.sqrt(matches.reduce((sum, match) => sum + match.distance * match.distance, 0) / matches.length);
+        if (!best || matches.length > best.matchedPlanes || (matches.length === best.matchedPlanes && error < best.error)) {
+            best = { yaw, translation, matchedPlanes: matches.length, error };
+        }
+    }
+    return best;
+};
+
+/**
+ * Finds the turn about the vertical axis and the translation that best lay points a device was pointed at onto
+ * the same spots stored with the room, in the least squares sense, like solveAlignment does for planes.
+ * @param {number[][]} storedPoints   At least 2 points as [x, y, z], e.g. a room's reference markers
+ * @param {number[][]} localPoints   The same spots on the device, in the same order
+ * @returns {Object|null}   As {yaw, translation: {x, y, z}, error}, where error is the root mean square distance in
+ *                          meters between the stored points and the aligned local ones, or null if the points are
+ *                          too close together to tell which way the room is turned
+ */
+export const solvePointAlignment = (storedPoints, localPoints) => {
+    const count = Math.min(storedPoints.length, localPoints.length);
+    if (count < 2) {
+        return null;
+    }
+
+    const centroid = (points) => points.slice(0, count)
+        .reduce((sum, point) => [sum[0] + point[0] / count, sum[1] + point[1] / count, sum[2] + point[2] / count], [0, 0, 0]);
+    const storedCentroid = centroid(storedPoints);
+    const localCentroid = centroid(localPoints);
+
+    // The turn that lines up the spread of the points about their centroids, seen from above.
+    let sin = 0, cos = 0;
+    for (let index = 0; index < count; index++) {
+        const stored = subtract(storedPoints[index], storedCentroid);
+        const local = subtract(localPoints[index], localCentroid);
+        sin += stored[0] * local[2] - stored[2] * local[0];
+        cos += stored[0] * local[0] + stored[2] * local[2];
+    }
+    if (Math.hypot(sin, cos) < MIN_POINT_SPREAD) {
+        return null;
+    }
+
+    const yaw = Math.atan2(sin, cos);
+    const turnedCentroid = rotate(localCentroid, yaw);
+    const translation = {
+        x: storedCentroid[0] - turnedCentroid[0],
+        y: storedCentroid[1] - turnedCentroid[1],
+        z: storedCentroid[2] - turnedCentroid[2]
+    };
+
+    const alignment = { yaw, translation };
+    let squaredError = 0;
+    for (let index = 0; index < count; index++) {
+        const offset = subtract(applyAlignment(alignment, localPoints[index]), storedPoints[index]);
+        squaredError += dot(offset, offset);
+    }
+    return { ...alignment, error: Math.sqrt(squaredError / count) };
+};
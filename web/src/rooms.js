@@ -0,0 +1,38 @@
+import { createRoom } from "./cloud";
+
+// The room is remembered per device, as the room of the anchor chosen last (see named_anchors).
+const ROOM_STORAGE_KEY = 'currentRoom';
+
+let currentRoom = null;
+
+export const getCurrentRoom = () => {
+    if (!currentRoom) {
+        const storedRoom = localStorage.getItem(ROOM_STORAGE_KEY);
+        currentRoom = storedRoom ? JSON.parse(storedRoom) : null;
+    }
+    return currentRoom;
+}
+
+export const setCurrentRoom = (room) => {
+    currentRoom = room;
+    if (room) {
+        localStorage.setItem(ROOM_STORAGE_KEY, JSON.stringify(room));
+    }
+    else {
+        localStorage.removeItem(ROOM_STORAGE_KEY);
+    }
+}
+
+/**
+ * Creates a room for a new anchor and makes it the current one.
+ */
+export const createCurrentRoom = async (name = `Room ${new Date().toLocaleString()}`) => {
+    const newRoom = await createRoom(name);
+    if (!newRoom || !newRoom.roomId) {
+        throw new Error("Creating room failed");
+    }
+    console.log("Created room: ", newRoom);
+
+    setCurrentRoom(newRoom);
+    return newRoom;
+}
@@ -0,0 +1,49 @@
+import { Auth } from 'aws-amplify';
+import amplifyConfig from './amplifyconfigure';
+
+const LOCAL_USERNAME_KEY = 'localUsername';
+
+/**
+ * Whether requests go to the local backend (infra/localBackend) with stub auth instead of Cognito.
+ * Set `localAuth: true` next to the API url in amplifyconfigure.js to enable it.
+ */
+export const isLocalAuth = () => {
+    return Boolean(amplifyConfig.Api.localAuth);
+}
+
+/**
+ * Remembers who is signed in to the local backend. No password is checked.
+ */
+export const signInLocally = (username) => {
+    localStorage.setItem(LOCAL_USERNAME_KEY, username);
+}
+
+/**
+* Gets the token to send as the Authorization header of API requests
+* @returns {string}   The Cognito ID token, or the username when using stub auth
+*/
+export async function getIdToken() {
+    if (isLocalAuth()) {
+        return getCurrentUsername();
+    }
+
+    const session = await Auth.currentSession();
+    return session.getIdToken().getJwtToken();
+}
+
+/**
+* Gets the signed in user's username
+* @returns {string}   The username
+*/
+export async function getCurrentUsername() {
+    if (isLocalAuth()) {
+        const username = localStorage.getItem(LOCAL_USERNAME_KEY);
+        if (!username) {
+            throw new Error('Not signed in to the local backend');
+        }
+        return username;
+    }
+
+    const user = await Auth.currentAuthenticatedUser();
+    return user.username;
+}
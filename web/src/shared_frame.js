@@ -0,0 +1,197 @@
+import { Quaternion, Vector3 } from 'three';
+import { applyAlignment, solveAlignment } from './room_alignment';
+import { getRoom, putRoomSignature } from './cloud';
+
+// A signature keeps the largest planes, and isn't stored with fewer than this many.
+const MAX_SIGNATURE_PLANES = 32;
+const MIN_SIGNATURE_PLANES = 3;
+// Planes keep being detected, and their poses settle, for a while after each one is added.
+const SIGNATURE_UPLOAD_DELAY_MS = 3000;
+// How long to keep trying to align to a room's signature as planes are detected, before placing its
+// annotations without alignment.
+const ALIGNMENT_TIMEOUT_MS = 10000;
+const ALIGNMENT_RETRY_MS = 500;
+// Signatures are stored to the millimeter.
+const PRECISION = 1000;
+
+const up = new Vector3(0, 1, 0);
+const planeNormal = new Vector3();
+const planeCenter = new Vector3();
+
+// How a point of the room is turned and moved to get to this device's coordinates, or null while the
+// device uses the room's coordinates as they are.
+let roomToDevice = null;
+// The room whose signature this device will store once enough planes are detected, as it has none yet.
+let signatureRoomId = null;
+let signatureUpload = null;
+
+const round = (value) => Math.round(value * PRECISION) / PRECISION;
+
+const toPose = (position, orientation) => {
+    return {
+        position: { x: position.x, y: position.y, z: position.z },
+        orientation: { x: orientation.x, y: orientation.y, z: orientation.z, w: orientation.w }
+    };
+}
+
+/**
+ * The floor, walls and other upward facing surfaces among the planes RATK detects, in this device's
+ * coordinates, as room_alignment takes them.
+ * @param {Iterable} planes   RATK's planes
+ */
+export const createPlaneSignature = (planes) => {
+    const signaturePlanes = [];
+    for (const plane of planes) {
+        plane.updateMatrixWorld();
+        // Planes lie in their local xz plane, with the y axis as their normal.
+        planeNormal.set(0, 1, 0).transformDirection(plane.matrixWorld);
+        if (planeNormal.dot(up) < -0.3) {
+            continue;
+        }
+        plane.getWorldPosition(planeCenter);
+        signaturePlanes.push({
+            label: plane.semanticLabel ? String(plane.semanticLabel).toLowerCase() : '',
+            normal: planeNormal.toArray().map(round),
+            center: planeCenter.toArray().map(round),
+            extent: [round(plane.boundingRectangleWidth || 0), round(plane.boundingRectangleHeight || 0)]
+        });
+    }
+
+    signaturePlanes.sort((a, b) => b.extent[0] * b.extent[1] - a.extent[0] * a.extent[1]);
+    return { planes: signaturePlanes.slice(0, MAX_SIGNATURE_PLANES) };
+}
+
+const uploadSignature = async (planes) => {
+    signatureUpload = null;
+    const planeSignature = createPlaneSignature(planes);
+    if (!signatureRoomId || planeSignature.planes.length < MIN_SIGNATURE_PLANES) {
+        return;
+    }
+
+    const roomId = signatureRoomId;
+    const stored = await putRoomSignature(roomId, planeSignature).catch(() => null);
+    if (stored !== null && signatureRoomId === roomId) {
+        // Another device may have been first; either way the room has a signature now.
+        signatureRoomId = null;
+    }
+}
+
+/**
+ * Stores the room's plane signature a few seconds after planes stop being added, if this device's coordinates
+ * are the room's. Call whenever RATK adds a plane.
+ * @param {Iterable} planes   RATK's planes
+ */
+export const schedulePlaneSignatureUpload = (planes) => {
+    if (!signatureRoomId) {
+        return;
+    }
+    clearTimeout(signatureUpload);
+    signatureUpload = setTimeout(() => uploadSignature(planes), SIGNATURE_UPLOAD_DELAY_MS);
+}
+
+/**
+ * Uses an alignment found some other way, e.g. from reference markers, to place the room's annotations.
+ * @param {Object|null} alignment   As room_alignment's solvers give it, or null to use the room's coordinates as they are
+ */
+export const useAlignment = (alignment) => {
+    signatureRoomId = null;
+    setAlignment(alignment);
+}
+
+const setAlignment = (alignment) => {
+    if (!alignment) {
+        roomToDevice = null;
+        return;
+    }
+
+    // The alignment takes this device's points into the room; placing the room's annotations needs the reverse.
+    const quaternion = new Quaternion().setFromAxisAngle(up, -alignment.yaw);
+    const { x, y, z } = alignment.translation;
+    roomToDevice = { quaternion, translation: new Vector3(x, y, z), alignment };
+}
+
+/**
+ * Works out how this device's coordinates relate to those the room's annotations are stored in, by aligning the
+ * planes it detects to the room's plane signature. Rooms without a signature get this device's planes, which makes
+ * its coordinates the room's. If the planes don't match within a few seconds, the coordinates are taken as they are.
+ * Call before placing the room's annotations.
+ * @param {Object} room   The current room
+ * @param {Iterable} planes   RATK's planes
+ * @returns {Object|null}   The alignment, as room_alignment's solveAlignment gives it, or null without one
+ */
+export const alignToRoom = async (room, planes) => {
+    setAlignment(null);
+    signatureRoomId = null;
+    if (!room) {
+        return null;
+    }
+
+    const storedRoom = await getRoom(room.roomId).catch(() => null);
+    if (!storedRoom) {
+        console.log("Room not found, placing its annotations without alignment");
+        return null;
+    }
+    if (!storedRoom.planeSignature) {
+        signatureRoomId = room.roomId;
+        schedulePlaneSignatureUpload(planes);
+        return null;
+    }
+
+    const deadline = performance.now() + ALIGNMENT_TIMEOUT_MS;
+    for (;;) {
+        const alignment = solveAlignment(storedRoom.planeSignature.planes, createPlaneSignature(planes).planes);
+        if (alignment) {
+            console.log("Aligned to the room's planes: ", alignment);
+            setAlignment(alignment);
+            return alignment;
+        }
+        if (performance.now() >= deadline) {
+            console.warn("The detected planes don't match the room's, placing its annotations without alignment");
+            return null;
+        }
+        await new Promise(resolve => setTimeout(resolve, ALIGNMENT_RETRY_MS));
+    }
+}
+
+/**
+ * Whether this device's coordinates have been aligned to the room's plane signature.
+ */
+export const isAlignedToRoom = () => {
+    return roomToDevice !== null;
+}
+
+/**
+ * Where a pose stored with the room is in this device's coordinates.
+ * @param {Object} position   As {x, y, z}
+ * @param {Object} [orientation]   As {x, y, z, w}
+ * @returns {Object}   As {position: {x, y, z}, orientation: {x, y, z, w}}
+ */
+export const toDeviceFrame = (position, orientation = { x: 0, y: 0, z: 0, w: 1 }) => {
+    if (!roomToDevice) {
+        return toPose(position, orientation);
+    }
+
+    const devicePosition = new Vector3(position.x, position.y, position.z)
+        .sub(roomToDevice.translation)
+        .applyQuaternion(roomToDevice.quaternion);
+    const deviceOrientation = roomToDevice.quaternion.clone()
+        .multiply(new Quaternion(orientation.x, orientation.y, orientation.z, orientation.w));
+    return toPose(devicePosition, deviceOrientation);
+}
+
+/**
+ * Where a pose of this device is in the coordinates annotations are stored in with the room.
+ * @param {Object} position   As {x, y, z}
+ * @param {Object} [orientation]   As {x, y, z, w}
+ * @returns {Object}   As {position: {x, y, z}, orientation: {x, y, z, w}}
+ */
+export const toRoomFrame = (position, orientation = { x: 0, y: 0, z: 0, w: 1 }) => {
+    if (!roomToDevice) {
+        return toPose(position, orientation);
+    }
+
+    const [x, y, z] = applyAlignment(roomToDevice.alignment, [position.x, position.y, position.z]);
+    const roomOrientation = roomToDevice.quaternion.clone().invert()
+        .multiply(new Quaternion(orientation.x, orientation.y, orientation.z, orientation.w));
+    return toPose({ x, y, z }, roomOrientation);
+}
@@ -0,0 +1,179 @@
+import { Vector3 } from "three";
+import { SketchObject } from "./sketch_object";
+import { encodeSketch } from "./sketch_object";
+import { getVisibilityFields } from "./annotation_object_creation";
+import { getCurrentUsername } from "./session";
+import { uploadAsset, UploadError } from "./fetchurl";
+import { deleteUserAnnotation, putUserAnnotation } from "./cloud";
+import { getCurrentRoom } from "./rooms";
+import { toRoomFrame } from "./shared_frame";
+
+// A new point is only added once the tip has moved this far, which keeps sketch.json small.
+const MIN_POINT_DISTANCE = 0.005;
+const MAX_POINTS_PER_STROKE = 2000;
+const MAX_STROKES = 200;
+// Stroke width at the lightest and the firmest pull of the trigger.
+const MIN_STROKE_WIDTH = 0.002;
+const MAX_STROKE_WIDTH = 0.012;
+const STROKE_COLORS = [
+    { name: "white", color: 0xffffff },
+    { name: "red", color: 0xff3333 },
+    { name: "yellow", color: 0xffcc00 },
+    { name: "green", color: 0x33cc33 },
+    { name: "blue", color: 0x3399ff },
+    { name: "purple", color: 0xcc33ff }
+];
+// How far in front of the controller the pen tip is.
+const TIP_OFFSET = new Vector3(0, 0, -0.05);
+
+const tipPosition = new Vector3();
+
+// The sketch being drawn, as {anchor, sketchObject}, or null outside of draw mode.
+let drawing = null;
+// The strokes being drawn, as {controller, stroke} for each controller whose trigger is held.
+let activeStrokes = [];
+let colorIndex = 0;
+
+export const isDrawing = () => {
+    return drawing !== null;
+}
+
+/**
+ * The color strokes are drawn in, as {name, color}.
+ */
+export const getStrokeColor = () => {
+    return STROKE_COLORS[colorIndex];
+}
+
+/**
+ * Switches the color of the strokes drawn from now on to the next one.
+ */
+export const nextStrokeColor = () => {
+    colorIndex = (colorIndex + 1) % STROKE_COLORS.length;
+}
+
+/**
+ * Enters draw mode. Strokes are stored relative to the anchor.
+ */
+export const startSketch = (anchor) => {
+    if (drawing || !anchor) {
+        return false;
+    }
+
+    drawing = { anchor, sketchObject: new SketchObject(anchor, null, null) };
+    return true;
+}
+
+const getTipWorldPosition = (controller) => {
+    controller.updateMatrixWorld();
+    return controller.localToWorld(tipPosition.copy(TIP_OFFSET));
+}
+
+// How hard the trigger is pulled, 0..1. Controllers without an analog trigger draw at full width.
+const getTriggerValue = (controller) => {
+    const gamepad = controller.inputSource ? controller.inputSource.gamepad : null;
+    return gamepad && gamepad.buttons[0] ? gamepad.buttons[0].value : 1;
+}
+
+const addPoint = (controller, stroke) => {
+    const worldPosition = getTipWorldPosition(controller);
+    const point = drawing.anchor.worldToLocal(worldPosition.clone());
+    const lastPoint = stroke.points[stroke.points.length - 1];
+    if ((lastPoint && lastPoint.distanceTo(point) < MIN_POINT_DISTANCE) || stroke.points.length >= MAX_POINTS_PER_STROKE) {
+        return;
+    }
+
+    stroke.points.push(point);
+    stroke.widths.push(MIN_STROKE_WIDTH + (MAX_STROKE_WIDTH - MIN_STROKE_WIDTH) * getTriggerValue(controller));
+}
+
+export const startStroke = (controller) => {
+    if (!drawing || drawing.sketchObject.strokes.length + activeStrokes.length >= MAX_STROKES) {
+        return;
+    }
+
+    const stroke = { color: getStrokeColor().color, points: [], widths: [] };
+    activeStrokes.push({ controller, stroke });
+    addPoint(controller, stroke);
+}
+
+/**
+ * Follows the controllers drawing a stroke. Call from the render loop.
+ */
+export const updateStrokes = () => {
+    if (!drawing) {
+        return;
+    }
+
+    for (const { controller, stroke } of activeStrokes) {
+        addPoint(controller, stroke);
+    }
+    const lastStroke = activeStrokes[activeStrokes.length - 1];
+    drawing.sketchObject.setPreviewStroke(lastStroke ? lastStroke.stroke : null);
+}
+
+export const endStroke = (controller) => {
+    const activeStroke = activeStrokes.find(activeStroke => activeStroke.controller === controller);
+    if (!drawing || !activeStroke) {
+        return;
+    }
+
+    activeStrokes.splice(activeStrokes.indexOf(activeStroke), 1);
+    drawing.sketchObject.setPreviewStroke(null);
+    if (activeStroke.stroke.points.length > 0) {
+        drawing.sketchObject.addStroke(activeStroke.stroke);
+    }
+}
+
+/**
+ * Leaves draw mode, storing the sketch as a sketch annotation with its strokes uploaded as sketch.json.
+ * A sketch without strokes is discarded.
+ * @returns {string|null}   Why the sketch couldn't be stored, or null if it was stored or discarded
+ */
+export const finishSketch = async () => {
+    if (!drawing) {
+        return null;
+    }
+
+    [...activeStrokes].forEach(activeStroke => endStroke(activeStroke.controller));
+    const { anchor, sketchObject } = drawing;
+    drawing = null;
+    activeStrokes = [];
+
+    if (sketchObject.strokes.length === 0) {
+        sketchObject.dispose();
+        return null;
+    }
+
+    // Another device places the strokes by where their first point is in the room's coordinates.
+    const firstPoint = anchor.localToWorld(sketchObject.strokes[0].points[0].clone());
+    const room = getCurrentRoom();
+    const annotationData = {
+        type: 'sketch',
+        roomId: room ? room.roomId : undefined,
+        ...getVisibilityFields(room),
+        // Where the first stroke starts, like the position of other annotations. The strokes carry their own.
+        position: { x: firstPoint.x, y: firstPoint.y, z: firstPoint.z },
+        orientation: { x: 0, y: 0, z: 0, w: 1 }
+    };
+
+    sketchObject.username = await getCurrentUsername();
+    const annotationId = await putUserAnnotation({ ...annotationData, ...toRoomFrame(annotationData.position, annotationData.orientation) }).catch(() => null);
+    if (!annotationId) {
+        sketchObject.dispose();
+        return "Storing the sketch failed.";
+    }
+    sketchObject.annotationId = annotationId;
+
+    const sketchBlob = new Blob([JSON.stringify(encodeSketch(sketchObject.strokes))], { type: 'application/json' });
+    try {
+        await uploadAsset(`${annotationId}/sketch.json`, sketchBlob);
+    } catch (error) {
+        console.error('Sketch upload failed: ', error);
+        deleteUserAnnotation(annotationId).catch(() => {});
+        sketchObject.dispose();
+        return error instanceof UploadError ? error.message : "Uploading the sketch failed.";
+    }
+
+    return null;
+}
@@ -0,0 +1,185 @@
+import {
+    BufferGeometry,
+    CatmullRomCurve3,
+    Group,
+    Line,
+    LineBasicMaterial,
+    Mesh,
+    MeshBasicMaterial,
+    SphereGeometry,
+    TubeGeometry,
+    Vector3,
+} from 'three';
+
+// sketch.json stores coordinates in millimeters and widths in tenths of a millimeter, both as integers.
+const SKETCH_FORMAT_VERSION = 1;
+const POSITION_UNITS_PER_METER = 1000;
+const WIDTH_UNITS_PER_METER = 10000;
+
+const RADIAL_SEGMENTS = 6;
+const MAX_TUBULAR_SEGMENTS = 512;
+
+const ringCenter = new Vector3();
+const vertex = new Vector3();
+
+export const sketchObjects = [];
+
+/**
+ * Serializes strokes into the compact format stored as sketch.json:
+ *
+ *   {v: 1, s: [{c: 'ff8800', p: [x, y, z, dx, dy, dz, ...], w: [width, ...]}, ...]}
+ *
+ * Each point after the first is stored as its difference to the previous one.
+ * @param {Object[]} strokes   As {color, points, widths}: a 0xRRGGBB color, Vector3 points relative to the
+ *                             primary anchor and a width in meters for each point
+ */
+export const encodeSketch = (strokes) => {
+    return {
+        v: SKETCH_FORMAT_VERSION,
+        s: strokes.map(stroke => {
+            const encodedPoints = [];
+            let previous = [0, 0, 0];
+            for (const point of stroke.points) {
+                const current = [point.x, point.y, point.z].map(value => Math.round(value * POSITION_UNITS_PER_METER));
+                encodedPoints.push(...current.map((value, index) => value - previous[index]));
+                previous = current;
+            }
+
+            return {
+                c: stroke.color.toString(16).padStart(6, '0'),
+                p: encodedPoints,
+                w: stroke.widths.map(width => Math.max(1, Math.round(width * WIDTH_UNITS_PER_METER)))
+            };
+        })
+    };
+}
+
+/**
+ * Reads strokes back from sketch.json, as {color, points, widths} like encodeSketch takes them.
+ */
+export const decodeSketch = (data) => {
+    if (!data || data.v !== SKETCH_FORMAT_VERSION || !Array.isArray(data.s)) {
+        throw new Error("Unsupported sketch format");
+    }
+
+    return data.s.map(encodedStroke => {
+        const points = [];
+        const current = [0, 0, 0];
+        for (let i = 0; i + 2 < encodedStroke.p.length; i += 3) {
+            for (let axis = 0; axis < 3; axis++) {
+                current[axis] += encodedStroke.p[i + axis];
+            }
+            points.push(new Vector3(...current.map(value => value / POSITION_UNITS_PER_METER)));
+        }
+
+        return {
+            color: parseInt(encodedStroke.c, 16),
+            points: points,
+            widths: points.map((_point, index) => (encodedStroke.w[index] || 1) / WIDTH_UNITS_PER_METER)
+        };
+    });
+}
+
+/**
+ * Builds a tube through the stroke's points whose thickness follows the stroke's widths.
+ */
+const buildStrokeGeometry = (stroke) => {
+    if (stroke.points.length === 1) {
+        const geometry = new SphereGeometry(stroke.widths[0] / 2, RADIAL_SEGMENTS * 2, RADIAL_SEGMENTS);
+        geometry.translate(stroke.points[0].x, stroke.points[0].y, stroke.points[0].z);
+        return geometry;
+    }
+
+    const curve = new CatmullRomCurve3(stroke.points);
+    const tubularSegments = Math.min(MAX_TUBULAR_SEGMENTS, (stroke.points.length - 1) * 2);
+    const geometry = new TubeGeometry(curve, tubularSegments, 1, RADIAL_SEGMENTS, false);
+
+    // The tube is built with a radius of 1: each ring of RADIAL_SEGMENTS + 1 vertices is scaled around
+    // its point on the curve to half the width there.
+    const positions = geometry.attributes.position;
+    for (let ring = 0; ring <= tubularSegments; ring++) {
+        const along = ring / tubularSegments * (stroke.widths.length - 1);
+        const before = Math.floor(along);
+        const after = Math.min(before + 1, stroke.widths.length - 1);
+        const radius = (stroke.widths[before] + (stroke.widths[after] - stroke.widths[before]) * (along - before)) / 2;
+
+        curve.getPointAt(ring / tubularSegments, ringCenter);
+        for (let j = 0; j <= RADIAL_SEGMENTS; j++) {
+            const index = ring * (RADIAL_SEGMENTS + 1) + j;
+            vertex.fromBufferAttribute(positions, index).sub(ringCenter).multiplyScalar(radius).add(ringCenter);
+            positions.setXYZ(index, vertex.x, vertex.y, vertex.z);
+        }
+    }
+    positions.needsUpdate = true;
+    geometry.computeBoundingSphere();
+    return geometry;
+}
+
+/**
+ * A sketch drawn in the air. Its strokes are relative to the anchor it is attached to.
+ */
+export class SketchObject {
+    constructor(anchor, annotationId, username, strokes = []) {
+        this.annotationId = annotationId;
+        this.username = username;
+        this.strokes = [];
+        this.isDisposed = false;
+
+        this._anchor = anchor;
+        this._group = new Group();
+        this._materials = new Map();
+        this._preview = null;
+        anchor.add(this._group);
+
+        strokes.forEach(stroke => this.addStroke(stroke));
+        sketchObjects.push(this);
+    }
+
+    _getMaterial(color) {
+        if (!this._materials.has(color)) {
+            this._materials.set(color, new MeshBasicMaterial({ color: color }));
+        }
+        return this._materials.get(color);
+    }
+
+    addStroke(stroke) {
+        this.strokes.push(stroke);
+        this._group.add(new Mesh(buildStrokeGeometry(stroke), this._getMaterial(stroke.color)));
+    }
+
+    /**
+     * Shows a stroke that is still being drawn as a thin line, or nothing when given null.
+     */
+    setPreviewStroke(stroke) {
+        if (this._preview) {
+            this._group.remove(this._preview);
+            this._preview.geometry.dispose();
+            this._preview.material.dispose();
+            this._preview = null;
+        }
+        if (!stroke || stroke.points.length < 2) {
+            return;
+        }
+
+        this._preview = new Line(new BufferGeometry().setFromPoints(stroke.points), new LineBasicMaterial({ color: stroke.color }));
+        this._group.add(this._preview);
+    }
+
+    /**
+     * Turns and moves the strokes, given where the anchor's origin goes in the scene and how it is turned.
+     */
+    setPose(position, quaternion) {
+        this._group.position.copy(position).sub(this._anchor.position);
+        this._group.quaternion.copy(quaternion);
+    }
+
+    dispose() {
+        this.setPreviewStroke(null);
+        this._group.children.forEach(mesh => mesh.geometry.dispose());
+        this._materials.forEach(material => material.dispose());
+        this._anchor.remove(this._group);
+        this.isDisposed = true;
+
+        sketchObjects.splice(sketchObjects.indexOf(this), 1);
+    }
+}
@@ -0,0 +1,45 @@
+import { TextObject } from "./text_object";
+import { getPreferredLanguage, getVisibilityFields } from "./annotation_object_creation";
+import { getCurrentUsername } from "./session";
+import { putUserAnnotation } from "./cloud";
+import { getCurrentRoom } from "./rooms";
+import { getFeatureFields } from "./feature_anchors";
+import { toRoomFrame } from "./shared_frame";
+
+// Matches the limit putUserAnnotation sets for text annotations.
+export const MAX_TEXT_LENGTH = 500;
+
+/**
+ * Stores a typed note as a text annotation and shows it at the given position. Notes to be read aloud are
+ * spoken in the language picked for recordings, or in English when it is detected automatically.
+ * @param {Object} position   Where the note was placed, e.g. the hit test target's position
+ * @returns {string|null}   Why the note couldn't be stored, or null if it was stored
+ */
+export const storeTextAnnotation = async (anchor, position, text, readAloud) => {
+    if (!anchor || text.length === 0) {
+        return "There is nothing to store.";
+    }
+
+    const room = getCurrentRoom();
+    const annotationData = {
+        type: 'text',
+        roomId: room ? room.roomId : undefined,
+        ...getVisibilityFields(room),
+        text: text.slice(0, MAX_TEXT_LENGTH),
+        readAloud: readAloud,
+        language: getPreferredLanguage(),
+        position: { x: position.x, y: position.y, z: position.z },
+        orientation: { x: 0, y: 0, z: 0, w: 1 }
+    };
+    Object.assign(annotationData, getFeatureFields(annotationData.position, annotationData.orientation));
+
+    const textObject = new TextObject(anchor, null, await getCurrentUsername(), annotationData.text, position, readAloud);
+    const annotationId = await putUserAnnotation({ ...annotationData, ...toRoomFrame(annotationData.position, annotationData.orientation) }).catch(() => null);
+    if (!annotationId) {
+        textObject.dispose();
+        return "Storing the note failed.";
+    }
+    textObject.annotationId = annotationId;
+
+    return null;
+}
@@ -0,0 +1,121 @@
+import { Group } from 'three';
+import { Text } from 'troika-three-text';
+import { createAudioAnnotationSource } from './annotation_object_creation';
+import { fetchPreSignedUrl } from './fetchurl';
+
+const LABEL_FONT_SIZE = 0.06;
+const LABEL_MAX_WIDTH = 0.6;
+const LABEL_COLOR = 0xffffff;
+const SPEAKING_LABEL_COLOR = 0x99ffff;
+
+export const textObjects = [];
+
+/**
+ * A typed note shown as a label that always faces the user. Notes stored with readAloud are read aloud,
+ * spatialized at the note, when selected.
+ */
+export class TextObject {
+    constructor(anchor, annotationId, username, text, position, readAloud = false, speechUrl = null) {
+        this.annotationId = annotationId;
+        this.username = username;
+        this.text = text;
+        this.readAloud = readAloud;
+        this.position = { x: position.x, y: position.y, z: position.z };
+        this.isDisposed = false;
+
+        this._anchor = anchor;
+        this._speechUrl = speechUrl;
+        this._speaking = false;
+
+        this._group = new Group();
+        this._group.position.copy(position);
+        anchor.add(this._group);
+        this._group.position.sub(anchor.position);
+
+        const label = new Text();
+        label.text = text;
+        label.anchorX = 'center';
+        label.anchorY = 'bottom';
+        label.fontSize = LABEL_FONT_SIZE;
+        label.maxWidth = LABEL_MAX_WIDTH;
+        label.textAlign = 'center';
+        label.color = LABEL_COLOR;
+        label.outlineWidth = 0.005;
+        label.textObject = this;
+        label.sync();
+        this._group.add(label);
+        this._label = label;
+
+        textObjects.push(this);
+    }
+
+    _setSpeaking(speaking) {
+        this._speaking = speaking;
+        this._label.color = speaking ? SPEAKING_LABEL_COLOR : LABEL_COLOR;
+        this._label.sync();
+    }
+
+    /**
+     * Reads the note aloud through the audio engine, or stops reading it if it is being read.
+     * Notes that weren't stored with readAloud stay silent.
+     */
+    async toggleSpeech() {
+        if (!this.readAloud || !this.annotationId) {
+            return;
+        }
+
+        let audioSource = window.audioEngine.getSourceByAnnotationId(this.annotationId);
+        if (this._speaking) {
+            audioSource.stop();
+            this._setSpeaking(false);
+            return;
+        }
+
+        this._setSpeaking(true);
+        try {
+            if (!audioSource) {
+                // Notes placed in this session don't have the URL from the room bundle.
+                const speechUrl = this._speechUrl || await fetchPreSignedUrl(`${this.username}/${this.annotationId}/speech.mp3`);
+                audioSource = await createAudioAnnotationSource(this.annotationId, speechUrl, this.position);
+            }
+        } catch (error) {
+            console.error('Failed to load the speech of a note: ', error);
+            this._setSpeaking(false);
+            return;
+        }
+
+        if (this.isDisposed || !this._speaking) {
+            return;
+        }
+        audioSource.onEnded = () => this._setSpeaking(false);
+        audioSource.play(false);
+    }
+
+    /**
+     * Moves the note and the sound it is read aloud with, given its position in the scene.
+     */
+    setPosition(position) {
+        this.position = { x: position.x, y: position.y, z: position.z };
+        this._group.position.copy(position).sub(this._anchor.position);
+
+        const audioSource = window.audioEngine.getSourceByAnnotationId(this.annotationId);
+        if (audioSource) {
+            audioSource.setPosition(position);
+        }
+    }
+
+    update(camera) {
+        if (camera) {
+            this._label.lookAt(camera.position);
+        }
+    }
+
+    dispose() {
+        window.audioEngine.removeSource(this.annotationId);
+        this._label.dispose();
+        this._anchor.remove(this._group);
+        this.isDisposed = true;
+
+        textObjects.splice(textObjects.indexOf(this), 1);
+    }
+}
@@ -0,0 +1,65 @@
+import { getAnnotationThread } from "./cloud";
+import { getAnnotationObjectById } from "./annotation_object";
+
+// The thread being played, as {annotationObject} for the annotation currently playing in it.
+let playing = null;
+
+/**
+ * Plays an annotation and the replies to it once each, oldest reply first. Starting another thread or
+ * calling stopThread stops it.
+ * @param {Object} annotationObject   The annotation, or any reply in its thread
+ * @param {function} onPlay   Called with each annotation object as it starts playing
+ * @returns {boolean}   Whether the thread was played to the end
+ */
+export const playThread = async (annotationObject, onPlay) => {
+    stopThread();
+    const current = { annotationObject: null };
+    playing = current;
+
+    const thread = await getAnnotationThread(annotationObject.username, annotationObject.annotationId).catch(() => null);
+    if (!thread) {
+        return false;
+    }
+
+    // Only what is in the scene can be played; replies still being recorded are left out.
+    const threadObjects = [thread.annotation, ...thread.replies]
+        .map(annotation => getAnnotationObjectById(annotation.annotationId))
+        .filter(threadObject => threadObject);
+
+    for (const threadObject of threadObjects) {
+        if (playing !== current) {
+            return false;
+        }
+        if (threadObject.state === "playing") {
+            threadObject.setState("complete");
+        }
+        if (threadObject.isDisposed || threadObject.state !== "complete") {
+            continue;
+        }
+
+        current.annotationObject = threadObject;
+        onPlay(threadObject);
+        await threadObject.playOnce();
+    }
+
+    if (playing !== current) {
+        return false;
+    }
+    playing = null;
+    return true;
+}
+
+/**
+ * Stops the thread being played, if any, along with the annotation playing in it.
+ */
+export const stopThread = () => {
+    if (!playing) {
+        return;
+    }
+
+    const { annotationObject } = playing;
+    playing = null;
+    if (annotationObject && annotationObject.state === "playing") {
+        annotationObject.setState("complete");
+    }
+}
@@ -0,0 +1,83 @@
+import { getRoomAnnotations, getUserAnnotations } from "./cloud";
+import { getCurrentRoom } from "./rooms";
+import { updateUserTextRecord } from "./user_text_records";
+
+const TRANSCRIPT_POLL_INTERVAL_SECONDS = 5;
+
+export const TranscriptStatus = {
+    pending: 'pending',
+    processing: 'processing',
+    complete: 'complete',
+    failed: 'failed',
+};
+
+const watchedAnnotationObjects = new Set();
+let pollTimeoutId = null;
+
+export const isTranscriptPending = (status) => {
+    return status === TranscriptStatus.pending || status === TranscriptStatus.processing;
+}
+
+/**
+ * Text to show in place of a transcript that isn't available (yet).
+ * @param {string} [failureReason]   Why the recording couldn't be processed, shown instead when it failed
+ */
+export const describeTranscriptStatus = (status, failureReason) => {
+    if (isTranscriptPending(status)) {
+        return "transcribing…";
+    }
+    if (status === TranscriptStatus.failed) {
+        return failureReason || "transcription failed";
+    }
+    return "";
+}
+
+/**
+ * Keeps an annotation object's transcript status up to date until its transcript is complete or has failed.
+ */
+export const watchTranscriptStatus = (annotationObject) => {
+    if (!isTranscriptPending(annotationObject.transcriptStatus)) {
+        return;
+    }
+
+    watchedAnnotationObjects.add(annotationObject);
+    if (!pollTimeoutId) {
+        pollTimeoutId = setTimeout(pollTranscriptStatus, TRANSCRIPT_POLL_INTERVAL_SECONDS * 1000);
+    }
+}
+
+const pollTranscriptStatus = async () => {
+    pollTimeoutId = null;
+
+    try {
+        const room = getCurrentRoom();
+        const annotations = room ? await getRoomAnnotations(room.roomId) : await getUserAnnotations();
+
+        const completedAnnotations = [];
+        for (const annotationObject of watchedAnnotationObjects) {
+            const annotation = annotations.find(annotation => annotation.annotationId === annotationObject.annotationId);
+            if (annotationObject.isDisposed || !annotation) {
+                watchedAnnotationObjects.delete(annotationObject);
+                continue;
+            }
+
+            annotationObject.language = annotation.language;
+            annotationObject.setTranscriptStatus(annotation.transcriptStatus, annotation.transcriptFailureReason);
+            annotationObject.setModerationStatus(annotation.moderationStatus);
+            if (!isTranscriptPending(annotation.transcriptStatus)) {
+                watchedAnnotationObjects.delete(annotationObject);
+                if (annotation.transcriptStatus === TranscriptStatus.complete) {
+                    completedAnnotations.push(annotation);
+                }
+            }
+        }
+
+        await Promise.all(completedAnnotations.map(annotation => updateUserTextRecord(annotation.username, annotation.annotationId)));
+    } catch (error) {
+        console.error('Failed to poll transcript status: ', error);
+    }
+
+    if (watchedAnnotationObjects.size > 0) {
+        pollTimeoutId = setTimeout(pollTranscriptStatus, TRANSCRIPT_POLL_INTERVAL_SECONDS * 1000);
+    }
+}
@@ -1,19 +1,32 @@
-
-import { fetchAllTextFiles } from "./cloud";
+import { fetchTranscriptByAnnotation } from "./cloud";
 
 let userTextRecords = [];
 
-export const updateUserTextRecords = async () => {
-    userTextRecords = await fetchAllTextFiles();
-    console.log(userTextRecords);
+/**
+ * Stores a transcript that was fetched some other way, e.g. with the annotation bundles.
+ */
+export const setUserTextRecord = (username, annotationId, text) => {
+    const record = userTextRecords.find(record => record.annotationId === annotationId);
+    if (record) {
+        record.text = text;
+        return;
+    }
+    userTextRecords.push({ username: username, annotationId: annotationId, text: text });
 }
 
-export const removeUserTextRecord = async (username) => {
-    if (userTextRecords.length === 0) {
-        await updateUserTextRecords();
+/**
+ * Fetches the transcript of one annotation again, e.g. once it is complete, and stores it.
+ */
+export const updateUserTextRecord = async (username, annotationId) => {
+    const text = await fetchTranscriptByAnnotation(username, annotationId);
+    if (text !== null) {
+        setUserTextRecord(username, annotationId, text);
     }
+    return text;
+}
 
-    const index = userTextRecords.findIndex(record => record.username === username);
+export const removeUserTextRecord = (annotationId) => {
+    const index = userTextRecords.findIndex(record => record.annotationId === annotationId);
     if (index === -1) {
         return;
     }
@@ -21,17 +34,15 @@ export const removeUserTextRecord = async (username) => {
     userTextRecords.splice(index, 1);
 }
 
-export const getUserText = async (username) => {
-    // if (userTextRecords.length === 0) {
-        await updateUserTextRecords();
-    // }
-
-    const record = userTextRecords.find(record => record.username === username);
-    if (!record) {
-        return null;
-    }
-
-    const text = record.text;
+/**
+ * The transcript of an annotation, or null if it has none (yet).
+ * @param {string} username   The owner of the annotation, to fetch its transcript if it isn't stored yet
+ */
+export const getUserText = async (annotationId, username) => {
+    // Loaded annotations come with their transcript, and new transcripts are fetched once they are complete
+    // (see transcript_status.js), so only unknown annotations need their transcript fetched.
+    const record = userTextRecords.find(record => record.annotationId === annotationId);
+    const text = record ? record.text : await updateUserTextRecord(username, annotationId);
     console.log("User text: ", text);
 
     return text;
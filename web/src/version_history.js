@@ -0,0 +1,196 @@
+import { getAnnotationVersions, getUserAnnotations, restoreAnnotationVersion } from "./cloud";
+import { getPlayableAudioRendition } from "./audio";
+import { getUserText, setUserTextRecord } from "./user_text_records";
+import { TranscriptStatus } from "./transcript_status";
+
+// The annotation whose takes are being browsed in XR, as {annotationObject, takes, transcripts, index}.
+let browsing = null;
+
+const fetchAudioBlob = async (audioUrl) => {
+    const response = await fetch(audioUrl);
+    if (!response.ok) {
+        throw new Error(`HTTP error! Status: ${response.status}`);
+    }
+    return response.blob();
+}
+
+const getTranscriptText = (transcripts, versionId) => {
+    const transcript = transcripts.find(transcript => transcript.versionId === versionId);
+    return transcript ? transcript.text : null;
+}
+
+const describeTake = (take, index, count) => {
+    const recordedAt = new Date(take.recordedAt).toLocaleString();
+    return `Take ${count - index} of ${count}, ${recordedAt}${take.isCurrent ? " (current)" : ""}`;
+}
+
+/**
+ * Plays one of the annotation's takes from the annotation itself, in place of the current one.
+ */
+const playTake = async (annotationObject, take) => {
+    const audioSource = window.audioEngine.getSourceByAnnotationId(annotationObject.annotationId);
+    if (!audioSource || !take.audioUrl) {
+        return;
+    }
+
+    const blob = await fetchAudioBlob(take.audioUrl);
+    audioSource.stop();
+    await audioSource.load(blob);
+    // The peaks belong to the current take; the analyser measures whichever one is playing.
+    annotationObject.setPeaks(null);
+    if (annotationObject.state === "playing") {
+        audioSource.play();
+    }
+}
+
+/**
+ * Steps to the next older take of one of the user's own annotations and plays it, wrapping around to the
+ * current take after the oldest one.
+ * @returns {Object|null}   The take as {description, text, isCurrent}, or null if there are no earlier takes
+ */
+export const previewNextTake = async (annotationObject) => {
+    if (!browsing || browsing.annotationObject !== annotationObject) {
+        const versions = await getAnnotationVersions(annotationObject.annotationId, getPlayableAudioRendition());
+        if (!versions || versions.takes.length < 2) {
+            return null;
+        }
+        browsing = { annotationObject, takes: versions.takes, transcripts: versions.transcripts, index: 0 };
+    }
+
+    browsing.index = (browsing.index + 1) % browsing.takes.length;
+    const take = browsing.takes[browsing.index];
+    await playTake(annotationObject, take);
+
+    return {
+        description: describeTake(take, browsing.index, browsing.takes.length),
+        text: getTranscriptText(browsing.transcripts, take.transcriptVersionId),
+        isCurrent: take.isCurrent
+    };
+}
+
+/**
+ * Makes the take being previewed the current one, along with its transcript.
+ * @returns {boolean}   Whether the take was restored
+ */
+export const restorePreviewedTake = async () => {
+    if (!browsing) {
+        return false;
+    }
+
+    const { annotationObject, takes, transcripts, index } = browsing;
+    const restored = await restoreAnnotationVersion(annotationObject.annotationId, { audioVersionId: takes[index].versionId }).catch(() => null);
+    if (!restored) {
+        return false;
+    }
+
+    // The restored take is already loaded; the next browse lists it as the newest version.
+    browsing = null;
+    const text = getTranscriptText(transcripts, restored.transcriptVersionId);
+    setUserTextRecord(annotationObject.username, annotationObject.annotationId, text || "");
+    annotationObject.setTranscriptStatus(text !== null ? TranscriptStatus.complete : TranscriptStatus.failed);
+    return true;
+}
+
+/**
+ * Stops browsing, bringing back the current take if an earlier one was being previewed.
+ */
+export const endPreview = async () => {
+    if (!browsing) {
+        return;
+    }
+
+    const { annotationObject, takes, index } = browsing;
+    browsing = null;
+    if (!takes[index].isCurrent && !annotationObject.isDisposed) {
+        await playTake(annotationObject, takes.find(take => take.isCurrent) || takes[0]);
+    }
+}
+
+export const isPreviewing = (annotationObject) => {
+    return browsing !== null && browsing.annotationObject === annotationObject;
+}
+
+const createButton = (text, onClick) => {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.onclick = onClick;
+    return button;
+}
+
+const renderTakes = async (annotationId, container) => {
+    container.textContent = "Loading…";
+    const versions = await getAnnotationVersions(annotationId, getPlayableAudioRendition()).catch(() => null);
+    container.textContent = "";
+    if (!versions) {
+        container.textContent = "Could not load the takes of this annotation.";
+        return;
+    }
+
+    const list = document.createElement('ul');
+    versions.takes.forEach((take, index) => {
+        const item = document.createElement('li');
+
+        const heading = document.createElement('strong');
+        heading.textContent = describeTake(take, index, versions.takes.length);
+        item.appendChild(heading);
+
+        if (take.audioUrl) {
+            const audio = document.createElement('audio');
+            audio.controls = true;
+            audio.preload = 'none';
+            audio.src = take.audioUrl;
+            item.appendChild(document.createElement('br'));
+            item.appendChild(audio);
+        }
+
+        const transcript = document.createElement('p');
+        transcript.textContent = getTranscriptText(versions.transcripts, take.transcriptVersionId) || "(no transcript)";
+        item.appendChild(transcript);
+
+        if (!take.isCurrent) {
+            item.appendChild(createButton("Restore this take", async () => {
+                const restored = await restoreAnnotationVersion(annotationId, { audioVersionId: take.versionId }).catch(() => null);
+                if (restored) {
+                    await renderTakes(annotationId, container);
+                }
+            }));
+        }
+
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+}
+
+/**
+ * Sets up the page's list of the user's annotations, where earlier takes can be previewed and restored
+ * without entering XR.
+ */
+export const setupVersionHistoryPanel = () => {
+    const panel = document.getElementById('version-history');
+    const list = document.getElementById('version-history-list');
+    if (!panel || !list) {
+        return;
+    }
+
+    panel.addEventListener('toggle', async () => {
+        if (!panel.open) {
+            return;
+        }
+
+        list.textContent = "Loading…";
+        const annotations = await getUserAnnotations().catch(() => []);
+        list.textContent = annotations.length === 0 ? "You haven't recorded anything yet." : "";
+
+        for (const annotation of annotations.filter(annotation => annotation.type === 'audio')) {
+            const item = document.createElement('li');
+            const text = document.createElement('p');
+            text.textContent = (await getUserText(annotation.annotationId, annotation.username)) || "(no transcript)";
+            item.appendChild(text);
+
+            const takes = document.createElement('div');
+            item.appendChild(createButton("Show takes", () => renderTakes(annotation.annotationId, takes)));
+            item.appendChild(takes);
+            list.appendChild(item);
+        }
+    });
+}
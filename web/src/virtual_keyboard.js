@@ -0,0 +1,212 @@
+import { Mesh, MeshBasicMaterial, PlaneGeometry } from 'three';
+import { Text } from 'troika-three-text';
+
+const KEY_ROWS = [
+    "1234567890",
+    "qwertyuiop",
+    "asdfghjkl'",
+    "zxcvbnm,.?"
+];
+const KEY_SIZE = 0.09;
+const KEY_GAP = 0.01;
+const KEY_FONT_SIZE = 0.05;
+const KEY_COLOR = 0x333333;
+const ACTIVE_KEY_COLOR = 0x006666;
+const KEY_TEXT_COLOR = 0xffffff;
+// The top row sits this far above the parent's origin, to be closer to eye level on the toolbar.
+const KEYBOARD_TOP = 0.6;
+const TEXT_FONT_SIZE = 0.06;
+const TEXT_MAX_WIDTH = 1.2;
+
+const keyGeometry = new PlaneGeometry(1, 1);
+
+// The keyboard being shown, with its meshes, the text typed so far and the options it was shown with, or null.
+let keyboard = null;
+
+export const isKeyboardShown = () => {
+    return keyboard !== null;
+}
+
+/**
+ * Adds a key with a label to the keyboard. Keys are direct children of the parent so that the controller
+ * ray, which only tests the toolbar's children, finds them; pressing one calls onSelect.
+ */
+const addKey = (label, x, y, width, onSelect, color = KEY_COLOR) => {
+    const key = new Mesh(keyGeometry, new MeshBasicMaterial({ color: color }));
+    key.scale.set(width, KEY_SIZE, 1);
+    key.position.set(x + width / 2, y, 0.2);
+    key.userData.onSelect = onSelect;
+    keyboard.parent.add(key);
+
+    const keyLabel = new Text();
+    keyLabel.text = label;
+    keyLabel.anchorX = 'center';
+    keyLabel.anchorY = 'middle';
+    keyLabel.fontSize = KEY_FONT_SIZE;
+    keyLabel.color = KEY_TEXT_COLOR;
+    keyLabel.position.set(x + width / 2, y, 0.201);
+    keyLabel.sync();
+    keyboard.parent.add(keyLabel);
+
+    keyboard.keys.push(key, keyLabel);
+    return { key, keyLabel };
+}
+
+const updateText = () => {
+    const { textMesh, text, options } = keyboard;
+    textMesh.text = text.length > 0 ? text + "|" : options.placeholder;
+    textMesh.color = text.length > 0 ? 0x000000 : 0x666666;
+    textMesh.sync();
+}
+
+const type = (characters) => {
+    keyboard.text = (keyboard.text + characters).slice(0, keyboard.maxLength);
+    if (keyboard.shift) {
+        setShift(false);
+    }
+    updateText();
+}
+
+const backspace = () => {
+    keyboard.text = keyboard.text.slice(0, -1);
+    updateText();
+}
+
+const setShift = (shift) => {
+    keyboard.shift = shift;
+    keyboard.letterKeys.forEach(({ keyLabel, character }) => {
+        keyLabel.text = shift ? character.toUpperCase() : character;
+        keyLabel.sync();
+    });
+    keyboard.shiftKey.key.material.color.set(shift ? ACTIVE_KEY_COLOR : KEY_COLOR);
+}
+
+const toggleOption = (option) => {
+    option.value = !option.value;
+    option.key.key.material.color.set(option.value ? ACTIVE_KEY_COLOR : KEY_COLOR);
+}
+
+// Typing on a physical keyboard works too, e.g. on desktop or with a keyboard paired to the headset.
+const handleKeyDown = (event) => {
+    if (event.target instanceof HTMLInputElement || event.target instanceof HTMLTextAreaElement) {
+        return;
+    }
+
+    if (event.key === 'Enter') {
+        finish();
+    }
+    else if (event.key === 'Escape') {
+        cancel();
+    }
+    else if (event.key === 'Backspace') {
+        backspace();
+    }
+    else if (event.key.length === 1 && !event.ctrlKey && !event.metaKey) {
+        type(event.key);
+    }
+    else {
+        return;
+    }
+    event.preventDefault();
+}
+
+const cancel = () => {
+    const { onCancel } = keyboard.options;
+    hideKeyboard();
+    onCancel();
+}
+
+const finish = () => {
+    const { text, toggles, options } = keyboard;
+    const values = Object.fromEntries(toggles.map(toggle => [toggle.name, toggle.value]));
+    hideKeyboard();
+    options.onDone(text.trim(), values);
+}
+
+/**
+ * Shows a keyboard made of troika text keys under the given parent, with the text typed so far above it.
+ * @param {Object3D} parent   What the keys are added to, e.g. the toolbar that follows the user
+ * @param {Object} options
+ * @param {string} [options.text]   The text to start with
+ * @param {string} [options.placeholder]   Shown while nothing has been typed
+ * @param {number} [options.maxLength]   How many characters can be typed
+ * @param {Object[]} [options.toggles]   Switches shown next to Done, as {name, label, value}
+ * @param {function} options.onDone   Called with the trimmed text and the value of each toggle by its name
+ * @param {function} options.onCancel   Called when the keyboard is closed without finishing
+ */
+export const showKeyboard = (parent, options) => {
+    hideKeyboard();
+    keyboard = {
+        parent,
+        keys: [],
+        letterKeys: [],
+        toggles: [],
+        text: (options.text || '').slice(0, options.maxLength || Infinity),
+        maxLength: options.maxLength || Infinity,
+        shift: false,
+        options: { placeholder: "Type your note", ...options }
+    };
+
+    const rowWidth = KEY_ROWS[0].length * (KEY_SIZE + KEY_GAP) - KEY_GAP;
+    const left = -rowWidth / 2;
+    KEY_ROWS.forEach((row, rowIndex) => {
+        const y = KEYBOARD_TOP - rowIndex * (KEY_SIZE + KEY_GAP);
+        [...row].forEach((character, column) => {
+            const x = left + column * (KEY_SIZE + KEY_GAP);
+            const key = addKey(character, x, y, KEY_SIZE, () => type(keyboard.shift ? character.toUpperCase() : character));
+            if (character.toUpperCase() !== character) {
+                keyboard.letterKeys.push({ ...key, character });
+            }
+        });
+    });
+
+    const bottomY = KEYBOARD_TOP - KEY_ROWS.length * (KEY_SIZE + KEY_GAP);
+    const wideKey = 2 * KEY_SIZE + KEY_GAP;
+    keyboard.shiftKey = addKey("Shift", left, bottomY, wideKey, () => setShift(!keyboard.shift));
+    addKey("Space", left + wideKey + KEY_GAP, bottomY, 2 * wideKey + KEY_GAP, () => type(" "));
+    addKey("Delete", left + 3 * (wideKey + KEY_GAP), bottomY, wideKey, backspace);
+    addKey("Done", left + 4 * (wideKey + KEY_GAP), bottomY, wideKey, finish, ACTIVE_KEY_COLOR);
+
+    const optionsY = bottomY - KEY_SIZE - KEY_GAP;
+    addKey("Cancel", left, optionsY, wideKey, cancel);
+    (options.toggles || []).forEach((toggle, index) => {
+        const option = { ...toggle };
+        option.key = addKey(toggle.label, left + (index + 1) * (wideKey + KEY_GAP), optionsY, 2 * wideKey + KEY_GAP,
+            () => toggleOption(option), toggle.value ? ACTIVE_KEY_COLOR : KEY_COLOR);
+        keyboard.toggles.push(option);
+    });
+
+    const textMesh = new Text();
+    textMesh.anchorX = 'center';
+    textMesh.anchorY = 'bottom';
+    textMesh.fontSize = TEXT_FONT_SIZE;
+    textMesh.maxWidth = TEXT_MAX_WIDTH;
+    textMesh.position.set(0, KEYBOARD_TOP + KEY_SIZE, 0.2);
+    parent.add(textMesh);
+    keyboard.keys.push(textMesh);
+    keyboard.textMesh = textMesh;
+    updateText();
+
+    document.addEventListener('keydown', handleKeyDown);
+}
+
+/**
+ * Removes the keyboard, if it is shown, without calling onDone or onCancel.
+ */
+export const hideKeyboard = () => {
+    if (!keyboard) {
+        return;
+    }
+
+    document.removeEventListener('keydown', handleKeyDown);
+    keyboard.keys.forEach(key => {
+        keyboard.parent.remove(key);
+        if (key instanceof Text) {
+            key.dispose();
+        }
+        else {
+            key.material.dispose();
+        }
+    });
+    keyboard = null;
+}